@@ -1,4 +1,19 @@
 module.exports = {
   root: true,
   extends: '@react-native',
+  overrides: [
+    {
+      // Checksums, the CBOR codec, the session keystream and GF(256)
+      // arithmetic of the backup shares work on bits by design
+      files: [
+        'src/lib/CompactCodec.ts',
+        'src/lib/FrameProtocol.ts',
+        'src/lib/SecureSession.ts',
+        'src/lib/ShamirBackup.ts',
+      ],
+      rules: {
+        'no-bitwise': 'off',
+      },
+    },
+  ],
 };
@@ -23,6 +23,10 @@ type AppState = 'loading' | 'setup' | 'ready';
 const App: React.FC = () => {
   const [appState, setAppState] = useState<AppState>('loading');
   const [walletAddress, setWalletAddress] = useState<string>('');
+  // Alias of the wallet shown, see SecureStorage
+  const [activeWallet, setActiveWallet] = useState<string>(SecureStorage.DEFAULT_WALLET);
+  // Whether setup was opened to add a wallet next to existing ones
+  const [isAddingWallet, setIsAddingWallet] = useState(false);
 
   useEffect(() => {
     initializeApp();
@@ -30,20 +34,19 @@ const App: React.FC = () => {
 
   const initializeApp = async () => {
     try {
-      // Check if a wallet already exists
-      const hasExistingWallet = await SecureStorage.hasPrivateKey();
+      // Open the wallet used last, or else the first one kept
+      const active = await SecureStorage.getActiveWallet();
+      const wallets = await SecureStorage.listWallets();
+      const alias = await SecureStorage.hasWallet(active) ? active : wallets[0]?.alias;
       
-      if (hasExistingWallet) {
-        // Try to load the existing wallet
-        const privateKey = await SecureStorage.getPrivateKey();
-        if (privateKey) {
-          // We have a wallet but don't want to expose the private key
-          // The actual wallet loading will happen in WalletScreen
-          setAppState('ready');
-          // Set a placeholder address that will be updated by WalletScreen
-          setWalletAddress('Loading...');
-          return;
-        }
+      if (alias) {
+        // We have a wallet but don't want to expose its key or mnemonic
+        // The actual wallet loading will happen in WalletScreen
+        setActiveWallet(alias);
+        setAppState('ready');
+        // Set a placeholder address that will be updated by WalletScreen
+        setWalletAddress('Loading...');
+        return;
       }
       
       // No existing wallet, show setup
@@ -64,20 +67,41 @@ const App: React.FC = () => {
     }
   };
 
-  const handleWalletReady = (address: string) => {
+  const handleWalletReady = async (address: string, alias: string) => {
+    await SecureStorage.setActiveWallet(alias);
+    setActiveWallet(alias);
     setWalletAddress(address);
+    setIsAddingWallet(false);
     setAppState('ready');
   };
 
-  const handleReset = async () => {
+  const handleAddWallet = () => {
+    setIsAddingWallet(true);
+    setAppState('setup');
+  };
+
+  const handleSwitchWallet = async (alias: string) => {
+    await SecureStorage.setActiveWallet(alias);
+    setWalletAddress('Loading...');
+    setActiveWallet(alias);
+  };
+
+  // Delete the wallet shown and open the next one kept, if any
+  const handleDeleteWallet = async () => {
     try {
-      await SecureStorage.deletePrivateKey();
-      await SecureStorage.deleteConfig();
+      if (!await SecureStorage.deleteWallet(activeWallet)) {
+        throw new Error(`Failed to delete wallet ${activeWallet}`);
+      }
+      const [next] = await SecureStorage.listWallets();
+      if (next) {
+        await handleSwitchWallet(next.alias);
+        return;
+      }
       setWalletAddress('');
       setAppState('setup');
     } catch (error) {
-      console.error('Failed to reset wallet:', error);
-      Alert.alert('Error', 'Failed to reset wallet');
+      console.error('Failed to delete wallet:', error);
+      Alert.alert('Error', 'Failed to delete wallet');
     }
   };
 
@@ -93,13 +117,26 @@ const App: React.FC = () => {
         );
         
       case 'setup':
-        return <WalletSetupScreen onWalletReady={handleWalletReady} />;
+        return (
+          <WalletSetupScreen
+            onWalletReady={handleWalletReady}
+            onCancel={isAddingWallet ? () => {
+              setIsAddingWallet(false);
+              setAppState('ready');
+            } : undefined}
+          />
+        );
         
       case 'ready':
+        // Remounted for each wallet, so switching loads the other wallet
         return (
           <WalletScreen
+            key={activeWallet}
+            alias={activeWallet}
             walletAddress={walletAddress}
-            onReset={handleReset}
+            onAddWallet={handleAddWallet}
+            onSwitchWallet={handleSwitchWallet}
+            onDeleteWallet={handleDeleteWallet}
           />
         );
         
@@ -0,0 +1,101 @@
+import { ethers } from 'ethers';
+import { AbiRegistry } from '../src/lib/AbiRegistry';
+import { CryptoUtils } from '../src/lib/CryptoUtils';
+
+describe('AbiRegistry', () => {
+  const spender = '0x4838B106FCe9647Bdf1E7877BF73cE8B0BAD5f97';
+  const erc20 = new ethers.Interface([
+    'function transfer(address to, uint256 amount)',
+    'function approve(address spender, uint256 amount)',
+    'function setApprovalForAll(address operator, bool approved)',
+  ]);
+  const router = new ethers.Interface([
+    'function multicall(uint256 deadline, bytes[] data)',
+    'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+  ]);
+
+  describe('Selector lookup', () => {
+    it('should register every function under its own selector', () => {
+      const selectors = AbiRegistry.FUNCTIONS.map(entry => ethers.FunctionFragment.from(entry.signature).selector);
+      expect(new Set(selectors).size).toBe(AbiRegistry.FUNCTIONS.length);
+      expect(AbiRegistry.lookup('0xA9059CBB')?.standard).toBe('ERC-20');
+    });
+
+    it('should return null for unknown selectors and empty calldata', () => {
+      expect(AbiRegistry.lookup('0xdeadbeef')).toBeNull();
+      expect(AbiRegistry.decode('0xdeadbeef')).toBeNull();
+      expect(AbiRegistry.decode('0x12')).toBeNull();
+    });
+  });
+
+  describe('Contract call description', () => {
+    it('should decode a token transfer', () => {
+      const call = CryptoUtils.describeContractCall(erc20.encodeFunctionData('transfer', [spender, 1500000n]));
+
+      expect(call.standard).toBe('ERC-20');
+      expect(call.signature).toBe('transfer(address,uint256)');
+      expect(call.args).toEqual([
+        { name: 'to', type: 'address', value: spender },
+        { name: 'amount', type: 'uint256', value: '1500000' },
+      ]);
+      expect(call.warnings).toEqual([]);
+    });
+
+    it('should warn about unlimited and collection-wide approvals', () => {
+      const unlimited = CryptoUtils.describeContractCall(erc20.encodeFunctionData('approve', [spender, ethers.MaxUint256]));
+      const limited = CryptoUtils.describeContractCall(erc20.encodeFunctionData('approve', [spender, 1000n]));
+      const all = CryptoUtils.describeContractCall(erc20.encodeFunctionData('setApprovalForAll', [spender, true]));
+
+      expect(unlimited.warnings[0]).toContain(`Unlimited approval: ${spender}`);
+      expect(limited.warnings).toEqual([]);
+      expect(all.standard).toBe('ERC-721');
+      expect(all.warnings[0]).toContain(`Approval for all: ${spender}`);
+    });
+
+    it('should warn about unknown selectors and malformed calldata', () => {
+      const unknown = CryptoUtils.describeContractCall('0xdeadbeef0001');
+      const malformed = CryptoUtils.describeContractCall('0xa9059cbb0001');
+
+      expect(unknown.signature).toBeNull();
+      expect(unknown.selector).toBe('0xdeadbeef');
+      expect(unknown.warnings[0]).toContain('Unknown function 0xdeadbeef');
+      expect(malformed.signature).toBeNull();
+      expect(malformed.warnings[0]).toContain('Calldata does not match transfer(address,uint256)');
+    });
+
+    it('should decode calls inside a multicall and surface their warnings', () => {
+      const swap = router.encodeFunctionData('exactInputSingle', [[spender, spender, 3000, spender, 5n, 1n, 0n]]);
+      const approve = erc20.encodeFunctionData('approve', [spender, ethers.MaxUint256]);
+      const call = CryptoUtils.describeContractCall(
+        router.encodeFunctionData('multicall', [123n, [swap, approve, '0xdeadbeef']])
+      );
+
+      expect(call.standard).toBe('Multicall');
+      const inner = call.args[1].fields!;
+      expect(inner[0].type).toBe('Uniswap V3 exactInputSingle');
+      expect(inner[0].fields![0].fields![2]).toEqual({ name: 'fee', type: 'uint24', value: '3000' });
+      expect(inner[1].type).toBe('ERC-20 approve');
+      expect(inner[2]).toEqual({ name: '[2]', type: 'bytes', value: '0xdeadbeef' });
+      expect(call.warnings).toHaveLength(2);
+      expect(call.warnings[0]).toContain('Unlimited approval');
+      expect(call.warnings[1]).toContain('Unknown function 0xdeadbeef');
+    });
+
+    it('should show decoded calls and warnings instead of truncated calldata', () => {
+      const formatted = CryptoUtils.formatTransactionForDisplay({
+        to: spender,
+        value: '0x0',
+        gasLimit: '0xea60',
+        gasPrice: '0x4a817c800',
+        nonce: '0x1',
+        chainId: 1,
+        data: erc20.encodeFunctionData('approve', [spender, ethers.MaxUint256]),
+      });
+
+      expect(formatted).toContain('Contract Call: ERC-20 approve(address,uint256)');
+      expect(formatted).toContain(`  spender: ${spender}`);
+      expect(formatted).toContain('WARNING: Unlimited approval');
+      expect(formatted).not.toContain('...');
+    });
+  });
+});
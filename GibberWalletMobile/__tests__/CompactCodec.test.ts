@@ -0,0 +1,105 @@
+import { CompactCodec } from '../src/lib/CompactCodec';
+import { MessageProtocol, Message } from '../src/lib/MessageProtocol';
+
+describe('CompactCodec', () => {
+  const address = '0x4838B106FCe9647Bdf1E7877BF73cE8B0BAD5f97';
+
+  const expectRoundTrip = (message: Message) => {
+    const decoded = Message.fromCompact(message.toCompact());
+    expect(decoded.toJSON()).toBe(message.toJSON());
+  };
+
+  describe('Round trips', () => {
+    it('should round trip transaction requests', () => {
+      expectRoundTrip(MessageProtocol.createTxRequest(
+        1,
+        address,
+        BigInt('1000000000000000000'),
+        '0x',
+        5,
+        BigInt('20000000000'),
+        BigInt('21000')
+      ));
+      expectRoundTrip(MessageProtocol.createTxRequest(
+        137,
+        address.toLowerCase(),
+        BigInt(0),
+        '0xa9059cbb' + '00'.repeat(64),
+        0,
+        null,
+        BigInt('65000'),
+        { maxFeePerGas: BigInt('30000000000'), maxPriorityFeePerGas: BigInt('1500000000') }
+      ));
+    });
+
+    it('should round trip responses and control messages', () => {
+      expectRoundTrip(MessageProtocol.createTxResponse(
+        '0x02f8' + 'cd'.repeat(100),
+        '0x' + 'ef'.repeat(32),
+        '5f0c6c2e-8d1a-4a55-9c3e-2b7d9e4f1a60'
+      ));
+      expectRoundTrip(MessageProtocol.createPong('b2f0f7a4-2c1d-4e1a-9a57-8f0a2d3c4e5f'));
+      expectRoundTrip(MessageProtocol.createAck('b2f0f7a4-2c1d-4e1a-9a57-8f0a2d3c4e5f', '3f9a'));
+      expectRoundTrip(MessageProtocol.createNack('3f9a', [1, 3]));
+      expectRoundTrip(MessageProtocol.createError('Ünïcode 0xABC failure', 'not-a-uuid'));
+    });
+
+    it('should keep unknown types, keys and values intact', () => {
+      const message = new Message(
+        '1.1',
+        'future_type' as any,
+        { n: -5, f: 1.5, big: 2 ** 40, ok: true, none: null, list: [{ a: '0X12', b: '0x0' }] },
+        'custom-id'
+      );
+      expectRoundTrip(message);
+    });
+
+    it('should be much smaller than JSON', () => {
+      const message = MessageProtocol.createTxRequest(
+        1,
+        address,
+        BigInt('1000000000000000000'),
+        '0x',
+        5,
+        BigInt('20000000000'),
+        BigInt('21000')
+      );
+      expect(message.toCompact().length).toBeLessThan(message.toJSON().length / 2);
+    });
+  });
+
+  describe('Decoding', () => {
+    it('should reject strings that are not compact messages', () => {
+      expect(() => CompactCodec.decode('{"type":"ping"}')).toThrow('Not a compact message');
+    });
+
+    it('should reject truncated messages', () => {
+      const compact = MessageProtocol.createNack('3f9a', [1, 3]).toCompact();
+      expect(() => Message.fromCompact(compact.slice(0, compact.length - 8))).toThrow();
+    });
+  });
+
+  describe('Serialization', () => {
+    it('should pick the encoding from the message version', () => {
+      const pong = MessageProtocol.createPong('b2f0f7a4-2c1d-4e1a-9a57-8f0a2d3c4e5f');
+      expect(CompactCodec.isCompact(pong.serialize())).toBe(true);
+
+      pong.version = MessageProtocol.LEGACY_VERSION;
+      expect(pong.serialize()).toBe(pong.toJSON());
+    });
+
+    it('should always send pings and errors as JSON', () => {
+      const ping = MessageProtocol.createPing();
+      expect(ping.serialize()).toBe(ping.toJSON());
+
+      const error = MessageProtocol.createError('Unsupported protocol version: 2.0');
+      expect(error.serialize()).toBe(error.toJSON());
+    });
+
+    it('should accept both encodings when deserializing', () => {
+      const pong = MessageProtocol.createPong('b2f0f7a4-2c1d-4e1a-9a57-8f0a2d3c4e5f');
+      expect(Message.deserialize(pong.toCompact()).toJSON()).toBe(pong.toJSON());
+      expect(Message.deserialize(pong.toJSON()).toJSON()).toBe(pong.toJSON());
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,66 @@
+import { ethers } from 'ethers';
+import { CryptoUtils } from '../src/lib/CryptoUtils';
+import { MessageProtocol, Message } from '../src/lib/MessageProtocol';
+import { SecureSession } from '../src/lib/SecureSession';
+import golden from '../../conformance/golden-messages.json';
+
+// Golden messages shared with the Node implementation (NodePoC/test-conformance.js)
+describe('Protocol conformance', () => {
+  const toMessage = (message: { version: string; type: string; payload: any; id: string }) =>
+    new Message(message.version, message.type as any, message.payload, message.id);
+
+  describe.each(golden.messages.map(entry => [entry.name, entry] as const))('%s', (_name, entry: any) => {
+    it('should encode to the golden JSON', () => {
+      expect(toMessage(entry.message).toJSON()).toBe(entry.json);
+      expect(Message.fromJSON(entry.json).toJSON()).toBe(entry.json);
+    });
+
+    it('should use the golden wire encoding', () => {
+      const message = toMessage(entry.message);
+      expect(message.serialize()).toBe(entry.compact ?? entry.json);
+      expect(Message.deserialize(message.serialize()).toJSON()).toBe(entry.json);
+    });
+
+    if (entry.signingDigest) {
+      it('should verify the wallet signature', () => {
+        const message = toMessage(entry.message);
+        expect(MessageProtocol.signingDigest(message, entry.requestId)).toBe(entry.signingDigest);
+        expect(CryptoUtils.verifyProtocolMessage(message, entry.signer ?? golden.walletAddress, entry.requestId)).toBe(true);
+      });
+    }
+
+    if (entry.sessionKey) {
+      it('should commit to the session key revealed later', () => {
+        expect(SecureSession.commit(entry.sessionKey)).toBe(entry.message.payload.key_commitment);
+      });
+    }
+
+    if (entry.macKey && entry.message.type !== 'encrypted') {
+      it('should authenticate the frame id and reply', () => {
+        const message = toMessage(entry.message);
+        expect(SecureSession.computeControlTag(entry.macKey, message)).toBe(message.payload.tag);
+        // Pointing it at another frame breaks the tag
+        const retargeted = toMessage({ ...entry.message, payload: { ...entry.message.payload, frame_id: '0000' } });
+        expect(SecureSession.computeControlTag(entry.macKey, retargeted)).not.toBe(message.payload.tag);
+      });
+    }
+
+    if (entry.macKey && entry.message.type === 'encrypted') {
+      it('should authenticate the envelope header and ciphertext', () => {
+        const message = toMessage(entry.message);
+        const ciphertext = ethers.getBytes(message.payload.ciphertext);
+        expect(SecureSession.computeTag(entry.macKey, message, ciphertext)).toBe(message.payload.tag);
+        // Flipping the compression flag breaks the tag
+        const flipped = toMessage({ ...entry.message, payload: { ...entry.message.payload, compressed: true } });
+        expect(SecureSession.computeTag(entry.macKey, flipped, ciphertext)).not.toBe(message.payload.tag);
+      });
+    }
+  });
+
+  it.each(golden.negotiations.map(entry => [entry.name, entry] as const))(
+    'should negotiate with %s',
+    (_name, entry: any) => {
+      expect(MessageProtocol.negotiate(toMessage(entry.connect))).toEqual(entry.expected);
+    }
+  );
+});
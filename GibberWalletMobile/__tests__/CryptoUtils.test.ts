@@ -1,4 +1,6 @@
+import { ethers } from 'ethers';
 import { CryptoUtils } from '../src/lib/CryptoUtils';
+import { MessageProtocol, Message } from '../src/lib/MessageProtocol';
 
 describe('CryptoUtils', () => {
   const testPrivateKey = '0x0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
@@ -24,6 +26,32 @@ describe('CryptoUtils', () => {
     });
   });
 
+  describe('Mnemonic wallets', () => {
+    const mnemonic = 'test test test test test test test test test test test junk';
+
+    it('should derive BIP-44 accounts from a mnemonic', () => {
+      const accounts = CryptoUtils.fromMnemonic(`  ${mnemonic.toUpperCase()} `, '', 3);
+
+      expect(accounts.map(account => account.getAccount())).toEqual([
+        { address: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266', path: "m/44'/60'/0'/0/0" },
+        { address: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', path: "m/44'/60'/0'/0/1" },
+        { address: '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC', path: "m/44'/60'/0'/0/2" },
+      ]);
+      expect(CryptoUtils.fromMnemonic(mnemonic, 'pw')[0].getAddress()).toBe('0x7612F078899320dDb4838e854bA3BcA5e8bDDc4F');
+      expect(CryptoUtils.fromMnemonic(mnemonic, '', 2, "m/44'/60'/{index}'/0/0")[1].getAddress())
+        .toBe('0x8C8d35429F74ec245F8Ef2f4Fd1e551cFF97d650');
+      expect(new CryptoUtils(testPrivateKey).getAccount()).not.toHaveProperty('path');
+    });
+
+    it('should generate valid mnemonics and reject invalid ones', () => {
+      expect(CryptoUtils.generateMnemonic().split(' ')).toHaveLength(12);
+      expect(CryptoUtils.validateMnemonic(CryptoUtils.generateMnemonic(24))).toBe(true);
+      expect(CryptoUtils.validateMnemonic(mnemonic.replace('junk', 'test'))).toBe(false);
+      expect(() => CryptoUtils.fromMnemonic(mnemonic.replace('junk', 'test'))).toThrow('Invalid mnemonic');
+      expect(() => CryptoUtils.fromMnemonic(mnemonic, '', 0)).toThrow('Invalid account count: 0');
+    });
+  });
+
   describe('Utility functions', () => {
     it('should convert wei to eth', () => {
       expect(CryptoUtils.weiToEth('1000000000000000000')).toBe('1.0');
@@ -52,6 +80,26 @@ describe('CryptoUtils', () => {
       expect(formatted).toContain('To: 0x742d35Cc6634C0532925a3b844Bc9e7595f2bD8c');
       expect(formatted).toContain('Chain ID: 1');
     });
+
+    it('should format EIP-1559 fee caps for display', () => {
+      const txData = {
+        to: '0x742d35Cc6634C0532925a3b844Bc9e7595f2bD8c',
+        value: '0x1',
+        gasLimit: '0x5208',
+        type: 2,
+        maxFeePerGas: '0x6fc23ac00',
+        maxPriorityFeePerGas: '0x59682f00',
+        nonce: '0x0',
+        chainId: 1,
+        data: '0x',
+      };
+
+      const formatted = CryptoUtils.formatTransactionForDisplay(txData);
+      expect(formatted).toContain('Type: EIP-1559');
+      expect(formatted).toContain('Max Fee Per Gas: 30.0 Gwei');
+      expect(formatted).toContain('Max Priority Fee: 1.5 Gwei');
+      expect(formatted).toContain('Max Network Fee: 0.00063 ETH');
+    });
   });
 
   describe('Transaction signing', () => {
@@ -72,5 +120,293 @@ describe('CryptoUtils', () => {
       expect(signed.raw).toMatch(/^0x[a-fA-F0-9]+$/);
       expect(signed.hash).toMatch(/^0x[a-fA-F0-9]{64}$/);
     });
+
+    it('should sign an EIP-1559 transaction request', async () => {
+      const crypto = new CryptoUtils(testPrivateKey);
+      const tx = CryptoUtils.toEthersTransaction({
+        to: '0x4838B106FCe9647Bdf1E7877BF73cE8B0BAD5f97',
+        value: '0x1',
+        gasLimit: '0x5208',
+        type: 2,
+        maxFeePerGas: '0x6fc23ac00',
+        maxPriorityFeePerGas: '0x59682f00',
+        nonce: '0x0',
+        chainId: 1,
+        data: '0x',
+      });
+
+      expect(tx.type).toBe(2);
+      expect(tx.gasPrice).toBeUndefined();
+
+      const signed = await crypto.signTransaction(tx);
+      // Typed transaction envelopes start with their type byte
+      expect(signed.raw.startsWith('0x02')).toBe(true);
+    });
+  });
+
+  describe('Access lists', () => {
+    const token = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+    const accessList = [
+      { address: token.toLowerCase(), storageKeys: ['0x' + '00'.repeat(31) + '01', '0x' + '00'.repeat(31) + '02'] },
+      { address: '0x4838B106FCe9647Bdf1E7877BF73cE8B0BAD5f97', storageKeys: [] },
+    ];
+
+    it('should sign an EIP-2930 transaction carrying the requested list', async () => {
+      const crypto = new CryptoUtils(testPrivateKey);
+      const request = MessageProtocol.createTxRequest(
+        1, token, BigInt(0), '0x', 3, BigInt('20000000000'), BigInt('60000'), undefined, accessList
+      );
+      const tx = CryptoUtils.toEthersTransaction(request.payload.transaction);
+
+      expect(request.payload.transaction.type).toBe(1);
+      expect(tx.type).toBe(1);
+
+      const signed = await crypto.signTransaction(tx);
+      const parsed = ethers.Transaction.from(signed.raw);
+      expect(signed.raw.startsWith('0x01')).toBe(true);
+      expect(parsed.accessList).toEqual(ethers.accessListify(accessList));
+      expect(Message.deserialize(request.serialize()).toJSON()).toBe(request.toJSON());
+    });
+
+    it('should sign an EIP-1559 transaction with an access list', async () => {
+      const crypto = new CryptoUtils(testPrivateKey);
+      const transaction = MessageProtocol.createTransaction(
+        1, token, BigInt(0), '0x', 3, null, BigInt('60000'),
+        { maxFeePerGas: BigInt('30000000000'), maxPriorityFeePerGas: BigInt('1500000000') }, accessList
+      );
+
+      const signed = await crypto.signTransaction(CryptoUtils.toEthersTransaction(transaction));
+      const parsed = ethers.Transaction.from(signed.raw);
+      expect(parsed.type).toBe(2);
+      expect(parsed.accessList).toHaveLength(2);
+    });
+
+    it('should summarize the list for display', () => {
+      const transaction = MessageProtocol.createTransaction(
+        1, token, BigInt(0), '0x', 3, BigInt('20000000000'), BigInt('60000'), undefined, accessList
+      );
+      const formatted = CryptoUtils.formatTransactionForDisplay(transaction);
+
+      expect(CryptoUtils.describeAccessList(transaction)?.storageKeyCount).toBe(2);
+      expect(formatted).toContain('Type: EIP-2930');
+      expect(formatted).toContain('Access List: 2 addresses, 2 storage keys');
+      expect(formatted).toContain(`  ${token}`);
+      expect(CryptoUtils.formatAccessListSummary({ entries: [accessList[1]], storageKeyCount: 1 }))
+        .toBe('1 address, 1 storage key');
+    });
+
+    it('should reject malformed access lists', () => {
+      const transaction = MessageProtocol.createTransaction(
+        1, token, BigInt(0), '0x', 3, BigInt('20000000000'), BigInt('60000')
+      );
+
+      expect(CryptoUtils.getAccessList(transaction)).toBeNull();
+      expect(CryptoUtils.getAccessList({ ...transaction, type: 1 })).toEqual([]);
+      expect(() => CryptoUtils.getAccessList({ ...transaction, accessList: [{ address: '0x12', storageKeys: [] }] }))
+        .toThrow('Invalid access list');
+      expect(() => CryptoUtils.getAccessList({ ...transaction, accessList: {} as any }))
+        .toThrow('Invalid access list');
+    });
+  });
+
+  describe('Contract deployment', () => {
+    const initCode = '0x6080604052348015600f57600080fd5b50603f80601d6000396000f3fe6080604052600080fdfea164736f6c6343000818000a';
+
+    it('should request a deployment without a recipient', () => {
+      const request = MessageProtocol.createTxRequest(1, null, BigInt(0), initCode, 3, BigInt('1000000000'), BigInt('120000'));
+
+      expect('to' in request.payload.transaction).toBe(false);
+      expect(Message.deserialize(request.serialize()).toJSON()).toBe(request.toJSON());
+    });
+
+    it('should show the predicted contract address and bytecode hash', async () => {
+      const crypto = new CryptoUtils(testPrivateKey);
+      const request = MessageProtocol.createTxRequest(1, null, BigInt(0), initCode, 3, BigInt('1000000000'), BigInt('120000'));
+      const { transaction } = request.payload;
+      const deployment = CryptoUtils.describeDeployment(transaction, crypto.getAddress());
+
+      expect(deployment.contractAddress).toBe(ethers.getCreateAddress({ from: crypto.getAddress(), nonce: 3 }));
+      expect(deployment.bytecodeHash).toBe(ethers.keccak256(initCode));
+      expect(deployment.bytecodeSize).toBe((initCode.length - 2) / 2);
+
+      const formatted = CryptoUtils.formatTransactionForDisplay(transaction, null, crypto.getAddress());
+      expect(formatted).toContain('To: none (contract deployment)');
+      expect(formatted).toContain(`Contract Address: ${deployment.contractAddress}`);
+      expect(formatted).not.toContain('N/A');
+
+      const signed = ethers.Transaction.from((await crypto.signTransaction(CryptoUtils.toEthersTransaction(transaction))).raw);
+      expect(signed.to).toBeNull();
+      expect(signed.data).toBe(initCode);
+    });
+  });
+
+  describe('Transaction replacement', () => {
+    const sender = '0x4838B106FCe9647Bdf1E7877BF73cE8B0BAD5f97';
+    const replaced = '0x' + 'AB'.repeat(32);
+
+    it('should tell a cancellation from a speed-up', () => {
+      const cancel = MessageProtocol.createTransaction(1, sender, BigInt(0), '0x', 7, BigInt('22000000000'), BigInt('21000'));
+      const speedUp = MessageProtocol.createTransaction(1, sender, BigInt(1), '0x', 7, BigInt('22000000000'), BigInt('21000'));
+
+      expect(CryptoUtils.describeReplacement(cancel, replaced, sender.toLowerCase()))
+        .toEqual({ hash: replaced.toLowerCase(), kind: 'cancel' });
+      expect(CryptoUtils.describeReplacement(speedUp, replaced, sender).kind).toBe('speed_up');
+      expect(CryptoUtils.formatReplacementForDisplay(CryptoUtils.describeReplacement(cancel, replaced, sender)))
+        .toContain(`REPLACEMENT of pending transaction ${replaced.toLowerCase()}`);
+    });
+
+    it('should reject malformed replaced hashes', () => {
+      const transaction = MessageProtocol.createTransaction(1, sender, BigInt(0), '0x', 7, BigInt('22000000000'), BigInt('21000'));
+
+      expect(() => CryptoUtils.describeReplacement(transaction, '0x1234', sender)).toThrow('Invalid replaced transaction hash');
+    });
+  });
+
+  describe('Transaction batches', () => {
+    const to = '0x4838B106FCe9647Bdf1E7877BF73cE8B0BAD5f97';
+    const transfer = (nonce: number, chainId: number = 1) =>
+      MessageProtocol.createTransaction(chainId, to, BigInt('1000000000000000000'), '0x', nonce, BigInt('1000000000'), BigInt('21000'));
+
+    it('should total the value and fees of a batch', () => {
+      const batch = CryptoUtils.describeBatch([transfer(4), transfer(3), transfer(5)]);
+
+      expect(batch.count).toBe(3);
+      expect(batch.totalValue).toBe(BigInt('3000000000000000000'));
+      expect(batch.maxFees).toBe(BigInt(3 * 21000 * 1000000000));
+      expect(batch.nonces).toEqual([3, 4, 5]);
+      expect(batch.warnings).toEqual([]);
+    });
+
+    it('should warn about nonce gaps, repeated nonces and mixed chains', () => {
+      expect(CryptoUtils.describeBatch([transfer(3), transfer(5)]).warnings[0]).toContain('not consecutive');
+      expect(CryptoUtils.describeBatch([transfer(3), transfer(3)]).warnings[0]).toContain('share a nonce');
+      expect(CryptoUtils.describeBatch([transfer(3), transfer(4, 5)]).warnings[0]).toContain('2 different chains');
+    });
+
+    it('should show every transaction followed by the totals', () => {
+      const formatted = CryptoUtils.formatBatchForDisplay([transfer(3), transfer(4)]);
+
+      expect(formatted).toContain('[1/2] Transaction Details:');
+      expect(formatted).toContain('[2/2] Transaction Details:');
+      expect(formatted).toContain('Total Value: 2.0 ETH');
+      expect(formatted).toContain('Nonces: 3, 4');
+    });
+  });
+
+  describe('Message signing', () => {
+    const crypto = new CryptoUtils(testPrivateKey);
+    const requestId = '5f0c6c2e-8d1a-4a55-9c3e-2b7d9e4f1a60';
+
+    const createSignedResponse = () => {
+      const response = MessageProtocol.createTxResponse('0x02f86c', '0x' + 'ab'.repeat(32), requestId);
+      response.version = '1.1';
+      return crypto.signProtocolMessage(response, requestId);
+    };
+
+    it('should verify signed messages after a round trip through the compact encoding', () => {
+      const received = Message.deserialize(createSignedResponse().serialize());
+      expect(CryptoUtils.verifyProtocolMessage(received, crypto.getAddress(), requestId)).toBe(true);
+    });
+
+    it('should reject messages for another request, altered or signed by another key', () => {
+      const other = new CryptoUtils(CryptoUtils.generatePrivateKey());
+      const altered = createSignedResponse();
+      altered.payload.signedTransaction.raw = '0x02f86d';
+
+      expect(CryptoUtils.verifyProtocolMessage(createSignedResponse(), crypto.getAddress(), 'other-request')).toBe(false);
+      expect(CryptoUtils.verifyProtocolMessage(altered, crypto.getAddress(), requestId)).toBe(false);
+      expect(CryptoUtils.verifyProtocolMessage(createSignedResponse(), other.getAddress(), requestId)).toBe(false);
+    });
+
+    it('should sign EIP-191 messages that verify against the wallet address', async () => {
+      const request = MessageProtocol.createSignMessageRequest('Sign in to example.org');
+      const signature = await crypto.signMessage(ethers.getBytes(request.payload.message));
+
+      expect(CryptoUtils.verifySignedMessage(request.payload.message, signature, crypto.getAddress())).toBe(true);
+      expect(CryptoUtils.verifySignedMessage('0x00', signature, crypto.getAddress())).toBe(false);
+    });
+
+    it('should display messages as text or hex and flag hashes', () => {
+      const text = CryptoUtils.formatMessageForDisplay(ethers.hexlify(ethers.toUtf8Bytes('Sign in to example.org')));
+      expect(text).toContain('Encoding: UTF-8 text');
+      expect(text).toContain('Sign in to example.org');
+      expect(text).not.toContain('WARNING');
+
+      const binary = CryptoUtils.formatMessageForDisplay('0x000102ff');
+      expect(binary).toContain('Encoding: hex (4 bytes)');
+      expect(binary).toContain('0x000102ff');
+
+      const hash = '0x' + '07'.repeat(32);
+      expect(CryptoUtils.formatMessageForDisplay(hash)).toContain('WARNING');
+      expect(CryptoUtils.looksLikeHash(ethers.toUtf8Bytes(hash))).toBe(true);
+      // 32 characters of readable text are not a hash
+      expect(CryptoUtils.looksLikeHash(ethers.toUtf8Bytes('Sign in to example.org\nNonce: 42'))).toBe(false);
+    });
+
+    it('should reject unsigned messages', () => {
+      const error = MessageProtocol.createError('Rejected', requestId);
+      expect(CryptoUtils.verifyProtocolMessage(error, crypto.getAddress())).toBe(false);
+      expect(CryptoUtils.verifyProtocolMessage(crypto.signProtocolMessage(error), crypto.getAddress())).toBe(true);
+    });
+  });
+
+  describe('Typed data signing', () => {
+    const crypto = new CryptoUtils(testPrivateKey);
+    const typedData = {
+      types: {
+        EIP712Domain: [
+          { name: 'name', type: 'string' },
+          { name: 'chainId', type: 'uint256' },
+          { name: 'verifyingContract', type: 'address' },
+        ],
+        PermitDetails: [
+          { name: 'token', type: 'address' },
+          { name: 'amount', type: 'uint160' },
+        ],
+        PermitBatch: [
+          { name: 'details', type: 'PermitDetails[]' },
+          { name: 'spender', type: 'address' },
+          { name: 'sigDeadline', type: 'uint256' },
+        ],
+        Unrelated: [{ name: 'flag', type: 'bool' }],
+      },
+      primaryType: 'PermitBatch',
+      domain: { name: 'Permit2', chainId: 1, verifyingContract: '0x000000000022d473030f116ddee9f6b43ac78ba3' },
+      message: {
+        details: [{ token: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', amount: '1000000' }],
+        spender: '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD',
+        sigDeadline: '0x6553f100',
+      },
+    };
+
+    it('should sign typed data that verifies against the wallet address', async () => {
+      const signature = await crypto.signTypedData(typedData);
+
+      expect(CryptoUtils.verifySignedTypedData(typedData, signature, crypto.getAddress())).toBe(true);
+      const altered = { ...typedData, message: { ...typedData.message, sigDeadline: '0x6553f101' } };
+      expect(CryptoUtils.verifySignedTypedData(altered, signature, crypto.getAddress())).toBe(false);
+    });
+
+    it('should describe the domain, primary type and nested fields', () => {
+      const description = CryptoUtils.describeTypedData(typedData);
+
+      expect(description.primaryType).toBe('PermitBatch');
+      expect(description.domain.map(field => field.name)).toEqual(['name', 'chainId', 'verifyingContract']);
+      expect(description.domain[2].value).toBe('0x000000000022D473030F116dDEE9F6B43aC78BA3');
+      expect(description.message[0].fields![0].fields![1]).toEqual({ name: 'amount', type: 'uint160', value: '1000000' });
+      expect(description.message[2].value).toBe('1700000000');
+
+      const formatted = CryptoUtils.formatTypedDataForDisplay(typedData);
+      expect(formatted).toContain('Primary Type: PermitBatch');
+      expect(formatted).toContain('  details (PermitDetails[]):\n    [0] (PermitDetails):\n      token: 0xA0b8');
+    });
+
+    it('should reject malformed typed data', () => {
+      expect(() => CryptoUtils.parseTypedData({ ...typedData, primaryType: 'Missing' })).toThrow('Unknown primary type');
+      expect(() => CryptoUtils.parseTypedData({
+        ...typedData,
+        message: { ...typedData.message, spender: 'not an address' },
+      })).toThrow();
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,188 @@
+import { FrameProtocol, FrameAssembler } from '../src/lib/FrameProtocol';
+import { MessageProtocol, Message } from '../src/lib/MessageProtocol';
+import { ethers } from 'ethers';
+
+describe('FrameProtocol', () => {
+  const createLargeMessage = () =>
+    MessageProtocol.createTxRequest(
+      1,
+      '0x4838B106FCe9647Bdf1E7877BF73cE8B0BAD5f97',
+      BigInt(0),
+      // Random calldata so compression cannot fit it in a single frame
+      ethers.hexlify(ethers.randomBytes(300)),
+      0,
+      BigInt('1000000000'),
+      BigInt('100000')
+    );
+
+  describe('Splitting', () => {
+    it('should send small messages unframed', () => {
+      const pong = MessageProtocol.createPong('test-123');
+      expect(FrameProtocol.split(pong.toJSON())).toEqual([pong.toJSON()]);
+    });
+
+    it('should split large messages into frames within the payload limit', () => {
+      const frames = FrameProtocol.split(createLargeMessage().toJSON());
+
+      expect(frames.length).toBeGreaterThan(1);
+      frames.forEach(frame => {
+        expect(FrameProtocol.isFrame(frame)).toBe(true);
+        expect(FrameProtocol.utf8Length(frame)).toBeLessThanOrEqual(FrameProtocol.MAX_PAYLOAD_SIZE);
+      });
+    });
+
+    it('should compress large messages and leave small ones raw', () => {
+      const ack = MessageProtocol.createAck('b2f0f7a4-2c1d-4e1a-9a57-8f0a2d3c4e5f');
+      expect(FrameProtocol.split(ack.toJSON())).toEqual([ack.toJSON()]);
+
+      const repetitive = MessageProtocol.createTxRequest(
+        1,
+        '0x4838B106FCe9647Bdf1E7877BF73cE8B0BAD5f97',
+        BigInt(0),
+        '0x' + '00'.repeat(300),
+        0,
+        BigInt('1000000000'),
+        BigInt('100000')
+      ).toJSON();
+      const frames = FrameProtocol.split(repetitive);
+      const uncompressed = FrameProtocol.split(repetitive, FrameProtocol.DEFAULT_CHUNK_SIZE, false);
+
+      expect(frames.length).toBeLessThan(uncompressed.length);
+      expect(FrameProtocol.parse(frames[0])!.flags).toBe(FrameProtocol.FLAG_DEFLATE);
+      expect(uncompressed.every(frame => FrameProtocol.parse(frame)!.flags === '')).toBe(true);
+
+      const assembler = new FrameAssembler();
+      let result: string | null = null;
+      frames.forEach(frame => {
+        result = assembler.add(FrameProtocol.parse(frame)!);
+      });
+      expect(result).toBe(repetitive);
+    });
+
+    it('should refuse messages over the frame or size limit', () => {
+      const huge = ethers.hexlify(ethers.randomBytes(FrameProtocol.MAX_FRAMES * FrameProtocol.DEFAULT_CHUNK_SIZE));
+      expect(() => FrameProtocol.split(huge)).toThrow('Message too large');
+      expect(() => FrameProtocol.split('a'.repeat(FrameProtocol.MAX_MESSAGE_SIZE + 1))).toThrow('Message too large');
+    });
+
+    it('should not break multi-byte characters across chunks', () => {
+      const chunks = FrameProtocol.chunk('€'.repeat(10), 4);
+      expect(chunks).toEqual(Array(10).fill('€'));
+    });
+  });
+
+  describe('Parsing', () => {
+    it('should compute CRC-16/CCITT-FALSE checksums', () => {
+      expect(FrameProtocol.checksum('123456789')).toBe('29b1');
+    });
+
+    it('should parse a valid frame', () => {
+      const frame = FrameProtocol.parse(FrameProtocol.encodeFrame('0a1b', 1, 3, 'a:b'));
+      expect(frame).toEqual({ frameId: '0a1b', index: 1, total: 3, flags: '', data: 'a:b' });
+    });
+
+    it('should parse frame flags', () => {
+      const frame = FrameProtocol.parse(FrameProtocol.encodeFrame('0a1b', 0, 1, 'abc', FrameProtocol.FLAG_DEFLATE));
+      expect(frame).toEqual({ frameId: '0a1b', index: 0, total: 1, flags: 'z', data: 'abc' });
+    });
+
+    it('should reject frames with a bad checksum', () => {
+      const frameStr = FrameProtocol.encodeFrame('0a1b', 0, 2, 'hello');
+      expect(FrameProtocol.parse(frameStr.replace('hello', 'hellp'))).toBeNull();
+    });
+
+    it('should reject malformed frames', () => {
+      expect(FrameProtocol.parse('#0a1b:2:2:0000:x')).toBeNull();
+      expect(FrameProtocol.parse('#zz:0:1:0000:x')).toBeNull();
+      expect(FrameProtocol.parse('{"version":"1.0"}')).toBeNull();
+    });
+
+    it('should reject frames claiming no or too many frames', () => {
+      expect(FrameProtocol.parse(FrameProtocol.encodeFrame('0a1b', 0, 0, 'x'))).toBeNull();
+      expect(FrameProtocol.parse(FrameProtocol.encodeFrame('0a1b', 0, 999999999, 'x'))).toBeNull();
+      expect(FrameProtocol.parse(FrameProtocol.encodeFrame('0a1b', 0, FrameProtocol.MAX_FRAMES + 1, 'x'))).toBeNull();
+      expect(FrameProtocol.parse(FrameProtocol.encodeFrame('0a1b', 0, FrameProtocol.MAX_FRAMES, 'x'))).not.toBeNull();
+    });
+  });
+
+  describe('Reassembly', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should reassemble frames received out of order', () => {
+      const original = createLargeMessage();
+      const frames = FrameProtocol.split(original.toJSON()).map(f => FrameProtocol.parse(f)!);
+      const assembler = new FrameAssembler();
+
+      let result: string | null = null;
+      [...frames].reverse().forEach(frame => {
+        result = assembler.add(frame);
+      });
+
+      expect(result).not.toBeNull();
+      expect(Message.fromJSON(result!).id).toBe(original.id);
+    });
+
+    it('should report missing chunks when the last chunk arrives', () => {
+      const onMissing = jest.fn();
+      const frames = FrameProtocol.split(createLargeMessage().toJSON()).map(f => FrameProtocol.parse(f)!);
+      const assembler = new FrameAssembler(1000, onMissing);
+
+      frames.filter(frame => frame.index !== 1).forEach(frame => assembler.add(frame));
+
+      expect(onMissing).toHaveBeenCalledWith(frames[0].frameId, [1], false);
+      expect(assembler.getMissing(frames[0].frameId)).toEqual([1]);
+    });
+
+    it('should report chunks still missing after a retransmission round', () => {
+      const onMissing = jest.fn();
+      const frames = FrameProtocol.split(createLargeMessage().toJSON()).map(f => FrameProtocol.parse(f)!);
+      const assembler = new FrameAssembler(1000, onMissing);
+
+      frames.filter(frame => frame.index !== 1 && frame.index !== 2).forEach(frame => assembler.add(frame));
+      expect(onMissing).toHaveBeenLastCalledWith(frames[0].frameId, [1, 2], false);
+
+      // Only frame 2 of the retransmitted [1, 2] gets through
+      assembler.add(frames[2]);
+      expect(onMissing).toHaveBeenLastCalledWith(frames[0].frameId, [1], false);
+
+      expect(assembler.add(frames[1])).not.toBeNull();
+    });
+
+    it('should refuse messages that inflate past the size limit', () => {
+      const fits = 'a'.repeat(FrameProtocol.MAX_MESSAGE_SIZE);
+      expect(FrameProtocol.decompress(FrameProtocol.compress(fits))).toBe(fits);
+
+      // A few frames that inflate to more than the limit
+      const bomb = FrameProtocol.compress(fits + 'a');
+      const chunks = FrameProtocol.chunk(bomb, FrameProtocol.DEFAULT_CHUNK_SIZE);
+      expect(chunks.length).toBeLessThan(FrameProtocol.MAX_FRAMES);
+      const frames = chunks.map((chunk, index) =>
+        FrameProtocol.parse(FrameProtocol.encodeFrame('b0b0', index, chunks.length, chunk, FrameProtocol.FLAG_DEFLATE))!
+      );
+
+      const assembler = new FrameAssembler();
+      frames.slice(0, -1).forEach(frame => assembler.add(frame));
+      expect(() => assembler.add(frames[frames.length - 1])).toThrow('Message too large');
+      expect(assembler.getMissing('b0b0')).toEqual([]);
+    });
+
+    it('should give up on incomplete messages after the timeout', () => {
+      const onMissing = jest.fn();
+      const frames = FrameProtocol.split(createLargeMessage().toJSON()).map(f => FrameProtocol.parse(f)!);
+      const assembler = new FrameAssembler(1000, onMissing);
+
+      assembler.add(frames[0]);
+      jest.advanceTimersByTime(1000);
+
+      const missing = frames.slice(1).map(frame => frame.index);
+      expect(onMissing).toHaveBeenCalledWith(frames[0].frameId, missing, true);
+      expect(assembler.getMissing(frames[0].frameId)).toEqual([]);
+    });
+  });
+});
\ No newline at end of file
@@ -1,13 +1,60 @@
 import { MessageProtocol, Message } from '../src/lib/MessageProtocol';
-import { MessageType } from '../src/types/MessageTypes';
+import { MessageType, Capability } from '../src/types/MessageTypes';
 
 describe('MessageProtocol', () => {
   describe('Message creation', () => {
+    it('should create a connect message', () => {
+      const connect = MessageProtocol.createConnect('0x' + 'ab'.repeat(32));
+      expect(connect.type).toBe(MessageType.CONNECT);
+      expect(connect.payload.versions).toEqual(MessageProtocol.SUPPORTED_VERSIONS);
+      expect(connect.payload.capabilities).toEqual(MessageProtocol.CAPABILITIES);
+      expect(connect.payload.key_commitment).toBe('0x' + 'ab'.repeat(32));
+    });
+
+    it('should create a session key message as part of the handshake', () => {
+      const sessionKey = MessageProtocol.createSessionKey('0x02' + 'cd'.repeat(32), 'connect-123');
+      expect(sessionKey.type).toBe(MessageType.SESSION_KEY);
+      expect(sessionKey.payload).toEqual({ public_key: '0x02' + 'cd'.repeat(32), received_id: 'connect-123' });
+      expect(MessageProtocol.isHandshake(sessionKey)).toBe(true);
+      expect(sessionKey.serialize()).toBe(sessionKey.toJSON());
+    });
+
+    it('should create a connect response carrying the wallet address', () => {
+      const address = '0x742d35Cc6634C0532925a3b844Bc9e7595f2bD8c';
+      const negotiated = { version: '1.0', capabilities: [Capability.CHUNKING] };
+      const response = MessageProtocol.createConnectResponse(address, 'test-123', negotiated);
+
+      expect(response.type).toBe(MessageType.CONNECT_RESPONSE);
+      expect(response.version).toBe('1.0');
+      expect(response.payload).toEqual({
+        address,
+        received_id: 'test-123',
+        capabilities: [Capability.CHUNKING],
+      });
+    });
+
+    it('should list derived accounts and name the signing account of requests', () => {
+      const address = '0x742d35Cc6634C0532925a3b844Bc9e7595f2bD8c';
+      const other = '0x4838B106FCe9647Bdf1E7877BF73cE8B0BAD5f97';
+      const accounts = [{ address, path: "m/44'/60'/0'/0/0" }, { address: other, path: "m/44'/60'/0'/0/1" }];
+      const response = MessageProtocol.createConnectResponse(address, 'test-123', undefined, accounts);
+      const request = MessageProtocol.createSignMessageRequest('hello', other);
+
+      expect(response.payload.accounts).toEqual(accounts);
+      expect(Message.deserialize(response.serialize()).payload).toEqual(response.payload);
+      expect(request.payload.account).toBe(other);
+      expect(Message.deserialize(request.serialize()).toJSON()).toBe(request.toJSON());
+      expect(MessageProtocol.createSignMessageRequest('hello').payload).not.toHaveProperty('account');
+    });
+
     it('should create a ping message', () => {
       const ping = MessageProtocol.createPing();
       expect(ping.type).toBe(MessageType.PING);
-      expect(ping.version).toBe('1.0');
-      expect(ping.payload).toEqual({});
+      expect(ping.version).toBe('1.1');
+      expect(ping.payload).toEqual({
+        versions: MessageProtocol.SUPPORTED_VERSIONS,
+        capabilities: MessageProtocol.CAPABILITIES,
+      });
     });
 
     it('should create a pong message with correlationId', () => {
@@ -43,6 +90,118 @@ describe('MessageProtocol', () => {
       expect(txRequest.payload.transaction.gasLimit).toBe('0x5208');
     });
 
+    it('should create an EIP-1559 transaction request message', () => {
+      const txRequest = MessageProtocol.createTxRequest(
+        1,
+        '0x742d35Cc6634C0532925a3b844Bc9e7595f2bD8c',
+        BigInt(1),
+        '0x',
+        0,
+        null,
+        BigInt('21000'),
+        {
+          maxFeePerGas: BigInt('30000000000'),
+          maxPriorityFeePerGas: BigInt('1500000000'),
+        }
+      );
+
+      const { transaction } = txRequest.payload;
+      expect(transaction.type).toBe(2);
+      expect(transaction.maxFeePerGas).toBe('0x6fc23ac00');
+      expect(transaction.maxPriorityFeePerGas).toBe('0x59682f00');
+      expect(transaction.gasPrice).toBeUndefined();
+    });
+
+    it('should create a transaction response referencing its request', () => {
+      const txRequest = MessageProtocol.createTxRequest(
+        1,
+        '0x742d35Cc6634C0532925a3b844Bc9e7595f2bD8c',
+        BigInt(1),
+        '0x',
+        0,
+        BigInt('20000000000'),
+        BigInt('21000')
+      );
+      const response = MessageProtocol.createTxResponse('0x02f86c', '0x' + 'ab'.repeat(32), txRequest.id);
+
+      expect(response.type).toBe(MessageType.TX_RESPONSE);
+      expect(response.payload.received_id).toBe(txRequest.id);
+      expect(response.payload.signedTransaction.raw).toBe('0x02f86c');
+    });
+
+    it('should create a transaction batch whose results survive the compact encoding', () => {
+      const transactions = [0, 1].map(nonce => MessageProtocol.createTransaction(
+        1,
+        '0x742d35Cc6634C0532925a3b844Bc9e7595f2bD8c',
+        BigInt(1),
+        '0x',
+        nonce,
+        BigInt('20000000000'),
+        BigInt('21000')
+      ));
+      const request = MessageProtocol.createTxBatchRequest(transactions);
+      const response = MessageProtocol.createTxBatchResponse(
+        [{ signedTransaction: { raw: '0x02f86c', hash: '0x' + 'ab'.repeat(32) } }, { error: 'Transaction rejected by user' }],
+        request.id
+      );
+
+      expect(MessageProtocol.isTxBatchRequest(request)).toBe(true);
+      expect(MessageProtocol.isTxBatchResponse(response)).toBe(true);
+      expect(request.payload.transactions[1].nonce).toBe('0x1');
+      expect(Message.deserialize(request.serialize()).toJSON()).toBe(request.toJSON());
+      expect(Message.deserialize(response.serialize()).payload).toEqual(response.payload);
+    });
+
+    it('should create a replacement request that survives the compact encoding', () => {
+      const transaction = MessageProtocol.createTransaction(
+        1,
+        '0x742d35Cc6634C0532925a3b844Bc9e7595f2bD8c',
+        BigInt(0),
+        '0x',
+        7,
+        BigInt('22000000000'),
+        BigInt('21000')
+      );
+      const request = MessageProtocol.createReplacementRequest(transaction, '0x' + 'ab'.repeat(32));
+
+      expect(MessageProtocol.isTxRequest(request)).toBe(true);
+      expect(request.payload.replaces).toBe('0x' + 'ab'.repeat(32));
+      expect(Message.deserialize(request.serialize()).toJSON()).toBe(request.toJSON());
+    });
+
+    it('should create a message signing request carrying the message as hex', () => {
+      const text = MessageProtocol.createSignMessageRequest('hello');
+      const bytes = MessageProtocol.createSignMessageRequest(new Uint8Array([0, 255]));
+
+      expect(text.type).toBe(MessageType.SIGN_MESSAGE_REQUEST);
+      expect(MessageProtocol.isSignMessageRequest(text)).toBe(true);
+      expect(text.payload.message).toBe('0x68656c6c6f');
+      expect(bytes.payload.message).toBe('0x00ff');
+    });
+
+    it('should create a message signature response referencing its request', () => {
+      const request = MessageProtocol.createSignMessageRequest('hello');
+      const response = MessageProtocol.createSignMessageResponse('0x' + '11'.repeat(65), '0x' + 'ab'.repeat(32), request.id);
+
+      expect(MessageProtocol.isSignMessageResponse(response)).toBe(true);
+      expect(response.payload.received_id).toBe(request.id);
+      expect(response.payload.signedMessage.signature).toBe('0x' + '11'.repeat(65));
+      expect(Message.deserialize(response.serialize()).toJSON()).toBe(response.toJSON());
+    });
+
+    it('should create a typed data signing request that survives the compact encoding', () => {
+      const typedData = {
+        types: { Mail: [{ name: 'contents', type: 'string' }] },
+        primaryType: 'Mail',
+        domain: { name: 'Ether Mail', version: '1', chainId: 1 },
+        message: { contents: 'Hello, Bob!' },
+      };
+      const request = MessageProtocol.createSignTypedDataRequest(typedData);
+
+      expect(MessageProtocol.isSignTypedDataRequest(request)).toBe(true);
+      expect(Message.deserialize(request.serialize()).payload.typedData).toEqual(typedData);
+    });
+
     it('should create an error message', () => {
       const errorMsg = 'Test error';
       const correlationId = 'test-456';
@@ -52,6 +211,22 @@ describe('MessageProtocol', () => {
       expect(error.payload.message).toBe(errorMsg);
       expect(error.payload.received_id).toBe(correlationId);
     });
+
+    it('should create an acknowledgment for a framed message', () => {
+      const ack = MessageProtocol.createAck('test-789', '1a2b');
+
+      expect(ack.type).toBe(MessageType.ACK);
+      expect(ack.payload.received_id).toBe('test-789');
+      expect(ack.payload.frame_id).toBe('1a2b');
+    });
+
+    it('should create a negative acknowledgment listing missing frames', () => {
+      const nack = MessageProtocol.createNack('1a2b', [1, 3]);
+
+      expect(nack.type).toBe(MessageType.NACK);
+      expect(MessageProtocol.isNack(nack)).toBe(true);
+      expect(nack.payload).toEqual({ frame_id: '1a2b', missing: [1, 3] });
+    });
   });
 
   describe('Message validation', () => {
@@ -65,6 +240,53 @@ describe('MessageProtocol', () => {
       msg.version = '2.0';
       expect(MessageProtocol.validateVersion(msg)).toBe(false);
     });
+
+    it('should accept legacy and newer minor versions', () => {
+      const msg = MessageProtocol.createPing();
+      msg.version = MessageProtocol.LEGACY_VERSION;
+      expect(MessageProtocol.validateVersion(msg)).toBe(true);
+      msg.version = '1.9';
+      expect(MessageProtocol.validateVersion(msg)).toBe(true);
+    });
+
+    it('should negotiate the highest common version', () => {
+      expect(MessageProtocol.negotiateVersion('1.0')).toBe('1.0');
+      expect(MessageProtocol.negotiateVersion('1.1')).toBe('1.1');
+      expect(MessageProtocol.negotiateVersion('1.5')).toBe(MessageProtocol.PROTOCOL_VERSION);
+    });
+
+    it('should negotiate the highest common version and shared capabilities', () => {
+      const ping = new Message('2.0', MessageType.PING, {
+        versions: ['1.0', '1.1', '2.0'],
+        capabilities: [Capability.COMPRESSION, 'future_feature'],
+      });
+
+      expect(MessageProtocol.negotiate(ping)).toEqual({
+        version: '1.1',
+        capabilities: [Capability.COMPRESSION],
+      });
+      expect(MessageProtocol.negotiate(MessageProtocol.createPing())).toEqual({
+        version: MessageProtocol.PROTOCOL_VERSION,
+        capabilities: MessageProtocol.CAPABILITIES,
+      });
+    });
+
+    it('should negotiate with peers that do not advertise versions or capabilities', () => {
+      const legacy = new Message('1.0', MessageType.PING, {});
+      expect(MessageProtocol.negotiate(legacy)).toEqual({ version: '1.0', capabilities: [] });
+
+      const incompatible = new Message('2.0', MessageType.PING, { versions: ['2.0'] });
+      expect(MessageProtocol.negotiate(incompatible)).toBeNull();
+      expect(MessageProtocol.negotiate(new Message('2.0', MessageType.PING, {}))).toBeNull();
+    });
+
+    it('should answer a ping with the negotiated version and capabilities', () => {
+      const negotiated = { version: '1.0', capabilities: [Capability.CHUNKING] };
+      const pong = MessageProtocol.createPong('test-123', negotiated);
+
+      expect(pong.version).toBe('1.0');
+      expect(pong.payload.capabilities).toEqual([Capability.CHUNKING]);
+    });
   });
 
   describe('Type guards', () => {
@@ -0,0 +1,171 @@
+import { SecureSession } from '../src/lib/SecureSession';
+import { MessageProtocol, Message } from '../src/lib/MessageProtocol';
+import { MessageType } from '../src/types/MessageTypes';
+import { ethers } from 'ethers';
+
+describe('SecureSession', () => {
+  const address = '0x4838B106FCe9647Bdf1E7877BF73cE8B0BAD5f97';
+
+  const createPair = () => {
+    const client = SecureSession.initiate();
+    const connect = MessageProtocol.createConnect(client.commitment);
+    const wallet = SecureSession.respond(connect.payload.key_commitment);
+    const walletKey = MessageProtocol.createSessionKey(wallet.publicKey, connect.id);
+    client.establish(walletKey.payload.public_key);
+    wallet.establish(MessageProtocol.createSessionKey(client.publicKey, walletKey.id).payload.public_key);
+    const envelope = wallet.seal(MessageProtocol.createConnectResponse(address, connect.id));
+    return { client, wallet, envelope };
+  };
+
+  describe('Handshake', () => {
+    it('should derive the same session code on both sides', () => {
+      const { client, wallet, envelope } = createPair();
+
+      expect(client.sas).toMatch(/^\d{3} \d{3}$/);
+      expect(client.sas).toBe(wallet.sas);
+      expect(client.open(envelope).payload.address).toBe(address);
+    });
+
+    it('should derive different codes for different sessions', () => {
+      const first = createPair();
+      const second = createPair();
+
+      expect(first.client.publicKey).not.toBe(second.client.publicKey);
+      expect(() => second.client.open(first.envelope)).toThrow('Message authentication failed');
+    });
+
+    it('should reject a client key that does not match its commitment', () => {
+      const client = SecureSession.initiate();
+      const wallet = SecureSession.respond(client.commitment);
+      client.establish(wallet.publicKey);
+
+      // A man in the middle revealing its own key instead of the committed one
+      expect(() => wallet.establish(SecureSession.initiate().publicKey)).toThrow('Session key does not match its commitment');
+      expect(wallet.isEstablished()).toBe(false);
+
+      wallet.establish(client.publicKey);
+      expect(wallet.sas).toBe(client.sas);
+    });
+
+    it('should refuse a malformed key commitment', () => {
+      const client = SecureSession.initiate();
+      expect(() => SecureSession.respond(client.publicKey)).toThrow('Invalid key commitment');
+    });
+  });
+
+  describe('Envelopes', () => {
+    it('should encrypt messages in both directions', () => {
+      const { client, wallet } = createPair();
+      const request = MessageProtocol.createTxRequest(
+        1,
+        address,
+        BigInt('1000000000000000000'),
+        '0x',
+        5,
+        BigInt('20000000000'),
+        BigInt('21000')
+      );
+
+      const envelope = client.seal(request);
+      expect(envelope.type).toBe(MessageType.ENCRYPTED);
+      expect(envelope.toJSON()).not.toContain(address.slice(2));
+      expect(wallet.open(envelope).toJSON()).toBe(request.toJSON());
+
+      const error = MessageProtocol.createError('Rejected', request.id);
+      expect(client.open(wallet.seal(error)).toJSON()).toBe(error.toJSON());
+    });
+
+    it('should compress large messages before encrypting', () => {
+      const { client, wallet } = createPair();
+      const request = MessageProtocol.createTxRequest(
+        1,
+        address,
+        BigInt(0),
+        '0x' + 'a9059cbb'.repeat(40),
+        0,
+        BigInt('1000000000'),
+        BigInt('100000')
+      );
+
+      const envelope = client.seal(request);
+      expect(envelope.payload.compressed).toBe(true);
+      expect(wallet.open(envelope).toJSON()).toBe(request.toJSON());
+    });
+
+    it('should reject tampered messages', () => {
+      const { client, wallet } = createPair();
+      const envelope = client.seal(MessageProtocol.createError('hello'));
+      const bytes = ethers.getBytes(envelope.payload.ciphertext);
+      bytes[0] = bytes[0] === 0 ? 1 : 0;
+      envelope.payload.ciphertext = ethers.hexlify(bytes);
+
+      expect(() => wallet.open(envelope)).toThrow('Message authentication failed');
+    });
+
+    it('should reject envelopes with a changed header', () => {
+      const { client, wallet } = createPair();
+      const envelope = wallet.seal(MessageProtocol.createError('hello'), true);
+      const withoutKey = Message.fromJSON(envelope.toJSON());
+      delete withoutKey.payload.public_key;
+      expect(() => client.open(withoutKey)).toThrow('Message authentication failed');
+
+      const compressed = client.seal(MessageProtocol.createError('hello'), false, false);
+      compressed.payload.compressed = true;
+      expect(() => wallet.open(compressed)).toThrow('Message authentication failed');
+
+      const renamed = client.seal(MessageProtocol.createError('hello'));
+      renamed.id = '00000000-0000-4000-8000-000000000000';
+      expect(() => wallet.open(renamed)).toThrow('Message authentication failed');
+    });
+
+    it('should reject replayed and reflected messages', () => {
+      const { client, wallet } = createPair();
+      const envelope = client.seal(MessageProtocol.createError('hello'));
+      const copy = Message.fromJSON(envelope.toJSON());
+
+      wallet.open(envelope);
+      expect(() => wallet.open(copy)).toThrow('Replayed message');
+      expect(() => client.open(copy)).toThrow('Message authentication failed');
+    });
+
+    it('should refuse to seal before the session is established', () => {
+      const client = SecureSession.initiate();
+      expect(() => client.seal(MessageProtocol.createConnect())).toThrow('Secure session not established');
+    });
+  });
+
+  describe('Transfer control', () => {
+    it('should authenticate ACKs and NACKs from the peer', () => {
+      const { client, wallet } = createPair();
+      const ack = wallet.tagControl(MessageProtocol.createAck('b2f0f7a4-2c1d-4e1a-9a57-8f0a2d3c4e5f', '3f9a'));
+      const nack = client.tagControl(MessageProtocol.createNack('3f9a', [1, 3]));
+
+      expect(client.verifyControl(Message.fromJSON(ack.toJSON()))).toBe(true);
+      expect(wallet.verifyControl(Message.fromCompact(nack.toCompact()))).toBe(true);
+      // Reflected back to their sender
+      expect(wallet.verifyControl(ack)).toBe(false);
+      expect(client.verifyControl(nack)).toBe(false);
+    });
+
+    it('should reject forged and altered ACKs and NACKs', () => {
+      const { client, wallet } = createPair();
+      const receivedId = 'b2f0f7a4-2c1d-4e1a-9a57-8f0a2d3c4e5f';
+      expect(client.verifyControl(MessageProtocol.createAck(receivedId, '3f9a'))).toBe(false);
+
+      const retargeted = wallet.tagControl(MessageProtocol.createAck(receivedId, '3f9a'));
+      retargeted.payload.frame_id = '3f9b';
+      expect(client.verifyControl(retargeted)).toBe(false);
+
+      const nack = wallet.tagControl(MessageProtocol.createNack('3f9a', [1, 3]));
+      nack.payload.missing = [1];
+      expect(client.verifyControl(nack)).toBe(false);
+
+      const asAck = wallet.tagControl(MessageProtocol.createNack('3f9a', []));
+      asAck.type = MessageType.ACK;
+      expect(client.verifyControl(asAck)).toBe(false);
+
+      const outOfRange = wallet.tagControl(MessageProtocol.createNack('3f9a', [257]));
+      expect(client.verifyControl(outOfRange)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import * as Keychain from 'react-native-keychain';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { SecureStorage } from '../src/lib/SecureStorage';
+
+describe('SecureStorage', () => {
+  // Internet credentials by server, as the keychain keeps them
+  let keychain: Map<string, { username: string; password: string }>;
+
+  beforeEach(async () => {
+    keychain = new Map();
+    jest.mocked(Keychain.setInternetCredentials).mockImplementation(async (server, username, password) => {
+      keychain.set(server, { username, password });
+      return false;
+    });
+    jest.mocked(Keychain.getInternetCredentials).mockImplementation(async server =>
+      keychain.has(server) ? { ...keychain.get(server)!, server, storage: 'KC' } as any : false
+    );
+    jest.mocked(Keychain.hasInternetCredentials).mockImplementation(async server => keychain.has(server as string));
+    jest.mocked(Keychain.resetInternetCredentials).mockImplementation(async ({ server }: any) => {
+      keychain.delete(server);
+    });
+    await AsyncStorage.clear();
+  });
+
+  const personalKey = '0x' + '11'.repeat(32);
+  const teamKey = '0x' + '22'.repeat(32);
+
+  describe('Named Wallets', () => {
+    it('should keep the key of each wallet in its own keychain entry', async () => {
+      await SecureStorage.storePrivateKey(personalKey);
+      await SecureStorage.storePrivateKey(teamKey, 'team');
+
+      expect(await SecureStorage.getPrivateKey()).toBe(personalKey);
+      expect(await SecureStorage.getPrivateKey('team')).toBe(teamKey);
+      expect(await SecureStorage.hasWallet('other')).toBe(false);
+      // The default wallet keeps the entry used before there were several
+      expect(keychain.get('GibberWallet_PrivateKey')?.password).toBe(personalKey);
+    });
+
+    it('should keep the config of each wallet apart', async () => {
+      await SecureStorage.storeConfig({ accountCount: 3 });
+      await SecureStorage.storeConfig({ accountCount: 1 }, 'team');
+
+      expect(await SecureStorage.getConfig()).toEqual({ accountCount: 3 });
+      expect(await SecureStorage.getConfig('team')).toEqual({ accountCount: 1 });
+    });
+
+    it('should delete one wallet and keep the others', async () => {
+      await SecureStorage.storeMnemonic('test test test test test test test test test test test junk', '', 'team');
+      await SecureStorage.storeConfig({ accountCount: 2 }, 'team');
+      await SecureStorage.addWallet({ alias: 'team', address: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266', type: 'mnemonic' });
+      await SecureStorage.storePrivateKey(personalKey);
+      await SecureStorage.addWallet({ alias: 'default', address: '0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A', type: 'privateKey' });
+      await SecureStorage.setActiveWallet('team');
+
+      expect(await SecureStorage.deleteWallet('team')).toBe(true);
+
+      expect(await SecureStorage.hasWallet('team')).toBe(false);
+      expect(await SecureStorage.getConfig('team')).toBeNull();
+      expect(await SecureStorage.getPrivateKey()).toBe(personalKey);
+      expect((await SecureStorage.listWallets()).map(wallet => wallet.alias)).toEqual(['default']);
+      expect(await SecureStorage.getActiveWallet()).toBe(SecureStorage.DEFAULT_WALLET);
+    });
+
+    it('should update a listed wallet instead of listing it twice', async () => {
+      await SecureStorage.addWallet({ alias: 'team', address: '0x01', type: 'privateKey' });
+      await SecureStorage.addWallet({ alias: 'team', address: '0x02', type: 'privateKey' });
+
+      expect(await SecureStorage.listWallets()).toEqual([{ alias: 'team', address: '0x02', type: 'privateKey' }]);
+    });
+
+    it('should refuse names that are taken, empty or too long', async () => {
+      await SecureStorage.storePrivateKey(teamKey, 'team');
+
+      expect(await SecureStorage.checkAlias('personal')).toBeNull();
+      expect(await SecureStorage.checkAlias('team')).toBe('A wallet named "team" already exists');
+      expect(await SecureStorage.checkAlias(' ')).toMatch('cannot be empty');
+      expect(await SecureStorage.checkAlias('x'.repeat(33))).toMatch('at most 32 characters');
+    });
+  });
+
+  describe('Signing Ledger', () => {
+    it('should keep an archived ledger apart from the one the wallet writes to', async () => {
+      const address = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+      const entries = [{ index: 0 }] as any;
+      await SecureStorage.storeLedger(address, entries);
+
+      expect(await SecureStorage.archiveLedger(address, entries, 1000)).toBe(true);
+      await SecureStorage.storeLedger(address, []);
+
+      expect(await SecureStorage.getLedger(address)).toEqual([]);
+      expect(JSON.parse((await AsyncStorage.getItem(`GibberWallet_LedgerArchive_${address.toLowerCase()}_1000`))!)).toEqual(entries);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { ShamirBackup } from '../src/lib/ShamirBackup';
+
+describe('ShamirBackup', () => {
+  const mnemonic = 'test test test test test test test test test test test junk';
+
+  describe('Splitting', () => {
+    it('should recover the mnemonic from any threshold of shares', () => {
+      const shares = ShamirBackup.split(mnemonic, 3, 5);
+
+      expect(shares.every(share => share.split(' ').length === 19)).toBe(true);
+      expect(ShamirBackup.parseShare(shares[4])).toMatchObject({ threshold: 3, count: 5, index: 4 });
+      for (const indexes of [[0, 1, 2], [0, 2, 4], [4, 3, 1], [1, 2, 3, 4]]) {
+        expect(ShamirBackup.recover(indexes.map(index => shares[index]))).toBe(mnemonic);
+      }
+    });
+
+    it('should split 24-word mnemonics into 31-word shares', () => {
+      const long = `${'abandon '.repeat(23)}art`;
+      const shares = ShamirBackup.split(long, 2, 2);
+
+      expect(shares[0].split(' ')).toHaveLength(31);
+      expect(ShamirBackup.recover(shares.reverse())).toBe(long);
+    });
+
+    it('should reject thresholds that do not fit the number of shares', () => {
+      expect(() => ShamirBackup.split(mnemonic, 1, 3)).toThrow('The threshold must be between 2');
+      expect(() => ShamirBackup.split(mnemonic, 4, 3)).toThrow('The threshold must be between 2');
+      expect(() => ShamirBackup.split(mnemonic, 2, 17)).toThrow('The number of shares must be between 2 and 16');
+      expect(() => ShamirBackup.split(mnemonic.replace('junk', 'test'), 2, 3)).toThrow('Invalid mnemonic');
+    });
+  });
+
+  describe('Recovery', () => {
+    // Made by the Node wallet's `npm run backup -- split`
+    const nodeShares = [
+      'absurd sunset scene alcohol arrow push evil town opinion focus they three fever human team marriage acquire always utility',
+      'absurd sunset scene alcohol bid hen various goose empower explain make secret tip heart boss option human glimpse toe',
+      'absurd sunset scene alcohol chronic chimney crush toilet caution exhaust heart piano melt gun fish mind neck cook warrior',
+    ];
+
+    it('should recover from shares made by the Node wallet', () => {
+      expect(ShamirBackup.recover([nodeShares[2], nodeShares[0]])).toBe(mnemonic);
+      expect(ShamirBackup.describeShare(ShamirBackup.parseShare(nodeShares[1]))).toBe('share 2 of 3 (backup 1b33, 2 needed)');
+    });
+
+    it('should find miscopied words by their checksum', () => {
+      const words = nodeShares[0].split(' ');
+      words[5] = 'pull';
+
+      expect(() => ShamirBackup.parseShare(words.join(' '))).toThrow('checksum does not match');
+      expect(() => ShamirBackup.parseShare(`${nodeShares[0]} zzz`)).toThrow('Word 20 of the share, "zzz", is not a backup word');
+      expect(() => ShamirBackup.parseShare(nodeShares[0].split(' ').slice(0, 12).join(' '))).toThrow();
+    });
+
+    it('should refuse too few, repeated and mismatched shares', () => {
+      const other = ShamirBackup.split(mnemonic, 2, 3);
+      const forged = { ...ShamirBackup.parseShare(other[1]), id: ShamirBackup.parseShare(nodeShares[0]).id };
+
+      expect(() => ShamirBackup.recover([nodeShares[0]])).toThrow('2 shares are needed, only 1 were given');
+      expect(() => ShamirBackup.recover([nodeShares[0], nodeShares[0]])).toThrow('Share 1 was given twice');
+      expect(() => ShamirBackup.recover([nodeShares[0], other[1]])).toThrow('The shares are from different backups');
+      expect(() => ShamirBackup.recover([ShamirBackup.parseShare(nodeShares[0]), forged])).toThrow('failed its digest check');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { ethers } from 'ethers';
+import { SigningLedger } from '../src/lib/SigningLedger';
+import { SigningPolicy } from '../src/lib/SigningPolicy';
+import { CryptoUtils } from '../src/lib/CryptoUtils';
+
+describe('SigningLedger', () => {
+  const crypto = new CryptoUtils('0x' + '11'.repeat(32));
+  const recipient = '0x4838B106FCe9647Bdf1E7877BF73cE8B0BAD5f97';
+  const transaction = {
+    to: recipient.toLowerCase(),
+    value: '0xde0b6b3a7640000',
+    gasLimit: '0x5208',
+    gasPrice: '0x4a817c800',
+    nonce: '0x5',
+    chainId: 1,
+    data: '0x',
+  };
+
+  const createLedger = (now: number = Date.now()) => {
+    const ledger = new SigningLedger(crypto);
+    ledger.append({
+      kind: 'transaction',
+      status: 'signed',
+      requestId: 'a',
+      hash: '0x' + 'ab'.repeat(32),
+      ...SigningLedger.describeTransaction(transaction),
+    }, now);
+    ledger.append({ kind: 'transaction', status: 'rejected', requestId: 'b', reason: 'Transaction rejected by user' }, now);
+    ledger.append({ kind: 'message', status: 'signed', requestId: 'c', hash: '0x' + 'cd'.repeat(32) }, now);
+    return ledger;
+  };
+
+  describe('Entries', () => {
+    it('should chain signed entries and survive a JSON round trip', () => {
+      const ledger = createLedger();
+      const entries = ledger.list();
+
+      expect(entries[0]).toMatchObject({ index: 0, chainId: 1, nonce: 5, to: recipient, value: '1000000000000000000' });
+      expect(entries[0].previous).toBe(ethers.ZeroHash);
+      expect(entries[1].previous).toBe(SigningLedger.digest(entries[0]));
+      expect(entries[1]).toMatchObject({ hash: null, chainId: null, reason: 'Transaction rejected by user' });
+      expect(ledger.toJSON().head).toBe(SigningLedger.digest(entries[2]));
+      expect(() => ledger.verify()).not.toThrow();
+
+      const restored = new SigningLedger(crypto, JSON.parse(JSON.stringify(entries)));
+      expect(() => restored.verify()).not.toThrow();
+      expect(() => SigningLedger.verifyEntries(JSON.parse(JSON.stringify(ledger.toJSON())).entries, crypto.getAddress())).not.toThrow();
+    });
+
+    it('should leave out malformed transaction fields', () => {
+      expect(SigningLedger.describeTransaction({ chainId: 'zz', to: 'nope', nonce: '0x1' })).toEqual({ nonce: 1 });
+      expect(SigningLedger.describeTransaction(undefined)).toEqual({});
+      expect(SigningLedger.formatEntry(new SigningLedger(crypto).append({ kind: 'message', status: 'signed', account: recipient }, 0)))
+        .toBe(`#0  1970-01-01T00:00:00.000Z  SIGNED  message  from ${recipient}`);
+      expect(SigningLedger.formatEntry(createLedger(0).list()[0]))
+        .toBe(`#0  1970-01-01T00:00:00.000Z  SIGNED  transaction  chain 1  nonce 5  to ${recipient}  1.0 ETH  0x${'ab'.repeat(32)}`);
+    });
+  });
+
+  describe('Tampering', () => {
+    it('should find changed, removed and reordered entries', () => {
+      const entries = createLedger().list();
+      const address = crypto.getAddress();
+
+      const changed = entries.map(entry => ({ ...entry }));
+      changed[0].value = '2000000000000000000';
+      expect(() => SigningLedger.verifyEntries(changed, address)).toThrow('Ledger entry 0 was changed');
+      expect(() => SigningLedger.verifyEntries(entries.slice(1), address)).toThrow('entries were removed or reordered');
+      expect(() => SigningLedger.verifyEntries([entries[0], { ...entries[2], index: 1 }], address))
+        .toThrow('Ledger entry 1 does not follow the entry before it');
+    });
+
+    it('should refuse entries signed by another wallet', () => {
+      const other = new CryptoUtils('0x' + '22'.repeat(32));
+
+      expect(() => new SigningLedger(other, createLedger().list()).verify()).toThrow(`not signed by ${other.getAddress()}`);
+    });
+  });
+
+  it('should feed signed transactions of the last day to the policy', () => {
+    const now = Date.now();
+    const ledger = createLedger(now - SigningPolicy.DAY - 1);
+    ledger.append({ kind: 'transaction', status: 'signed', ...SigningLedger.describeTransaction(transaction) }, now - 1000);
+    const policy = new SigningPolicy({ maxDailyValue: '1.5' });
+    for (const entry of ledger.getSignedTransactions(now - SigningPolicy.DAY)) {
+      policy.recordSpending(entry, entry.time);
+    }
+
+    expect(policy.getDailySpending(1, now)).toBe(ethers.parseEther('1'));
+    expect(policy.check(transaction, [], now)[0].message).toContain('over the daily limit of 1.5 ETH');
+  });
+});
@@ -0,0 +1,160 @@
+import { ethers } from 'ethers';
+import { SigningPolicy } from '../src/lib/SigningPolicy';
+
+describe('SigningPolicy', () => {
+  const recipient = '0x4838B106FCe9647Bdf1E7877BF73cE8B0BAD5f97';
+  const spender = '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD';
+  const usdc = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const erc20 = new ethers.Interface([
+    'function transfer(address to, uint256 amount)',
+    'function approve(address spender, uint256 amount)',
+  ]);
+  const router = new ethers.Interface(['function multicall(uint256 deadline, bytes[] data)']);
+
+  const createTx = (overrides: Record<string, any> = {}) => ({
+    to: recipient,
+    value: ethers.toBeHex(ethers.parseEther('0.1')),
+    gasLimit: '0x5208',
+    gasPrice: ethers.toBeHex(ethers.parseUnits('20', 'gwei')),
+    nonce: '0x1',
+    chainId: 1,
+    data: '0x',
+    ...overrides,
+  });
+
+  describe('Rules', () => {
+    it('should normalise valid rules and reject malformed ones', () => {
+      const policy = new SigningPolicy({
+        allowedRecipients: [recipient.toLowerCase()],
+        blockedSelectors: ['0x095EA7B3'],
+        maxGasPrice: '50',
+      });
+
+      expect(policy.toJSON()).toEqual({
+        allowedRecipients: [recipient],
+        maxGasPrice: '50',
+        blockedSelectors: ['0x095ea7b3'],
+        actions: {},
+      });
+      expect(() => new SigningPolicy({ chainIds: [0] })).toThrow('chainIds');
+      expect(() => new SigningPolicy({ deniedRecipients: ['0x1234'] })).toThrow('Invalid address');
+      expect(() => new SigningPolicy({ maxDailyValue: '-1' })).toThrow('Invalid policy maxDailyValue');
+      expect(() => new SigningPolicy({ blockedSelectors: ['0x1234'] })).toThrow('Invalid selector');
+      expect(() => new SigningPolicy({ actions: { maxGasPrice: 'ignore' as any } })).toThrow('reject or warn');
+    });
+
+    it('should accept transactions within every rule', () => {
+      const policy = new SigningPolicy({
+        chainIds: [1],
+        allowedRecipients: [recipient],
+        maxTransactionValue: '1',
+        maxDailyValue: '1',
+        maxGasPrice: '50',
+      });
+
+      expect(policy.check(createTx())).toEqual([]);
+    });
+  });
+
+  describe('Checks', () => {
+    it('should reject other chains, values and gas prices over the limits', () => {
+      const policy = new SigningPolicy({ chainIds: [11155111], maxTransactionValue: '0.05', maxGasPrice: '10' });
+      const violations = policy.check(createTx());
+
+      expect(violations.map(violation => violation.rule)).toEqual(['chainIds', 'maxTransactionValue', 'maxGasPrice']);
+      expect(violations.every(violation => violation.action === 'reject')).toBe(true);
+      expect(violations[0].message).toBe('Chain ID 1 is not allowed');
+      expect(violations[1].message).toBe('Value of 0.1 ETH is over the limit of 0.05 ETH per transaction');
+      expect(violations[2].message).toBe('Gas price of 20.0 Gwei is over the limit of 10.0 Gwei');
+    });
+
+    it('should count signed and earlier transactions towards the daily limit', () => {
+      const policy = new SigningPolicy({ maxDailyValue: '0.25', actions: { maxDailyValue: 'warn' } });
+      const now = Date.now();
+      policy.recordSpending(createTx(), now - SigningPolicy.DAY - 1);
+      policy.recordSpending(createTx(), now - 1000);
+
+      expect(policy.getDailySpending(1, now)).toBe(ethers.parseEther('0.1'));
+      expect(policy.check(createTx(), [], now)).toEqual([]);
+      expect(policy.check(createTx({ chainId: 5 }), [createTx(), createTx({ chainId: 5 })], now)).toEqual([]);
+      expect(policy.check(createTx(), [createTx()], now)).toEqual([{
+        rule: 'maxDailyValue',
+        action: 'warn',
+        message: 'Signing brings the last 24 hours on chain 1 to 0.3 ETH, over the daily limit of 0.25 ETH',
+      }]);
+    });
+
+    it('should check token recipients and approval spenders against the lists', () => {
+      const allowed = new SigningPolicy({ allowedRecipients: [usdc, recipient] });
+      const denied = new SigningPolicy({ deniedRecipients: [spender] });
+      const transfer = createTx({ to: usdc, value: '0x0', data: erc20.encodeFunctionData('transfer', [recipient, 1n]) });
+      const approve = createTx({ to: usdc, value: '0x0', data: erc20.encodeFunctionData('approve', [spender, 1n]) });
+
+      expect(SigningPolicy.getRecipients(transfer)).toEqual([usdc, recipient]);
+      expect(allowed.check(transfer)).toEqual([]);
+      expect(allowed.check(approve).map(violation => violation.message)).toEqual([`${spender} is not on the allowlist`]);
+      expect(allowed.check(createTx({ to: null })).map(violation => violation.message))
+        .toEqual(['Contract deployments are not on the allowlist']);
+      expect(denied.check(approve).map(violation => violation.message)).toEqual([`${spender} is on the denylist`]);
+    });
+
+    it('should check where transferFrom and NFT transfers send assets against the lists', () => {
+      const owner = '0x1111111111111111111111111111111111111111';
+      const nft = new ethers.Interface([
+        'function transferFrom(address from, address to, uint256 amount)',
+        'function safeTransferFrom(address from, address to, uint256 tokenId)',
+        'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
+      ]);
+      const allowed = new SigningPolicy({ allowedRecipients: [usdc, recipient] });
+      const denied = new SigningPolicy({ deniedRecipients: [spender] });
+      const transfers = [
+        nft.encodeFunctionData('transferFrom', [owner, spender, 1n]),
+        nft.encodeFunctionData('safeTransferFrom(address,address,uint256)', [owner, spender, 1n]),
+        nft.encodeFunctionData('safeTransferFrom(address,address,uint256,uint256,bytes)', [owner, spender, 1n, 1n, '0x']),
+      ].map(data => createTx({ to: usdc, value: '0x0', data }));
+
+      for (const transfer of transfers) {
+        expect(SigningPolicy.getRecipients(transfer)).toEqual([usdc, spender]);
+        expect(allowed.check(transfer).map(violation => violation.message)).toEqual([`${spender} is not on the allowlist`]);
+        expect(denied.check(transfer).map(violation => violation.message)).toEqual([`${spender} is on the denylist`]);
+      }
+    });
+
+    it('should check the recipient of a swap in a tuple parameter', () => {
+      const swapRouter = new ethers.Interface([
+        'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+      ]);
+      const swap = createTx({
+        value: '0x0',
+        data: swapRouter.encodeFunctionData('exactInputSingle', [[usdc, usdc, 500, spender, 1n, 0n, 0n]]),
+      });
+
+      expect(SigningPolicy.getRecipients(swap)).toEqual([recipient, spender]);
+    });
+
+    it('should check the recipients of calls nested in a multicall', () => {
+      const denied = new SigningPolicy({ deniedRecipients: [spender] });
+      const transfer = erc20.encodeFunctionData('transfer', [spender, 1n]);
+      const multicall = createTx({ value: '0x0', data: router.encodeFunctionData('multicall', [1n, [transfer]]) });
+      const multicall3 = new ethers.Interface(['function aggregate((address target, bytes callData)[] calls)']);
+      const aggregate = createTx({ value: '0x0', data: multicall3.encodeFunctionData('aggregate', [[[usdc, transfer]]]) });
+
+      expect(SigningPolicy.getRecipients(multicall)).toEqual([recipient, spender]);
+      expect(SigningPolicy.getRecipients(aggregate)).toEqual([recipient, usdc, spender]);
+      expect(denied.check(multicall).map(violation => violation.message)).toEqual([`${spender} is on the denylist`]);
+    });
+
+    it('should block selectors nested in a multicall', () => {
+      const policy = new SigningPolicy({ blockedSelectors: ['0x095ea7b3'] });
+      const approve = erc20.encodeFunctionData('approve', [spender, ethers.MaxUint256]);
+      const multicall = createTx({ value: '0x0', data: router.encodeFunctionData('multicall', [1n, ['0xdeadbeef', approve]]) });
+
+      expect(SigningPolicy.getSelectors(multicall.data)).toEqual(['0x5ae401dc', '0xdeadbeef', '0x095ea7b3']);
+      expect(policy.check(multicall)).toEqual([{
+        rule: 'blockedSelectors',
+        action: 'reject',
+        message: 'Function approve(address,uint256) (0x095ea7b3) is blocked',
+      }]);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { ethers } from 'ethers';
+import { TokenRegistry } from '../src/lib/TokenRegistry';
+import { CryptoUtils } from '../src/lib/CryptoUtils';
+
+describe('TokenRegistry', () => {
+  const usdc = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const recipient = '0x4838B106FCe9647Bdf1E7877BF73cE8B0BAD5f97';
+  const erc20 = new ethers.Interface([
+    'function transfer(address to, uint256 amount)',
+    'function approve(address spender, uint256 amount)',
+  ]);
+
+  const createTx = (to: string, data: string) => ({
+    to,
+    value: '0x0',
+    gasLimit: '0x186a0',
+    gasPrice: '0x4a817c800',
+    nonce: '0x1',
+    chainId: 1,
+    data,
+  });
+
+  describe('Token list', () => {
+    it('should bundle well-known tokens with checksummed addresses', () => {
+      for (const token of TokenRegistry.DEFAULT_TOKENS) {
+        expect(ethers.getAddress(token.address)).toBe(token.address);
+      }
+      expect(new TokenRegistry().find(1, usdc.toLowerCase())?.symbol).toBe('USDC');
+      expect(new TokenRegistry().find(11155111, usdc)).toBeNull();
+    });
+
+    it('should add, replace and remove tokens', () => {
+      const registry = new TokenRegistry([]);
+      registry.add({ chainId: 1, address: recipient.toLowerCase(), symbol: 'TST', name: 'Test', decimals: 4 });
+      registry.add({ chainId: 1, address: recipient, symbol: 'TST2', name: 'Test', decimals: 2 });
+
+      expect(registry.list()).toEqual([{ chainId: 1, address: recipient, symbol: 'TST2', name: 'Test', decimals: 2 }]);
+      expect(registry.remove(1, recipient)).toBe(true);
+      expect(registry.remove(1, recipient)).toBe(false);
+    });
+
+    it('should reject invalid token metadata', () => {
+      const registry = new TokenRegistry([]);
+      const token = { chainId: 1, address: recipient, symbol: 'TST', name: 'Test', decimals: 18 };
+
+      expect(() => registry.add({ ...token, address: '0x1234' })).toThrow('Invalid token address');
+      expect(() => registry.add({ ...token, decimals: 1.5 })).toThrow('Invalid token decimals');
+      expect(() => registry.add({ ...token, symbol: ' ' })).toThrow('Invalid token symbol');
+      expect(() => TokenRegistry.parseList('{"name":"x"}')).toThrow('tokens array');
+    });
+
+    it('should round-trip the Uniswap token list format', () => {
+      const registry = new TokenRegistry();
+      const copy = new TokenRegistry(TokenRegistry.parseList(JSON.stringify(registry)));
+      expect(copy.list()).toEqual(registry.list());
+    });
+  });
+
+  describe('Amounts', () => {
+    it('should format base units without rounding', () => {
+      expect(TokenRegistry.formatAmount(150000000n, 6)).toBe('150.00');
+      expect(TokenRegistry.formatAmount('1234567', 6)).toBe('1.234567');
+      expect(TokenRegistry.formatAmount(5n, 0)).toBe('5');
+    });
+
+    it('should parse decimal amounts', () => {
+      expect(TokenRegistry.parseAmount('1.5', 6)).toBe(1500000n);
+      expect(TokenRegistry.parseAmount(' 150 ', 18)).toBe(150n * 10n ** 18n);
+      expect(() => TokenRegistry.parseAmount('1.1234567', 6)).toThrow('Too many decimals');
+      expect(() => TokenRegistry.parseAmount('-1', 6)).toThrow('Invalid token amount');
+    });
+  });
+
+  describe('Transaction display', () => {
+    const registry = new TokenRegistry();
+
+    it('should show listed token transfers in whole tokens', () => {
+      const tx = createTx(usdc, erc20.encodeFunctionData('transfer', [recipient, 150000000n]));
+
+      expect(CryptoUtils.describeTransactionCall(tx, registry).summary).toBe(`Send 150.00 USDC to ${recipient}`);
+      expect(CryptoUtils.formatTransactionForDisplay(tx, registry)).toContain(`Summary: Send 150.00 USDC to ${recipient}`);
+    });
+
+    it('should summarise unlimited approvals', () => {
+      const tx = createTx(usdc, erc20.encodeFunctionData('approve', [recipient, ethers.MaxUint256]));
+      expect(CryptoUtils.describeTransactionCall(tx, registry).summary).toBe(`Allow ${recipient} to spend unlimited USDC`);
+    });
+
+    it('should warn when the token is not in the list', () => {
+      const tx = createTx(recipient, erc20.encodeFunctionData('transfer', [recipient, 150000000n]));
+      const call = CryptoUtils.describeTransactionCall(tx, registry);
+
+      expect(call.summary).toBeNull();
+      expect(call.warnings).toEqual([`Token ${recipient} is not in the token list, amounts are in base units`]);
+    });
+  });
+});
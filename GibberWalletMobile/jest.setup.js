@@ -7,11 +7,13 @@ jest.mock('@react-native-async-storage/async-storage', () =>
 jest.mock('react-native-keychain', () => ({
   setInternetCredentials: jest.fn(() => Promise.resolve(true)),
   getInternetCredentials: jest.fn(() => Promise.resolve({ password: 'test' })),
+  hasInternetCredentials: jest.fn(() => Promise.resolve(false)),
   resetInternetCredentials: jest.fn(() => Promise.resolve(true)),
   getSupportedBiometryType: jest.fn(() => Promise.resolve(null)),
   canImplyAuthentication: jest.fn(() => Promise.resolve(false)),
   ACCESS_CONTROL: {
     BIOMETRY_CURRENT_SET_OR_DEVICE_PASSCODE: 'BiometryCurrentSetOrDevicePasscode',
+    BIOMETRY_ANY_OR_DEVICE_PASSCODE: 'BiometryAnyOrDevicePasscode',
   },
   ACCESSIBLE: {
     WHEN_UNLOCKED: 'AccessibleWhenUnlocked',
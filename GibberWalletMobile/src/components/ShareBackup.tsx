@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { ShamirBackup } from '../lib/ShamirBackup';
+
+interface ShareBackupProps {
+  shares: string[];
+  onDone: () => void;
+}
+
+/**
+ * Shows backup shares one at a time, so each can be written down and stored
+ * in its own place before the next one appears
+ */
+export const ShareBackup: React.FC<ShareBackupProps> = ({ shares, onDone }) => {
+  const [index, setIndex] = useState(0);
+
+  const share = ShamirBackup.parseShare(shares[index]);
+  const words = shares[index].split(' ');
+  const isLast = index === shares.length - 1;
+
+  const finish = () => {
+    Alert.alert(
+      'Shares Written Down?',
+      `Any ${share.threshold} of the ${share.count} shares recover the wallet. Keep them in separate places, fewer than ${share.threshold} reveal nothing.`,
+      [
+        { text: 'Back', style: 'cancel' },
+        { text: 'Done', onPress: onDone },
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>Share {index + 1} of {shares.length}</Text>
+      <Text style={styles.description}>
+        Write down these {words.length} words in order, labelled {ShamirBackup.describeShare(share)}.
+      </Text>
+
+      <View style={styles.wordGrid}>
+        {words.map((word, position) => (
+          <View key={position} style={styles.word}>
+            <Text style={styles.wordNumber}>{position + 1}.</Text>
+            <Text style={styles.wordText}>{word}</Text>
+          </View>
+        ))}
+      </View>
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity
+          style={[styles.button, styles.secondaryButton, index === 0 && styles.disabledButton]}
+          onPress={() => setIndex(index - 1)}
+          disabled={index === 0}
+        >
+          <Text style={styles.buttonText}>Previous</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.button, styles.primaryButton]}
+          onPress={isLast ? finish : () => setIndex(index + 1)}
+        >
+          <Text style={styles.buttonText}>{isLast ? 'Done' : 'Next Share'}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    marginBottom: 10,
+    color: '#333',
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 15,
+  },
+  wordGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 15,
+  },
+  word: {
+    flexDirection: 'row',
+    width: '50%',
+    paddingVertical: 4,
+  },
+  wordNumber: {
+    width: 30,
+    fontSize: 14,
+    color: '#999',
+    fontFamily: 'Monaco',
+  },
+  wordText: {
+    fontSize: 16,
+    color: '#333',
+    fontFamily: 'Monaco',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  button: {
+    flex: 1,
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginHorizontal: 5,
+  },
+  primaryButton: {
+    backgroundColor: '#007AFF',
+  },
+  secondaryButton: {
+    backgroundColor: '#8E8E93',
+  },
+  disabledButton: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { ShamirBackup, Share } from '../lib/ShamirBackup';
+
+interface ShareRecoveryProps {
+  onRecovered: (mnemonic: string) => void;
+  onCancel: () => void;
+}
+
+/**
+ * Takes backup shares one at a time, checking each as it is entered, and
+ * recovers the mnemonic once the backup's threshold is reached
+ */
+export const ShareRecovery: React.FC<ShareRecoveryProps> = ({ onRecovered, onCancel }) => {
+  const [input, setInput] = useState('');
+  const [shares, setShares] = useState<Share[]>([]);
+
+  const addShare = () => {
+    try {
+      const entered = [...shares, ShamirBackup.parseShare(input)];
+      ShamirBackup.checkShares(entered);
+
+      if (entered.length >= entered[0].threshold) {
+        const mnemonic = ShamirBackup.recover(entered);
+        setShares([]);
+        setInput('');
+        onRecovered(mnemonic);
+        return;
+      }
+      setShares(entered);
+      setInput('');
+    } catch (error) {
+      Alert.alert('Invalid Share', error instanceof Error ? error.message : 'The share cannot be read');
+    }
+  };
+
+  const needed = shares.length > 0 ? shares[0].threshold : null;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>Recover From Shares</Text>
+      <Text style={styles.description}>
+        {needed
+          ? `${shares.length} of ${needed} shares entered.`
+          : 'Enter the words of one backup share.'}
+      </Text>
+
+      {shares.map(share => (
+        <Text key={share.index} style={styles.enteredShare}>
+          ✓ {ShamirBackup.describeShare(share)}
+        </Text>
+      ))}
+
+      <TextInput
+        style={styles.textInput}
+        placeholder={`Words of share ${shares.length + 1}`}
+        value={input}
+        onChangeText={setInput}
+        multiline
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+
+      <TouchableOpacity
+        style={[styles.button, styles.primaryButton, !input.trim() && styles.disabledButton]}
+        onPress={addShare}
+        disabled={!input.trim()}
+      >
+        <Text style={styles.buttonText}>Add Share</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={onCancel}>
+        <Text style={styles.buttonText}>Cancel</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    marginBottom: 10,
+    color: '#333',
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 10,
+  },
+  enteredShare: {
+    fontSize: 14,
+    color: '#34C759',
+    marginBottom: 5,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 15,
+    fontSize: 14,
+    fontFamily: 'Monaco',
+    backgroundColor: '#f9f9f9',
+    minHeight: 80,
+    textAlignVertical: 'top',
+    marginTop: 10,
+    marginBottom: 15,
+  },
+  button: {
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  primaryButton: {
+    backgroundColor: '#007AFF',
+  },
+  secondaryButton: {
+    backgroundColor: '#8E8E93',
+  },
+  disabledButton: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
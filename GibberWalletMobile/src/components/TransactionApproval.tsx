@@ -7,69 +7,170 @@ import {
   ScrollView,
   Alert,
 } from 'react-native';
-import { TransactionApprovalRequest } from '../lib/OfflineWallet';
+import { OfflineWallet, ApprovalRequest, BatchApprovalRequest } from '../lib/OfflineWallet';
 import { CryptoUtils } from '../lib/CryptoUtils';
+import {
+  TransactionData,
+  TypedDataDescription,
+  TypedDataField,
+  ContractCallDescription,
+  DeploymentDescription,
+  AccessListDescription,
+} from '../types/MessageTypes';
 
 interface TransactionApprovalProps {
-  transaction: TransactionApprovalRequest;
+  request: ApprovalRequest;
   onApprove: () => void;
   onReject: () => void;
 }
 
 export const TransactionApproval: React.FC<TransactionApprovalProps> = ({
-  transaction,
+  request,
   onApprove,
   onReject,
 }) => {
-  const [isExpanded, setIsExpanded] = useState(false);
+  const isTypedData = OfflineWallet.isTypedDataApproval(request);
+  const replacement = isTypedData ? null : request.replacement;
+  const subject = isTypedData ? 'Signature' : replacement ? 'Replacement' : 'Transaction';
+  const callWarnings = isTypedData ? [] : request.contractCall?.warnings ?? [];
+  const policyWarnings = isTypedData ? [] : request.policyWarnings;
 
-  const { transaction: txData, formattedTransaction } = transaction;
-
-  const getTransactionType = () => {
-    if (txData.data && txData.data !== '0x') {
-      return 'Smart Contract Interaction';
-    }
-    return 'ETH Transfer';
+  const handleApprove = () => {
+    Alert.alert(
+      `Approve ${subject}`,
+      isTypedData
+        ? 'Are you sure you want to sign this typed data?'
+        : 'Are you sure you want to sign and send this transaction?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Approve',
+          style: 'default',
+          onPress: () => confirmPolicyOverride(policyWarnings, onApprove),
+        },
+      ]
+    );
   };
 
-  const getValueInEth = () => {
-    try {
-      return CryptoUtils.weiToEth(txData.value);
-    } catch {
-      return '0';
-    }
+  const handleReject = () => {
+    Alert.alert(
+      `Reject ${subject}`,
+      `Are you sure you want to reject this ${subject.toLowerCase()}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Reject',
+          style: 'destructive',
+          onPress: onReject,
+        },
+      ]
+    );
   };
 
-  const formatGasPrice = () => {
-    try {
-      const gasPriceWei = CryptoUtils.parseHexToNumber(txData.gasPrice);
-      return `${(gasPriceWei / 1e9).toFixed(2)} Gwei`;
-    } catch {
-      return txData.gasPrice;
-    }
-  };
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerContainer}>
+        <Text style={styles.headerIcon}>⚠️</Text>
+        <Text style={styles.headerTitle}>{subject} Approval Required</Text>
+      </View>
 
-  const calculateMaxFee = () => {
-    try {
-      const gasLimit = CryptoUtils.parseHexToNumber(txData.gasLimit);
-      const gasPrice = CryptoUtils.parseHexToNumber(txData.gasPrice);
-      const maxFeeWei = gasLimit * gasPrice;
-      return CryptoUtils.weiToEth(maxFeeWei.toString());
-    } catch {
-      return 'Unknown';
-    }
+      {replacement && (
+        <View style={styles.replacementContainer}>
+          <Text style={styles.replacementTitle}>
+            {replacement.kind === 'cancel' ? '🔁 Cancels pending transaction' : '🔁 Speeds up pending transaction'}
+          </Text>
+          <Text style={[styles.replacementText, styles.addressValue]} selectable>{replacement.hash}</Text>
+          <Text style={styles.replacementText}>
+            {replacement.kind === 'cancel'
+              ? 'Sends 0 ETH to yourself at the same nonce. Only one of the two transactions can be mined.'
+              : 'Sends the same transaction again with higher fees. Only one of the two transactions can be mined.'}
+          </Text>
+        </View>
+      )}
+
+      <View style={styles.transactionContainer}>
+        <View style={styles.transactionRow}>
+          <Text style={styles.label}>Account:</Text>
+          <Text style={[styles.value, styles.addressValue]} selectable>{request.account.address}</Text>
+        </View>
+      </View>
+
+      <PolicyWarnings warnings={policyWarnings} />
+
+      {callWarnings.map((warning, index) => (
+        <View key={index} style={styles.warningContainer}>
+          <Text style={styles.warningText}>⚠️ {warning}</Text>
+        </View>
+      ))}
+
+      {isTypedData
+        ? <TypedDataDetails description={request.description} />
+        : (
+          <TransactionDetails
+            txData={request.transaction}
+            contractCall={request.contractCall}
+            deployment={request.deployment}
+            accessList={request.accessList}
+          />
+        )}
+
+      <View style={styles.warningContainer}>
+        <Text style={styles.warningText}>
+          {isTypedData
+            ? '⚠️ A signature can approve spending just like a transaction. Check the contract and every field before approving'
+            : '⚠️ Carefully review all transaction details before approving'}
+        </Text>
+      </View>
+
+      <View style={styles.buttonContainer}>
+        <TouchableOpacity
+          style={[styles.button, styles.rejectButton]}
+          onPress={handleReject}
+        >
+          <Text style={styles.buttonText}>Reject</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.button, styles.approveButton]}
+          onPress={handleApprove}
+        >
+          <Text style={styles.buttonText}>Approve & Sign</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+interface BatchApprovalProps {
+  request: BatchApprovalRequest;
+  onApprove: (approved: boolean[]) => void;
+  onReject: () => void;
+}
+
+// Every transaction starts approved and can be excluded before signing
+export const BatchApproval: React.FC<BatchApprovalProps> = ({
+  request,
+  onApprove,
+  onReject,
+}) => {
+  const { items, batch, policyWarnings } = request;
+  const [approved, setApproved] = useState<boolean[]>(() => items.map(() => true));
+  const approvedCount = approved.filter(Boolean).length;
+
+  const toggle = (index: number) => {
+    setApproved(current => current.map((value, i) => (i === index ? !value : value)));
   };
 
   const handleApprove = () => {
     Alert.alert(
-      'Approve Transaction',
-      'Are you sure you want to sign and send this transaction?',
+      'Approve Transactions',
+      `Are you sure you want to sign ${approvedCount} of ${items.length} transactions?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Approve',
           style: 'default',
-          onPress: onApprove,
+          onPress: () => confirmPolicyOverride(policyWarnings, () => onApprove(approved)),
         },
       ]
     );
@@ -77,8 +178,8 @@ export const TransactionApproval: React.FC<TransactionApprovalProps> = ({
 
   const handleReject = () => {
     Alert.alert(
-      'Reject Transaction',
-      'Are you sure you want to reject this transaction?',
+      'Reject Batch',
+      `Are you sure you want to reject all ${items.length} transactions?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -94,67 +195,66 @@ export const TransactionApproval: React.FC<TransactionApprovalProps> = ({
     <View style={styles.container}>
       <View style={styles.headerContainer}>
         <Text style={styles.headerIcon}>⚠️</Text>
-        <Text style={styles.headerTitle}>Transaction Approval Required</Text>
+        <Text style={styles.headerTitle}>Batch of {items.length} Transactions</Text>
       </View>
 
-      <View style={styles.transactionContainer}>
-        <View style={styles.transactionRow}>
-          <Text style={styles.label}>Type:</Text>
-          <Text style={[styles.value, styles.typeValue]}>{getTransactionType()}</Text>
-        </View>
+      <PolicyWarnings warnings={policyWarnings} />
 
-        <View style={styles.transactionRow}>
-          <Text style={styles.label}>To:</Text>
-          <Text style={[styles.value, styles.addressValue]}>
-            {`${txData.to.slice(0, 8)}...${txData.to.slice(-6)}`}
-          </Text>
+      {batch.warnings.map((warning, index) => (
+        <View key={index} style={styles.warningContainer}>
+          <Text style={styles.warningText}>⚠️ {warning}</Text>
         </View>
+      ))}
 
+      <View style={styles.transactionContainer}>
         <View style={styles.transactionRow}>
-          <Text style={styles.label}>Value:</Text>
-          <Text style={[styles.value, styles.amountValue]}>
-            {getValueInEth()} ETH
-          </Text>
+          <Text style={styles.label}>Account:</Text>
+          <Text style={[styles.value, styles.addressValue]} selectable>{request.account.address}</Text>
         </View>
 
         <View style={styles.transactionRow}>
-          <Text style={styles.label}>Network:</Text>
-          <Text style={styles.value}>Chain ID {txData.chainId}</Text>
+          <Text style={styles.label}>Total Value:</Text>
+          <Text style={[styles.value, styles.amountValue]}>{CryptoUtils.weiToEth(batch.totalValue)} ETH</Text>
         </View>
 
         <View style={styles.transactionRow}>
-          <Text style={styles.label}>Gas Price:</Text>
-          <Text style={styles.value}>{formatGasPrice()}</Text>
+          <Text style={styles.label}>Max Fees:</Text>
+          <Text style={styles.value}>{CryptoUtils.weiToEth(batch.maxFees)} ETH</Text>
         </View>
 
         <View style={styles.transactionRow}>
-          <Text style={styles.label}>Max Fee:</Text>
-          <Text style={styles.value}>{calculateMaxFee()} ETH</Text>
+          <Text style={styles.label}>Nonces:</Text>
+          <Text style={styles.value}>{batch.nonces.join(', ')}</Text>
         </View>
-
-        {txData.data && txData.data !== '0x' && (
-          <View style={styles.dataContainer}>
-            <TouchableOpacity
-              onPress={() => setIsExpanded(!isExpanded)}
-              style={styles.dataHeader}
-            >
-              <Text style={styles.label}>Transaction Data:</Text>
-              <Text style={styles.expandIcon}>
-                {isExpanded ? '▼' : '▶'}
-              </Text>
-            </TouchableOpacity>
-            {isExpanded && (
-              <ScrollView style={styles.dataScroll} nestedScrollEnabled>
-                <Text style={styles.dataText}>{txData.data}</Text>
-              </ScrollView>
-            )}
-          </View>
-        )}
       </View>
 
+      {items.map((item, index) => (
+        <View key={index} style={approved[index] ? null : styles.excludedItem}>
+          <TouchableOpacity style={styles.batchItemHeader} onPress={() => toggle(index)}>
+            <Text style={styles.sectionLabel}>Transaction {index + 1} of {items.length}</Text>
+            <Text style={[styles.batchItemStatus, approved[index] ? styles.includedText : styles.excludedText]}>
+              {approved[index] ? '✓ Sign' : '✗ Reject'}
+            </Text>
+          </TouchableOpacity>
+
+          {(item.contractCall?.warnings ?? []).map((warning, warningIndex) => (
+            <View key={warningIndex} style={styles.warningContainer}>
+              <Text style={styles.warningText}>⚠️ {warning}</Text>
+            </View>
+          ))}
+
+          <TransactionDetails
+            txData={item.transaction}
+            contractCall={item.contractCall}
+            deployment={item.deployment}
+            accessList={item.accessList}
+          />
+        </View>
+      ))}
+
       <View style={styles.warningContainer}>
         <Text style={styles.warningText}>
-          ⚠️ Carefully review all transaction details before approving
+          ⚠️ Rejecting a transaction holds back every later nonce until its nonce is used
         </Text>
       </View>
 
@@ -163,20 +263,273 @@ export const TransactionApproval: React.FC<TransactionApprovalProps> = ({
           style={[styles.button, styles.rejectButton]}
           onPress={handleReject}
         >
-          <Text style={styles.buttonText}>Reject</Text>
+          <Text style={styles.buttonText}>Reject All</Text>
         </TouchableOpacity>
 
         <TouchableOpacity
           style={[styles.button, styles.approveButton]}
           onPress={handleApprove}
+          disabled={approvedCount === 0}
         >
-          <Text style={styles.buttonText}>Approve & Sign</Text>
+          <Text style={styles.buttonText}>Sign {approvedCount} of {items.length}</Text>
         </TouchableOpacity>
       </View>
     </View>
   );
 };
 
+const TransactionDetails: React.FC<{
+  txData: TransactionData;
+  contractCall: ContractCallDescription | null;
+  deployment: DeploymentDescription | null;
+  accessList: AccessListDescription | null;
+}> = ({ txData, contractCall, deployment, accessList }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const getTransactionType = () => {
+    if (deployment) {
+      return 'Contract Deployment';
+    }
+    if (contractCall) {
+      return contractCall.signature
+        ? `${contractCall.standard} ${contractCall.name}`
+        : 'Unknown Contract Call';
+    }
+    return 'ETH Transfer';
+  };
+
+  const getValueInEth = () => {
+    try {
+      return CryptoUtils.weiToEth(txData.value);
+    } catch {
+      return '0';
+    }
+  };
+
+  const isEip1559 = CryptoUtils.isEip1559(txData);
+
+  const formatGasPrice = (weiAmount?: string) => {
+    try {
+      const gasPriceWei = CryptoUtils.parseHexToNumber(weiAmount || '0x0');
+      return `${(gasPriceWei / 1e9).toFixed(2)} Gwei`;
+    } catch {
+      return weiAmount;
+    }
+  };
+
+  const calculateMaxFee = () => {
+    try {
+      return CryptoUtils.weiToEth(CryptoUtils.getMaxFee(txData));
+    } catch {
+      return 'Unknown';
+    }
+  };
+
+  return (
+    <View style={styles.transactionContainer}>
+      <View style={styles.transactionRow}>
+        <Text style={styles.label}>Type:</Text>
+        <Text style={[styles.value, styles.typeValue]}>{getTransactionType()}</Text>
+      </View>
+
+      {contractCall?.summary && (
+        <View style={styles.transactionRow}>
+          <Text style={styles.label}>Summary:</Text>
+          <Text style={[styles.value, styles.amountValue]} selectable>{contractCall.summary}</Text>
+        </View>
+      )}
+
+      {txData.to ? (
+        <View style={styles.transactionRow}>
+          <Text style={styles.label}>To:</Text>
+          <Text style={[styles.value, styles.addressValue]}>
+            {`${txData.to.slice(0, 8)}...${txData.to.slice(-6)}`}
+          </Text>
+        </View>
+      ) : deployment && (
+        <>
+          <View style={styles.transactionRow}>
+            <Text style={styles.label}>Contract Address:</Text>
+            <Text style={[styles.value, styles.addressValue]} selectable>
+              {deployment.contractAddress ?? 'Unknown'}
+            </Text>
+          </View>
+
+          <View style={styles.transactionRow}>
+            <Text style={styles.label}>Bytecode Hash:</Text>
+            <Text style={[styles.value, styles.addressValue]} selectable>{deployment.bytecodeHash}</Text>
+          </View>
+
+          <View style={styles.transactionRow}>
+            <Text style={styles.label}>Bytecode Size:</Text>
+            <Text style={styles.value}>{deployment.bytecodeSize} bytes</Text>
+          </View>
+        </>
+      )}
+
+      <View style={styles.transactionRow}>
+        <Text style={styles.label}>Value:</Text>
+        <Text style={[styles.value, styles.amountValue]}>
+          {getValueInEth()} ETH
+        </Text>
+      </View>
+
+      <View style={styles.transactionRow}>
+        <Text style={styles.label}>Network:</Text>
+        <Text style={styles.value}>Chain ID {txData.chainId}</Text>
+      </View>
+
+      {isEip1559 ? (
+        <>
+          <View style={styles.transactionRow}>
+            <Text style={styles.label}>Max Fee Per Gas:</Text>
+            <Text style={styles.value}>{formatGasPrice(txData.maxFeePerGas)}</Text>
+          </View>
+
+          <View style={styles.transactionRow}>
+            <Text style={styles.label}>Max Priority Fee:</Text>
+            <Text style={styles.value}>{formatGasPrice(txData.maxPriorityFeePerGas)}</Text>
+          </View>
+        </>
+      ) : (
+        <View style={styles.transactionRow}>
+          <Text style={styles.label}>Gas Price:</Text>
+          <Text style={styles.value}>{formatGasPrice(txData.gasPrice)}</Text>
+        </View>
+      )}
+
+      <View style={styles.transactionRow}>
+        <Text style={styles.label}>Max Fee:</Text>
+        <Text style={styles.value}>{calculateMaxFee()} ETH</Text>
+      </View>
+
+      {accessList && (
+        <>
+          <Text style={styles.sectionLabel}>
+            {isEip1559 ? 'Access List' : 'Access List (EIP-2930)'}
+          </Text>
+          <View style={styles.transactionRow}>
+            <Text style={styles.label}>Summary:</Text>
+            <Text style={styles.value}>{CryptoUtils.formatAccessListSummary(accessList)}</Text>
+          </View>
+          {accessList.entries.map((entry, index) => (
+            <View key={`${entry.address}-${index}`} style={styles.transactionRow}>
+              <Text style={[styles.label, styles.addressValue]} selectable>{entry.address}</Text>
+              <Text style={styles.value}>
+                {entry.storageKeys.length} {entry.storageKeys.length === 1 ? 'key' : 'keys'}
+              </Text>
+            </View>
+          ))}
+        </>
+      )}
+
+      {contractCall?.signature && (
+        <>
+          <Text style={styles.sectionLabel}>Contract Call</Text>
+          <View style={styles.transactionRow}>
+            <Text style={styles.label}>Function:</Text>
+            <Text style={[styles.value, styles.addressValue]} selectable>{contractCall.signature}</Text>
+          </View>
+          <TypedDataFields fields={contractCall.args} />
+        </>
+      )}
+
+      {txData.data && txData.data !== '0x' && (
+        <View style={styles.dataContainer}>
+          <TouchableOpacity
+            onPress={() => setIsExpanded(!isExpanded)}
+            style={styles.dataHeader}
+          >
+            <Text style={styles.label}>Transaction Data:</Text>
+            <Text style={styles.expandIcon}>
+              {isExpanded ? '▼' : '▶'}
+            </Text>
+          </TouchableOpacity>
+          {isExpanded && (
+            <ScrollView style={styles.dataScroll} nestedScrollEnabled>
+              <Text style={styles.dataText}>{txData.data}</Text>
+            </ScrollView>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const TypedDataDetails: React.FC<{ description: TypedDataDescription }> = ({ description }) => (
+  <View style={styles.transactionContainer}>
+    <View style={styles.transactionRow}>
+      <Text style={styles.label}>Type:</Text>
+      <Text style={[styles.value, styles.typeValue]}>{description.primaryType}</Text>
+    </View>
+
+    <Text style={styles.sectionLabel}>Domain</Text>
+    <TypedDataFields fields={description.domain} />
+
+    <Text style={styles.sectionLabel}>Message</Text>
+    <TypedDataFields fields={description.message} />
+  </View>
+);
+
+// Nested structs and arrays are indented under the field that holds them
+const TypedDataFields: React.FC<{ fields: TypedDataField[] }> = ({ fields }) => (
+  <>
+    {fields.map((field, index) => field.fields ? (
+      <View key={`${field.name}-${index}`}>
+        <View style={styles.transactionRow}>
+          <Text style={styles.label}>{field.name}:</Text>
+          <Text style={styles.value}>{field.type}</Text>
+        </View>
+        <View style={styles.nestedFields}>
+          <TypedDataFields fields={field.fields} />
+        </View>
+      </View>
+    ) : (
+      <View key={`${field.name}-${index}`} style={styles.transactionRow}>
+        <Text style={styles.label}>{field.name}:</Text>
+        <Text
+          style={[styles.value, field.type === 'address' || field.type.startsWith('bytes') ? styles.addressValue : null]}
+          selectable
+        >
+          {field.value}
+        </Text>
+      </View>
+    ))}
+  </>
+);
+
+// Signing policy rules set to warn instead of reject
+const PolicyWarnings: React.FC<{ warnings: string[] }> = ({ warnings }) => (
+  <>
+    {warnings.map((warning, index) => (
+      <View key={index} style={styles.warningContainer}>
+        <Text style={styles.warningText}>🛑 Policy: {warning}</Text>
+      </View>
+    ))}
+  </>
+);
+
+// Breaking the signing policy takes a second confirmation
+const confirmPolicyOverride = (warnings: string[], onConfirm: () => void) => {
+  if (warnings.length === 0) {
+    onConfirm();
+    return;
+  }
+
+  Alert.alert(
+    'Override Signing Policy',
+    `This breaks your signing policy:\n\n${warnings.join('\n')}\n\nSign anyway?`,
+    [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Sign Anyway',
+        style: 'destructive',
+        onPress: onConfirm,
+      },
+    ]
+  );
+};
+
 const styles = StyleSheet.create({
   container: {
     backgroundColor: '#fff8dc',
@@ -232,6 +585,19 @@ const styles = StyleSheet.create({
     flex: 2,
     textAlign: 'right',
   },
+  sectionLabel: {
+    fontSize: 14,
+    color: '#007AFF',
+    fontWeight: '600',
+    marginTop: 12,
+    marginBottom: 4,
+    textTransform: 'uppercase',
+  },
+  nestedFields: {
+    paddingLeft: 12,
+    borderLeftWidth: 2,
+    borderLeftColor: '#f0f0f0',
+  },
   typeValue: {
     color: '#007AFF',
     fontWeight: '600',
@@ -270,6 +636,26 @@ const styles = StyleSheet.create({
     color: '#666',
     lineHeight: 16,
   },
+  batchItemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  batchItemStatus: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  includedText: {
+    color: '#34C759',
+  },
+  excludedText: {
+    color: '#FF3B30',
+  },
+  excludedItem: {
+    opacity: 0.5,
+  },
   warningContainer: {
     backgroundColor: '#ffebee',
     borderRadius: 8,
@@ -282,6 +668,23 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     fontWeight: '500',
   },
+  replacementContainer: {
+    backgroundColor: '#fff3e0',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 20,
+  },
+  replacementTitle: {
+    fontSize: 16,
+    color: '#e65100',
+    fontWeight: '600',
+    marginBottom: 6,
+  },
+  replacementText: {
+    fontSize: 14,
+    color: '#e65100',
+    marginBottom: 4,
+  },
   buttonContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -1,5 +1,22 @@
 import { ethers } from 'ethers';
-import { TransactionData, SignedTransaction } from '../types/MessageTypes';
+import {
+  TransactionData,
+  SignedTransaction,
+  Eip1559Fees,
+  TypedData,
+  TypedDataField,
+  TypedDataDescription,
+  ContractCallDescription,
+  DeploymentDescription,
+  ReplacementDescription,
+  BatchDescription,
+  AccessListEntry,
+  AccessListDescription,
+  AccountInfo,
+} from '../types/MessageTypes';
+import { Message, MessageProtocol } from './MessageProtocol';
+import { AbiRegistry } from './AbiRegistry';
+import { TokenRegistry } from './TokenRegistry';
 
 /**
  * Transaction structure for ethers.js
@@ -9,22 +26,54 @@ export interface EthersTransaction {
   value?: string | bigint;
   gasLimit?: string | bigint;
   gasPrice?: string | bigint;
+  maxFeePerGas?: string | bigint;
+  maxPriorityFeePerGas?: string | bigint;
   nonce?: number;
   chainId?: number;
   data?: string;
   type?: number;
+  accessList?: AccessListEntry[];
+}
+
+/**
+ * Typed data split into the parts ethers expects
+ */
+export interface ParsedTypedData {
+  domain: ethers.TypedDataDomain;
+  types: Record<string, Array<ethers.TypedDataField>>;
+  primaryType: string;
+  message: Record<string, any>;
 }
 
 /**
  * Cryptographic utilities for Ethereum transactions (React Native compatible)
  */
 export class CryptoUtils {
+  // Fields of the EIP-712 domain, in the order they are hashed
+  static readonly EIP712_DOMAIN_FIELDS = [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' },
+    { name: 'salt', type: 'bytes32' },
+  ];
+
+  // Allowances at or above this are treated as unlimited, which covers the
+  // max uint256, uint160 and uint128 values dApps use for "infinite" approvals
+  static readonly UNLIMITED_ALLOWANCE = 2n ** 128n;
+
+  // BIP-44 path of Ethereum accounts, `{index}` is the account number
+  static readonly DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/{index}";
+
   private wallet: ethers.Wallet;
   public readonly address: string;
+  // Derivation path of a key derived from a mnemonic, null for a raw key
+  public readonly path: string | null;
 
-  constructor(privateKey: string) {
+  constructor(privateKey: string, path: string | null = null) {
     this.wallet = new ethers.Wallet(privateKey);
     this.address = this.wallet.address;
+    this.path = path;
   }
 
   /**
@@ -46,35 +95,40 @@ export class CryptoUtils {
 
   /**
    * Create ETH transfer transaction
+   *
+   * `gasPrice` may be a legacy gas price or EIP-1559 fee caps, see `applyFees`.
    */
   createEthTransaction(
     to: string,
     value: string | bigint,
     nonce: number,
-    gasPrice: string | bigint,
+    gasPrice: string | bigint | Eip1559Fees,
     gasLimit: string | bigint,
     chainId: number
   ): EthersTransaction {
-    return {
-      to: to,
-      value: value,
-      gasLimit: gasLimit,
-      gasPrice: gasPrice,
-      nonce: nonce,
-      chainId: chainId,
-      type: 0, // Legacy transaction type
-    };
+    return CryptoUtils.applyFees(
+      {
+        to: to,
+        value: value,
+        gasLimit: gasLimit,
+        nonce: nonce,
+        chainId: chainId,
+      },
+      gasPrice
+    );
   }
 
   /**
    * Create ERC-20 transfer transaction
+   *
+   * `gasPrice` may be a legacy gas price or EIP-1559 fee caps, see `applyFees`.
    */
   createErc20Transaction(
     tokenAddress: string,
     to: string,
     amount: string | bigint,
     nonce: number,
-    gasPrice: string | bigint,
+    gasPrice: string | bigint | Eip1559Fees,
     gasLimit: string | bigint,
     chainId: number
   ): EthersTransaction {
@@ -85,18 +139,142 @@ export class CryptoUtils {
     
     const data = iface.encodeFunctionData('transfer', [to, amount]);
     
+    return CryptoUtils.applyFees(
+      {
+        to: tokenAddress,
+        value: 0n, // No ETH value for ERC-20 transfers
+        gasLimit: gasLimit,
+        nonce: nonce,
+        chainId: chainId,
+        data: data,
+      },
+      gasPrice
+    );
+  }
+
+  /**
+   * Set the fee fields and transaction type.
+   * A plain gas price produces a legacy (type 0) transaction, while
+   * `{ maxFeePerGas, maxPriorityFeePerGas }` produces an EIP-1559 (type 2) one.
+   * With an `accessList` a gas price produces an EIP-2930 (type 1) transaction.
+   */
+  static applyFees(
+    transaction: EthersTransaction,
+    fees: string | bigint | Eip1559Fees,
+    accessList: AccessListEntry[] | null = null
+  ): EthersTransaction {
+    if (typeof fees === 'object') {
+      return {
+        ...transaction,
+        maxFeePerGas: fees.maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+        ...(accessList ? { accessList } : {}),
+        type: 2, // EIP-1559 transaction type
+      };
+    }
+
+    if (accessList) {
+      return {
+        ...transaction,
+        gasPrice: fees,
+        accessList: accessList,
+        type: 1, // EIP-2930 transaction type
+      };
+    }
+
     return {
-      to: tokenAddress,
-      value: 0, // No ETH value for ERC-20 transfers
-      gasLimit: gasLimit,
-      gasPrice: gasPrice,
-      nonce: nonce,
-      chainId: chainId,
-      data: data,
+      ...transaction,
+      gasPrice: fees,
       type: 0, // Legacy transaction type
     };
   }
 
+  /**
+   * Convert a transaction request from the wire format to ethers format
+   */
+  static toEthersTransaction(transaction: TransactionData): EthersTransaction {
+    const fees: string | Eip1559Fees = CryptoUtils.isEip1559(transaction)
+      ? {
+          maxFeePerGas: transaction.maxFeePerGas || '0x0',
+          maxPriorityFeePerGas: transaction.maxPriorityFeePerGas || '0x0',
+        }
+      : transaction.gasPrice || '0x0';
+
+    return CryptoUtils.applyFees(
+      {
+        to: transaction.to,
+        value: transaction.value,
+        gasLimit: transaction.gasLimit,
+        nonce: CryptoUtils.parseHexToNumber(transaction.nonce),
+        chainId: transaction.chainId,
+        data: transaction.data,
+      },
+      fees,
+      CryptoUtils.getAccessList(transaction)
+    );
+  }
+
+  /**
+   * Get the access list of a transaction with checksummed addresses and
+   * lowercase storage keys: its `accessList`, an empty list for an
+   * EIP-2930 transaction without one, or null when it has none.
+   * Throws when the list is malformed.
+   */
+  static getAccessList(transaction: TransactionData): AccessListEntry[] | null {
+    if (transaction.accessList === undefined || transaction.accessList === null) {
+      return transaction.type !== undefined && CryptoUtils.parseHexToNumber(transaction.type) === 1 ? [] : null;
+    }
+
+    try {
+      if (!Array.isArray(transaction.accessList)) {
+        throw new Error('expected an array');
+      }
+      return ethers.accessListify(transaction.accessList);
+    } catch (error: any) {
+      throw new Error(`Invalid access list: ${error.shortMessage || error.message}`);
+    }
+  }
+
+  /**
+   * Describe the access list of a transaction for display, or null when it has none
+   */
+  static describeAccessList(transaction: TransactionData): AccessListDescription | null {
+    const entries = CryptoUtils.getAccessList(transaction);
+    if (!entries) {
+      return null;
+    }
+
+    return {
+      entries,
+      storageKeyCount: entries.reduce((count, entry) => count + entry.storageKeys.length, 0),
+    };
+  }
+
+  /**
+   * Check whether a transaction request is an EIP-1559 (type 2) transaction
+   */
+  static isEip1559(transaction: TransactionData): boolean {
+    return transaction.type !== undefined && CryptoUtils.parseHexToNumber(transaction.type) === 2;
+  }
+
+  /**
+   * Get the most the sender can pay in fees, in wei: gas limit times the
+   * gas price for legacy transactions, or times the max fee per gas for EIP-1559
+   */
+  static getMaxFee(transaction: TransactionData): bigint {
+    const pricePerGas = CryptoUtils.isEip1559(transaction)
+      ? transaction.maxFeePerGas
+      : transaction.gasPrice;
+    return BigInt(transaction.gasLimit || 0) * BigInt(pricePerGas || 0);
+  }
+
+  /**
+   * Format a wei amount as Gwei
+   */
+  static formatGwei(weiAmount: string | bigint | undefined): string {
+    return `${ethers.formatUnits(weiAmount || 0, 'gwei')} Gwei`;
+  }
+
   /**
    * Get wallet address
    */
@@ -105,12 +283,133 @@ export class CryptoUtils {
   }
 
   /**
-   * Sign a message
+   * Address and derivation path of the account, as listed in a connect response
+   */
+  getAccount(): AccountInfo {
+    return this.path ? { address: this.address, path: this.path } : { address: this.address };
+  }
+
+  /**
+   * Sign a message with EIP-191 `personal_sign`. Strings are signed as
+   * UTF-8 text, Uint8Arrays as raw bytes.
    */
-  async signMessage(message: string): Promise<string> {
+  async signMessage(message: string | Uint8Array): Promise<string> {
     return await this.wallet.signMessage(message);
   }
 
+  /**
+   * Sign EIP-712 typed data, the JSON object of `eth_signTypedData_v4`
+   */
+  async signTypedData(typedData: TypedData | string): Promise<string> {
+    const { domain, types, message } = CryptoUtils.parseTypedData(typedData);
+    return await this.wallet.signTypedData(domain, types, message);
+  }
+
+  /**
+   * Sign a protocol message with the wallet key, adding the signature to its payload.
+   * `receivedId` is the id of the request the message answers, see MessageProtocol.signingDigest.
+   */
+  signProtocolMessage(message: Message, receivedId: string | null = null): Message {
+    const digest = MessageProtocol.signingDigest(message, receivedId);
+    message.payload = { ...message.payload, signature: this.wallet.signingKey.sign(digest).serialized };
+    return message;
+  }
+
+  /**
+   * Sign a 32-byte digest with the wallet key, for records such as ledger
+   * entries whose digest is domain-separated by its own label
+   */
+  signDigest(digest: string): string {
+    return this.wallet.signingKey.sign(digest).serialized;
+  }
+
+  /**
+   * Check that a protocol message carries a valid signature by `address`
+   */
+  static verifyProtocolMessage(message: Message, address: string, receivedId: string | null = null): boolean {
+    const signature = message.payload && message.payload.signature;
+    if (typeof signature !== 'string' || !address) {
+      return false;
+    }
+
+    try {
+      const digest = MessageProtocol.signingDigest(message, receivedId);
+      return ethers.recoverAddress(digest, signature) === ethers.getAddress(address);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check that an EIP-191 signature of `message` (hex encoded bytes) was made by `address`
+   */
+  static verifySignedMessage(message: string, signature: string, address: string): boolean {
+    try {
+      return ethers.verifyMessage(ethers.getBytes(message), signature) === ethers.getAddress(address);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check that an EIP-712 signature of `typedData` was made by `address`
+   */
+  static verifySignedTypedData(typedData: TypedData | string, signature: string, address: string): boolean {
+    try {
+      const { domain, types, message } = CryptoUtils.parseTypedData(typedData);
+      return ethers.verifyTypedData(domain, types, message, signature) === ethers.getAddress(address);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Get the EIP-712 hash of typed data, the digest that is signed
+   */
+  static hashTypedData(typedData: TypedData | string): string {
+    const { domain, types, message } = CryptoUtils.parseTypedData(typedData);
+    return ethers.TypedDataEncoder.hash(domain, types, message);
+  }
+
+  /**
+   * Split `eth_signTypedData_v4` JSON into the domain, message, primary type
+   * and the types it uses, without EIP712Domain, as ethers expects them.
+   * Throws if the typed data is malformed or a value does not match its type.
+   */
+  static parseTypedData(typedData: TypedData | string): ParsedTypedData {
+    const data: TypedData = typeof typedData === 'string' ? JSON.parse(typedData) : typedData;
+    if (!data || typeof data !== 'object' || !data.types || !data.domain || !data.message) {
+      throw new Error('Typed data must have types, primaryType, domain and message');
+    }
+    if (!Array.isArray(data.types[data.primaryType])) {
+      throw new Error(`Unknown primary type: ${data.primaryType}`);
+    }
+
+    // Keep only the types reachable from the primary type, so ethers
+    // finds the same primary type
+    const types: Record<string, Array<ethers.TypedDataField>> = {};
+    const addType = (name: string) => {
+      if (types[name] || !Array.isArray(data.types[name]) || name === 'EIP712Domain') {
+        return;
+      }
+      types[name] = data.types[name];
+      data.types[name].forEach(field => addType(CryptoUtils.typedDataBaseType(field.type)));
+    };
+    addType(data.primaryType);
+
+    // Hashing checks every value against its type
+    ethers.TypedDataEncoder.hash(data.domain, types, data.message);
+
+    return { domain: data.domain, types, primaryType: data.primaryType, message: data.message };
+  }
+
+  /**
+   * Strip array suffixes from an EIP-712 type, `Person[][]` becomes `Person`
+   */
+  static typedDataBaseType(type: string): string {
+    return type.replace(/(\[\d*\])+$/, '');
+  }
+
   /**
    * Validate Ethereum address
    */
@@ -161,28 +460,471 @@ export class CryptoUtils {
   }
 
   /**
-   * Format transaction for display
+   * Format transaction for display, with token amounts in whole tokens
+   * when a token registry is given. Deployments show the predicted contract
+   * address when the `sender` is given.
    */
-  static formatTransactionForDisplay(transaction: TransactionData): string {
+  static formatTransactionForDisplay(
+    transaction: TransactionData,
+    tokens: TokenRegistry | null = null,
+    sender: string | null = null
+  ): string {
     const lines: string[] = [];
     lines.push('Transaction Details:');
-    lines.push(`To: ${transaction.to || 'N/A'}`);
+    lines.push(`To: ${transaction.to || 'none (contract deployment)'}`);
     lines.push(`Value: ${CryptoUtils.weiToEth(transaction.value || '0')} ETH`);
-    lines.push(`Gas Price: ${transaction.gasPrice || '0'} wei`);
+    
+    if (CryptoUtils.isEip1559(transaction)) {
+      lines.push('Type: EIP-1559');
+      lines.push(`Max Fee Per Gas: ${CryptoUtils.formatGwei(transaction.maxFeePerGas)}`);
+      lines.push(`Max Priority Fee: ${CryptoUtils.formatGwei(transaction.maxPriorityFeePerGas)}`);
+    } else {
+      if (transaction.type !== undefined && CryptoUtils.parseHexToNumber(transaction.type) === 1) {
+        lines.push('Type: EIP-2930');
+      }
+      lines.push(`Gas Price: ${transaction.gasPrice || '0'} wei`);
+    }
+    
     lines.push(`Gas Limit: ${transaction.gasLimit || '0'}`);
+    lines.push(`Max Network Fee: ${CryptoUtils.weiToEth(CryptoUtils.getMaxFee(transaction))} ETH`);
     lines.push(`Nonce: ${transaction.nonce || 0}`);
     lines.push(`Chain ID: ${transaction.chainId || 0}`);
     
-    if (transaction.data && transaction.data !== '0x') {
-      const dataStr = transaction.data.length > 50 
-        ? transaction.data.slice(0, 50) + '...'
-        : transaction.data;
-      lines.push(`Data: ${dataStr}`);
+    const accessList = CryptoUtils.describeAccessList(transaction);
+    if (accessList) {
+      lines.push(`Access List: ${CryptoUtils.formatAccessListSummary(accessList)}`);
+      for (const entry of accessList.entries) {
+        lines.push(`  ${entry.address}`);
+        lines.push(...entry.storageKeys.map(key => `    ${key}`));
+      }
+    }
+    
+    if (!transaction.to) {
+      const deployment = CryptoUtils.describeDeployment(transaction, sender);
+      if (deployment.contractAddress) {
+        lines.push(`Contract Address: ${deployment.contractAddress}`);
+      }
+      lines.push(`Bytecode Hash: ${deployment.bytecodeHash}`);
+      lines.push(`Bytecode Size: ${deployment.bytecodeSize} bytes`);
+    } else if (transaction.data && transaction.data !== '0x') {
+      const call = CryptoUtils.describeTransactionCall(transaction, tokens);
+      if (call.signature) {
+        lines.push(`Contract Call: ${call.standard} ${call.signature}`);
+        if (call.summary) {
+          lines.push(`Summary: ${call.summary}`);
+        }
+        lines.push(...CryptoUtils.formatFieldsForDisplay(call.args, '  '));
+      } else {
+        lines.push(`Contract Call: unknown function ${call.selector}`);
+        lines.push(`Data (${ethers.dataLength(transaction.data)} bytes): ${transaction.data}`);
+      }
+      for (const warning of call.warnings) {
+        lines.push(`WARNING: ${warning}`);
+      }
     }
     
     return lines.join('\n');
   }
 
+  /**
+   * Describe a batch of transactions: how many, the total value and the
+   * most they can cost in fees, and warnings about nonces that leave a gap
+   * or repeat, or transactions for different chains
+   */
+  static describeBatch(transactions: TransactionData[]): BatchDescription {
+    const nonces = transactions.map(tx => CryptoUtils.parseHexToNumber(tx.nonce || 0)).sort((a, b) => a - b);
+    const chainIds = new Set(transactions.map(tx => CryptoUtils.parseHexToNumber(tx.chainId || 0)));
+    const warnings: string[] = [];
+
+    if (chainIds.size > 1) {
+      warnings.push(`Transactions are for ${chainIds.size} different chains`);
+    }
+    if (new Set(nonces).size !== nonces.length) {
+      warnings.push('Several transactions share a nonce, only one of each can be mined');
+    } else if (nonces.length > 0 && nonces[nonces.length - 1] - nonces[0] !== nonces.length - 1) {
+      warnings.push('Nonces are not consecutive, transactions after a gap wait until it is filled');
+    }
+
+    return {
+      count: transactions.length,
+      totalValue: transactions.reduce((sum, tx) => sum + BigInt(tx.value || 0), 0n),
+      maxFees: transactions.reduce((sum, tx) => sum + CryptoUtils.getMaxFee(tx), 0n),
+      nonces,
+      warnings,
+    };
+  }
+
+  /**
+   * Format a batch of transactions for display, each as in
+   * formatTransactionForDisplay followed by the batch totals
+   */
+  static formatBatchForDisplay(
+    transactions: TransactionData[],
+    tokens: TokenRegistry | null = null,
+    sender: string | null = null
+  ): string {
+    const batch = CryptoUtils.describeBatch(transactions);
+    const lines = transactions.map((tx, index) =>
+      `[${index + 1}/${batch.count}] ${CryptoUtils.formatTransactionForDisplay(tx, tokens, sender)}`);
+
+    lines.push([
+      `Batch of ${batch.count} Transactions:`,
+      `Total Value: ${CryptoUtils.weiToEth(batch.totalValue)} ETH`,
+      `Max Network Fees: ${CryptoUtils.weiToEth(batch.maxFees)} ETH`,
+      `Nonces: ${batch.nonces.join(', ')}`,
+      ...batch.warnings.map(warning => `WARNING: ${warning}`),
+    ].join('\n'));
+
+    return lines.join('\n\n');
+  }
+
+  /**
+   * Describe a contract deployment: the address the contract will get,
+   * which follows from the sender and nonce, and the keccak256 hash of the
+   * init code (bytecode and constructor arguments) to compare with the
+   * online client
+   */
+  static describeDeployment(transaction: TransactionData, sender: string | null = null): DeploymentDescription {
+    const data = transaction.data || '0x';
+    return {
+      contractAddress: sender
+        ? ethers.getCreateAddress({ from: sender, nonce: CryptoUtils.parseHexToNumber(transaction.nonce || 0) })
+        : null,
+      bytecodeHash: ethers.keccak256(data),
+      bytecodeSize: ethers.dataLength(data),
+    };
+  }
+
+  /**
+   * Describe a transaction that replaces the pending transaction
+   * `replacedHash` at the same nonce: a zero-value transfer without data
+   * to the sender cancels it, anything else speeds it up.
+   * Throws when the hash is malformed.
+   */
+  static describeReplacement(
+    transaction: TransactionData,
+    replacedHash: string,
+    sender: string | null
+  ): ReplacementDescription {
+    if (!ethers.isHexString(replacedHash, 32)) {
+      throw new Error(`Invalid replaced transaction hash: ${replacedHash}`);
+    }
+
+    const cancel = Boolean(transaction.to) && sender !== null &&
+      ethers.getAddress(transaction.to!) === ethers.getAddress(sender) &&
+      BigInt(transaction.value || 0) === 0n &&
+      (!transaction.data || transaction.data === '0x');
+    return { hash: replacedHash.toLowerCase(), kind: cancel ? 'cancel' : 'speed_up' };
+  }
+
+  /**
+   * Describe a transaction's contract call. ERC-20 calls on a token from the
+   * token list are summarised in whole tokens, other ERC-20 calls get a
+   * warning since their amounts can only be shown in base units.
+   */
+  static describeTransactionCall(
+    transaction: TransactionData,
+    tokens: TokenRegistry | null = null
+  ): ContractCallDescription {
+    const call = CryptoUtils.describeContractCall(transaction.data);
+    if (call.standard !== 'ERC-20' || !tokens) {
+      return call;
+    }
+
+    const token = transaction.to ? tokens.find(CryptoUtils.parseHexToNumber(transaction.chainId), transaction.to) : null;
+    if (!token) {
+      call.warnings.push(`Token ${transaction.to} is not in the token list, amounts are in base units`);
+      return call;
+    }
+
+    const args = Object.fromEntries(call.args.map(arg => [arg.name, arg.value as string]));
+    const amount = (value: string) => `${TokenRegistry.formatAmount(value, token.decimals)} ${token.symbol}`;
+    switch (call.name) {
+      case 'transfer':
+        call.summary = `Send ${amount(args.amount)} to ${args.to}`;
+        break;
+      case 'transferFrom':
+        call.summary = `Send ${amount(args.amount)} from ${args.from} to ${args.to}`;
+        break;
+      case 'approve':
+        call.summary = BigInt(args.amount) >= CryptoUtils.UNLIMITED_ALLOWANCE
+          ? `Allow ${args.spender} to spend unlimited ${token.symbol}`
+          : `Allow ${args.spender} to spend ${amount(args.amount)}`;
+        break;
+      case 'increaseAllowance':
+        call.summary = `Allow ${args.spender} to spend ${amount(args.addedValue)} more`;
+        break;
+      case 'decreaseAllowance':
+        call.summary = `Allow ${args.spender} to spend ${amount(args.subtractedValue)} less`;
+        break;
+    }
+    return call;
+  }
+
+  /**
+   * Decode calldata with the built-in ABI registry into the same field
+   * shape as typed data. Unknown selectors and unlimited approvals, including
+   * those inside multicalls, are reported as warnings.
+   */
+  static describeContractCall(data: string): ContractCallDescription {
+    const selector = ethers.dataLength(data) >= 4 ? ethers.dataSlice(data, 0, 4) : ethers.hexlify(data);
+    const unknown = (warning: string): ContractCallDescription => ({
+      selector,
+      standard: null,
+      name: null,
+      signature: null,
+      summary: null,
+      args: [],
+      warnings: [warning],
+    });
+
+    let decoded;
+    try {
+      decoded = AbiRegistry.decode(data);
+    } catch (error) {
+      const { fragment } = AbiRegistry.lookup(selector)!;
+      return unknown(`Calldata does not match ${fragment.format('sighash')}, the wallet cannot show what this call does`);
+    }
+    if (!decoded) {
+      return unknown(`Unknown function ${selector}, the wallet cannot show what this call does. Only approve if you trust whoever built it`);
+    }
+
+    const { entry, args } = decoded;
+    const warnings: string[] = [];
+    const fields = entry.fragment.inputs.map((param, index) =>
+      CryptoUtils.describeAbiValue(param.name || `[${index}]`, param, args[index], !!entry.nested, warnings));
+
+    if (entry.approval) {
+      const spender = ethers.getAddress(args[entry.approval.spender]);
+      if (entry.approval.all && args[entry.approval.all]) {
+        warnings.unshift(`Approval for all: ${spender} may transfer every token you own in this collection`);
+      } else if (entry.approval.amount && BigInt(args[entry.approval.amount]) >= CryptoUtils.UNLIMITED_ALLOWANCE) {
+        warnings.unshift(`Unlimited approval: ${spender} may spend all of this token you ever hold`);
+      }
+    }
+
+    return {
+      selector,
+      standard: entry.standard,
+      name: entry.fragment.name,
+      signature: entry.fragment.format('sighash'),
+      summary: null,
+      args: fields,
+      warnings,
+    };
+  }
+
+  /**
+   * Describe one decoded ABI value, recursing into tuples and arrays. Bytes
+   * of `nested` functions are decoded as calls and add their warnings.
+   */
+  static describeAbiValue(
+    name: string,
+    param: ethers.ParamType,
+    value: any,
+    nested: boolean,
+    warnings: string[]
+  ): TypedDataField {
+    if (param.isArray()) {
+      return {
+        name,
+        type: param.type,
+        fields: Array.from(value, (item, index) =>
+          CryptoUtils.describeAbiValue(`[${index}]`, param.arrayChildren, item, nested, warnings)),
+      };
+    }
+
+    if (param.isTuple()) {
+      return {
+        name,
+        type: param.type,
+        fields: param.components.map((component, index) =>
+          CryptoUtils.describeAbiValue(component.name || `[${index}]`, component, value[index], nested, warnings)),
+      };
+    }
+
+    if (nested && param.type === 'bytes') {
+      const call = CryptoUtils.describeContractCall(value);
+      warnings.push(...call.warnings);
+      if (call.signature) {
+        return { name, type: `${call.standard} ${call.name}`, fields: call.args };
+      }
+    }
+
+    return { name, type: param.type, value: CryptoUtils.formatTypedValue(param.type, value) };
+  }
+
+  /**
+   * Format a message to be signed for display: as text when the bytes are
+   * printable UTF-8, otherwise as hex. Messages that look like a 32 byte
+   * hash are flagged, since signing one may authorize something the user
+   * cannot see.
+   */
+  static formatMessageForDisplay(message: string): string {
+    const bytes = ethers.getBytes(message);
+    const text = CryptoUtils.decodePrintableText(bytes);
+    const lines: string[] = ['Message Details:'];
+
+    if (text !== null) {
+      lines.push('Encoding: UTF-8 text');
+      lines.push('');
+      lines.push(text);
+    } else {
+      lines.push(`Encoding: hex (${bytes.length} bytes)`);
+      lines.push('');
+      lines.push(ethers.hexlify(bytes));
+    }
+
+    if (CryptoUtils.looksLikeHash(bytes, text)) {
+      lines.push('');
+      lines.push('WARNING: This message looks like a transaction or message hash.');
+      lines.push('Signing it may authorize a transaction you cannot see. Only sign if you know exactly what it is.');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Decode bytes as UTF-8 text, or return null if they are not valid
+   * UTF-8 or contain control characters other than whitespace
+   */
+  static decodePrintableText(bytes: Uint8Array): string | null {
+    try {
+      const text = ethers.toUtf8String(bytes);
+      // Control characters are ASCII, so each is a single byte of valid UTF-8
+      const isControl = (byte: number) => (byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d) || byte === 0x7f;
+      return bytes.length > 0 && !bytes.some(isControl) ? text : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether message bytes are a 32 byte hash, as raw bytes or
+   * written out as hex text. `text` is the printable text of the bytes, if any.
+   */
+  static looksLikeHash(bytes: Uint8Array, text: string | null = CryptoUtils.decodePrintableText(bytes)): boolean {
+    if (text === null) {
+      return bytes.length === 32;
+    }
+    return /^(0x)?[0-9a-fA-F]{64}$/.test(text.trim());
+  }
+
+  /**
+   * Describe typed data as a tree of named fields for display: the domain
+   * fields, the primary type and the fields of the message
+   */
+  static describeTypedData(typedData: TypedData | string): TypedDataDescription {
+    const { domain, types, primaryType, message } = CryptoUtils.parseTypedData(typedData);
+    const domainValues = domain as Record<string, any>;
+
+    return {
+      domain: CryptoUtils.EIP712_DOMAIN_FIELDS
+        .filter(field => domainValues[field.name] !== undefined && domainValues[field.name] !== null)
+        .map(field => CryptoUtils.describeTypedValue(field.name, field.type, domainValues[field.name], types)),
+      primaryType: primaryType,
+      message: types[primaryType]
+        .map(field => CryptoUtils.describeTypedValue(field.name, field.type, message[field.name], types)),
+    };
+  }
+
+  /**
+   * Describe one typed data value, recursing into structs and arrays
+   */
+  static describeTypedValue(
+    name: string,
+    type: string,
+    value: any,
+    types: Record<string, Array<ethers.TypedDataField>>
+  ): TypedDataField {
+    const array = type.match(/^(.*)\[\d*\]$/);
+    if (array) {
+      return {
+        name,
+        type,
+        fields: (value || []).map((item: any, index: number) =>
+          CryptoUtils.describeTypedValue(`[${index}]`, array[1], item, types)),
+      };
+    }
+
+    if (types[type]) {
+      return {
+        name,
+        type,
+        fields: types[type].map(field =>
+          CryptoUtils.describeTypedValue(field.name, field.type, (value || {})[field.name], types)),
+      };
+    }
+
+    return { name, type, value: CryptoUtils.formatTypedValue(type, value) };
+  }
+
+  /**
+   * Format an atomic typed data value: checksummed addresses, decimal
+   * integers and hex bytes
+   */
+  static formatTypedValue(type: string, value: any): string {
+    if (type === 'address') {
+      return ethers.getAddress(value);
+    }
+    if (/^u?int\d*$/.test(type)) {
+      return BigInt(value).toString();
+    }
+    if (/^bytes\d*$/.test(type)) {
+      return ethers.hexlify(value);
+    }
+    return String(value);
+  }
+
+  /**
+   * Format typed data for display, with nested fields indented
+   */
+  static formatTypedDataForDisplay(typedData: TypedData | string): string {
+    const { domain, primaryType, message } = CryptoUtils.describeTypedData(typedData);
+    const lines: string[] = [];
+
+    lines.push('Typed Data Details:');
+    lines.push('Domain:');
+    lines.push(...CryptoUtils.formatFieldsForDisplay(domain, '  '));
+    lines.push(`Primary Type: ${primaryType}`);
+    lines.push('Message:');
+    lines.push(...CryptoUtils.formatFieldsForDisplay(message, '  '));
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Format a replacement description as the banner shown above the
+   * replacing transaction
+   */
+  static formatReplacementForDisplay(replacement: ReplacementDescription): string {
+    return [
+      `REPLACEMENT of pending transaction ${replacement.hash}`,
+      replacement.kind === 'cancel'
+        ? 'Action: Cancel, by sending 0 ETH to yourself at the same nonce'
+        : 'Action: Speed up, by sending it again with higher fees',
+      'Only one transaction per nonce can be mined, whichever is mined first wins',
+    ].join('\n');
+  }
+
+  /**
+   * Summarize an access list description, e.g. "2 addresses, 3 storage keys"
+   */
+  static formatAccessListSummary(accessList: AccessListDescription): string {
+    const addresses = accessList.entries.length;
+    const keys = accessList.storageKeyCount;
+    return `${addresses} ${addresses === 1 ? 'address' : 'addresses'}, ${keys} ${keys === 1 ? 'storage key' : 'storage keys'}`;
+  }
+
+  /**
+   * Format described fields as lines, with nested fields indented
+   */
+  static formatFieldsForDisplay(fields: TypedDataField[], indent: string): string[] {
+    return fields.flatMap(field => field.fields
+      ? [`${indent}${field.name} (${field.type}):`, ...CryptoUtils.formatFieldsForDisplay(field.fields, `${indent}  `)]
+      : [`${indent}${field.name}: ${field.value}`]);
+  }
+
   /**
    * Parse hex string to number
    */
@@ -223,4 +965,67 @@ export class CryptoUtils {
     const wallet = new ethers.Wallet(privateKey);
     return wallet.address;
   }
+
+  /**
+   * Generate a new BIP-39 mnemonic of 12 or 24 words
+   */
+  static generateMnemonic(words: 12 | 24 = 12): string {
+    if (words !== 12 && words !== 24) {
+      throw new Error(`Mnemonics are generated with 12 or 24 words, not ${words}`);
+    }
+    return ethers.Mnemonic.fromEntropy(ethers.randomBytes(words === 24 ? 32 : 16)).phrase;
+  }
+
+  /**
+   * Check the words and checksum of a BIP-39 mnemonic
+   */
+  static validateMnemonic(phrase: string): boolean {
+    try {
+      return ethers.Mnemonic.isValidMnemonic(CryptoUtils.normalizeMnemonic(phrase));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Lowercase a mnemonic and separate its words by single spaces, as
+   * typed or pasted phrases often are not
+   */
+  static normalizeMnemonic(phrase: string): string {
+    return phrase.trim().toLowerCase().split(/\s+/).join(' ');
+  }
+
+  /**
+   * Derive the first `count` accounts of a BIP-39 mnemonic and optional
+   * passphrase. `path` is a derivation path in which `{index}` stands for
+   * the account number, or a base path the number is appended to.
+   */
+  static fromMnemonic(
+    phrase: string,
+    passphrase: string = '',
+    count: number = 1,
+    path: string = CryptoUtils.DEFAULT_DERIVATION_PATH
+  ): CryptoUtils[] {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Invalid account count: ${count}`);
+    }
+    if (!CryptoUtils.validateMnemonic(phrase)) {
+      throw new Error('Invalid mnemonic');
+    }
+
+    // The seed is stretched once, each account is derived from the root
+    const mnemonic = ethers.Mnemonic.fromPhrase(CryptoUtils.normalizeMnemonic(phrase), passphrase);
+    const root = ethers.HDNodeWallet.fromSeed(mnemonic.computeSeed());
+    return Array.from({ length: count }, (_, index) => {
+      const accountPath = CryptoUtils.getDerivationPath(path, index);
+      return new CryptoUtils(root.derivePath(accountPath).privateKey, accountPath);
+    });
+  }
+
+  /**
+   * Derivation path of account `index` along `path`, see fromMnemonic
+   */
+  static getDerivationPath(path: string, index: number): string {
+    return path.includes('{index}') ? path.split('{index}').join(String(index)) : `${path}/${index}`;
+  }
 }
\ No newline at end of file
@@ -1,17 +1,39 @@
 import { v4 as uuidv4 } from 'uuid';
+import { ethers } from 'ethers';
 import {
   IMessage,
   MessageType,
   MessageTypeValues,
+  Capability,
+  CapabilityValues,
+  Negotiated,
+  ConnectPayload,
+  ConnectResponsePayload,
   PingPayload,
   PongPayload,
   TxRequestPayload,
   TxResponsePayload,
+  TxBatchRequestPayload,
+  TxBatchResponsePayload,
+  SignMessageRequestPayload,
+  SignMessageResponsePayload,
+  SignTypedDataRequestPayload,
+  SignTypedDataResponsePayload,
   AckPayload,
+  NackPayload,
+  EncryptedPayload,
+  SessionKeyPayload,
   ErrorPayload,
   TransactionData,
+  AccessListEntry,
+  AccountInfo,
   SignedTransaction,
+  BatchResult,
+  SignedMessage,
+  TypedData,
+  Eip1559Fees,
 } from '../types/MessageTypes';
+import { CompactCodec } from './CompactCodec';
 
 /**
  * Message class for the sound-based wallet protocol
@@ -48,69 +70,251 @@ export class Message implements IMessage {
     const data = JSON.parse(jsonStr);
     return new Message(data.version, data.type, data.payload, data.id);
   }
+
+  /**
+   * Convert message to the compact binary encoding
+   */
+  toCompact(): string {
+    return CompactCodec.encode(this);
+  }
+
+  /**
+   * Create message from the compact binary encoding
+   */
+  static fromCompact(compactStr: string): Message {
+    const data = CompactCodec.decode(compactStr);
+    return new Message(data.version, data.type as MessageTypeValues, data.payload, data.id);
+  }
+
+  /**
+   * Serialize for transmission in the encoding implied by the message version
+   */
+  serialize(): string {
+    return MessageProtocol.usesCompactEncoding(this) ? this.toCompact() : this.toJSON();
+  }
+
+  /**
+   * Parse a received message in either encoding
+   */
+  static deserialize(str: string): Message {
+    return CompactCodec.isCompact(str) ? Message.fromCompact(str) : Message.fromJSON(str);
+  }
 }
 
 /**
  * Message protocol utilities
  */
 export class MessageProtocol {
-  static readonly PROTOCOL_VERSION = '1.0';
+  static readonly PROTOCOL_VERSION = '1.1';
+
+  // Version 1.0 peers only understand JSON messages
+  static readonly LEGACY_VERSION = '1.0';
+
+  // First version sending messages in the compact binary encoding
+  static readonly COMPACT_VERSION = '1.1';
+
+  // Every version this implementation speaks, oldest first
+  static readonly SUPPORTED_VERSIONS = ['1.0', '1.1'];
+
+  // Every capability this implementation supports
+  static readonly CAPABILITIES: CapabilityValues[] = Object.values(Capability);
+
+  // Prefix of the signed digest, so message signatures can never be
+  // confused with transaction or personal message signatures
+  static readonly SIGNATURE_LABEL = 'GibberWallet message v1';
+
+  // Most transactions a batch request may carry
+  static readonly MAX_BATCH_SIZE = 20;
+
+  // Most accounts a connect response may list
+  static readonly MAX_ACCOUNTS = 20;
 
   /**
-   * Create a ping message
+   * Create a connect message advertising the versions and capabilities we support
+   *
+   * `keyCommitment` commits to the client's ephemeral key for a secure
+   * session, which it reveals in a `session_key` later, see SecureSession.
    */
-  static createPing(): Message {
+  static createConnect(keyCommitment?: string): Message {
+    const payload: ConnectPayload = {
+      versions: MessageProtocol.SUPPORTED_VERSIONS,
+      capabilities: MessageProtocol.CAPABILITIES,
+    };
+    if (keyCommitment) {
+      payload.key_commitment = keyCommitment;
+    }
+
     return new Message(
       MessageProtocol.PROTOCOL_VERSION,
-      MessageType.PING,
-      {} as PingPayload
+      MessageType.CONNECT,
+      payload
     );
   }
 
   /**
-   * Create a pong response message
+   * Create a connect response message carrying the wallet address
+   *
+   * `negotiated` is the result of `negotiate` for the connect, whose version
+   * the response is sent with and whose capabilities it lists.
+   *
+   * `accounts` lists every account requests may name, when the accounts
+   * capability was negotiated. `address` is the primary account, which
+   * signs protocol messages.
    */
-  static createPong(pingId: string): Message {
+  static createConnectResponse(
+    address: string,
+    connectId: string,
+    negotiated?: Negotiated,
+    accounts?: AccountInfo[]
+  ): Message {
+    const payload: ConnectResponsePayload = {
+      address,
+      received_id: connectId,
+    };
+    if (negotiated) {
+      payload.capabilities = negotiated.capabilities;
+    }
+    if (accounts) {
+      payload.accounts = accounts;
+    }
+
+    return new Message(
+      negotiated ? negotiated.version : MessageProtocol.PROTOCOL_VERSION,
+      MessageType.CONNECT_RESPONSE,
+      payload
+    );
+  }
+
+  /**
+   * Create a legacy ping message, see createConnect
+   */
+  static createPing(keyCommitment?: string): Message {
+    const payload: PingPayload = {
+      versions: MessageProtocol.SUPPORTED_VERSIONS,
+      capabilities: MessageProtocol.CAPABILITIES,
+    };
+    if (keyCommitment) {
+      payload.key_commitment = keyCommitment;
+    }
+
     return new Message(
       MessageProtocol.PROTOCOL_VERSION,
+      MessageType.PING,
+      payload
+    );
+  }
+
+  /**
+   * Create a legacy pong response message, see createConnectResponse
+   */
+  static createPong(pingId: string, negotiated?: Negotiated): Message {
+    const payload: PongPayload = { received_id: pingId };
+    if (negotiated) {
+      payload.capabilities = negotiated.capabilities;
+    }
+
+    return new Message(
+      negotiated ? negotiated.version : MessageProtocol.PROTOCOL_VERSION,
       MessageType.PONG,
-      { received_id: pingId } as PongPayload
+      payload
     );
   }
 
   /**
-   * Create a transaction request message
+   * Create a transaction request message, see createTransaction
+   *
+   * `account` is the address of the wallet account to sign with, see
+   * withAccount, and left out for the primary account.
    */
   static createTxRequest(
     chainId: number,
-    to: string,
+    to: string | null,
     value: bigint | string,
     data: string,
     nonce: number,
-    gasPrice: bigint | string,
-    gasLimit: bigint | string
+    gasPrice: bigint | string | null,
+    gasLimit: bigint | string,
+    fees?: Eip1559Fees,
+    accessList?: AccessListEntry[],
+    account?: string
   ): Message {
-    const transaction: TransactionData = {
+    return new Message(
+      MessageProtocol.PROTOCOL_VERSION,
+      MessageType.TX_REQUEST,
+      MessageProtocol.withAccount<TxRequestPayload>({
+        transaction: MessageProtocol.createTransaction(chainId, to, value, data, nonce, gasPrice, gasLimit, fees, accessList),
+      }, account)
+    );
+  }
+
+  /**
+   * Create the transaction object of a transaction or batch request
+   *
+   * `gasPrice` is used for legacy (type 0) transactions. Pass `fees` to
+   * request an EIP-1559 (type 2) transaction instead. A null `to` deploys
+   * `data` as contract init code and leaves `to` out.
+   *
+   * An `accessList` from `eth_createAccessList` is sent with EIP-1559
+   * transactions and turns a legacy request into an EIP-2930 (type 1) one.
+   */
+  static createTransaction(
+    chainId: number,
+    to: string | null,
+    value: bigint | string,
+    data: string,
+    nonce: number,
+    gasPrice: bigint | string | null,
+    gasLimit: bigint | string,
+    fees?: Eip1559Fees,
+    accessList?: AccessListEntry[]
+  ): TransactionData {
+    const feeFields = fees
+      ? {
+          maxFeePerGas: `0x${fees.maxFeePerGas.toString(16)}`,
+          maxPriorityFeePerGas: `0x${fees.maxPriorityFeePerGas.toString(16)}`,
+        }
+      : {
+          gasPrice: `0x${(gasPrice ?? 0).toString(16)}`,
+        };
+
+    return {
       chainId: chainId,
+      type: fees ? 2 : accessList ? 1 : 0,
       nonce: `0x${nonce.toString(16)}`,
-      gasPrice: `0x${gasPrice.toString(16)}`,
+      ...feeFields,
       gasLimit: `0x${gasLimit.toString(16)}`,
-      to: to,
+      ...(to !== null ? { to } : {}),
       value: `0x${value.toString(16)}`,
       data: data,
+      ...(accessList ? { accessList } : {}),
     };
+  }
 
+  /**
+   * Create a transaction request that replaces the pending transaction
+   * `replacedHash` at the same nonce, to speed it up or cancel it
+   */
+  static createReplacementRequest(transaction: TransactionData, replacedHash: string, account?: string): Message {
     return new Message(
       MessageProtocol.PROTOCOL_VERSION,
       MessageType.TX_REQUEST,
-      { transaction } as TxRequestPayload
+      MessageProtocol.withAccount<TxRequestPayload>({ transaction, replaces: replacedHash }, account)
     );
   }
 
+  /**
+   * Add the `account` a signing request is for to its payload. Requests
+   * without one are signed with the wallet's primary account, so they are
+   * understood by wallets without the accounts capability.
+   */
+  static withAccount<T extends { account?: string }>(payload: T, account?: string): T {
+    return account ? { ...payload, account } : payload;
+  }
+
   /**
    * Create a transaction response message
    */
-  static createTxResponse(signedTx: string, txHash: string): Message {
+  static createTxResponse(signedTx: string, txHash: string, requestId: string): Message {
     const signedTransaction: SignedTransaction = {
       raw: signedTx,
       hash: txHash,
@@ -119,18 +323,158 @@ export class MessageProtocol {
     return new Message(
       MessageProtocol.PROTOCOL_VERSION,
       MessageType.TX_RESPONSE,
-      { signedTransaction } as TxResponsePayload
+      { signedTransaction, received_id: requestId } as TxResponsePayload
+    );
+  }
+
+  /**
+   * Create a request to sign several transactions at once, built with
+   * createTransaction, which the wallet reviews together
+   */
+  static createTxBatchRequest(transactions: TransactionData[], account?: string): Message {
+    return new Message(
+      MessageProtocol.PROTOCOL_VERSION,
+      MessageType.TX_BATCH_REQUEST,
+      MessageProtocol.withAccount<TxBatchRequestPayload>({ transactions }, account)
+    );
+  }
+
+  /**
+   * Create a batch response answering the request `requestId`, with one
+   * result per requested transaction in request order
+   */
+  static createTxBatchResponse(results: BatchResult[], requestId: string): Message {
+    return new Message(
+      MessageProtocol.PROTOCOL_VERSION,
+      MessageType.TX_BATCH_RESPONSE,
+      { results, received_id: requestId } as TxBatchResponsePayload
+    );
+  }
+
+  /**
+   * Create a request to sign a message with EIP-191 `personal_sign`
+   *
+   * `message` is UTF-8 text or raw bytes, sent as hex so the wallet signs
+   * exactly the bytes the dApp asked for.
+   */
+  static createSignMessageRequest(message: string | Uint8Array, account?: string): Message {
+    const data = ethers.hexlify(typeof message === 'string' ? ethers.toUtf8Bytes(message) : message);
+
+    return new Message(
+      MessageProtocol.PROTOCOL_VERSION,
+      MessageType.SIGN_MESSAGE_REQUEST,
+      MessageProtocol.withAccount<SignMessageRequestPayload>({ message: data }, account)
+    );
+  }
+
+  /**
+   * Create a message signature response answering the request `requestId`.
+   * `hash` is the EIP-191 hash of the message that was signed.
+   */
+  static createSignMessageResponse(signature: string, hash: string, requestId: string): Message {
+    const signedMessage: SignedMessage = {
+      signature: signature,
+      hash: hash,
+    };
+
+    return new Message(
+      MessageProtocol.PROTOCOL_VERSION,
+      MessageType.SIGN_MESSAGE_RESPONSE,
+      { signedMessage, received_id: requestId } as SignMessageResponsePayload
+    );
+  }
+
+  /**
+   * Create a request to sign EIP-712 typed data, the JSON object
+   * `{ types, primaryType, domain, message }` of `eth_signTypedData_v4`
+   */
+  static createSignTypedDataRequest(typedData: TypedData, account?: string): Message {
+    return new Message(
+      MessageProtocol.PROTOCOL_VERSION,
+      MessageType.SIGN_TYPED_DATA_REQUEST,
+      MessageProtocol.withAccount<SignTypedDataRequestPayload>({ typedData }, account)
+    );
+  }
+
+  /**
+   * Create a typed data signature response answering the request `requestId`.
+   * `hash` is the EIP-712 hash of the typed data that was signed.
+   */
+  static createSignTypedDataResponse(signature: string, hash: string, requestId: string): Message {
+    const signedMessage: SignedMessage = {
+      signature: signature,
+      hash: hash,
+    };
+
+    return new Message(
+      MessageProtocol.PROTOCOL_VERSION,
+      MessageType.SIGN_TYPED_DATA_RESPONSE,
+      { signedMessage, received_id: requestId } as SignTypedDataResponsePayload
     );
   }
 
   /**
    * Create an acknowledgment message
+   *
+   * `frameId` is set when acknowledging a message that arrived in frames,
+   * telling the sender it can stop retransmitting.
    */
-  static createAck(receivedId: string): Message {
+  static createAck(receivedId: string, frameId?: string): Message {
+    const payload: AckPayload = { received_id: receivedId };
+    if (frameId) {
+      payload.frame_id = frameId;
+    }
+
     return new Message(
       MessageProtocol.PROTOCOL_VERSION,
       MessageType.ACK,
-      { received_id: receivedId } as AckPayload
+      payload
+    );
+  }
+
+  /**
+   * Create a negative acknowledgment listing the frames of a message
+   * that did not arrive, so the sender can retransmit only those
+   */
+  static createNack(frameId: string, missing: number[]): Message {
+    return new Message(
+      MessageProtocol.PROTOCOL_VERSION,
+      MessageType.NACK,
+      { frame_id: frameId, missing } as NackPayload
+    );
+  }
+
+  /**
+   * Create an encrypted envelope carrying another message, see SecureSession
+   */
+  static createEncrypted(
+    version: string,
+    seq: number,
+    ciphertext: string,
+    tag: string,
+    publicKey?: string,
+    compressed: boolean = false
+  ): Message {
+    const payload: EncryptedPayload = { seq, ciphertext, tag };
+    if (publicKey) {
+      payload.public_key = publicKey;
+    }
+    if (compressed) {
+      payload.compressed = true;
+    }
+
+    return new Message(version, MessageType.ENCRYPTED, payload);
+  }
+
+  /**
+   * Create a session key message: the wallet's ephemeral key answering a
+   * connect, or the client's key answering that, see SecureSession
+   */
+  static createSessionKey(publicKey: string, receivedId: string): Message {
+    return new Message(
+      MessageProtocol.PROTOCOL_VERSION,
+      MessageType.SESSION_KEY,
+      { public_key: publicKey, received_id: receivedId } as SessionKeyPayload
     );
   }
 
@@ -151,10 +495,128 @@ export class MessageProtocol {
   }
 
   /**
-   * Validate message version
+   * Digest the wallet signs to vouch for a message: its type, id and payload
+   * without the signature, bound to `receivedId`, the id of the request it
+   * answers (by default the payload's `received_id`)
+   */
+  static signingDigest(message: Message, receivedId: string | null = null): string {
+    const payload = { ...message.payload };
+    delete payload.signature;
+    const requestId = receivedId || payload.received_id || null;
+    const body = MessageProtocol.canonicalize([message.type, message.id, payload, requestId]);
+    return ethers.keccak256(ethers.toUtf8Bytes(`${MessageProtocol.SIGNATURE_LABEL}\n${body}`));
+  }
+
+  /**
+   * JSON with object keys sorted, so both sides hash the same string
+   * whatever order the keys were encoded in
+   */
+  static canonicalize(value: any): string {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => MessageProtocol.canonicalize(item)).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+      const entries = Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${MessageProtocol.canonicalize(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Validate message version. Minor versions are backwards compatible,
+   * so any version with our major version is accepted.
    */
   static validateVersion(message: Message): boolean {
-    return message.version === MessageProtocol.PROTOCOL_VERSION;
+    if (typeof message.version !== 'string' || !/^\d+\.\d+$/.test(message.version)) {
+      return false;
+    }
+    return message.version.split('.')[0] === MessageProtocol.PROTOCOL_VERSION.split('.')[0];
+  }
+
+  /**
+   * Compare two "major.minor" version strings, returning a negative number,
+   * zero or a positive number like a sort comparator
+   */
+  static compareVersions(a: string, b: string): number {
+    const [aMajor, aMinor] = a.split('.').map(Number);
+    const [bMajor, bMinor] = b.split('.').map(Number);
+    return aMajor !== bMajor ? aMajor - bMajor : aMinor - bMinor;
+  }
+
+  /**
+   * Pick the version to use with a peer that connected with `peerVersion`,
+   * the highest version both sides support
+   */
+  static negotiateVersion(peerVersion: string): string {
+    return MessageProtocol.compareVersions(peerVersion, MessageProtocol.PROTOCOL_VERSION) < 0
+      ? peerVersion
+      : MessageProtocol.PROTOCOL_VERSION;
+  }
+
+  /**
+   * Agree on the version and capabilities to use with the sender of a
+   * connect (or legacy ping): the highest version and the capabilities
+   * both sides support.
+   *
+   * Peers that do not list their versions support every version up to the
+   * connect's own, and peers that do not list capabilities have none.
+   * Returns null when there is no common version.
+   */
+  static negotiate(connect: Message): Negotiated | null {
+    const payload = connect.payload || {};
+
+    let version: string | null = null;
+    if (Array.isArray(payload.versions)) {
+      const common = MessageProtocol.SUPPORTED_VERSIONS.filter(v => payload.versions.includes(v));
+      version = common.length > 0 ? common[common.length - 1] : null;
+    } else if (MessageProtocol.validateVersion(connect)) {
+      version = MessageProtocol.negotiateVersion(connect.version);
+    }
+
+    if (version === null) {
+      return null;
+    }
+
+    const peerCapabilities: string[] = Array.isArray(payload.capabilities) ? payload.capabilities : [];
+    return {
+      version,
+      capabilities: MessageProtocol.CAPABILITIES.filter(c => peerCapabilities.includes(c)),
+    };
+  }
+
+  /**
+   * Check whether a message is sent in the compact binary encoding.
+   * Handshake and error messages are always JSON so peers on any
+   * version can read them, including version mismatch errors.
+   */
+  static usesCompactEncoding(message: Message): boolean {
+    return !MessageProtocol.isHandshake(message) && message.type !== MessageType.ERROR &&
+      MessageProtocol.compareVersions(message.version, MessageProtocol.COMPACT_VERSION) >= 0;
+  }
+
+  /**
+   * Check whether a message sets up a session: a connect, a legacy ping
+   * or a session key exchanged after them
+   */
+  static isHandshake(message: Message): boolean {
+    return message.type === MessageType.CONNECT || message.type === MessageType.PING ||
+      message.type === MessageType.SESSION_KEY;
+  }
+
+  /**
+   * Type guard for connect messages
+   */
+  static isConnect(message: Message): message is Message & { payload: ConnectPayload } {
+    return message.type === MessageType.CONNECT;
+  }
+
+  /**
+   * Type guard for connect response messages
+   */
+  static isConnectResponse(message: Message): message is Message & { payload: ConnectResponsePayload } {
+    return message.type === MessageType.CONNECT_RESPONSE;
   }
 
   /**
@@ -185,6 +647,48 @@ export class MessageProtocol {
     return message.type === MessageType.TX_RESPONSE;
   }
 
+  /**
+   * Type guard for transaction batch request messages
+   */
+  static isTxBatchRequest(message: Message): message is Message & { payload: TxBatchRequestPayload } {
+    return message.type === MessageType.TX_BATCH_REQUEST;
+  }
+
+  /**
+   * Type guard for transaction batch response messages
+   */
+  static isTxBatchResponse(message: Message): message is Message & { payload: TxBatchResponsePayload } {
+    return message.type === MessageType.TX_BATCH_RESPONSE;
+  }
+
+  /**
+   * Type guard for message signing request messages
+   */
+  static isSignMessageRequest(message: Message): message is Message & { payload: SignMessageRequestPayload } {
+    return message.type === MessageType.SIGN_MESSAGE_REQUEST;
+  }
+
+  /**
+   * Type guard for message signature response messages
+   */
+  static isSignMessageResponse(message: Message): message is Message & { payload: SignMessageResponsePayload } {
+    return message.type === MessageType.SIGN_MESSAGE_RESPONSE;
+  }
+
+  /**
+   * Type guard for typed data signing request messages
+   */
+  static isSignTypedDataRequest(message: Message): message is Message & { payload: SignTypedDataRequestPayload } {
+    return message.type === MessageType.SIGN_TYPED_DATA_REQUEST;
+  }
+
+  /**
+   * Type guard for typed data signature response messages
+   */
+  static isSignTypedDataResponse(message: Message): message is Message & { payload: SignTypedDataResponsePayload } {
+    return message.type === MessageType.SIGN_TYPED_DATA_RESPONSE;
+  }
+
   /**
    * Type guard for acknowledgment messages
    */
@@ -192,6 +696,27 @@ export class MessageProtocol {
     return message.type === MessageType.ACK;
   }
 
+  /**
+   * Type guard for negative acknowledgment messages
+   */
+  static isNack(message: Message): message is Message & { payload: NackPayload } {
+    return message.type === MessageType.NACK;
+  }
+
+  /**
+   * Type guard for encrypted envelopes
+   */
+  static isEncrypted(message: Message): message is Message & { payload: EncryptedPayload } {
+    return message.type === MessageType.ENCRYPTED;
+  }
+
+  /**
+   * Type guard for session key messages
+   */
+  static isSessionKey(message: Message): message is Message & { payload: SessionKeyPayload } {
+    return message.type === MessageType.SESSION_KEY;
+  }
+
   /**
    * Type guard for error messages
    */
@@ -1,17 +1,116 @@
 import { EventEmitter } from 'eventemitter3';
+import { ethers } from 'ethers';
 import { CryptoUtils, EthersTransaction } from './CryptoUtils';
 import { MessageProtocol, Message } from './MessageProtocol';
-import { MessageType, TransactionData } from '../types/MessageTypes';
+import {
+  MessageType,
+  TransactionData,
+  TypedData,
+  TypedDataDescription,
+  ContractCallDescription,
+  DeploymentDescription,
+  ReplacementDescription,
+  AccessListDescription,
+  BatchDescription,
+  BatchResult,
+  Capability,
+  CapabilityValues,
+  Negotiated,
+  AccountInfo,
+} from '../types/MessageTypes';
 import { SecureStorage } from './SecureStorage';
-import GGWaveModule, { AudioReceptionData, GGWaveEvents } from '../native/GGWaveModule';
+import { FrameProtocol, FrameAssembler, Frame } from './FrameProtocol';
+import { SecureSession } from './SecureSession';
+import { TokenRegistry, TokenInfo } from './TokenRegistry';
+import { SigningPolicy, PolicyRules } from './SigningPolicy';
+import { SigningLedger, LedgerEntry, LedgerKind, LedgerRecord } from './SigningLedger';
+import GGWaveModule, {
+  AudioReceptionData,
+  AudioTransmissionResult,
+  GGWaveEvents,
+} from '../native/GGWaveModule';
 
 /**
- * Transaction approval request
+ * A requested transaction prepared for review
  */
-export interface TransactionApprovalRequest {
-  message: Message;
+export interface TransactionReview {
   transaction: TransactionData;
   formattedTransaction: string;
+  contractCall: ContractCallDescription | null;
+  deployment: DeploymentDescription | null;
+  accessList: AccessListDescription | null;
+}
+
+/**
+ * Transaction approval request
+ */
+export interface TransactionApprovalRequest extends TransactionReview {
+  message: Message;
+  // The wallet account asked to sign
+  account: AccountInfo;
+  // The pending transaction this one replaces, or null for a new transaction
+  replacement: ReplacementDescription | null;
+  // Signing policy rules the transaction breaks that only warn
+  policyWarnings: string[];
+}
+
+/**
+ * Transaction batch approval request, each transaction is approved or
+ * rejected on its own
+ */
+export interface BatchApprovalRequest {
+  message: Message;
+  account: AccountInfo;
+  items: TransactionReview[];
+  batch: BatchDescription;
+  policyWarnings: string[];
+}
+
+/**
+ * EIP-712 typed data signing approval request
+ */
+export interface TypedDataApprovalRequest {
+  message: Message;
+  account: AccountInfo;
+  typedData: TypedData;
+  description: TypedDataDescription;
+  formattedTypedData: string;
+}
+
+/**
+ * Request shown in the approval view, a transaction or typed data
+ */
+export type ApprovalRequest = TransactionApprovalRequest | TypedDataApprovalRequest;
+
+/**
+ * EIP-191 message signing approval request
+ */
+export interface MessageSigningRequest {
+  message: Message;
+  account: AccountInfo;
+  data: string;
+  formattedMessage: string;
+  looksLikeHash: boolean;
+}
+
+/**
+ * Framed message sent by the wallet and waiting for an ACK or NACK
+ */
+interface PendingTransfer {
+  messageId: string;
+  // A sealed message only takes ACK/NACKs tagged with the session key
+  sealed: boolean;
+  startTimer: () => void;
+  resolve: (message: Message | null) => void;
+}
+
+/**
+ * Framed message received and acknowledged by the wallet
+ */
+interface CompletedTransfer {
+  messageId: string;
+  total: number;
+  ackedAt: number;
 }
 
 /**
@@ -19,10 +118,15 @@ export interface TransactionApprovalRequest {
  */
 export interface OfflineWalletEvents {
   'transactionRequest': (request: TransactionApprovalRequest) => void;
+  'txBatchRequest': (request: BatchApprovalRequest) => void;
+  'signMessageRequest': (request: MessageSigningRequest) => void;
+  'typedDataRequest': (request: TypedDataApprovalRequest) => void;
   'messageReceived': (message: Message) => void;
   'listeningStarted': () => void;
   'listeningStopped': () => void;
   'audioLevelChanged': (level: number) => void;
+  'sessionCode': (code: string) => void;
+  'ledgerChanged': () => void;
   'error': (error: Error) => void;
 }
 
@@ -30,17 +134,95 @@ export interface OfflineWalletEvents {
  * Offline wallet component for airgap transaction signing (React Native)
  */
 export class OfflineWallet extends EventEmitter<OfflineWalletEvents> {
+  // Signing request ids are remembered this long, and at most this many
+  static readonly SEEN_REQUEST_TTL = 30 * 60 * 1000;
+  static readonly SEEN_REQUEST_LIMIT = 256;
+
+  // The primary account signs protocol messages and ledger entries
   private crypto: CryptoUtils | null = null;
+  private accounts: CryptoUtils[] = [];
+
+  // Mnemonic of the wallet, kept to derive further accounts, or null for
+  // a wallet made from a private key
+  private mnemonic: { phrase: string; passphrase: string; derivationPath: string } | null = null;
+  // SecureStorage alias the wallet was loaded from, whose config it updates
+  private alias = SecureStorage.DEFAULT_WALLET;
   private ggwave: GGWaveModule;
   private isRunning = false;
   private soundTimeout: number;
   private soundRetries: number;
+  private assembler: FrameAssembler;
+
+  // Pause between frames of a multi-frame message in milliseconds
+  private frameGap = 500;
+
+  // Deflate messages above FrameProtocol.COMPRESSION_THRESHOLD
+  private compress = true;
+
+  // Framed messages waiting for an ACK or NACK, by frame id
+  private pendingTransfers: Map<string, PendingTransfer> = new Map();
+
+  // Recently reassembled messages, by frame id, so a sender that missed
+  // our ACK and retransmits gets acknowledged again
+  private completedTransfers: Map<string, CompletedTransfer> = new Map();
+
+  // Playback is serialized so concurrent sends never overlap on the speaker
+  private playbackQueue: Promise<unknown> = Promise.resolve();
+
+  // Protocol version agreed with the peer in its last connect, which also
+  // decides between JSON and the compact encoding for outgoing messages
+  private peerVersion: string | null = null;
+
+  // Capabilities agreed with the peer in its last connect, null until then,
+  // in which case every capability we support is used
+  private peerCapabilities: CapabilityValues[] | null = null;
+
+  // Secure session with the client that sent the last connect. Messages other
+  // than handshakes and frame ACK/NACKs are only accepted through it, and
+  // signing requests only once the user has confirmed its session code.
+  // ACK/NACKs carry a tag from SecureSession.tagControl while it exists, and
+  // those for sealed messages are dropped without a valid one.
+  private session: SecureSession | null = null;
+  private sessionVerified = false;
+
+  // Connect whose client has not revealed its session key yet, with the
+  // session waiting for it and the id of the session_key we answered with
+  private pendingHandshake: {
+    request: Message;
+    negotiated: Negotiated;
+    session: SecureSession;
+    keyMessageId: string;
+  } | null = null;
+
+  // Ids of handled signing requests with the time they arrived,
+  // oldest first, so replayed requests are refused
+  private seenRequests: Map<string, number> = new Map();
+
+  // Token metadata for ERC-20 amounts, the bundled list until the
+  // user's edited list is loaded when the wallet is initialized
+  private tokens = new TokenRegistry();
+
+  // Rules checked before a transaction is shown for approval, none until
+  // the user's saved policy is loaded when the wallet is initialized
+  private policy = new SigningPolicy();
+
+  // Log of signed and rejected requests, loaded when the wallet is initialized
+  private ledger: SigningLedger | null = null;
+
+  // Why the ledger failed verification when it was loaded. Signing is
+  // refused until the user acknowledges it or resets the ledger.
+  private ledgerError: string | null = null;
+  private ledgerAcknowledged = false;
 
   constructor(soundTimeout: number = 5000, soundRetries: number = 3) {
     super();
     this.soundTimeout = soundTimeout;
     this.soundRetries = soundRetries;
     this.ggwave = GGWaveModule.getInstance();
+    this.assembler = new FrameAssembler(
+      FrameProtocol.REASSEMBLY_TIMEOUT,
+      this.handleMissingChunks.bind(this)
+    );
     
     this.setupAudioEventListeners();
   }
@@ -55,21 +237,37 @@ export class OfflineWallet extends EventEmitter<OfflineWalletEvents> {
         throw new Error('Invalid private key format');
       }
 
-      // Initialize crypto utilities
-      this.crypto = new CryptoUtils(privateKey);
-      
-      // Initialize audio system
-      const audioInitialized = await this.ggwave.initialize({
-        sampleRate: 48000,
-        protocolId: 1, // AUDIBLE_FAST
-        volume: 15,
-      });
+      this.mnemonic = null;
+      await this.setup([new CryptoUtils(privateKey)]);
+      return true;
+
+    } catch (error) {
+      console.error('[OFFLINE] Failed to initialize wallet:', error);
+      this.emit('error', error as Error);
+      return false;
+    }
+  }
 
-      if (!audioInitialized) {
-        throw new Error('Failed to initialize audio system');
+  /**
+   * Initialize the offline wallet with the first `accountCount` accounts of
+   * a BIP-39 mnemonic and optional passphrase, see CryptoUtils.fromMnemonic
+   */
+  async initializeFromMnemonic(
+    mnemonic: string,
+    passphrase: string = '',
+    accountCount: number = 1,
+    derivationPath: string = CryptoUtils.DEFAULT_DERIVATION_PATH
+  ): Promise<boolean> {
+    try {
+      if (!CryptoUtils.validateMnemonic(mnemonic)) {
+        throw new Error('Invalid mnemonic');
+      }
+      if (accountCount > MessageProtocol.MAX_ACCOUNTS) {
+        throw new Error(`A wallet has at most ${MessageProtocol.MAX_ACCOUNTS} accounts`);
       }
 
-      console.log(`[OFFLINE] Wallet initialized with address: ${this.crypto.getAddress()}`);
+      this.mnemonic = { phrase: mnemonic, passphrase, derivationPath };
+      await this.setup(CryptoUtils.fromMnemonic(mnemonic, passphrase, accountCount, derivationPath));
       return true;
 
     } catch (error) {
@@ -79,11 +277,226 @@ export class OfflineWallet extends EventEmitter<OfflineWalletEvents> {
     }
   }
 
+  /**
+   * Load the saved tokens, policy and ledger for the wallet's accounts,
+   * the primary account first, and initialize the audio system
+   */
+  private async setup(accounts: CryptoUtils[]): Promise<void> {
+    this.accounts = accounts;
+    this.crypto = accounts[0];
+
+    const savedTokens = await SecureStorage.getTokenList();
+    if (savedTokens) {
+      try {
+        this.tokens = new TokenRegistry(savedTokens);
+      } catch (error) {
+        console.warn('[OFFLINE] Ignoring invalid saved token list:', error);
+      }
+    }
+
+    const savedPolicy = await SecureStorage.getPolicy();
+    if (savedPolicy) {
+      try {
+        this.policy.setRules(savedPolicy);
+      } catch (error) {
+        console.warn('[OFFLINE] Ignoring invalid saved signing policy:', error);
+      }
+    }
+
+    // As the Node wallet refuses to start on it, a tampered ledger blocks signing
+    this.ledger = new SigningLedger(this.crypto, await SecureStorage.getLedger(this.crypto.getAddress()));
+    this.ledgerAcknowledged = false;
+    try {
+      this.ledger.verify();
+      this.ledgerError = null;
+    } catch (error) {
+      this.ledgerError = (error as Error).message;
+      console.warn('[OFFLINE] Signing ledger failed verification:', this.ledgerError);
+    }
+
+    // Transactions signed in earlier sessions count towards the daily cap,
+    // unless the ledger they come from cannot be trusted
+    if (!this.ledgerError) {
+      for (const entry of this.ledger.getSignedTransactions(Date.now() - SigningPolicy.DAY)) {
+        this.policy.recordSpending(entry, entry.time);
+      }
+    }
+    
+    // Initialize audio system
+    const audioInitialized = await this.ggwave.initialize({
+      sampleRate: 48000,
+      protocolId: 1, // AUDIBLE_FAST
+      volume: 15,
+    });
+
+    if (!audioInitialized) {
+      throw new Error('Failed to initialize audio system');
+    }
+
+    console.log(`[OFFLINE] Wallet initialized with address: ${this.crypto.getAddress()}`);
+  }
+
+  /**
+   * Accounts of the wallet with their derivation paths, the primary account first
+   */
+  getAccounts(): AccountInfo[] {
+    return this.accounts.map(account => account.getAccount());
+  }
+
+  /**
+   * Whether the wallet was made from a mnemonic and can derive more accounts
+   */
+  canAddAccount(): boolean {
+    return this.mnemonic !== null && this.accounts.length < MessageProtocol.MAX_ACCOUNTS;
+  }
+
+  /**
+   * Derive the next account of a mnemonic wallet and save the account count
+   */
+  async addAccount(): Promise<AccountInfo> {
+    if (!this.mnemonic) {
+      throw new Error('Only wallets made from a mnemonic can derive more accounts');
+    }
+    if (this.accounts.length >= MessageProtocol.MAX_ACCOUNTS) {
+      throw new Error(`A wallet has at most ${MessageProtocol.MAX_ACCOUNTS} accounts`);
+    }
+
+    const { phrase, passphrase, derivationPath } = this.mnemonic;
+    const derived = CryptoUtils.fromMnemonic(phrase, passphrase, this.accounts.length + 1, derivationPath);
+    const account = derived[derived.length - 1];
+    this.accounts.push(account);
+    await SecureStorage.storeConfig(
+      { ...await SecureStorage.getConfig(this.alias), accountCount: this.accounts.length },
+      this.alias
+    );
+    return account.getAccount();
+  }
+
+  /**
+   * Tokens whose ERC-20 amounts are shown in whole tokens
+   */
+  getTokens(): TokenInfo[] {
+    return this.tokens.list();
+  }
+
+  /**
+   * Add or replace a token in the token list and save the list
+   */
+  async addToken(token: TokenInfo): Promise<TokenInfo> {
+    const entry = this.tokens.add(token);
+    await SecureStorage.storeTokenList(this.tokens.list());
+    return entry;
+  }
+
+  /**
+   * Remove a token from the token list and save the list
+   */
+  async removeToken(chainId: number, address: string): Promise<boolean> {
+    const removed = this.tokens.remove(chainId, address);
+    if (removed) {
+      await SecureStorage.storeTokenList(this.tokens.list());
+    }
+    return removed;
+  }
+
+  /**
+   * Rules of the signing policy
+   */
+  getPolicy(): PolicyRules {
+    return this.policy.toJSON();
+  }
+
+  /**
+   * Replace the signing policy's rules and save them, keeping the
+   * spending counted towards the daily cap
+   */
+  async setPolicy(rules: PolicyRules): Promise<PolicyRules> {
+    this.policy.setRules(rules);
+    await SecureStorage.storePolicy(this.policy.toJSON());
+    return this.policy.toJSON();
+  }
+
+  /**
+   * Entries of the signing ledger, oldest first
+   */
+  getLedger(): LedgerEntry[] {
+    return this.ledger ? this.ledger.list() : [];
+  }
+
+  /**
+   * Why the signing ledger failed verification when the wallet was
+   * loaded, or null if it is intact. Appending keeps the result.
+   */
+  getLedgerError(): string | null {
+    return this.ledgerError;
+  }
+
+  /**
+   * Whether signing is refused because the ledger failed verification
+   * and the user has neither acknowledged it nor reset the ledger
+   */
+  isLedgerBlocked(): boolean {
+    return this.ledgerError !== null && !this.ledgerAcknowledged;
+  }
+
+  /**
+   * Keep signing on a ledger that failed verification, for this session.
+   * Its entries still do not count towards the daily cap.
+   */
+  acknowledgeLedgerError(): void {
+    this.ledgerAcknowledged = true;
+    this.emit('ledgerChanged');
+  }
+
+  /**
+   * Archive a ledger that failed verification and start a new one
+   */
+  async resetLedger(): Promise<void> {
+    if (!this.ledger || !this.crypto) {
+      throw new Error('Wallet not initialized');
+    }
+
+    const address = this.crypto.getAddress();
+    if (!await SecureStorage.archiveLedger(address, this.ledger.list())) {
+      throw new Error('Failed to archive the signing ledger');
+    }
+    this.ledger = new SigningLedger(this.crypto);
+    if (!await SecureStorage.storeLedger(address, [])) {
+      throw new Error('Failed to store the signing ledger');
+    }
+    this.ledgerError = null;
+    this.ledgerAcknowledged = false;
+    this.emit('ledgerChanged');
+  }
+
+  /**
+   * The signing ledger as JSON for auditors, with the wallet address and
+   * the head hash to compare later exports against
+   */
+  exportLedger(): string {
+    if (!this.ledger) {
+      throw new Error('Wallet not initialized');
+    }
+    return JSON.stringify(this.ledger.toJSON(), null, 2);
+  }
+
   /**
    * Load wallet from secure storage
    */
-  async loadFromStorage(alias: string = 'default'): Promise<boolean> {
+  async loadFromStorage(alias: string = SecureStorage.DEFAULT_WALLET): Promise<boolean> {
     try {
+      this.alias = alias;
+      const stored = await SecureStorage.getMnemonic(alias);
+      if (stored) {
+        const config = await SecureStorage.getConfig(alias);
+        return await this.initializeFromMnemonic(
+          stored.mnemonic,
+          stored.passphrase,
+          config?.accountCount ?? 1,
+          config?.derivationPath ?? CryptoUtils.DEFAULT_DERIVATION_PATH
+        );
+      }
+
       const privateKey = await SecureStorage.getPrivateKey(alias);
       if (!privateKey) {
         throw new Error('No private key found in secure storage');
@@ -135,12 +548,22 @@ export class OfflineWallet extends EventEmitter<OfflineWalletEvents> {
     
     try {
       await this.ggwave.stopListening();
+      this.assembler.clear();
+      this.completedTransfers.clear();
+      this.endSession();
       this.emit('listeningStopped');
     } catch (error) {
       console.error('[OFFLINE] Error stopping wallet:', error);
     }
   }
 
+  /**
+   * SecureStorage alias of the wallet
+   */
+  getAlias(): string {
+    return this.alias;
+  }
+
   /**
    * Get wallet address
    */
@@ -155,6 +578,40 @@ export class OfflineWallet extends EventEmitter<OfflineWalletEvents> {
     return this.isRunning;
   }
 
+  /**
+   * Record whether the user saw the same session code on the online client.
+   * A rejected session is dropped, so its messages are ignored.
+   */
+  confirmSession(matches: boolean): void {
+    if (!this.session) {
+      return;
+    }
+
+    if (matches) {
+      console.log('[OFFLINE] Session verified');
+      this.sessionVerified = true;
+    } else {
+      console.log('[OFFLINE] Session rejected, ignoring its messages');
+      this.endSession();
+    }
+  }
+
+  /**
+   * Drop the current secure session
+   */
+  private endSession(): void {
+    this.session = null;
+    this.sessionVerified = false;
+    this.pendingHandshake = null;
+  }
+
+  /**
+   * Type guard for approval requests for typed data rather than a transaction
+   */
+  static isTypedDataApproval(request: ApprovalRequest): request is TypedDataApprovalRequest {
+    return 'typedData' in request;
+  }
+
   /**
    * Approve and sign a transaction
    */
@@ -162,34 +619,37 @@ export class OfflineWallet extends EventEmitter<OfflineWalletEvents> {
     if (!this.crypto) {
       throw new Error('Wallet not initialized');
     }
+    this.checkLedger();
 
     if (!MessageProtocol.isTxRequest(message)) {
       throw new Error('Invalid transaction request message');
     }
 
+    let signed = false;
     try {
       const { transaction } = message.payload;
+      const account = this.getRequestAccount(message);
       
-      // Convert to ethers transaction format
-      const ethersTransaction: EthersTransaction = {
-        to: transaction.to,
-        value: transaction.value,
-        gasLimit: transaction.gasLimit,
-        gasPrice: transaction.gasPrice,
-        nonce: CryptoUtils.parseHexToNumber(transaction.nonce),
-        chainId: transaction.chainId,
-        data: transaction.data,
-        type: 0,
-      };
+      // Convert to ethers transaction format (legacy or EIP-1559)
+      const ethersTransaction: EthersTransaction = CryptoUtils.toEthersTransaction(transaction);
 
       console.log('[OFFLINE] Signing transaction...');
-      const signedTx = await this.crypto.signTransaction(ethersTransaction);
+      const signedTx = await account.signTransaction(ethersTransaction);
+      this.policy.recordSpending(transaction);
+      await this.appendToLedger([{
+        kind: 'transaction',
+        account: account.getAddress(),
+        hash: signedTx.hash,
+        ...SigningLedger.describeTransaction(transaction),
+      }], message);
+      signed = true;
       
       // Create response message
-      const response = MessageProtocol.createTxResponse(signedTx.raw, signedTx.hash);
+      const response = MessageProtocol.createTxResponse(signedTx.raw, signedTx.hash, message.id);
+      this.crypto.signProtocolMessage(response, message.id);
       
       // Send response via sound
-      const result = await this.ggwave.transmitMessage(response.toJSON());
+      const result = await this.transmit(response);
       
       if (result.success) {
         console.log('[OFFLINE] Transaction signed and response sent');
@@ -200,6 +660,9 @@ export class OfflineWallet extends EventEmitter<OfflineWalletEvents> {
 
     } catch (error) {
       console.error('[OFFLINE] Failed to approve transaction:', error);
+      if (!signed) {
+        await this.recordRejected(message, (error as Error).message);
+      }
       
       // Send error response
       const errorMsg = MessageProtocol.createError(
@@ -208,7 +671,7 @@ export class OfflineWallet extends EventEmitter<OfflineWalletEvents> {
       );
       
       try {
-        await this.ggwave.transmitMessage(errorMsg.toJSON());
+        await this.transmitSigned(errorMsg, message.id);
       } catch (transmitError) {
         console.error('[OFFLINE] Failed to send error response:', transmitError);
       }
@@ -222,9 +685,10 @@ export class OfflineWallet extends EventEmitter<OfflineWalletEvents> {
    * Reject a transaction
    */
   async rejectTransaction(message: Message, reason: string = 'Transaction rejected by user'): Promise<void> {
+    await this.recordRejected(message, reason);
     try {
       const errorMsg = MessageProtocol.createError(reason, message.id);
-      await this.ggwave.transmitMessage(errorMsg.toJSON());
+      await this.transmitSigned(errorMsg, message.id);
       console.log('[OFFLINE] Transaction rejected and response sent');
     } catch (error) {
       console.error('[OFFLINE] Failed to send rejection response:', error);
@@ -232,98 +696,1027 @@ export class OfflineWallet extends EventEmitter<OfflineWalletEvents> {
   }
 
   /**
-   * Set up audio event listeners
+   * Sign the transactions of a batch the user approved, `approved` holding
+   * one flag per transaction in request order. Rejected transactions are
+   * answered with an error in their place. Nothing approved rejects the batch.
    */
-  private setupAudioEventListeners(): void {
-    this.ggwave.addEventListener(GGWaveEvents.MESSAGE_RECEIVED, this.handleAudioMessage.bind(this));
-    this.ggwave.addEventListener(GGWaveEvents.LISTENING_STARTED, () => {
-      this.emit('listeningStarted');
-    });
-    this.ggwave.addEventListener(GGWaveEvents.LISTENING_STOPPED, () => {
-      this.emit('listeningStopped');
-    });
-    this.ggwave.addEventListener(GGWaveEvents.AUDIO_LEVEL_CHANGED, (data: { level: number }) => {
-      this.emit('audioLevelChanged', data.level);
-    });
-    this.ggwave.addEventListener(GGWaveEvents.ERROR, (error: { message: string }) => {
-      this.emit('error', new Error(error.message));
-    });
-  }
+  async approveBatch(message: Message, approved: boolean[]): Promise<boolean> {
+    if (!this.crypto) {
+      throw new Error('Wallet not initialized');
+    }
+    this.checkLedger();
 
-  /**
-   * Handle incoming audio messages
-   */
-  private async handleAudioMessage(data: AudioReceptionData): Promise<void> {
+    if (!MessageProtocol.isTxBatchRequest(message)) {
+      throw new Error('Invalid transaction batch request message');
+    }
+
+    const { transactions } = message.payload;
+    if (approved.length !== transactions.length) {
+      throw new Error(`Expected ${transactions.length} approvals, got ${approved.length}`);
+    }
+
+    if (!approved.includes(true)) {
+      await this.rejectBatch(message);
+      return false;
+    }
+
+    let signed = false;
     try {
-      const message = Message.fromJSON(data.message);
-      console.log(`[OFFLINE] Received message: ${message.type} (ID: ${message.id})`);
-      
-      // Validate message version
-      if (!MessageProtocol.validateVersion(message)) {
-        console.warn('[OFFLINE] Unsupported message version:', message.version);
-        return;
+      const account = this.getRequestAccount(message);
+      const results: BatchResult[] = [];
+      for (let i = 0; i < transactions.length; i++) {
+        if (approved[i]) {
+          console.log(`[OFFLINE] Signing transaction ${i + 1}/${transactions.length}...`);
+          const signedTransaction = await account.signTransaction(CryptoUtils.toEthersTransaction(transactions[i]));
+          this.policy.recordSpending(transactions[i]);
+          results.push({ signedTransaction });
+        } else {
+          results.push({ error: 'Transaction rejected by user' });
+        }
       }
 
-      this.emit('messageReceived', message);
+      // Logged once every transaction is signed, in request order
+      await this.appendToLedger(results.map((result, i) => ({
+        kind: 'transaction',
+        account: account.getAddress(),
+        ...SigningLedger.describeTransaction(transactions[i]),
+        ...('signedTransaction' in result
+          ? { hash: result.signedTransaction.hash }
+          : { status: 'rejected' as const, reason: result.error }),
+      })), message);
+      signed = true;
 
-      // Handle different message types
-      switch (message.type) {
-        case MessageType.PING:
-          await this.handlePing(message);
-          break;
-          
-        case MessageType.TX_REQUEST:
-          await this.handleTransactionRequest(message);
-          break;
-          
-        default:
-          console.log('[OFFLINE] Unhandled message type:', message.type);
+      const response = MessageProtocol.createTxBatchResponse(results, message.id);
+      const result = await this.transmitSigned(response, message.id);
+
+      if (result.success) {
+        console.log('[OFFLINE] Transaction batch signed and response sent');
+        return true;
+      } else {
+        throw new Error(result.error || 'Failed to transmit response');
       }
 
     } catch (error) {
-      console.error('[OFFLINE] Failed to handle audio message:', error);
+      console.error('[OFFLINE] Failed to sign transaction batch:', error);
+      if (!signed) {
+        await this.recordRejected(message, (error as Error).message);
+      }
+
+      try {
+        await this.transmitSigned(
+          MessageProtocol.createError(`Transaction batch signing failed: ${(error as Error).message}`, message.id),
+          message.id
+        );
+      } catch (transmitError) {
+        console.error('[OFFLINE] Failed to send error response:', transmitError);
+      }
+
       this.emit('error', error as Error);
+      return false;
     }
   }
 
   /**
-   * Handle ping message
+   * Reject a whole transaction batch
    */
-  private async handlePing(message: Message): Promise<void> {
-    try {
-      const pong = MessageProtocol.createPong(message.id);
-      const result = await this.ggwave.transmitMessage(pong.toJSON());
-      
-      if (result.success) {
-        console.log('[OFFLINE] Pong sent in response to ping');
-      } else {
-        throw new Error(result.error || 'Failed to send pong');
-      }
-    } catch (error) {
-      console.error('[OFFLINE] Failed to send pong:', error);
-    }
+  async rejectBatch(message: Message): Promise<void> {
+    await this.rejectTransaction(message, 'Transaction batch rejected by user');
   }
 
   /**
-   * Handle transaction request
+   * Approve and sign a message with EIP-191 personal_sign
    */
-  private async handleTransactionRequest(message: Message): Promise<void> {
-    if (!MessageProtocol.isTxRequest(message)) {
-      console.error('[OFFLINE] Invalid transaction request message');
-      return;
+  async approveMessage(message: Message): Promise<boolean> {
+    if (!this.crypto) {
+      throw new Error('Wallet not initialized');
     }
+    this.checkLedger();
 
-    const { transaction } = message.payload;
-    const formattedTransaction = CryptoUtils.formatTransactionForDisplay(transaction);
-    
-    console.log('[OFFLINE] Transaction request received:');
-    console.log(formattedTransaction);
+    if (!MessageProtocol.isSignMessageRequest(message)) {
+      throw new Error('Invalid message signing request');
+    }
 
-    // Emit transaction request event for UI handling
-    this.emit('transactionRequest', {
-      message,
+    let signed = false;
+    try {
+      const bytes = ethers.getBytes(message.payload.message);
+      const account = this.getRequestAccount(message);
+
+      console.log('[OFFLINE] Signing message...');
+      const signature = await account.signMessage(bytes);
+      await this.appendToLedger([{ kind: 'message', account: account.getAddress(), hash: ethers.hashMessage(bytes) }], message);
+      signed = true;
+
+      const response = MessageProtocol.createSignMessageResponse(signature, ethers.hashMessage(bytes), message.id);
+      const result = await this.transmitSigned(response, message.id);
+
+      if (result.success) {
+        console.log('[OFFLINE] Message signed and response sent');
+        return true;
+      } else {
+        throw new Error(result.error || 'Failed to transmit response');
+      }
+
+    } catch (error) {
+      console.error('[OFFLINE] Failed to sign message:', error);
+      if (!signed) {
+        await this.recordRejected(message, (error as Error).message);
+      }
+
+      try {
+        await this.transmitSigned(
+          MessageProtocol.createError(`Message signing failed: ${(error as Error).message}`, message.id),
+          message.id
+        );
+      } catch (transmitError) {
+        console.error('[OFFLINE] Failed to send error response:', transmitError);
+      }
+
+      this.emit('error', error as Error);
+      return false;
+    }
+  }
+
+  /**
+   * Reject a message signing request
+   */
+  async rejectMessage(message: Message): Promise<void> {
+    await this.rejectTransaction(message, 'Message signing rejected by user');
+  }
+
+  /**
+   * Approve and sign EIP-712 typed data
+   */
+  async approveTypedData(message: Message): Promise<boolean> {
+    if (!this.crypto) {
+      throw new Error('Wallet not initialized');
+    }
+    this.checkLedger();
+
+    if (!MessageProtocol.isSignTypedDataRequest(message)) {
+      throw new Error('Invalid typed data signing request');
+    }
+
+    let signed = false;
+    try {
+      const { typedData } = message.payload;
+      const account = this.getRequestAccount(message);
+
+      console.log('[OFFLINE] Signing typed data...');
+      const signature = await account.signTypedData(typedData);
+      await this.appendToLedger([{
+        kind: 'typed_data',
+        account: account.getAddress(),
+        hash: CryptoUtils.hashTypedData(typedData),
+      }], message);
+      signed = true;
+
+      const response = MessageProtocol.createSignTypedDataResponse(
+        signature,
+        CryptoUtils.hashTypedData(typedData),
+        message.id
+      );
+      const result = await this.transmitSigned(response, message.id);
+
+      if (result.success) {
+        console.log('[OFFLINE] Typed data signed and response sent');
+        return true;
+      } else {
+        throw new Error(result.error || 'Failed to transmit response');
+      }
+
+    } catch (error) {
+      console.error('[OFFLINE] Failed to sign typed data:', error);
+      if (!signed) {
+        await this.recordRejected(message, (error as Error).message);
+      }
+
+      try {
+        await this.transmitSigned(
+          MessageProtocol.createError(`Typed data signing failed: ${(error as Error).message}`, message.id),
+          message.id
+        );
+      } catch (transmitError) {
+        console.error('[OFFLINE] Failed to send error response:', transmitError);
+      }
+
+      this.emit('error', error as Error);
+      return false;
+    }
+  }
+
+  /**
+   * Reject a typed data signing request
+   */
+  async rejectTypedData(message: Message): Promise<void> {
+    await this.rejectTransaction(message, 'Typed data signing rejected by user');
+  }
+
+  /**
+   * Send a message via sound, split into frames if it is too large for one transmission.
+   * Framed messages are retransmitted until the receiver acknowledges them.
+   * Messages are sent with the version agreed in the last connect, if any,
+   * and encrypted once a secure session is established.
+   */
+  private async transmit(message: Message): Promise<AudioTransmissionResult> {
+    if (this.peerVersion && !MessageProtocol.isHandshake(message)) {
+      message.version = this.peerVersion;
+    }
+
+    if (this.session && !MessageProtocol.isHandshake(message) &&
+      message.type !== MessageType.ENCRYPTED && !this.isTransferControl(message)) {
+      message = this.session.seal(message, false, this.compress && this.peerSupports(Capability.COMPRESSION));
+    }
+
+    const serialized = message.serialize();
+    const frames = this.peerSupports(Capability.CHUNKING)
+      ? FrameProtocol.split(
+        serialized,
+        FrameProtocol.DEFAULT_CHUNK_SIZE,
+        this.compress && this.peerSupports(Capability.COMPRESSION)
+      )
+      : [serialized]; // Peers without chunking only take single transmissions
+
+    if (frames.length === 1 || this.isTransferControl(message)) {
+      // ACKs and NACKs are never acknowledged themselves
+      return this.transmitAll(frames, frames.map((_, index) => index));
+    }
+
+    return this.sendFrames(frames, message);
+  }
+
+  /**
+   * Check whether a capability may be used with the peer
+   */
+  private peerSupports(capability: CapabilityValues): boolean {
+    return this.peerCapabilities === null || this.peerCapabilities.includes(capability);
+  }
+
+  /**
+   * Sign a message with the wallet key and send it, so the online client
+   * can tell it came from this wallet. `receivedId` is the request it answers.
+   */
+  private async transmitSigned(message: Message, receivedId: string): Promise<AudioTransmissionResult> {
+    if (!this.crypto) {
+      throw new Error('Wallet not initialized');
+    }
+
+    this.crypto.signProtocolMessage(message, receivedId);
+    return this.transmit(message);
+  }
+
+  /**
+   * Send the frames of a message, then retransmit whatever the receiver
+   * reports missing until it acknowledges the message or retries run out
+   */
+  private async sendFrames(frames: string[], message: Message): Promise<AudioTransmissionResult> {
+    const frameId = FrameProtocol.parse(frames[0])!.frameId;
+    let indices = frames.map((_, index) => index);
+
+    try {
+      for (let attempt = 0; attempt <= this.soundRetries; attempt++) {
+        if (attempt > 0) {
+          console.log(`[OFFLINE] Retransmitting ${indices.length} frame(s) of ${frameId} (retry ${attempt}/${this.soundRetries})`);
+        }
+
+        const reply = this.waitForTransferReply(frameId, message);
+        const result = await this.transmitAll(frames, indices);
+        if (!result.success) {
+          return result;
+        }
+
+        this.pendingTransfers.get(frameId)?.startTimer();
+        const response = await reply;
+
+        if (response && MessageProtocol.isAck(response)) {
+          return result;
+        }
+
+        if (response && MessageProtocol.isNack(response)) {
+          const missing = (response.payload.missing || [])
+            .filter((index: number) => Number.isInteger(index) && index >= 0 && index < frames.length);
+          if (missing.length > 0) {
+            indices = missing;
+          }
+        }
+        // On timeout resend the same frames, the receiver may have missed the last one
+      }
+    } finally {
+      this.pendingTransfers.delete(frameId);
+    }
+
+    return {
+      success: false,
+      error: `No acknowledgment for ${frameId} after ${this.soundRetries} retries`,
+    };
+  }
+
+  /**
+   * Play the frames at the given indices, pausing between them
+   */
+  private async transmitAll(frames: string[], indices: number[]): Promise<AudioTransmissionResult> {
+    let result: AudioTransmissionResult = { success: true };
+
+    for (let i = 0; i < indices.length; i++) {
+      if (i > 0) {
+        await new Promise<void>(resolve => setTimeout(resolve, this.frameGap));
+      }
+
+      result = await this.playPayload(frames[indices[i]]);
+      if (!result.success) {
+        return result;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Play a single payload once any earlier playback has finished
+   */
+  private playPayload(payload: string): Promise<AudioTransmissionResult> {
+    const playback = this.playbackQueue.then(() => this.ggwave.transmitMessage(payload));
+    this.playbackQueue = playback.catch(() => {});
+    return playback;
+  }
+
+  /**
+   * Wait for the ACK or NACK answering a framed message.
+   * Resolves with null if none arrives within the ACK timeout,
+   * which starts once the last frame has been played.
+   */
+  private waitForTransferReply(frameId: string, message: Message): Promise<Message | null> {
+    return new Promise(resolve => {
+      let timeoutId: ReturnType<typeof setTimeout> | null = null;
+
+      this.pendingTransfers.set(frameId, {
+        messageId: message.id,
+        sealed: message.type === MessageType.ENCRYPTED,
+        startTimer: () => {
+          timeoutId = setTimeout(() => resolve(null), FrameProtocol.ACK_TIMEOUT);
+        },
+        resolve: (reply: Message | null) => {
+          if (timeoutId) {
+            clearTimeout(timeoutId);
+          }
+          resolve(reply);
+        },
+      });
+    });
+  }
+
+  /**
+   * Check whether a message is an ACK or NACK for a framed message
+   */
+  private isTransferControl(message: Message): boolean {
+    return (message.type === MessageType.ACK || message.type === MessageType.NACK) &&
+      !!(message.payload && message.payload.frame_id);
+  }
+
+  /**
+   * Send an ACK or NACK without blocking the receive path, tagged with
+   * the session key once a secure session is established
+   */
+  private sendControl(message: Message): void {
+    this.session?.tagControl(message);
+    this.transmit(message)
+      .then(result => {
+        if (!result.success) {
+          console.warn(`[OFFLINE] Failed to send ${message.type}:`, result.error);
+        }
+      })
+      .catch(error => {
+        console.warn(`[OFFLINE] Failed to send ${message.type}:`, error);
+      });
+  }
+
+  /**
+   * Set up audio event listeners
+   */
+  private setupAudioEventListeners(): void {
+    this.ggwave.addEventListener(GGWaveEvents.MESSAGE_RECEIVED, this.handleAudioMessage.bind(this));
+    this.ggwave.addEventListener(GGWaveEvents.LISTENING_STARTED, () => {
+      this.emit('listeningStarted');
+    });
+    this.ggwave.addEventListener(GGWaveEvents.LISTENING_STOPPED, () => {
+      this.emit('listeningStopped');
+    });
+    this.ggwave.addEventListener(GGWaveEvents.AUDIO_LEVEL_CHANGED, (data: { level: number }) => {
+      this.emit('audioLevelChanged', data.level);
+    });
+    this.ggwave.addEventListener(GGWaveEvents.ERROR, (error: { message: string }) => {
+      this.emit('error', new Error(error.message));
+    });
+  }
+
+  /**
+   * Handle incoming audio messages
+   */
+  private async handleAudioMessage(data: AudioReceptionData): Promise<void> {
+    try {
+      let messageStr: string | null = data.message;
+      let frame: Frame | null = null;
+
+      if (FrameProtocol.isFrame(data.message)) {
+        frame = FrameProtocol.parse(data.message);
+        if (!frame) {
+          console.warn('[OFFLINE] Dropped corrupted frame');
+          return;
+        }
+
+        console.log(`[OFFLINE] Received frame ${frame.index + 1}/${frame.total} of ${frame.frameId}`);
+
+        const completed = this.completedTransfers.get(frame.frameId);
+        if (completed && completed.total === frame.total) {
+          // Already handled, our ACK must have been lost
+          if (Date.now() - completed.ackedAt > FrameProtocol.ACK_TIMEOUT / 2) {
+            completed.ackedAt = Date.now();
+            this.sendControl(MessageProtocol.createAck(completed.messageId, frame.frameId));
+          }
+          return;
+        }
+
+        try {
+          messageStr = this.assembler.add(frame);
+        } catch (error) {
+          // Data that does not inflate, or inflates past the size cap
+          console.warn(`[OFFLINE] Dropped malformed message ${frame.frameId}:`, error);
+          return;
+        }
+        if (messageStr === null) {
+          return; // Waiting for more frames
+        }
+      }
+
+      let message = Message.deserialize(messageStr);
+
+      if (frame && !this.isTransferControl(message)) {
+        this.rememberCompleted(frame, message.id);
+        this.sendControl(MessageProtocol.createAck(message.id, frame.frameId));
+      }
+
+      if (this.isTransferControl(message)) {
+        const frameId = message.payload.frame_id;
+        const transfer = this.pendingTransfers.get(frameId);
+        if (!transfer) {
+          return;
+        }
+        if (transfer.sealed && !this.session?.verifyControl(message)) {
+          console.warn(`[OFFLINE] Rejected unauthenticated ${message.type} for ${frameId}`);
+          return;
+        }
+        if (MessageProtocol.isAck(message) && message.payload.received_id !== transfer.messageId) {
+          console.warn(`[OFFLINE] Ignored ACK for ${frameId} naming another message`);
+          return;
+        }
+        console.log(`[OFFLINE] Received ${message.type} for ${frameId}`);
+        transfer.resolve(message);
+        return;
+      }
+
+      if (MessageProtocol.isEncrypted(message) && this.session) {
+        try {
+          message = this.session.open(message);
+        } catch (error) {
+          console.warn(`[OFFLINE] Dropped encrypted message: ${(error as Error).message}`);
+          return;
+        }
+      } else if (!MessageProtocol.isHandshake(message)) {
+        console.warn(`[OFFLINE] Rejected unauthenticated ${message.type}`);
+        return;
+      }
+
+      console.log(`[OFFLINE] Received message: ${message.type} (ID: ${message.id})`);
+      
+      // Validate message version, connect negotiates it instead
+      if (!MessageProtocol.isHandshake(message) && !MessageProtocol.validateVersion(message)) {
+        console.warn('[OFFLINE] Unsupported message version:', message.version);
+        return;
+      }
+
+      this.emit('messageReceived', message);
+
+      // Handle different message types
+      switch (message.type) {
+        case MessageType.CONNECT:
+        case MessageType.PING:
+          await this.handleConnect(message);
+          break;
+
+        case MessageType.SESSION_KEY:
+          await this.handleSessionKey(message);
+          break;
+          
+        case MessageType.TX_REQUEST:
+        case MessageType.TX_BATCH_REQUEST:
+        case MessageType.SIGN_MESSAGE_REQUEST:
+        case MessageType.SIGN_TYPED_DATA_REQUEST:
+          if (!this.sessionVerified) {
+            console.warn(`[OFFLINE] Ignoring ${message.type} from an unverified session`);
+            break;
+          }
+          if (!this.rememberRequest(message.id)) {
+            console.warn(`[OFFLINE] Refusing replayed ${message.type} ${message.id}`);
+            await this.transmitSigned(MessageProtocol.createError('Duplicate request', message.id), message.id);
+            break;
+          }
+          if (this.isLedgerBlocked()) {
+            console.warn(`[OFFLINE] Refusing ${message.type}, the signing ledger failed verification`);
+            await this.transmitSigned(MessageProtocol.createError('The wallet\'s signing ledger failed verification', message.id), message.id);
+            break;
+          }
+          if (message.type === MessageType.TX_REQUEST) {
+            await this.handleTransactionRequest(message);
+          } else if (message.type === MessageType.TX_BATCH_REQUEST) {
+            await this.handleTxBatchRequest(message);
+          } else if (message.type === MessageType.SIGN_MESSAGE_REQUEST) {
+            await this.handleSignMessageRequest(message);
+          } else {
+            await this.handleSignTypedDataRequest(message);
+          }
+          break;
+          
+        default:
+          console.log('[OFFLINE] Unhandled message type:', message.type);
+      }
+
+    } catch (error) {
+      console.error('[OFFLINE] Failed to handle audio message:', error);
+      this.emit('error', error as Error);
+    }
+  }
+
+  /**
+   * Ask the sender to retransmit chunks that did not arrive for a framed message
+   */
+  private handleMissingChunks(frameId: string, missing: number[], expired: boolean): void {
+    if (expired) {
+      console.warn(`[OFFLINE] Gave up on ${frameId}, missing frames: ${missing.join(', ')}`);
+      return;
+    }
+
+    console.warn(`[OFFLINE] Incomplete message ${frameId}, requesting frames: ${missing.join(', ')}`);
+    this.sendControl(MessageProtocol.createNack(frameId, missing));
+  }
+
+  /**
+   * Remember a reassembled message, keeping only the most recent ones
+   */
+  private rememberCompleted(frame: Frame, messageId: string): void {
+    this.completedTransfers.delete(frame.frameId);
+    this.completedTransfers.set(frame.frameId, { messageId, total: frame.total, ackedAt: Date.now() });
+    if (this.completedTransfers.size > 16) {
+      const oldest = this.completedTransfers.keys().next().value;
+      if (oldest !== undefined) {
+        this.completedTransfers.delete(oldest);
+      }
+    }
+  }
+
+  /**
+   * Record a request id, returning false if it was already seen within
+   * SEEN_REQUEST_TTL. Expired and excess entries are dropped oldest first.
+   */
+  private rememberRequest(id: string, now: number = Date.now()): boolean {
+    for (const [seenId, seenAt] of this.seenRequests) {
+      if (now - seenAt <= OfflineWallet.SEEN_REQUEST_TTL) {
+        break;
+      }
+      this.seenRequests.delete(seenId);
+    }
+
+    if (this.seenRequests.has(id)) {
+      return false;
+    }
+
+    this.seenRequests.set(id, now);
+    if (this.seenRequests.size > OfflineWallet.SEEN_REQUEST_LIMIT) {
+      const oldest = this.seenRequests.keys().next().value;
+      if (oldest !== undefined) {
+        this.seenRequests.delete(oldest);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Handle a connect, or a legacy ping answered with a pong instead of the
+   * address. Either ends the current secure session and is answered with
+   * our session key, see handleSessionKey.
+   */
+  private async handleConnect(message: Message): Promise<void> {
+    if (!this.crypto) {
+      return;
+    }
+
+    try {
+      this.endSession();
+
+      const negotiated = MessageProtocol.negotiate(message);
+      if (!negotiated) {
+        console.warn(`[OFFLINE] Rejected ${message.type} without a common protocol version`);
+        this.peerVersion = null;
+        await this.transmitSigned(
+          MessageProtocol.createError(`Unsupported protocol version: ${message.version}`, message.id),
+          message.id
+        );
+        return;
+      }
+
+      this.peerVersion = negotiated.version;
+      this.peerCapabilities = negotiated.capabilities;
+
+      const keyCommitment = message.payload && message.payload.key_commitment;
+      if (!keyCommitment) {
+        console.warn(`[OFFLINE] Rejected ${message.type} without a secure session key commitment`);
+        await this.transmitSigned(MessageProtocol.createError('Encrypted session required', message.id), message.id);
+        return;
+      }
+
+      let session: SecureSession;
+      try {
+        session = SecureSession.respond(keyCommitment);
+      } catch (error) {
+        console.warn('[OFFLINE] Invalid session key commitment:', (error as Error).message);
+        await this.transmitSigned(MessageProtocol.createError('Invalid session key', message.id), message.id);
+        return;
+      }
+
+      // Our key goes out before the client reveals its own, so neither
+      // side can pick a key after seeing the other's
+      const keyMessage = MessageProtocol.createSessionKey(session.publicKey, message.id);
+      this.pendingHandshake = { request: message, negotiated, session, keyMessageId: keyMessage.id };
+      const result = await this.transmit(keyMessage);
+      if (!result.success) {
+        throw new Error(result.error || `Failed to send ${keyMessage.type}`);
+      }
+    } catch (error) {
+      console.error(`[OFFLINE] Failed to answer ${message.type}:`, error);
+    }
+  }
+
+  /**
+   * Handle the client's session key revealed after our own, then answer the
+   * pending connect over the secure session
+   */
+  private async handleSessionKey(message: Message): Promise<void> {
+    const pending = this.pendingHandshake;
+    if (!this.crypto || !pending || !MessageProtocol.isSessionKey(message) ||
+      message.payload.received_id !== pending.keyMessageId) {
+      console.warn('[OFFLINE] Ignoring session key without a pending connect');
+      return;
+    }
+    this.pendingHandshake = null;
+
+    const { request, negotiated, session } = pending;
+    try {
+      try {
+        session.establish(message.payload.public_key);
+      } catch (error) {
+        console.warn('[OFFLINE] Invalid session key:', (error as Error).message);
+        await this.transmitSigned(MessageProtocol.createError('Invalid session key', request.id), request.id);
+        return;
+      }
+
+      // Both sides can show the session code once the response is out
+      const accounts = this.peerSupports(Capability.ACCOUNTS) ? this.getAccounts() : undefined;
+      const response = request.type === MessageType.PING
+        ? MessageProtocol.createPong(request.id, negotiated)
+        : MessageProtocol.createConnectResponse(this.crypto.getAddress(), request.id, negotiated, accounts);
+      this.crypto.signProtocolMessage(response, request.id);
+      this.session = session;
+      const result = await this.transmit(session.seal(response, false, this.peerSupports(Capability.COMPRESSION)));
+      
+      if (result.success) {
+        const capabilities = negotiated.capabilities.join(', ') || 'none';
+        console.log(`[OFFLINE] ${response.type} sent (protocol ${negotiated.version}, capabilities: ${capabilities})`);
+        this.emit('sessionCode', session.sas!);
+      } else {
+        throw new Error(result.error || `Failed to send ${response.type}`);
+      }
+    } catch (error) {
+      console.error(`[OFFLINE] Failed to answer ${request.type}:`, error);
+    }
+  }
+
+  /**
+   * Handle transaction request
+   */
+  private async handleTransactionRequest(message: Message): Promise<void> {
+    if (!MessageProtocol.isTxRequest(message)) {
+      console.error('[OFFLINE] Invalid transaction request message');
+      return;
+    }
+
+    let account: CryptoUtils;
+    let review: TransactionReview;
+    let replacement: ReplacementDescription | null = null;
+    let policyWarnings: string[];
+    try {
+      account = this.getRequestAccount(message);
+      review = this.reviewTransaction(message.payload.transaction, account.getAddress());
+      policyWarnings = this.checkPolicy([message.payload.transaction]);
+
+      // A replacement reuses the nonce of a pending transaction to speed it up or cancel it
+      const { replaces } = message.payload;
+      if (replaces !== undefined && replaces !== null) {
+        if (!this.peerSupports(Capability.REPLACEMENT)) {
+          throw new Error('Transaction replacement was not negotiated');
+        }
+        replacement = CryptoUtils.describeReplacement(message.payload.transaction, replaces, account.getAddress());
+      }
+    } catch (error) {
+      console.warn('[OFFLINE] Refusing transaction:', (error as Error).message);
+      await this.recordRejected(message, (error as Error).message);
+      await this.transmitSigned(MessageProtocol.createError((error as Error).message, message.id), message.id);
+      return;
+    }
+    
+    console.log('[OFFLINE] Transaction request received:');
+    if (replacement) {
+      console.log(CryptoUtils.formatReplacementForDisplay(replacement));
+    }
+    console.log(review.formattedTransaction);
+    policyWarnings.forEach(warning => console.warn(`[OFFLINE] Policy warning: ${warning}`));
+
+    // Emit transaction request event for UI handling
+    this.emit('transactionRequest', { message, account: account.getAccount(), ...review, replacement, policyWarnings });
+  }
+
+  /**
+   * Handle transaction batch request
+   */
+  private async handleTxBatchRequest(message: Message): Promise<void> {
+    if (!MessageProtocol.isTxBatchRequest(message)) {
+      console.error('[OFFLINE] Invalid transaction batch request message');
+      return;
+    }
+
+    const { transactions } = message.payload;
+    let account: CryptoUtils;
+    let items: TransactionReview[];
+    let policyWarnings: string[];
+    try {
+      if (!this.peerSupports(Capability.BATCH)) {
+        throw new Error('Batch requests were not negotiated');
+      }
+      if (!Array.isArray(transactions) || transactions.length === 0) {
+        throw new Error('Batch without transactions');
+      }
+      if (transactions.length > MessageProtocol.MAX_BATCH_SIZE) {
+        throw new Error(`Batch of ${transactions.length} transactions, at most ${MessageProtocol.MAX_BATCH_SIZE} are allowed`);
+      }
+      account = this.getRequestAccount(message);
+      // Any malformed transaction or rejecting policy rule rejects the whole batch
+      items = transactions.map(transaction => this.reviewTransaction(transaction, account.getAddress()));
+      policyWarnings = this.checkPolicy(transactions);
+    } catch (error) {
+      console.warn('[OFFLINE] Refusing transaction batch:', (error as Error).message);
+      await this.recordRejected(message, (error as Error).message);
+      await this.transmitSigned(MessageProtocol.createError((error as Error).message, message.id), message.id);
+      return;
+    }
+
+    console.log('[OFFLINE] Transaction batch request received:');
+    console.log(CryptoUtils.formatBatchForDisplay(transactions, this.tokens, account.getAddress()));
+    policyWarnings.forEach(warning => console.warn(`[OFFLINE] Policy warning: ${warning}`));
+
+    // Emit batch request event for UI handling
+    this.emit('txBatchRequest', {
+      message,
+      account: account.getAccount(),
+      items,
+      batch: CryptoUtils.describeBatch(transactions),
+      policyWarnings,
+    });
+  }
+
+  /**
+   * Throw while signing is refused because of a ledger that failed verification
+   */
+  private checkLedger(): void {
+    if (this.isLedgerBlocked()) {
+      throw new Error('The signing ledger failed verification, acknowledge the failure or reset the ledger before signing');
+    }
+  }
+
+  /**
+   * Log requests in the ledger, as signed unless a record says otherwise,
+   * and store it. Throws when the ledger cannot be stored, so nothing
+   * leaves the wallet that the ledger does not show.
+   */
+  private async appendToLedger(records: Array<Partial<LedgerRecord> & { kind: LedgerKind }>, message: Message): Promise<void> {
+    if (!this.ledger || !this.crypto) {
+      throw new Error('Wallet not initialized');
+    }
+
+    for (const record of records) {
+      this.ledger.append({ status: 'signed', requestId: message.id, ...record });
+    }
+    if (!await SecureStorage.storeLedger(this.crypto.getAddress(), this.ledger.list())) {
+      throw new Error('Failed to store the signing ledger');
+    }
+    this.emit('ledgerChanged');
+  }
+
+  /**
+   * Log a rejected request in the ledger, with one entry per transaction
+   * for transaction requests
+   */
+  private async recordRejected(message: Message, reason: string): Promise<void> {
+    const kind: LedgerKind = message.type === MessageType.SIGN_MESSAGE_REQUEST ? 'message'
+      : message.type === MessageType.SIGN_TYPED_DATA_REQUEST ? 'typed_data'
+        : 'transaction';
+    const payload = message.payload || {};
+    const transactions = message.type === MessageType.TX_BATCH_REQUEST
+      && Array.isArray(payload.transactions) && payload.transactions.length > 0
+      ? payload.transactions
+      : [payload.transaction];
+    // The requested account, left out when it is not a valid address
+    const account = payload.account ?? this.getAddress();
+
+    try {
+      await this.appendToLedger(transactions.map((transaction: TransactionData | undefined) => ({
+        kind,
+        status: 'rejected',
+        account: typeof account === 'string' && ethers.isAddress(account) ? ethers.getAddress(account) : null,
+        reason,
+        ...(kind === 'transaction' ? SigningLedger.describeTransaction(transaction) : {}),
+      })), message);
+    } catch (error) {
+      console.error('[OFFLINE] Failed to log rejected request:', error);
+    }
+  }
+
+  /**
+   * The account a signing request is for: the one its `account` names, or
+   * the primary account when it names none. Throws for accounts this
+   * wallet does not have.
+   */
+  private getRequestAccount(message: Message): CryptoUtils {
+    if (!this.crypto) {
+      throw new Error('Wallet not initialized');
+    }
+
+    const address = message.payload.account;
+    if (address === undefined || address === null) {
+      return this.crypto;
+    }
+    if (!this.peerSupports(Capability.ACCOUNTS)) {
+      throw new Error('Account selection was not negotiated');
+    }
+
+    const account = typeof address === 'string' && ethers.isAddress(address)
+      ? this.accounts.find(candidate => candidate.getAddress() === ethers.getAddress(address))
+      : undefined;
+    if (!account) {
+      throw new Error(`Unknown account: ${address}`);
+    }
+    return account;
+  }
+
+  /**
+   * Check transactions against the signing policy, counting each towards
+   * the daily cap of the ones after it. Throws listing every rule that
+   * rejects them, and returns the warnings the user has to confirm.
+   */
+  private checkPolicy(transactions: TransactionData[]): string[] {
+    const rejections: string[] = [];
+    const warnings: string[] = [];
+    transactions.forEach((transaction, index) => {
+      const prefix = transactions.length > 1 ? `Transaction ${index + 1}: ` : '';
+      for (const violation of this.policy.check(transaction, transactions.slice(0, index))) {
+        (violation.action === 'reject' ? rejections : warnings).push(prefix + violation.message);
+      }
+    });
+
+    if (rejections.length > 0) {
+      throw new Error(`Rejected by signing policy: ${rejections.join('; ')}`);
+    }
+    return warnings;
+  }
+
+  /**
+   * Prepare a requested transaction for review, throwing when it is not
+   * acceptable: an unknown type, EIP-1559 fees or an access list that were
+   * not negotiated, or a deployment without bytecode
+   */
+  private reviewTransaction(transaction: TransactionData, sender: string): TransactionReview {
+    const type = transaction.type === undefined ? 0 : CryptoUtils.parseHexToNumber(transaction.type);
+    if (![0, 1, 2].includes(type)) {
+      throw new Error(`Unsupported transaction type: ${type}`);
+    }
+    if (CryptoUtils.isEip1559(transaction) && !this.peerSupports(Capability.EIP1559)) {
+      throw new Error('EIP-1559 transactions were not negotiated');
+    }
+
+    // EIP-2930 and EIP-1559 transactions may carry an access list
+    const accessList = CryptoUtils.describeAccessList(transaction);
+    if (accessList && type === 0) {
+      throw new Error('Legacy transactions cannot carry an access list');
+    }
+    if (accessList && !this.peerSupports(Capability.ACCESS_LIST)) {
+      throw new Error('Access list transactions were not negotiated');
+    }
+
+    if (!transaction.to && (!transaction.data || transaction.data === '0x')) {
+      throw new Error('Contract deployment without bytecode');
+    }
+
+    return {
       transaction,
-      formattedTransaction,
+      formattedTransaction: CryptoUtils.formatTransactionForDisplay(transaction, this.tokens, sender),
+      contractCall: transaction.to && transaction.data && transaction.data !== '0x'
+        ? CryptoUtils.describeTransactionCall(transaction, this.tokens)
+        : null,
+      deployment: transaction.to ? null : CryptoUtils.describeDeployment(transaction, sender),
+      accessList,
+    };
+  }
+
+  /**
+   * Handle EIP-191 personal_sign request
+   */
+  private async handleSignMessageRequest(message: Message): Promise<void> {
+    if (!MessageProtocol.isSignMessageRequest(message)) {
+      console.error('[OFFLINE] Invalid message signing request');
+      return;
+    }
+
+    const data = message.payload.message;
+    let account: CryptoUtils;
+    try {
+      if (typeof data !== 'string' || !ethers.isHexString(data, true)) {
+        throw new Error('Message must be hex encoded');
+      }
+      account = this.getRequestAccount(message);
+    } catch (error) {
+      console.warn('[OFFLINE] Refusing message signing request:', (error as Error).message);
+      await this.recordRejected(message, (error as Error).message);
+      await this.transmitSigned(MessageProtocol.createError((error as Error).message, message.id), message.id);
+      return;
+    }
+
+    const formattedMessage = CryptoUtils.formatMessageForDisplay(data);
+
+    console.log('[OFFLINE] Message signing request received:');
+    console.log(formattedMessage);
+
+    // Emit message signing event for UI handling
+    this.emit('signMessageRequest', {
+      message,
+      account: account.getAccount(),
+      data,
+      formattedMessage,
+      looksLikeHash: CryptoUtils.looksLikeHash(ethers.getBytes(data)),
+    });
+  }
+
+  /**
+   * Handle EIP-712 typed data signing request
+   */
+  private async handleSignTypedDataRequest(message: Message): Promise<void> {
+    if (!MessageProtocol.isSignTypedDataRequest(message)) {
+      console.error('[OFFLINE] Invalid typed data signing request');
+      return;
+    }
+
+    const { typedData } = message.payload;
+    let account: CryptoUtils;
+    try {
+      account = this.getRequestAccount(message);
+    } catch (error) {
+      console.warn('[OFFLINE] Refusing typed data signing request:', (error as Error).message);
+      await this.recordRejected(message, (error as Error).message);
+      await this.transmitSigned(MessageProtocol.createError((error as Error).message, message.id), message.id);
+      return;
+    }
+
+    let description: TypedDataDescription;
+    try {
+      // Also rejects typed data whose values do not match their types
+      description = CryptoUtils.describeTypedData(typedData);
+    } catch (error) {
+      console.warn('[OFFLINE] Invalid typed data:', (error as Error).message);
+      await this.recordRejected(message, `Invalid typed data: ${(error as Error).message}`);
+      await this.transmitSigned(
+        MessageProtocol.createError(`Invalid typed data: ${(error as Error).message}`, message.id),
+        message.id
+      );
+      return;
+    }
+
+    const formattedTypedData = CryptoUtils.formatTypedDataForDisplay(typedData);
+
+    console.log('[OFFLINE] Typed data signing request received:');
+    console.log(formattedTypedData);
+
+    // Emit typed data request event for UI handling
+    this.emit('typedDataRequest', {
+      message,
+      account: account.getAccount(),
+      typedData,
+      description,
+      formattedTypedData,
     });
   }
 
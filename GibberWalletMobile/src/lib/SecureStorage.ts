@@ -1,33 +1,56 @@
 import * as Keychain from 'react-native-keychain';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { TokenInfo } from './TokenRegistry';
+import { PolicyRules } from './SigningPolicy';
+import { LedgerEntry } from './SigningLedger';
+import { ShamirBackup } from './ShamirBackup';
 
 /**
- * Secure storage utility for managing sensitive data like private keys
+ * A wallet kept on the device, listed without unlocking its key
+ */
+export interface WalletEntry {
+  alias: string;
+  address: string;
+  type: 'mnemonic' | 'privateKey';
+}
+
+/**
+ * Secure storage utility for managing sensitive data like private keys.
+ *
+ * Several wallets can be kept, each under its own alias with its own
+ * keychain entries and config. The default wallet keeps the entries used
+ * before there were several, so existing installs open as the default wallet.
  */
 export class SecureStorage {
+  static readonly DEFAULT_WALLET = 'default';
+  static readonly MAX_ALIAS_LENGTH = 32;
+
   private static readonly PRIVATE_KEY_SERVICE = 'GibberWallet_PrivateKey';
+  private static readonly MNEMONIC_SERVICE = 'GibberWallet_Mnemonic';
   private static readonly WALLET_CONFIG_KEY = 'GibberWallet_Config';
+  private static readonly WALLET_LIST_KEY = 'GibberWallet_Wallets';
+  private static readonly ACTIVE_WALLET_KEY = 'GibberWallet_ActiveWallet';
+  private static readonly TOKEN_LIST_KEY = 'GibberWallet_Tokens';
+  private static readonly POLICY_KEY = 'GibberWallet_Policy';
+  private static readonly LEDGER_KEY_PREFIX = 'GibberWallet_Ledger_';
+  private static readonly LEDGER_ARCHIVE_KEY_PREFIX = 'GibberWallet_LedgerArchive_';
 
   /**
    * Store private key securely in iOS Keychain
    */
   static async storePrivateKey(
     privateKey: string,
-    alias: string = 'default'
+    alias: string = SecureStorage.DEFAULT_WALLET
   ): Promise<boolean> {
     try {
-      const options: Keychain.Options = {
-        service: SecureStorage.PRIVATE_KEY_SERVICE,
+      const server = SecureStorage.keychainServer(SecureStorage.PRIVATE_KEY_SERVICE, alias);
+      const options: Keychain.SetOptions = {
+        service: server,
         accessControl: Keychain.ACCESS_CONTROL.BIOMETRY_ANY_OR_DEVICE_PASSCODE,
-        authenticatePrompt: 'Authenticate to access your wallet',
+        authenticationPrompt: { title: 'Authenticate to access your wallet' },
       };
 
-      await Keychain.setInternetCredentials(
-        SecureStorage.PRIVATE_KEY_SERVICE,
-        alias,
-        privateKey,
-        options
-      );
+      await Keychain.setInternetCredentials(server, alias, privateKey, options);
 
       return true;
     } catch (error) {
@@ -39,10 +62,10 @@ export class SecureStorage {
   /**
    * Retrieve private key from iOS Keychain
    */
-  static async getPrivateKey(alias: string = 'default'): Promise<string | null> {
+  static async getPrivateKey(alias: string = SecureStorage.DEFAULT_WALLET): Promise<string | null> {
     try {
       const credentials = await Keychain.getInternetCredentials(
-        SecureStorage.PRIVATE_KEY_SERVICE
+        SecureStorage.keychainServer(SecureStorage.PRIVATE_KEY_SERVICE, alias)
       );
 
       if (credentials && credentials.username === alias) {
@@ -59,38 +82,235 @@ export class SecureStorage {
   /**
    * Check if private key exists
    */
-  static async hasPrivateKey(alias: string = 'default'): Promise<boolean> {
+  static async hasPrivateKey(alias: string = SecureStorage.DEFAULT_WALLET): Promise<boolean> {
+    try {
+      return await Keychain.hasInternetCredentials(
+        SecureStorage.keychainServer(SecureStorage.PRIVATE_KEY_SERVICE, alias)
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Delete a wallet's private key from storage
+   */
+  static async deletePrivateKey(alias: string = SecureStorage.DEFAULT_WALLET): Promise<boolean> {
+    try {
+      await Keychain.resetInternetCredentials({
+        server: SecureStorage.keychainServer(SecureStorage.PRIVATE_KEY_SERVICE, alias),
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to delete private key:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Store a BIP-39 mnemonic and its passphrase securely in iOS Keychain
+   */
+  static async storeMnemonic(
+    mnemonic: string,
+    passphrase: string = '',
+    alias: string = SecureStorage.DEFAULT_WALLET
+  ): Promise<boolean> {
+    try {
+      const server = SecureStorage.keychainServer(SecureStorage.MNEMONIC_SERVICE, alias);
+      const options: Keychain.SetOptions = {
+        service: server,
+        accessControl: Keychain.ACCESS_CONTROL.BIOMETRY_ANY_OR_DEVICE_PASSCODE,
+        authenticationPrompt: { title: 'Authenticate to access your wallet' },
+      };
+
+      await Keychain.setInternetCredentials(
+        server,
+        alias,
+        JSON.stringify({ mnemonic, passphrase }),
+        options
+      );
+
+      return true;
+    } catch (error) {
+      console.error('Failed to store mnemonic:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Retrieve the mnemonic and passphrase from iOS Keychain
+   */
+  static async getMnemonic(
+    alias: string = SecureStorage.DEFAULT_WALLET
+  ): Promise<{ mnemonic: string; passphrase: string } | null> {
     try {
       const credentials = await Keychain.getInternetCredentials(
-        SecureStorage.PRIVATE_KEY_SERVICE
+        SecureStorage.keychainServer(SecureStorage.MNEMONIC_SERVICE, alias)
       );
 
-      return credentials && credentials.username === alias;
+      if (credentials && credentials.username === alias) {
+        return JSON.parse(credentials.password);
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Failed to retrieve mnemonic:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a wallet's mnemonic from storage
+   */
+  static async deleteMnemonic(alias: string = SecureStorage.DEFAULT_WALLET): Promise<boolean> {
+    try {
+      await Keychain.resetInternetCredentials({
+        server: SecureStorage.keychainServer(SecureStorage.MNEMONIC_SERVICE, alias),
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to delete mnemonic:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Split the stored mnemonic into `count` backup shares, any `threshold` of
+   * which recover it, see ShamirBackup. Returns null without a stored mnemonic.
+   */
+  static async splitMnemonic(
+    threshold: number,
+    count: number,
+    alias: string = SecureStorage.DEFAULT_WALLET
+  ): Promise<string[] | null> {
+    const stored = await SecureStorage.getMnemonic(alias);
+    return stored ? ShamirBackup.split(stored.mnemonic, threshold, count) : null;
+  }
+
+  /**
+   * Check if a wallet is stored, as a private key or a mnemonic
+   */
+  static async hasWallet(alias: string = SecureStorage.DEFAULT_WALLET): Promise<boolean> {
+    if (await SecureStorage.hasPrivateKey(alias)) {
+      return true;
+    }
+    try {
+      return await Keychain.hasInternetCredentials(
+        SecureStorage.keychainServer(SecureStorage.MNEMONIC_SERVICE, alias)
+      );
     } catch (error) {
       return false;
     }
   }
 
   /**
-   * Delete private key from storage
+   * Wallets kept on the device, in the order they were added
    */
-  static async deletePrivateKey(): Promise<boolean> {
+  static async listWallets(): Promise<WalletEntry[]> {
     try {
-      await Keychain.resetInternetCredentials(SecureStorage.PRIVATE_KEY_SERVICE);
+      const listStr = await AsyncStorage.getItem(SecureStorage.WALLET_LIST_KEY);
+      return listStr ? JSON.parse(listStr) : [];
+    } catch (error) {
+      console.error('Failed to retrieve wallet list:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Add a wallet to the list, or update the entry with its alias
+   */
+  static async addWallet(entry: WalletEntry): Promise<boolean> {
+    try {
+      const wallets = await SecureStorage.listWallets();
+      const index = wallets.findIndex(wallet => wallet.alias === entry.alias);
+      if (index >= 0) {
+        wallets[index] = entry;
+      } else {
+        wallets.push(entry);
+      }
+      await AsyncStorage.setItem(SecureStorage.WALLET_LIST_KEY, JSON.stringify(wallets));
       return true;
     } catch (error) {
-      console.error('Failed to delete private key:', error);
+      console.error('Failed to store wallet list:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete one wallet's key, mnemonic and config and drop it from the list,
+   * leaving the other wallets. Its signing ledger is kept for audits.
+   */
+  static async deleteWallet(alias: string): Promise<boolean> {
+    const deleted = await SecureStorage.deletePrivateKey(alias)
+      && await SecureStorage.deleteMnemonic(alias)
+      && await SecureStorage.deleteConfig(alias);
+    if (!deleted) {
+      return false;
+    }
+
+    try {
+      const wallets = (await SecureStorage.listWallets()).filter(wallet => wallet.alias !== alias);
+      await AsyncStorage.setItem(SecureStorage.WALLET_LIST_KEY, JSON.stringify(wallets));
+      if (await SecureStorage.getActiveWallet() === alias) {
+        await AsyncStorage.removeItem(SecureStorage.ACTIVE_WALLET_KEY);
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to store wallet list:', error);
       return false;
     }
   }
 
   /**
-   * Store non-sensitive configuration data
+   * Alias of the wallet opened at launch
    */
-  static async storeConfig(config: Record<string, any>): Promise<boolean> {
+  static async getActiveWallet(): Promise<string> {
+    try {
+      return await AsyncStorage.getItem(SecureStorage.ACTIVE_WALLET_KEY) ?? SecureStorage.DEFAULT_WALLET;
+    } catch (error) {
+      return SecureStorage.DEFAULT_WALLET;
+    }
+  }
+
+  /**
+   * Open the wallet with `alias` at launch
+   */
+  static async setActiveWallet(alias: string): Promise<boolean> {
+    try {
+      await AsyncStorage.setItem(SecureStorage.ACTIVE_WALLET_KEY, alias);
+      return true;
+    } catch (error) {
+      console.error('Failed to store active wallet:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Why an alias cannot name a new wallet, or null if it can
+   */
+  static async checkAlias(alias: string): Promise<string | null> {
+    if (alias.trim() !== alias || alias === '') {
+      return 'Wallet names cannot be empty or start or end with spaces';
+    }
+    if (alias.length > SecureStorage.MAX_ALIAS_LENGTH) {
+      return `Wallet names are at most ${SecureStorage.MAX_ALIAS_LENGTH} characters`;
+    }
+    if (await SecureStorage.hasWallet(alias)) {
+      return `A wallet named "${alias}" already exists`;
+    }
+    return null;
+  }
+
+  /**
+   * Store non-sensitive configuration data of a wallet
+   */
+  static async storeConfig(
+    config: Record<string, any>,
+    alias: string = SecureStorage.DEFAULT_WALLET
+  ): Promise<boolean> {
     try {
       await AsyncStorage.setItem(
-        SecureStorage.WALLET_CONFIG_KEY,
+        SecureStorage.configKey(alias),
         JSON.stringify(config)
       );
       return true;
@@ -101,11 +321,11 @@ export class SecureStorage {
   }
 
   /**
-   * Retrieve configuration data
+   * Retrieve configuration data of a wallet
    */
-  static async getConfig(): Promise<Record<string, any> | null> {
+  static async getConfig(alias: string = SecureStorage.DEFAULT_WALLET): Promise<Record<string, any> | null> {
     try {
-      const configStr = await AsyncStorage.getItem(SecureStorage.WALLET_CONFIG_KEY);
+      const configStr = await AsyncStorage.getItem(SecureStorage.configKey(alias));
       if (configStr) {
         return JSON.parse(configStr);
       }
@@ -117,11 +337,11 @@ export class SecureStorage {
   }
 
   /**
-   * Delete configuration data
+   * Delete configuration data of a wallet
    */
-  static async deleteConfig(): Promise<boolean> {
+  static async deleteConfig(alias: string = SecureStorage.DEFAULT_WALLET): Promise<boolean> {
     try {
-      await AsyncStorage.removeItem(SecureStorage.WALLET_CONFIG_KEY);
+      await AsyncStorage.removeItem(SecureStorage.configKey(alias));
       return true;
     } catch (error) {
       console.error('Failed to delete config:', error);
@@ -129,6 +349,111 @@ export class SecureStorage {
     }
   }
 
+  /**
+   * Store the edited token list
+   */
+  static async storeTokenList(tokens: TokenInfo[]): Promise<boolean> {
+    try {
+      await AsyncStorage.setItem(
+        SecureStorage.TOKEN_LIST_KEY,
+        JSON.stringify({ name: 'GibberWallet Tokens', tokens })
+      );
+      return true;
+    } catch (error) {
+      console.error('Failed to store token list:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Retrieve the edited token list, or null if the bundled list is in use
+   */
+  static async getTokenList(): Promise<TokenInfo[] | null> {
+    try {
+      const listStr = await AsyncStorage.getItem(SecureStorage.TOKEN_LIST_KEY);
+      if (listStr) {
+        return JSON.parse(listStr).tokens;
+      }
+      return null;
+    } catch (error) {
+      console.error('Failed to retrieve token list:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store the signing policy
+   */
+  static async storePolicy(policy: PolicyRules): Promise<boolean> {
+    try {
+      await AsyncStorage.setItem(SecureStorage.POLICY_KEY, JSON.stringify(policy));
+      return true;
+    } catch (error) {
+      console.error('Failed to store signing policy:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Retrieve the signing policy, or null if none is set
+   */
+  static async getPolicy(): Promise<PolicyRules | null> {
+    try {
+      const policyStr = await AsyncStorage.getItem(SecureStorage.POLICY_KEY);
+      if (policyStr) {
+        return JSON.parse(policyStr);
+      }
+      return null;
+    } catch (error) {
+      console.error('Failed to retrieve signing policy:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store the signing ledger of a wallet address, which only ever grows.
+   * Ledgers are kept when the wallet is deleted, so its activity can
+   * still be audited.
+   */
+  static async storeLedger(address: string, entries: LedgerEntry[]): Promise<boolean> {
+    try {
+      await AsyncStorage.setItem(
+        SecureStorage.LEDGER_KEY_PREFIX + address.toLowerCase(),
+        JSON.stringify(entries)
+      );
+      return true;
+    } catch (error) {
+      console.error('Failed to store signing ledger:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Retrieve the signing ledger of a wallet address, oldest entry first.
+   * Throws when it cannot be read, so it is never taken for an empty one.
+   */
+  static async getLedger(address: string): Promise<LedgerEntry[]> {
+    const ledgerStr = await AsyncStorage.getItem(SecureStorage.LEDGER_KEY_PREFIX + address.toLowerCase());
+    return ledgerStr ? JSON.parse(ledgerStr) : [];
+  }
+
+  /**
+   * Keep a ledger that failed verification apart from the ledger the
+   * wallet writes to, so it can still be audited after a reset
+   */
+  static async archiveLedger(address: string, entries: LedgerEntry[], now: number = Date.now()): Promise<boolean> {
+    try {
+      await AsyncStorage.setItem(
+        `${SecureStorage.LEDGER_ARCHIVE_KEY_PREFIX}${address.toLowerCase()}_${now}`,
+        JSON.stringify(entries)
+      );
+      return true;
+    } catch (error) {
+      console.error('Failed to archive signing ledger:', error);
+      return false;
+    }
+  }
+
   /**
    * Check if biometric authentication is available
    */
@@ -151,4 +476,20 @@ export class SecureStorage {
       return null;
     }
   }
+
+  /**
+   * Keychain server of a wallet's entry, the bare service for the default wallet
+   */
+  private static keychainServer(service: string, alias: string): string {
+    return alias === SecureStorage.DEFAULT_WALLET ? service : `${service}:${alias}`;
+  }
+
+  /**
+   * AsyncStorage key of a wallet's config, the bare key for the default wallet
+   */
+  private static configKey(alias: string): string {
+    return alias === SecureStorage.DEFAULT_WALLET
+      ? SecureStorage.WALLET_CONFIG_KEY
+      : `${SecureStorage.WALLET_CONFIG_KEY}:${alias}`;
+  }
 }
\ No newline at end of file
@@ -0,0 +1,269 @@
+import { ethers } from 'ethers';
+import { CryptoUtils } from './CryptoUtils';
+
+/**
+ * A decoded backup share: a point of the polynomial with the backup it
+ * belongs to
+ */
+export interface Share {
+  id: number;
+  threshold: number;
+  count: number;
+  index: number;
+  value: Uint8Array;
+}
+
+interface Point {
+  index: number;
+  value: Uint8Array;
+}
+
+/**
+ * M-of-N backup of a wallet's BIP-39 mnemonic with Shamir's secret sharing,
+ * so that any M shares recover the wallet and fewer reveal nothing about it.
+ * Shares are interchangeable with those of the Node wallet.
+ *
+ * The mnemonic's entropy is shared byte by byte over GF(256) as in SLIP-39,
+ * including its digest share, so recovering from shares of different
+ * backups is detected. Each share is written as words of the BIP-39 English
+ * list and carries a checksum, so a miscopied word is found before recovery:
+ *
+ *     version (1) | id (2) | threshold (1) | count (1) | index (1) | value | checksum (4)
+ *
+ * Shares of a 12-word mnemonic are 19 words long, those of a 24-word
+ * mnemonic 31 words, neither of which is a valid mnemonic length.
+ */
+export class ShamirBackup {
+  static readonly VERSION = 1;
+  static readonly MAX_SHARES = 16;
+
+  // x coordinates of the digest and the secret, as in SLIP-39
+  static readonly DIGEST_INDEX = 254;
+  static readonly SECRET_INDEX = 255;
+
+  static readonly DIGEST_LENGTH = 4;
+  static readonly CHECKSUM_LENGTH = 4;
+  static readonly HEADER_LENGTH = 6;
+
+  static readonly CHECKSUM_LABEL = 'GibberWallet share';
+
+  // Exponent and logarithm tables of GF(256) with the AES polynomial
+  private static readonly EXP = new Uint8Array(255);
+  private static readonly LOG = ShamirBackup.buildTables(ShamirBackup.EXP);
+
+  /**
+   * Split a mnemonic into `count` shares, any `threshold` of which recover it
+   */
+  static split(phrase: string, threshold: number, count: number): string[] {
+    if (!Number.isInteger(count) || count < 2 || count > ShamirBackup.MAX_SHARES) {
+      throw new Error(`The number of shares must be between 2 and ${ShamirBackup.MAX_SHARES}`);
+    }
+    if (!Number.isInteger(threshold) || threshold < 2 || threshold > count) {
+      throw new Error(`The threshold must be between 2 and the number of shares (${count})`);
+    }
+
+    if (!CryptoUtils.validateMnemonic(phrase)) {
+      throw new Error('Invalid mnemonic');
+    }
+
+    const secret = ethers.getBytes(ethers.Mnemonic.fromPhrase(CryptoUtils.normalizeMnemonic(phrase)).entropy);
+    const random = ethers.randomBytes(secret.length - ShamirBackup.DIGEST_LENGTH);
+    const digest = ethers.concat([ShamirBackup.digest(random, secret), random]);
+
+    // threshold - 2 random points, the digest and the secret fix the polynomial
+    const points: Point[] = [];
+    for (let index = 0; index < threshold - 2; index++) {
+      points.push({ index, value: ethers.randomBytes(secret.length) });
+    }
+    points.push({ index: ShamirBackup.DIGEST_INDEX, value: ethers.getBytes(digest) });
+    points.push({ index: ShamirBackup.SECRET_INDEX, value: secret });
+
+    const id = ethers.randomBytes(2);
+    return Array.from({ length: count }, (_, index) => {
+      const value = index < threshold - 2 ? points[index].value : ShamirBackup.interpolate(points, index);
+      return ShamirBackup.encodeShare({ id: (id[0] << 8) | id[1], threshold, count, index, value });
+    });
+  }
+
+  /**
+   * Recover the mnemonic from shares of one backup, checking each share's
+   * checksum and the digest of the recovered secret
+   */
+  static recover(shares: Array<string | Share>): string {
+    const parsed = shares.map(share => typeof share === 'string' ? ShamirBackup.parseShare(share) : share);
+    if (parsed.length === 0) {
+      throw new Error('No shares given');
+    }
+
+    ShamirBackup.checkShares(parsed);
+    const [first] = parsed;
+    if (parsed.length < first.threshold) {
+      throw new Error(`${first.threshold} shares are needed, only ${parsed.length} were given`);
+    }
+
+    const points = parsed.slice(0, first.threshold);
+    const secret = ShamirBackup.interpolate(points, ShamirBackup.SECRET_INDEX);
+    const digest = ShamirBackup.interpolate(points, ShamirBackup.DIGEST_INDEX);
+    const expected = ShamirBackup.digest(digest.slice(ShamirBackup.DIGEST_LENGTH), secret);
+    if (!expected.every((byte, i) => byte === digest[i])) {
+      throw new Error('The recovered seed failed its digest check, the shares do not belong together');
+    }
+    return ethers.Mnemonic.entropyToPhrase(secret);
+  }
+
+  /**
+   * Check that parsed shares are distinct shares of one backup, before
+   * there are enough of them to recover it
+   */
+  static checkShares(shares: Share[]): void {
+    const [first] = shares;
+    const indexes = new Set<number>();
+    for (const share of shares) {
+      if (share.id !== first.id || share.threshold !== first.threshold || share.value.length !== first.value.length) {
+        throw new Error('The shares are from different backups');
+      }
+      if (indexes.has(share.index)) {
+        throw new Error(`Share ${share.index + 1} was given twice`);
+      }
+      indexes.add(share.index);
+    }
+  }
+
+  /**
+   * Decode a share written as words, throwing for unknown words and a
+   * checksum that does not match
+   */
+  static parseShare(text: string): Share {
+    const words = text.trim().toLowerCase().split(/\s+/).filter(word => word !== '');
+    let bits = '';
+    words.forEach((word, position) => {
+      const index = ethers.wordlists.en.getWordIndex(word);
+      if (index < 0) {
+        throw new Error(`Word ${position + 1} of the share, "${word}", is not a backup word`);
+      }
+      bits += index.toString(2).padStart(11, '0');
+    });
+
+    const length = Math.floor(bits.length / 8);
+    if (/1/.test(bits.slice(length * 8)) || length < ShamirBackup.HEADER_LENGTH + 16 + ShamirBackup.CHECKSUM_LENGTH) {
+      throw new Error('The share has the wrong number of words');
+    }
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+      bytes[i] = parseInt(bits.slice(i * 8, i * 8 + 8), 2);
+    }
+
+    const body = bytes.slice(0, length - ShamirBackup.CHECKSUM_LENGTH);
+    const checksum = bytes.slice(length - ShamirBackup.CHECKSUM_LENGTH);
+    if (!ShamirBackup.checksum(body).every((byte, i) => byte === checksum[i])) {
+      throw new Error('The share\'s checksum does not match, check its words');
+    }
+    if (body[0] !== ShamirBackup.VERSION) {
+      throw new Error(`Unsupported share version ${body[0]}`);
+    }
+
+    const share: Share = {
+      id: (body[1] << 8) | body[2],
+      threshold: body[3],
+      count: body[4],
+      index: body[5],
+      value: body.slice(ShamirBackup.HEADER_LENGTH),
+    };
+    if (share.value.length % 4 !== 0 || share.value.length > 32 || share.index >= share.count || share.threshold > share.count) {
+      throw new Error('The share is malformed');
+    }
+    return share;
+  }
+
+  /**
+   * Encode a share as words of the BIP-39 English list, 11 bits per word
+   */
+  static encodeShare(share: Share): string {
+    const body = new Uint8Array([
+      ShamirBackup.VERSION,
+      share.id >> 8,
+      share.id & 0xff,
+      share.threshold,
+      share.count,
+      share.index,
+      ...share.value,
+    ]);
+    const bytes = ethers.getBytes(ethers.concat([body, ShamirBackup.checksum(body)]));
+
+    const bits = Array.from(bytes, byte => byte.toString(2).padStart(8, '0')).join('');
+    const padded = bits.padEnd(Math.ceil(bits.length / 11) * 11, '0');
+    const words: string[] = [];
+    for (let i = 0; i < padded.length; i += 11) {
+      words.push(ethers.wordlists.en.getWord(parseInt(padded.slice(i, i + 11), 2)));
+    }
+    return words.join(' ');
+  }
+
+  /**
+   * Evaluate at `x` the polynomial through `points`, byte by byte
+   */
+  static interpolate(points: Point[], x: number): Uint8Array {
+    const known = points.find(point => point.index === x);
+    if (known) {
+      return Uint8Array.from(known.value);
+    }
+
+    const { EXP, LOG } = ShamirBackup;
+    const result = new Uint8Array(points[0].value.length);
+    for (const point of points) {
+      // Logarithm of the Lagrange basis polynomial of `point` at x
+      let basis = 0;
+      for (const other of points) {
+        if (other !== point) {
+          basis += LOG[x ^ other.index] - LOG[point.index ^ other.index] + 255;
+        }
+      }
+      for (let i = 0; i < result.length; i++) {
+        if (point.value[i] !== 0) {
+          result[i] ^= EXP[(LOG[point.value[i]] + basis) % 255];
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Fill `exp` with the powers of the generator 3 and return their logarithms
+   */
+  private static buildTables(exp: Uint8Array): Uint8Array {
+    const log = new Uint8Array(256);
+    let value = 1;
+    for (let power = 0; power < 255; power++) {
+      exp[power] = value;
+      log[value] = power;
+      // Multiply by the generator 3
+      value ^= value << 1;
+      if (value & 0x100) {
+        value ^= 0x11b;
+      }
+    }
+    return log;
+  }
+
+  /**
+   * Digest that ties the secret to the random part of its digest share
+   */
+  static digest(random: Uint8Array, secret: Uint8Array): Uint8Array {
+    return ethers.getBytes(ethers.computeHmac('sha256', random, secret)).slice(0, ShamirBackup.DIGEST_LENGTH);
+  }
+
+  /**
+   * Checksum of a share's body, which finds miscopied words
+   */
+  static checksum(body: Uint8Array): Uint8Array {
+    return ethers.getBytes(ethers.sha256(ethers.concat([ethers.toUtf8Bytes(ShamirBackup.CHECKSUM_LABEL), body])))
+      .slice(0, ShamirBackup.CHECKSUM_LENGTH);
+  }
+
+  /**
+   * Identifier, threshold and position of a share, for prompts
+   */
+  static describeShare(share: Share): string {
+    return `share ${share.index + 1} of ${share.count} (backup ${share.id.toString(16).padStart(4, '0')}, ${share.threshold} needed)`;
+  }
+}
@@ -0,0 +1,232 @@
+import { ethers } from 'ethers';
+import { CryptoUtils } from './CryptoUtils';
+import { MessageProtocol } from './MessageProtocol';
+
+export type LedgerKind = 'transaction' | 'message' | 'typed_data';
+
+export type LedgerStatus = 'signed' | 'rejected';
+
+/**
+ * Fields of a request logged in the ledger, missing fields are stored as null.
+ * `account` is the address that signed or was asked to sign.
+ */
+export interface LedgerRecord {
+  kind: LedgerKind;
+  status: LedgerStatus;
+  account?: string | null;
+  requestId?: string | null;
+  hash?: string | null;
+  chainId?: number | null;
+  nonce?: number | null;
+  to?: string | null;
+  value?: string | null;
+  reason?: string | null;
+}
+
+/**
+ * A logged request, with the hash of the entry before it and the wallet's
+ * signature over its own contents. Values are decimal strings of wei.
+ * Entries written before wallets had several accounts have no account.
+ */
+export interface LedgerEntry {
+  index: number;
+  time: number;
+  kind: LedgerKind;
+  status: LedgerStatus;
+  account?: string | null;
+  requestId: string | null;
+  hash: string | null;
+  chainId: number | null;
+  nonce: number | null;
+  to: string | null;
+  value: string | null;
+  reason: string | null;
+  previous: string;
+  signature: string;
+}
+
+/**
+ * Append-only log of every request the offline wallet signed or rejected,
+ * so its activity can be reconciled with the chain and the signing policy's
+ * daily cap holds across sessions. Entries are stored per wallet address
+ * in SecureStorage, in the same format as the Node wallet's ledger file.
+ *
+ * Each entry holds the hash of the entry before it and is signed by the
+ * wallet key, so changing, removing or reordering entries breaks the chain.
+ * Dropping the newest entries is only noticed against an earlier head hash.
+ */
+export class SigningLedger {
+  // Prefix of the signed digest, so entry signatures cannot be passed
+  // off as signatures of anything else
+  static readonly LABEL = 'GibberWallet ledger v1';
+
+  private crypto: CryptoUtils;
+  private entries: LedgerEntry[];
+
+  constructor(crypto: CryptoUtils, entries: LedgerEntry[] = []) {
+    this.crypto = crypto;
+    this.entries = [...entries];
+  }
+
+  /**
+   * Append a signed entry for a request. The caller stores it.
+   */
+  append(record: LedgerRecord, now: number = Date.now()): LedgerEntry {
+    const fields = {
+      index: this.entries.length,
+      time: now,
+      kind: record.kind,
+      status: record.status,
+      account: record.account ?? null,
+      requestId: record.requestId ?? null,
+      hash: record.hash ?? null,
+      chainId: record.chainId ?? null,
+      nonce: record.nonce ?? null,
+      to: record.to ?? null,
+      value: record.value ?? null,
+      reason: record.reason ?? null,
+      previous: this.getHead(),
+    };
+    const entry: LedgerEntry = { ...fields, signature: this.crypto.signDigest(SigningLedger.digest(fields)) };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * All entries, oldest first
+   */
+  list(): LedgerEntry[] {
+    return [...this.entries];
+  }
+
+  /**
+   * Hash of the newest entry, which every later entry builds on
+   */
+  getHead(): string {
+    return this.entries.length > 0 ? SigningLedger.digest(this.entries[this.entries.length - 1]) : ethers.ZeroHash;
+  }
+
+  /**
+   * Check the chain of entries and their signatures, throwing at the first
+   * entry that was changed, moved or not signed by this wallet
+   */
+  verify(): void {
+    SigningLedger.verifyEntries(this.entries, this.crypto.getAddress());
+  }
+
+  /**
+   * Check exported ledger entries against the address of the wallet that
+   * wrote them, so auditors can verify an export without the wallet key
+   */
+  static verifyEntries(entries: LedgerEntry[], address: string): void {
+    let previous = ethers.ZeroHash;
+    entries.forEach((entry, index) => {
+      if (entry.index !== index) {
+        throw new Error(`Ledger entry at position ${index} has index ${entry.index}, entries were removed or reordered`);
+      }
+      if (entry.previous !== previous) {
+        throw new Error(`Ledger entry ${index} does not follow the entry before it`);
+      }
+
+      const digest = SigningLedger.digest(entry);
+      let signer: string | null = null;
+      try {
+        signer = ethers.recoverAddress(digest, entry.signature);
+      } catch {
+        // Reported below as an invalid signature
+      }
+      if (signer !== ethers.getAddress(address)) {
+        throw new Error(`Ledger entry ${index} was changed or not signed by ${ethers.getAddress(address)}`);
+      }
+      previous = digest;
+    });
+  }
+
+  /**
+   * Digest of an entry without its signature, which the wallet signs and
+   * the next entry refers to
+   */
+  static digest(entry: Omit<LedgerEntry, 'signature'> & { signature?: string }): string {
+    const fields: Partial<LedgerEntry> = { ...entry };
+    delete fields.signature;
+    return ethers.keccak256(ethers.toUtf8Bytes(`${SigningLedger.LABEL}\n${MessageProtocol.canonicalize(fields)}`));
+  }
+
+  /**
+   * Signed transactions since `since`, oldest first, for the policy's daily cap
+   */
+  getSignedTransactions(since: number = 0): LedgerEntry[] {
+    return this.entries.filter(entry =>
+      entry.kind === 'transaction' && entry.status === 'signed' && entry.time > since
+    );
+  }
+
+  /**
+   * Ledger fields of a transaction in wire or ethers format. Fields that
+   * are missing or malformed, as in a refused request, are left out.
+   */
+  static describeTransaction(transaction: Record<string, any> | null | undefined): Partial<LedgerRecord> {
+    const fields: Partial<LedgerRecord> = {};
+    const read = <K extends keyof LedgerRecord>(name: K, parse: (value: any) => LedgerRecord[K]) => {
+      try {
+        const value = transaction && transaction[name];
+        if (value !== undefined && value !== null) {
+          fields[name] = parse(value);
+        }
+      } catch {
+        // Left out
+      }
+    };
+    read('chainId', value => Number(BigInt(value)));
+    read('nonce', value => Number(BigInt(value)));
+    read('to', value => {
+      if (!ethers.isAddress(value)) {
+        throw new Error(`Invalid address: ${value}`);
+      }
+      return ethers.getAddress(value);
+    });
+    read('value', value => BigInt(value).toString());
+    return fields;
+  }
+
+  /**
+   * The ledger with the wallet address and head hash, as exported for auditors
+   */
+  toJSON(): { address: string; head: string; entries: LedgerEntry[] } {
+    return { address: this.crypto.getAddress(), head: this.getHead(), entries: this.list() };
+  }
+
+  /**
+   * Format an entry as one line
+   */
+  static formatEntry(entry: LedgerEntry): string {
+    const parts = [
+      `#${entry.index}`,
+      new Date(entry.time).toISOString(),
+      entry.status === 'signed' ? 'SIGNED' : 'REJECTED',
+      entry.kind,
+    ];
+    if (entry.account) {
+      parts.push(`from ${entry.account}`);
+    }
+    if (entry.chainId !== null) {
+      parts.push(`chain ${entry.chainId}`);
+    }
+    if (entry.nonce !== null) {
+      parts.push(`nonce ${entry.nonce}`);
+    }
+    if (entry.to !== null) {
+      parts.push(`to ${entry.to}`);
+    }
+    if (entry.value !== null) {
+      parts.push(`${ethers.formatEther(entry.value)} ETH`);
+    }
+    if (entry.hash !== null) {
+      parts.push(entry.hash);
+    }
+    if (entry.reason !== null) {
+      parts.push(`(${entry.reason})`);
+    }
+    return parts.join('  ');
+  }
+}
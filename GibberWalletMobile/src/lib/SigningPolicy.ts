@@ -0,0 +1,341 @@
+import { ethers } from 'ethers';
+import { AbiRegistry } from './AbiRegistry';
+
+/**
+ * Policy rules in JSON, with values in ETH and the gas price in Gwei
+ */
+export interface PolicyRules {
+  chainIds?: number[];
+  allowedRecipients?: string[];
+  deniedRecipients?: string[];
+  maxTransactionValue?: string;
+  maxDailyValue?: string;
+  maxGasPrice?: string;
+  blockedSelectors?: string[];
+  actions?: Partial<Record<PolicyRule, PolicyAction>>;
+}
+
+export type PolicyRule = 'chainIds' | 'allowedRecipients' | 'deniedRecipients' | 'maxTransactionValue' | 'maxDailyValue' | 'maxGasPrice' | 'blockedSelectors';
+
+export type PolicyAction = 'reject' | 'warn';
+
+/**
+ * A rule a transaction breaks, and whether it rejects the transaction or
+ * only warns
+ */
+export interface PolicyViolation {
+  rule: PolicyRule;
+  action: PolicyAction;
+  message: string;
+}
+
+/**
+ * The fields of a transaction the policy checks, in wire or ethers format
+ */
+export interface PolicyTransaction {
+  chainId?: number | bigint | null;
+  to?: string | null;
+  value?: string | bigint | null;
+  gasPrice?: string | bigint | null;
+  maxFeePerGas?: string | bigint | null;
+  data?: string;
+}
+
+/**
+ * Rules the offline wallet checks every transaction against before the user
+ * is asked to sign it: allowed chains, recipient allow and deny lists,
+ * per-transaction and rolling daily value caps, a gas price cap and blocked
+ * function selectors. Rules that are left out are not checked.
+ *
+ * Recipients include the address a known function such as a token
+ * `transfer`, `transferFrom` or `safeTransferFrom` or a swap sends assets
+ * to, also for the calls nested in a multicall. The value caps count ETH
+ * only, not ERC-20 amounts: limit tokens with the recipient lists, or by
+ * blocking `transfer` and `approve`.
+ *
+ * A broken rule either rejects the transaction or is shown as a warning the
+ * user has to confirm separately, as set per rule in `actions`. The policy
+ * is saved to SecureStorage in the same JSON format as the Node wallet's.
+ */
+export class SigningPolicy {
+  static readonly RULES: PolicyRule[] = ['chainIds', 'allowedRecipients', 'deniedRecipients', 'maxTransactionValue', 'maxDailyValue', 'maxGasPrice', 'blockedSelectors'];
+
+  // Broken rules reject the transaction unless `actions` says to warn
+  static readonly ACTIONS: PolicyAction[] = ['reject', 'warn'];
+
+  // Window of the rolling daily value cap
+  static readonly DAY = 24 * 60 * 60 * 1000;
+
+  private policy: PolicyRules;
+
+  // Value of each signed transaction with its chain and the time it was
+  // signed, oldest first, for the daily cap
+  private spending: Array<{ chainId: number; value: bigint; time: number }> = [];
+
+  constructor(policy: PolicyRules = {}) {
+    this.policy = SigningPolicy.validate(policy);
+  }
+
+  /**
+   * Check a policy's rules, returning it with addresses checksummed and
+   * selectors lowercased. Throws on the first malformed rule.
+   */
+  static validate(policy: PolicyRules): PolicyRules {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      throw new Error('Signing policy must be an object');
+    }
+
+    const rules: PolicyRules = {};
+    if (policy.chainIds !== undefined) {
+      if (!Array.isArray(policy.chainIds) || !policy.chainIds.every(id => Number.isSafeInteger(id) && id > 0)) {
+        throw new Error('Policy chainIds must be an array of chain IDs');
+      }
+      rules.chainIds = [...policy.chainIds];
+    }
+
+    for (const rule of ['allowedRecipients', 'deniedRecipients'] as const) {
+      const addresses = policy[rule];
+      if (addresses !== undefined) {
+        if (!Array.isArray(addresses)) {
+          throw new Error(`Policy ${rule} must be an array of addresses`);
+        }
+        rules[rule] = addresses.map(address => {
+          if (typeof address !== 'string' || !ethers.isAddress(address)) {
+            throw new Error(`Invalid address in policy ${rule}: ${address}`);
+          }
+          return ethers.getAddress(address);
+        });
+      }
+    }
+
+    for (const rule of ['maxTransactionValue', 'maxDailyValue', 'maxGasPrice'] as const) {
+      if (policy[rule] !== undefined) {
+        try {
+          SigningPolicy.parseAmount(rule, policy[rule]!);
+        } catch {
+          throw new Error(`Invalid policy ${rule}: ${policy[rule]}`);
+        }
+        rules[rule] = String(policy[rule]);
+      }
+    }
+
+    if (policy.blockedSelectors !== undefined) {
+      if (!Array.isArray(policy.blockedSelectors)) {
+        throw new Error('Policy blockedSelectors must be an array of 4-byte selectors');
+      }
+      rules.blockedSelectors = policy.blockedSelectors.map(selector => {
+        if (!ethers.isHexString(selector, 4)) {
+          throw new Error(`Invalid selector in policy blockedSelectors: ${selector}`);
+        }
+        return selector.toLowerCase();
+      });
+    }
+
+    rules.actions = {};
+    for (const [rule, action] of Object.entries(policy.actions || {})) {
+      if (!SigningPolicy.RULES.includes(rule as PolicyRule)) {
+        throw new Error(`Unknown policy rule in actions: ${rule}`);
+      }
+      if (!SigningPolicy.ACTIONS.includes(action as PolicyAction)) {
+        throw new Error(`Policy action for ${rule} must be reject or warn`);
+      }
+      rules.actions[rule as PolicyRule] = action as PolicyAction;
+    }
+
+    return rules;
+  }
+
+  // Parse a value cap in ETH or the gas price cap in Gwei into wei
+  private static parseAmount(rule: PolicyRule, amount: string): bigint {
+    const text = String(amount).trim();
+    if (!/^\d+(\.\d+)?$/.test(text)) {
+      throw new Error(`Invalid amount: ${amount}`);
+    }
+    return rule === 'maxGasPrice' ? ethers.parseUnits(text, 'gwei') : ethers.parseEther(text);
+  }
+
+  /**
+   * Replace the rules, keeping the spending counted towards the daily cap
+   */
+  setRules(policy: PolicyRules): void {
+    this.policy = SigningPolicy.validate(policy);
+  }
+
+  /**
+   * The policy's rules, in the JSON format it was created from
+   */
+  toJSON(): PolicyRules {
+    return this.policy;
+  }
+
+  /**
+   * Check a transaction against the policy. `earlier` are transactions of
+   * the same request that are not signed yet but count towards the daily
+   * cap, like the previous transactions of a batch.
+   */
+  check(transaction: PolicyTransaction, earlier: PolicyTransaction[] = [], now: number = Date.now()): PolicyViolation[] {
+    const violations: PolicyViolation[] = [];
+    const violate = (rule: PolicyRule, message: string) =>
+      violations.push({ rule, action: this.policy.actions?.[rule] || 'reject', message });
+    const chainId = Number(transaction.chainId);
+    const value = BigInt(transaction.value || 0);
+
+    if (this.policy.chainIds && !this.policy.chainIds.includes(chainId)) {
+      violate('chainIds', `Chain ID ${chainId} is not allowed`);
+    }
+
+    const recipients = SigningPolicy.getRecipients(transaction);
+    const { allowedRecipients, deniedRecipients } = this.policy;
+    if (deniedRecipients) {
+      for (const recipient of recipients.filter(address => deniedRecipients.includes(address))) {
+        violate('deniedRecipients', `${recipient} is on the denylist`);
+      }
+    }
+    if (allowedRecipients) {
+      if (!transaction.to) {
+        violate('allowedRecipients', 'Contract deployments are not on the allowlist');
+      }
+      for (const recipient of recipients.filter(address => !allowedRecipients.includes(address))) {
+        violate('allowedRecipients', `${recipient} is not on the allowlist`);
+      }
+    }
+
+    if (this.policy.maxTransactionValue !== undefined) {
+      const limit = SigningPolicy.parseAmount('maxTransactionValue', this.policy.maxTransactionValue);
+      if (value > limit) {
+        violate('maxTransactionValue', `Value of ${ethers.formatEther(value)} ETH is over the limit of ${ethers.formatEther(limit)} ETH per transaction`);
+      }
+    }
+
+    if (this.policy.maxDailyValue !== undefined) {
+      const limit = SigningPolicy.parseAmount('maxDailyValue', this.policy.maxDailyValue);
+      const total = this.getDailySpending(chainId, now) + value + earlier
+        .filter(tx => Number(tx.chainId) === chainId)
+        .reduce((sum, tx) => sum + BigInt(tx.value || 0), 0n);
+      if (value > 0n && total > limit) {
+        violate('maxDailyValue', `Signing brings the last 24 hours on chain ${chainId} to ${ethers.formatEther(total)} ETH, over the daily limit of ${ethers.formatEther(limit)} ETH`);
+      }
+    }
+
+    if (this.policy.maxGasPrice !== undefined) {
+      const limit = SigningPolicy.parseAmount('maxGasPrice', this.policy.maxGasPrice);
+      const gasPrice = BigInt(transaction.maxFeePerGas ?? transaction.gasPrice ?? 0);
+      if (gasPrice > limit) {
+        violate('maxGasPrice', `Gas price of ${ethers.formatUnits(gasPrice, 'gwei')} Gwei is over the limit of ${ethers.formatUnits(limit, 'gwei')} Gwei`);
+      }
+    }
+
+    if (this.policy.blockedSelectors) {
+      for (const selector of SigningPolicy.getSelectors(transaction.data)) {
+        if (this.policy.blockedSelectors.includes(selector)) {
+          const entry = AbiRegistry.lookup(selector);
+          violate('blockedSelectors', `Function ${entry ? `${entry.fragment.format('sighash')} (${selector})` : selector} is blocked`);
+        }
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Count a signed transaction towards the daily cap
+   */
+  recordSpending(transaction: PolicyTransaction, now: number = Date.now()): void {
+    this.spending.push({ chainId: Number(transaction.chainId), value: BigInt(transaction.value || 0), time: now });
+    this.spending = this.spending.filter(entry => entry.time > now - SigningPolicy.DAY);
+  }
+
+  /**
+   * Value signed on a chain in the last 24 hours, in wei
+   */
+  getDailySpending(chainId: number, now: number = Date.now()): bigint {
+    return this.spending
+      .filter(entry => entry.chainId === chainId && entry.time > now - SigningPolicy.DAY)
+      .reduce((sum, entry) => sum + entry.value, 0n);
+  }
+
+  /**
+   * Addresses a transaction sends to or grants spending rights to: its
+   * `to`, the address a known function moves assets to and the spender of
+   * an approval, also for the calls nested in a multicall and their targets
+   */
+  static getRecipients(transaction: PolicyTransaction): string[] {
+    if (!transaction.to) {
+      return [];
+    }
+    return [...new Set([ethers.getAddress(transaction.to), ...SigningPolicy.getCallRecipients(transaction.data)])];
+  }
+
+  // Recipients and spenders of a call and of the calls nested in it
+  private static getCallRecipients(data?: string): string[] {
+    const decoded = SigningPolicy.decode(data);
+    if (!decoded) {
+      return [];
+    }
+
+    const recipients: string[] = [];
+    if (decoded.entry.recipient) {
+      const recipient = decoded.entry.recipient.split('.').reduce<any>((args, name) => args[name], decoded.args);
+      recipients.push(ethers.getAddress(recipient));
+    }
+    if (decoded.entry.approval) {
+      recipients.push(ethers.getAddress(decoded.args[decoded.entry.approval.spender]));
+    }
+    SigningPolicy.forEachNested(decoded, (param, value) => {
+      if (param.type === 'bytes') {
+        recipients.push(...SigningPolicy.getCallRecipients(value));
+      } else if (param.type === 'address') {
+        // Multicall3 calls name their target next to the calldata
+        recipients.push(ethers.getAddress(value));
+      }
+    });
+    return recipients;
+  }
+
+  /**
+   * Selectors of a call and of the calls nested in it by multicall functions
+   */
+  static getSelectors(data?: string): string[] {
+    if (!data || ethers.dataLength(data) < 4) {
+      return [];
+    }
+
+    const selectors = [ethers.dataSlice(data, 0, 4).toLowerCase()];
+    SigningPolicy.forEachNested(SigningPolicy.decode(data), (param, value) => {
+      if (param.type === 'bytes') {
+        selectors.push(...SigningPolicy.getSelectors(value));
+      }
+    });
+    return selectors;
+  }
+
+  // Visit the plain parameters of a decoded multicall function, inside
+  // its arrays and tuples. Other functions have no nested calls.
+  private static forEachNested(
+    decoded: ReturnType<typeof SigningPolicy.decode>,
+    visit: (param: ethers.ParamType, value: any) => void
+  ): void {
+    if (!decoded || !decoded.entry.nested) {
+      return;
+    }
+    const walk = (param: ethers.ParamType, value: any) => {
+      if (param.baseType === 'array') {
+        Array.from(value, item => walk(param.arrayChildren!, item));
+      } else if (param.baseType === 'tuple') {
+        param.components!.forEach((component, index) => walk(component, value[index]));
+      } else {
+        visit(param, value);
+      }
+    };
+    decoded.entry.fragment.inputs.forEach((param, index) => walk(param, decoded.args[index]));
+  }
+
+  // Decode calldata against the ABI registry, or null when it is unknown or malformed
+  private static decode(data?: string) {
+    try {
+      return data && data !== '0x' ? AbiRegistry.decode(data) : null;
+    } catch {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,141 @@
+import { ethers } from 'ethers';
+
+/**
+ * ERC-20 token metadata, as in the Uniswap token list format
+ */
+export interface TokenInfo {
+  chainId: number;
+  address: string;
+  symbol: string;
+  name: string;
+  decimals: number;
+}
+
+/**
+ * Offline list of ERC-20 token metadata, keyed by chain and contract address,
+ * so amounts can be shown in whole tokens instead of base units.
+ *
+ * The wallet ships with well-known tokens. Edits are saved to SecureStorage
+ * as a list in the Uniswap token list format.
+ */
+export class TokenRegistry {
+  static readonly DEFAULT_TOKENS: TokenInfo[] = [
+    // Ethereum mainnet
+    { chainId: 1, address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+    { chainId: 1, address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', symbol: 'USDT', name: 'Tether USD', decimals: 6 },
+    { chainId: 1, address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18 },
+    { chainId: 1, address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 },
+    { chainId: 1, address: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599', symbol: 'WBTC', name: 'Wrapped BTC', decimals: 8 },
+    { chainId: 1, address: '0x514910771AF9Ca656af840dff83E8264EcF986CA', symbol: 'LINK', name: 'ChainLink Token', decimals: 18 },
+    { chainId: 1, address: '0x1f9840a85d5aF5bf1D1762F925BDADdC4201F984', symbol: 'UNI', name: 'Uniswap', decimals: 18 },
+
+    // Sepolia
+    { chainId: 11155111, address: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238', symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+    { chainId: 11155111, address: '0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14', symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 },
+    { chainId: 11155111, address: '0x779877A7B0D9E8603169DdbD7836e478b4624789', symbol: 'LINK', name: 'ChainLink Token', decimals: 18 },
+  ];
+
+  private tokens: Map<string, TokenInfo> = new Map();
+
+  constructor(tokens: TokenInfo[] = TokenRegistry.DEFAULT_TOKENS) {
+    for (const token of tokens) {
+      this.add(token);
+    }
+  }
+
+  /**
+   * Parse a token list, either in the Uniswap format or as a plain array
+   */
+  static parseList(json: string | object): TokenInfo[] {
+    const list: any = typeof json === 'string' ? JSON.parse(json) : json;
+    const tokens = Array.isArray(list) ? list : list && list.tokens;
+    if (!Array.isArray(tokens)) {
+      throw new Error('Token list must be an array or have a tokens array');
+    }
+    return tokens;
+  }
+
+  /**
+   * Add or replace a token, validating its metadata
+   */
+  add(token: TokenInfo): TokenInfo {
+    const { chainId, address, symbol, name, decimals } = token || ({} as TokenInfo);
+    if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+      throw new Error(`Invalid token chain ID: ${chainId}`);
+    }
+    if (typeof address !== 'string' || !ethers.isAddress(address)) {
+      throw new Error(`Invalid token address: ${address}`);
+    }
+    if (typeof symbol !== 'string' || symbol.trim() === '') {
+      throw new Error(`Invalid token symbol for ${address}`);
+    }
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255) {
+      throw new Error(`Invalid token decimals for ${address}: ${decimals}`);
+    }
+
+    const entry = { chainId, address: ethers.getAddress(address), symbol: symbol.trim(), name: name || symbol.trim(), decimals };
+    this.tokens.set(TokenRegistry.key(chainId, address), entry);
+    return entry;
+  }
+
+  /**
+   * Remove a token, returning whether it was listed
+   */
+  remove(chainId: number, address: string): boolean {
+    return this.tokens.delete(TokenRegistry.key(chainId, address));
+  }
+
+  /**
+   * Find a token by chain and contract address, or null if it is not listed
+   */
+  find(chainId: number, address: string): TokenInfo | null {
+    if (typeof address !== 'string' || !ethers.isAddress(address)) {
+      return null;
+    }
+    return this.tokens.get(TokenRegistry.key(chainId, address)) || null;
+  }
+
+  /**
+   * All listed tokens
+   */
+  list(): TokenInfo[] {
+    return [...this.tokens.values()];
+  }
+
+  /**
+   * All listed tokens, in the Uniswap token list format
+   */
+  toJSON(): { name: string; tokens: TokenInfo[] } {
+    return { name: 'GibberWallet Tokens', tokens: this.list() };
+  }
+
+  // Map key for a token, case-insensitive in the address
+  static key(chainId: number, address: string): string {
+    return `${chainId}:${address.toLowerCase()}`;
+  }
+
+  /**
+   * Format base units as a decimal token amount with at least two decimals,
+   * without rounding
+   */
+  static formatAmount(amount: string | bigint, decimals: number): string {
+    const [whole, fraction = ''] = ethers.formatUnits(BigInt(amount), decimals).split('.');
+    return decimals === 0 ? whole : `${whole}.${fraction.padEnd(2, '0')}`;
+  }
+
+  /**
+   * Parse a decimal token amount into base units, rejecting more
+   * decimals than the token has
+   */
+  static parseAmount(amount: string, decimals: number): bigint {
+    const text = String(amount).trim();
+    if (!/^\d+(\.\d+)?$/.test(text)) {
+      throw new Error(`Invalid token amount: ${amount}`);
+    }
+    const fraction = text.split('.')[1] || '';
+    if (fraction.length > decimals) {
+      throw new Error(`Too many decimals, the token has ${decimals}`);
+    }
+    return ethers.parseUnits(text, decimals);
+  }
+}
@@ -7,25 +7,52 @@ import {
   StyleSheet,
   ScrollView,
   Animated,
+  Share,
 } from 'react-native';
-import { OfflineWallet, TransactionApprovalRequest } from '../lib/OfflineWallet';
+import {
+  OfflineWallet,
+  ApprovalRequest,
+  TransactionApprovalRequest,
+  TypedDataApprovalRequest,
+  BatchApprovalRequest,
+  MessageSigningRequest,
+} from '../lib/OfflineWallet';
 import { AudioStatus } from '../components/AudioStatus';
-import { TransactionApproval } from '../components/TransactionApproval';
+import { TransactionApproval, BatchApproval } from '../components/TransactionApproval';
 import { WalletInfo } from '../components/WalletInfo';
+import { SigningLedger, LedgerEntry } from '../lib/SigningLedger';
+import { SecureStorage, WalletEntry } from '../lib/SecureStorage';
+import { AccountInfo } from '../types/MessageTypes';
 
 interface WalletScreenProps {
+  alias: string;
   walletAddress: string;
-  onReset: () => void;
+  onAddWallet: () => void;
+  onSwitchWallet: (alias: string) => void;
+  onDeleteWallet: () => void;
 }
 
-export const WalletScreen: React.FC<WalletScreenProps> = ({ walletAddress: initialAddress, onReset }) => {
+export const WalletScreen: React.FC<WalletScreenProps> = ({
+  alias,
+  walletAddress: initialAddress,
+  onAddWallet,
+  onSwitchWallet,
+  onDeleteWallet,
+}) => {
   const [wallet, setWallet] = useState<OfflineWallet | null>(null);
   const [walletAddress, setWalletAddress] = useState(initialAddress);
+  const [wallets, setWallets] = useState<WalletEntry[]>([]);
+  const [accounts, setAccounts] = useState<AccountInfo[]>([]);
   const [isListening, setIsListening] = useState(false);
   const [audioLevel, setAudioLevel] = useState(0);
-  const [currentTransaction, setCurrentTransaction] = useState<TransactionApprovalRequest | null>(null);
+  const [currentRequest, setCurrentRequest] = useState<ApprovalRequest | null>(null);
+  const [currentBatch, setCurrentBatch] = useState<BatchApprovalRequest | null>(null);
   const [isInitialized, setIsInitialized] = useState(false);
   const [statusMessage, setStatusMessage] = useState('Initializing wallet...');
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [ledgerEntries, setLedgerEntries] = useState<LedgerEntry[]>([]);
+  const [ledgerError, setLedgerError] = useState<string | null>(null);
+  const [ledgerBlocked, setLedgerBlocked] = useState(false);
   
   const pulseAnim = useRef(new Animated.Value(1)).current;
 
@@ -46,6 +73,7 @@ export const WalletScreen: React.FC<WalletScreenProps> = ({ walletAddress: initi
   }, [isListening]);
 
   const initializeWallet = async () => {
+    setLoadError(null);
     try {
       setStatusMessage('Creating wallet instance...');
       
@@ -53,11 +81,9 @@ export const WalletScreen: React.FC<WalletScreenProps> = ({ walletAddress: initi
       setWallet(walletInstance);
       
       setStatusMessage('Loading wallet from secure storage...');
-      const success = await walletInstance.loadFromStorage();
+      const success = await walletInstance.loadFromStorage(alias);
       if (!success) {
-        Alert.alert('Error', 'Failed to load wallet from storage');
-        onReset();
-        return;
+        throw new Error('Failed to load wallet from storage');
       }
 
       // Get the actual wallet address
@@ -65,12 +91,31 @@ export const WalletScreen: React.FC<WalletScreenProps> = ({ walletAddress: initi
       if (address) {
         setWalletAddress(address);
       }
+      const walletAccounts = walletInstance.getAccounts();
+      setAccounts(walletAccounts);
+
+      // Wallets saved before there were several are not listed yet
+      if (address) {
+        await SecureStorage.addWallet({
+          alias,
+          address,
+          type: walletAccounts[0].path ? 'mnemonic' : 'privateKey',
+        });
+      }
+      setWallets(await SecureStorage.listWallets());
+      refreshLedger(walletInstance);
 
       setIsInitialized(true);
       setStatusMessage('Wallet ready');
 
       // Set up event listeners
       walletInstance.on('transactionRequest', handleTransactionRequest);
+      walletInstance.on('typedDataRequest', handleTypedDataRequest);
+      walletInstance.on('txBatchRequest', handleTxBatchRequest);
+      walletInstance.on('signMessageRequest', (request: MessageSigningRequest) =>
+        handleSignMessageRequest(walletInstance, request)
+      );
+      walletInstance.on('sessionCode', (code: string) => handleSessionCode(walletInstance, code));
       walletInstance.on('listeningStarted', () => {
         setIsListening(true);
         setStatusMessage('Listening for transactions...');
@@ -80,16 +125,35 @@ export const WalletScreen: React.FC<WalletScreenProps> = ({ walletAddress: initi
         setStatusMessage('Not listening');
       });
       walletInstance.on('audioLevelChanged', setAudioLevel);
+      walletInstance.on('ledgerChanged', () => refreshLedger(walletInstance));
       walletInstance.on('error', handleError);
 
     } catch (error) {
       console.error('Failed to initialize wallet:', error);
-      const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
-      Alert.alert('Error', `Failed to initialize wallet: ${errorMessage}`);
-      onReset();
+      // Storage can fail for passing reasons, so the wallet is only deleted
+      // when the user asks for it
+      setLoadError(error instanceof Error ? error.message : 'Unknown error occurred');
+      setIsInitialized(false);
+      try {
+        setWallets(await SecureStorage.listWallets());
+      } catch (listError) {
+        console.error('Failed to list wallets:', listError);
+      }
     }
   };
 
+  const retryLoad = async () => {
+    await cleanup();
+    initializeWallet();
+  };
+
+  // The ledger is verified when the wallet loads, not on every render
+  const refreshLedger = (walletInstance: OfflineWallet) => {
+    setLedgerEntries(walletInstance.getLedger());
+    setLedgerError(walletInstance.getLedgerError());
+    setLedgerBlocked(walletInstance.isLedgerBlocked());
+  };
+
   const cleanup = async () => {
     try {
       if (wallet) {
@@ -128,10 +192,75 @@ export const WalletScreen: React.FC<WalletScreenProps> = ({ walletAddress: initi
 
   const handleTransactionRequest = (request: TransactionApprovalRequest) => {
     console.log('Transaction request received');
-    setCurrentTransaction(request);
+    setCurrentRequest(request);
     setStatusMessage('Transaction approval required');
   };
 
+  const handleTypedDataRequest = (request: TypedDataApprovalRequest) => {
+    console.log('Typed data signing request received');
+    setCurrentRequest(request);
+    setStatusMessage('Signature approval required');
+  };
+
+  const handleTxBatchRequest = (request: BatchApprovalRequest) => {
+    console.log('Transaction batch request received');
+    setCurrentBatch(request);
+    setStatusMessage('Batch approval required');
+  };
+
+  const handleSignMessageRequest = (walletInstance: OfflineWallet, request: MessageSigningRequest) => {
+    setStatusMessage('Message signing approval required');
+    Alert.alert(
+      request.looksLikeHash ? '⚠️ Sign Hash?' : 'Sign Message',
+      `Account: ${request.account.address}\n\n${request.formattedMessage}`,
+      [
+        {
+          text: 'Reject',
+          style: 'destructive',
+          onPress: async () => {
+            await walletInstance.rejectMessage(request.message);
+            setStatusMessage('Message signing rejected');
+          },
+        },
+        {
+          text: 'Sign',
+          onPress: async () => {
+            setStatusMessage('Signing message...');
+            const success = await walletInstance.approveMessage(request.message);
+            setStatusMessage(success ? 'Message signed and sent' : 'Failed to sign message');
+          },
+        },
+      ],
+      { cancelable: false }
+    );
+  };
+
+  const handleSessionCode = (walletInstance: OfflineWallet, code: string) => {
+    setStatusMessage('Session code confirmation required');
+    Alert.alert(
+      'Confirm Session',
+      `Session code: ${code}\n\nDoes the online client show the same code?`,
+      [
+        {
+          text: 'No',
+          style: 'destructive',
+          onPress: () => {
+            walletInstance.confirmSession(false);
+            setStatusMessage('Session rejected');
+          },
+        },
+        {
+          text: 'Yes',
+          onPress: () => {
+            walletInstance.confirmSession(true);
+            setStatusMessage('Listening for transactions...');
+          },
+        },
+      ],
+      { cancelable: false }
+    );
+  };
+
   const handleError = (error: Error) => {
     console.error('Wallet error:', error);
     Alert.alert('Wallet Error', error.message);
@@ -155,16 +284,21 @@ export const WalletScreen: React.FC<WalletScreenProps> = ({ walletAddress: initi
     }
   };
 
-  const approveTransaction = async () => {
-    if (!currentTransaction || !wallet) return;
+  const approveRequest = async () => {
+    if (!currentRequest || !wallet) return;
+
+    const isTypedData = OfflineWallet.isTypedDataApproval(currentRequest);
+    const subject = isTypedData ? 'typed data' : 'transaction';
 
     try {
-      setStatusMessage('Signing transaction...');
-      const success = await wallet.approveTransaction(currentTransaction.message);
+      setStatusMessage(`Signing ${subject}...`);
+      const success = isTypedData
+        ? await wallet.approveTypedData(currentRequest.message)
+        : await wallet.approveTransaction(currentRequest.message);
       
       if (success) {
-        setStatusMessage('Transaction signed and sent');
-        setCurrentTransaction(null);
+        setStatusMessage(isTypedData ? 'Typed data signed and sent' : 'Transaction signed and sent');
+        setCurrentRequest(null);
         
         // Show success message briefly
         setTimeout(() => {
@@ -175,42 +309,202 @@ export const WalletScreen: React.FC<WalletScreenProps> = ({ walletAddress: initi
           }
         }, 3000);
       } else {
-        setStatusMessage('Failed to sign transaction');
+        setStatusMessage(`Failed to sign ${subject}`);
       }
     } catch (error) {
-      console.error('Failed to approve transaction:', error);
-      Alert.alert('Error', 'Failed to approve transaction');
-      setStatusMessage('Transaction approval failed');
+      console.error(`Failed to approve ${subject}:`, error);
+      Alert.alert('Error', `Failed to approve ${subject}`);
+      setStatusMessage(isTypedData ? 'Signature approval failed' : 'Transaction approval failed');
     }
   };
 
-  const rejectTransaction = async () => {
-    if (!currentTransaction || !wallet) return;
+  const rejectRequest = async () => {
+    if (!currentRequest || !wallet) return;
 
     try {
-      await wallet.rejectTransaction(currentTransaction.message);
-      setCurrentTransaction(null);
+      if (OfflineWallet.isTypedDataApproval(currentRequest)) {
+        await wallet.rejectTypedData(currentRequest.message);
+      } else {
+        await wallet.rejectTransaction(currentRequest.message);
+      }
+      setCurrentRequest(null);
       setStatusMessage(isListening ? 'Listening for transactions...' : 'Wallet ready');
     } catch (error) {
-      console.error('Failed to reject transaction:', error);
+      console.error('Failed to reject request:', error);
     }
   };
 
-  const resetWallet = () => {
+  const approveBatch = async (approved: boolean[]) => {
+    if (!currentBatch || !wallet) return;
+
+    try {
+      setStatusMessage('Signing transactions...');
+      const success = await wallet.approveBatch(currentBatch.message, approved);
+      setCurrentBatch(null);
+      setStatusMessage(success ? 'Transactions signed and sent' : 'Failed to sign transactions');
+    } catch (error) {
+      console.error('Failed to approve batch:', error);
+      Alert.alert('Error', 'Failed to approve transactions');
+      setStatusMessage('Batch approval failed');
+    }
+  };
+
+  const rejectBatch = async () => {
+    if (!currentBatch || !wallet) return;
+
+    try {
+      await wallet.rejectBatch(currentBatch.message);
+      setCurrentBatch(null);
+      setStatusMessage(isListening ? 'Listening for transactions...' : 'Wallet ready');
+    } catch (error) {
+      console.error('Failed to reject batch:', error);
+    }
+  };
+
+  const exportLedger = async () => {
+    if (!wallet) return;
+
+    try {
+      await Share.share({ title: 'GibberWallet Signing Ledger', message: wallet.exportLedger() });
+    } catch (error) {
+      console.error('Failed to export ledger:', error);
+      Alert.alert('Error', 'Failed to export the signing ledger');
+    }
+  };
+
+  const acknowledgeLedgerError = () => {
+    Alert.alert(
+      'Keep Signing?',
+      'The signing ledger was changed outside the wallet. New requests are logged after the changed entries, which no longer count towards the daily spending cap.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Keep Signing', style: 'destructive', onPress: () => wallet?.acknowledgeLedgerError() },
+      ]
+    );
+  };
+
+  const resetLedger = () => {
     Alert.alert(
-      'Reset Wallet',
-      'This will delete your wallet from this device. Make sure you have backed up your private key.',
+      'Reset Ledger?',
+      'The changed ledger is archived on this device and a new ledger is started. Export it first if it needs to be audited.',
       [
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Reset',
           style: 'destructive',
-          onPress: onReset,
+          onPress: async () => {
+            try {
+              await wallet?.resetLedger();
+            } catch (error) {
+              console.error('Failed to reset ledger:', error);
+              Alert.alert('Error', 'Failed to reset the signing ledger');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const addAccount = async () => {
+    if (!wallet) return;
+
+    try {
+      const account = await wallet.addAccount();
+      setAccounts(wallet.getAccounts());
+      setStatusMessage(`Added account ${account.address}`);
+    } catch (error) {
+      console.error('Failed to add account:', error);
+      Alert.alert('Error', 'Failed to add an account');
+    }
+  };
+
+  // Stop this wallet's audio before another wallet is loaded
+  const switchWallet = async (other: string) => {
+    if (other === alias) return;
+
+    await cleanup();
+    onSwitchWallet(other);
+  };
+
+  const deleteWallet = () => {
+    Alert.alert(
+      'Delete Wallet',
+      `This will delete the wallet "${alias}" from this device, other wallets are kept. Make sure you have backed up its recovery phrase or private key.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await cleanup();
+            onDeleteWallet();
+          },
         },
       ]
     );
   };
 
+  const walletList = (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Wallets</Text>
+      {wallets.map(entry => (
+        <TouchableOpacity
+          key={entry.alias}
+          style={[styles.walletEntry, entry.alias === alias && styles.activeWalletEntry]}
+          onPress={() => switchWallet(entry.alias)}
+          disabled={entry.alias === alias}
+        >
+          <Text style={styles.walletName}>
+            {entry.alias === alias ? '✓ ' : ''}{entry.alias}
+            {entry.type === 'mnemonic' ? '  (recovery phrase)' : '  (private key)'}
+          </Text>
+          <Text style={styles.accountEntry}>{entry.address}</Text>
+        </TouchableOpacity>
+      ))}
+      <TouchableOpacity
+        style={[styles.button, styles.exportButton]}
+        onPress={async () => {
+          await cleanup();
+          onAddWallet();
+        }}
+      >
+        <Text style={styles.buttonText}>Add Wallet</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  if (loadError) {
+    return (
+      <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+        <Text style={styles.title}>GibberWallet</Text>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Failed to Load Wallet</Text>
+          <Text style={styles.ledgerErrorText}>{`"${alias}": ${loadError}`}</Text>
+          <Text style={styles.helpText}>
+            The wallet is still stored on this device. Try again, switch to another wallet, or delete it if it cannot be recovered.
+          </Text>
+          <TouchableOpacity
+            style={[styles.button, styles.startButton]}
+            onPress={retryLoad}
+          >
+            <Text style={styles.buttonText}>Retry</Text>
+          </TouchableOpacity>
+        </View>
+
+        {walletList}
+
+        <View style={styles.section}>
+          <TouchableOpacity
+            style={[styles.button, styles.dangerButton]}
+            onPress={deleteWallet}
+          >
+            <Text style={styles.buttonText}>Delete This Wallet</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    );
+  }
+
   if (!isInitialized) {
     return (
       <View style={styles.container}>
@@ -257,21 +551,89 @@ export const WalletScreen: React.FC<WalletScreenProps> = ({ walletAddress: initi
         </Text>
       </View>
 
-      {currentTransaction && (
+      {currentRequest && (
         <TransactionApproval
-          transaction={currentTransaction}
-          onApprove={approveTransaction}
-          onReject={rejectTransaction}
+          request={currentRequest}
+          onApprove={approveRequest}
+          onReject={rejectRequest}
+        />
+      )}
+
+      {currentBatch && (
+        <BatchApproval
+          request={currentBatch}
+          onApprove={approveBatch}
+          onReject={rejectBatch}
         />
       )}
 
+      {walletList}
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Accounts</Text>
+        {accounts.map((account, index) => (
+          <Text key={account.address} style={styles.accountEntry} selectable>
+            {`${index === 0 ? 'Primary' : `#${index}`}  ${account.address}${account.path ? `  ${account.path}` : ''}`}
+          </Text>
+        ))}
+        {wallet && wallet.canAddAccount() && (
+          <TouchableOpacity
+            style={[styles.button, styles.exportButton]}
+            onPress={addAccount}
+          >
+            <Text style={styles.buttonText}>Add Account</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Signing Ledger</Text>
+        <Text style={ledgerError ? styles.ledgerErrorText : styles.helpText}>
+          {ledgerError
+            ? `⚠️ Ledger failed verification: ${ledgerError}`
+            : `${ledgerEntries.length} signed and rejected requests, verified`}
+        </Text>
+        {ledgerBlocked && (
+          <Text style={styles.ledgerErrorText}>
+            Signing is refused until the failure is acknowledged or the ledger is reset.
+          </Text>
+        )}
+        {ledgerEntries.slice(-5).reverse().map(entry => (
+          <Text key={entry.index} style={styles.ledgerEntry} selectable>
+            {SigningLedger.formatEntry(entry)}
+          </Text>
+        ))}
+        <TouchableOpacity
+          style={[styles.button, styles.exportButton]}
+          onPress={exportLedger}
+        >
+          <Text style={styles.buttonText}>Export Ledger</Text>
+        </TouchableOpacity>
+        {ledgerBlocked && (
+          <TouchableOpacity
+            style={[styles.button, styles.dangerButton]}
+            onPress={acknowledgeLedgerError}
+          >
+            <Text style={styles.buttonText}>Keep Signing</Text>
+          </TouchableOpacity>
+        )}
+        {ledgerError && (
+          <TouchableOpacity
+            style={[styles.button, styles.dangerButton]}
+            onPress={resetLedger}
+          >
+            <Text style={styles.buttonText}>Reset Ledger</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Settings</Text>
         <TouchableOpacity
           style={[styles.button, styles.dangerButton]}
-          onPress={resetWallet}
+          onPress={deleteWallet}
         >
-          <Text style={styles.buttonText}>Reset Wallet</Text>
+          <Text style={styles.buttonText}>Delete This Wallet</Text>
         </TouchableOpacity>
       </View>
 
@@ -361,6 +723,45 @@ const styles = StyleSheet.create({
   dangerButton: {
     backgroundColor: '#FF3B30',
   },
+  exportButton: {
+    backgroundColor: '#007AFF',
+    marginTop: 10,
+  },
+  walletEntry: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 10,
+  },
+  activeWalletEntry: {
+    borderColor: '#007AFF',
+    backgroundColor: '#f0f8ff',
+  },
+  walletName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  accountEntry: {
+    fontSize: 12,
+    fontFamily: 'Monaco',
+    color: '#333',
+    marginBottom: 8,
+  },
+  ledgerEntry: {
+    fontSize: 12,
+    fontFamily: 'Monaco',
+    color: '#333',
+    marginTop: 8,
+  },
+  ledgerErrorText: {
+    fontSize: 14,
+    color: '#c62828',
+    textAlign: 'center',
+    fontWeight: '500',
+  },
   buttonText: {
     color: 'white',
     fontSize: 16,
@@ -11,19 +11,35 @@ import {
 } from 'react-native';
 import { CryptoUtils } from '../lib/CryptoUtils';
 import { SecureStorage } from '../lib/SecureStorage';
+import { ShamirBackup } from '../lib/ShamirBackup';
+import { ShareBackup } from '../components/ShareBackup';
+import { ShareRecovery } from '../components/ShareRecovery';
 
 interface WalletSetupScreenProps {
-  onWalletReady: (address: string) => void;
+  onWalletReady: (address: string, alias: string) => void;
+  // Set when adding a wallet next to existing ones, to go back to them
+  onCancel?: () => void;
 }
 
-export const WalletSetupScreen: React.FC<WalletSetupScreenProps> = ({ onWalletReady }) => {
+export const WalletSetupScreen: React.FC<WalletSetupScreenProps> = ({ onWalletReady, onCancel }) => {
+  // Name of the new wallet, and of the wallet opened at launch
+  const [alias, setAlias] = useState('');
+  const [activeAlias, setActiveAlias] = useState(SecureStorage.DEFAULT_WALLET);
+  // A private key, or the words of a BIP-39 mnemonic
   const [privateKey, setPrivateKey] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [isMnemonic, setIsMnemonic] = useState(false);
   const [isValidKey, setIsValidKey] = useState(false);
   const [previewAddress, setPreviewAddress] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [hasExistingWallet, setHasExistingWallet] = useState(false);
   const [useBiometrics, setUseBiometrics] = useState(true);
   const [biometryType, setBiometryType] = useState<string | null>(null);
+  // Shamir backup shares being shown, and whether shares are being entered
+  const [shareThreshold, setShareThreshold] = useState('2');
+  const [shareCount, setShareCount] = useState('3');
+  const [backupShares, setBackupShares] = useState<string[] | null>(null);
+  const [isRecovering, setIsRecovering] = useState(false);
 
   useEffect(() => {
     checkExistingWallet();
@@ -32,16 +48,21 @@ export const WalletSetupScreen: React.FC<WalletSetupScreenProps> = ({ onWalletRe
 
   useEffect(() => {
     if (privateKey) {
-      validatePrivateKey(privateKey);
+      validatePrivateKey(privateKey, passphrase);
     } else {
+      setIsMnemonic(false);
       setIsValidKey(false);
       setPreviewAddress('');
     }
-  }, [privateKey]);
+  }, [privateKey, passphrase]);
 
   const checkExistingWallet = async () => {
-    const hasWallet = await SecureStorage.hasPrivateKey();
-    setHasExistingWallet(hasWallet);
+    const active = await SecureStorage.getActiveWallet();
+    const wallets = await SecureStorage.listWallets();
+    setActiveAlias(active);
+    setHasExistingWallet(await SecureStorage.hasWallet(active));
+    // The first wallet is the default one unless named otherwise
+    setAlias(wallets.length === 0 ? SecureStorage.DEFAULT_WALLET : '');
   };
 
   const checkBiometrics = async () => {
@@ -50,13 +71,18 @@ export const WalletSetupScreen: React.FC<WalletSetupScreenProps> = ({ onWalletRe
     setUseBiometrics(biometrySupported !== null);
   };
 
-  const validatePrivateKey = (key: string) => {
-    const isValid = CryptoUtils.validatePrivateKey(key);
+  const validatePrivateKey = (key: string, keyPassphrase: string) => {
+    // Mnemonics are words separated by spaces, private keys a single hex string
+    const mnemonic = /\s/.test(key.trim());
+    const isValid = mnemonic ? CryptoUtils.validateMnemonic(key) : CryptoUtils.validatePrivateKey(key);
+    setIsMnemonic(mnemonic);
     setIsValidKey(isValid);
     
     if (isValid) {
       try {
-        const address = CryptoUtils.getAddressFromPrivateKey(key);
+        const address = mnemonic
+          ? CryptoUtils.fromMnemonic(key, keyPassphrase)[0].getAddress()
+          : CryptoUtils.getAddressFromPrivateKey(key);
         setPreviewAddress(address);
       } catch (error) {
         setIsValidKey(false);
@@ -70,14 +96,19 @@ export const WalletSetupScreen: React.FC<WalletSetupScreenProps> = ({ onWalletRe
   const generateNewWallet = () => {
     Alert.alert(
       'Generate New Wallet',
-      'This will create a new private key. Make sure to back it up securely.',
+      'This will create a new 12 word recovery phrase. Make sure to back it up securely.',
       [
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Generate',
           onPress: () => {
-            const newPrivateKey = CryptoUtils.generatePrivateKey();
-            setPrivateKey(newPrivateKey);
+            const mnemonic = CryptoUtils.generateMnemonic();
+            setPassphrase('');
+            setPrivateKey(mnemonic);
+            Alert.alert(
+              'Write Down Your Recovery Phrase',
+              `${mnemonic}\n\nAnyone with these words can spend your funds. They are the only way to recover the wallet.`
+            );
           },
         },
       ]
@@ -87,10 +118,20 @@ export const WalletSetupScreen: React.FC<WalletSetupScreenProps> = ({ onWalletRe
   const loadExistingWallet = async () => {
     setIsLoading(true);
     try {
-      const existingKey = await SecureStorage.getPrivateKey();
-      if (existingKey) {
+      const existingMnemonic = await SecureStorage.getMnemonic(activeAlias);
+      const existingKey = existingMnemonic ? null : await SecureStorage.getPrivateKey(activeAlias);
+      if (existingMnemonic) {
+        const config = await SecureStorage.getConfig(activeAlias);
+        const [primary] = CryptoUtils.fromMnemonic(
+          existingMnemonic.mnemonic,
+          existingMnemonic.passphrase,
+          1,
+          config?.derivationPath ?? CryptoUtils.DEFAULT_DERIVATION_PATH
+        );
+        onWalletReady(primary.getAddress(), activeAlias);
+      } else if (existingKey) {
         const address = CryptoUtils.getAddressFromPrivateKey(existingKey);
-        onWalletReady(address);
+        onWalletReady(address, activeAlias);
       } else {
         Alert.alert('Error', 'No existing wallet found');
       }
@@ -103,18 +144,38 @@ export const WalletSetupScreen: React.FC<WalletSetupScreenProps> = ({ onWalletRe
 
   const saveWallet = async () => {
     if (!isValidKey || !privateKey) {
-      Alert.alert('Error', 'Please enter a valid private key');
+      Alert.alert('Error', 'Please enter a valid private key or recovery phrase');
+      return;
+    }
+
+    const aliasError = await SecureStorage.checkAlias(alias);
+    if (aliasError) {
+      Alert.alert('Error', aliasError);
       return;
     }
 
     setIsLoading(true);
     try {
-      const success = await SecureStorage.storePrivateKey(privateKey);
+      let success: boolean;
+      if (isMnemonic) {
+        success = await SecureStorage.storeMnemonic(CryptoUtils.normalizeMnemonic(privateKey), passphrase, alias)
+          && await SecureStorage.storeConfig({
+            accountCount: 1,
+            derivationPath: CryptoUtils.DEFAULT_DERIVATION_PATH,
+          }, alias);
+      } else {
+        success = await SecureStorage.storePrivateKey(privateKey, alias);
+      }
+      success = success && await SecureStorage.addWallet({
+        alias,
+        address: previewAddress,
+        type: isMnemonic ? 'mnemonic' : 'privateKey',
+      });
       if (success) {
-        Alert.alert('Success', 'Wallet saved securely', [
+        Alert.alert('Success', `Wallet "${alias}" saved securely`, [
           {
             text: 'Continue',
-            onPress: () => onWalletReady(previewAddress),
+            onPress: () => onWalletReady(previewAddress, alias),
           },
         ]);
       } else {
@@ -127,19 +188,48 @@ export const WalletSetupScreen: React.FC<WalletSetupScreenProps> = ({ onWalletRe
     }
   };
 
+  const splitIntoShares = async () => {
+    const threshold = parseInt(shareThreshold, 10);
+    const count = parseInt(shareCount, 10);
+    try {
+      // The phrase being set up, otherwise the stored wallet's
+      const shares = isMnemonic && isValidKey
+        ? ShamirBackup.split(privateKey, threshold, count)
+        : await SecureStorage.splitMnemonic(threshold, count, activeAlias);
+      if (shares) {
+        setBackupShares(shares);
+      } else {
+        Alert.alert('Error', 'Only wallets created from a recovery phrase can be split into shares');
+      }
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to split the recovery phrase');
+    }
+  };
+
+  const recoverFromShares = (mnemonic: string) => {
+    setIsRecovering(false);
+    setPassphrase('');
+    setPrivateKey(mnemonic);
+    Alert.alert(
+      'Recovery Phrase Restored',
+      'Enter the passphrase if the wallet had one, check the address and save the wallet.'
+    );
+  };
+
   const clearWallet = () => {
     Alert.alert(
       'Delete Wallet',
-      'This will permanently delete your wallet. Make sure you have backed up your private key.',
+      `This will permanently delete the wallet "${activeAlias}". Make sure you have backed up its recovery phrase or private key.`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Delete',
           style: 'destructive',
           onPress: async () => {
-            await SecureStorage.deletePrivateKey();
+            await SecureStorage.deleteWallet(activeAlias);
             setHasExistingWallet(false);
             setPrivateKey('');
+            setPassphrase('');
             Alert.alert('Success', 'Wallet deleted');
           },
         },
@@ -147,12 +237,38 @@ export const WalletSetupScreen: React.FC<WalletSetupScreenProps> = ({ onWalletRe
     );
   };
 
+  if (backupShares) {
+    return (
+      <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+        <ShareBackup shares={backupShares} onDone={() => setBackupShares(null)} />
+      </ScrollView>
+    );
+  }
+
+  if (isRecovering) {
+    return (
+      <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+        <ShareRecovery onRecovered={recoverFromShares} onCancel={() => setIsRecovering(false)} />
+      </ScrollView>
+    );
+  }
+
   return (
     <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
       <Text style={styles.title}>GibberWallet Setup</Text>
       <Text style={styles.subtitle}>Secure Offline Transaction Signing</Text>
 
-      {hasExistingWallet && (
+      {onCancel && (
+        <TouchableOpacity
+          style={[styles.button, styles.secondaryButton]}
+          onPress={onCancel}
+          disabled={isLoading}
+        >
+          <Text style={styles.buttonText}>Back to Wallets</Text>
+        </TouchableOpacity>
+      )}
+
+      {hasExistingWallet && !onCancel && (
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Existing Wallet</Text>
           <TouchableOpacity
@@ -184,10 +300,18 @@ export const WalletSetupScreen: React.FC<WalletSetupScreenProps> = ({ onWalletRe
           <Text style={styles.buttonText}>Generate New Wallet</Text>
         </TouchableOpacity>
 
-        <Text style={styles.label}>Or enter your private key:</Text>
+        <TouchableOpacity
+          style={[styles.button, styles.secondaryButton]}
+          onPress={() => setIsRecovering(true)}
+          disabled={isLoading}
+        >
+          <Text style={styles.buttonText}>Recover From Backup Shares</Text>
+        </TouchableOpacity>
+
+        <Text style={styles.label}>Or enter your recovery phrase or private key:</Text>
         <TextInput
           style={[styles.textInput, !isValidKey && privateKey ? styles.invalidInput : null]}
-          placeholder="Enter your private key (64 hex characters)"
+          placeholder="12 or 24 word recovery phrase, or private key (64 hex characters)"
           value={privateKey}
           onChangeText={setPrivateKey}
           multiline
@@ -197,9 +321,37 @@ export const WalletSetupScreen: React.FC<WalletSetupScreenProps> = ({ onWalletRe
         />
 
         {privateKey && !isValidKey && (
-          <Text style={styles.errorText}>Invalid private key format</Text>
+          <Text style={styles.errorText}>
+            {isMnemonic ? 'Invalid recovery phrase' : 'Invalid private key format'}
+          </Text>
+        )}
+
+        {isMnemonic && (
+          <>
+            <Text style={[styles.label, styles.passphraseLabel]}>Passphrase (optional):</Text>
+            <TextInput
+              style={styles.passphraseInput}
+              placeholder="BIP-39 passphrase"
+              value={passphrase}
+              onChangeText={setPassphrase}
+              secureTextEntry
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+          </>
         )}
 
+        <Text style={[styles.label, styles.passphraseLabel]}>Wallet name:</Text>
+        <TextInput
+          style={styles.passphraseInput}
+          placeholder="Personal, Team, ..."
+          value={alias}
+          onChangeText={setAlias}
+          autoCapitalize="none"
+          autoCorrect={false}
+          maxLength={SecureStorage.MAX_ALIAS_LENGTH}
+        />
+
         {isValidKey && previewAddress && (
           <View style={styles.previewContainer}>
             <Text style={styles.previewLabel}>Wallet Address:</Text>
@@ -234,16 +386,55 @@ export const WalletSetupScreen: React.FC<WalletSetupScreenProps> = ({ onWalletRe
         </TouchableOpacity>
       </View>
 
+      {(hasExistingWallet || (isMnemonic && isValidKey)) && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Backup Shares</Text>
+          <Text style={styles.description}>
+            Split the {isMnemonic && isValidKey ? 'recovery phrase above' : `recovery phrase of "${activeAlias}"`} into
+            shares, so that any {shareThreshold || 'M'} of {shareCount || 'N'} recover the wallet and fewer reveal nothing.
+          </Text>
+          <View style={styles.shareOptions}>
+            <Text style={styles.label}>Shares needed</Text>
+            <TextInput
+              style={styles.shareInput}
+              value={shareThreshold}
+              onChangeText={setShareThreshold}
+              keyboardType="number-pad"
+            />
+            <Text style={styles.label}>of</Text>
+            <TextInput
+              style={styles.shareInput}
+              value={shareCount}
+              onChangeText={setShareCount}
+              keyboardType="number-pad"
+            />
+          </View>
+          <TouchableOpacity
+            style={[styles.button, styles.primaryButton]}
+            onPress={splitIntoShares}
+            disabled={isLoading}
+          >
+            <Text style={styles.buttonText}>Split Into Shares</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
       <View style={styles.warningContainer}>
         <Text style={styles.warningTitle}>⚠️ Important Security Notes</Text>
         <Text style={styles.warningText}>
           • Your private key is stored securely on this device only
         </Text>
         <Text style={styles.warningText}>
-          • Back up your private key safely - it cannot be recovered if lost
+          • Back up your recovery phrase or private key safely - it cannot be recovered if lost
+        </Text>
+        <Text style={styles.warningText}>
+          • A passphrase is needed with the recovery phrase, losing it loses the wallet
+        </Text>
+        <Text style={styles.warningText}>
+          • Keep backup shares in separate places, the passphrase is not part of them
         </Text>
         <Text style={styles.warningText}>
-          • Never share your private key with anyone
+          • Never share your recovery phrase or private key with anyone
         </Text>
         <Text style={styles.warningText}>
           • This device should remain offline (airgapped) for maximum security
@@ -308,6 +499,38 @@ const styles = StyleSheet.create({
     minHeight: 80,
     textAlignVertical: 'top',
   },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 15,
+  },
+  shareOptions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 15,
+  },
+  shareInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 16,
+    width: 60,
+    textAlign: 'center',
+    backgroundColor: '#f9f9f9',
+  },
+  passphraseLabel: {
+    marginTop: 15,
+  },
+  passphraseInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 15,
+    fontSize: 14,
+    backgroundColor: '#f9f9f9',
+  },
   invalidInput: {
     borderColor: '#ff4444',
     backgroundColor: '#fff5f5',
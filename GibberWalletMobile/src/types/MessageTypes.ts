@@ -2,27 +2,98 @@
  * Message types supported by the protocol
  */
 export const MessageType = {
-  PING: 'ping',
-  PONG: 'pong',
+  CONNECT: 'connect',
+  CONNECT_RESPONSE: 'connect_response',
   TX_REQUEST: 'tx_request',
   TX_RESPONSE: 'tx_response',
+  SIGN_MESSAGE_REQUEST: 'sign_message_request',
+  SIGN_MESSAGE_RESPONSE: 'sign_message_response',
+  SIGN_TYPED_DATA_REQUEST: 'sign_typed_data_request',
+  SIGN_TYPED_DATA_RESPONSE: 'sign_typed_data_response',
+  TX_BATCH_REQUEST: 'tx_batch_request',
+  TX_BATCH_RESPONSE: 'tx_batch_response',
   ACK: 'ack',
-  ERROR: 'error'
+  NACK: 'nack',
+  ENCRYPTED: 'encrypted',
+  SESSION_KEY: 'session_key',
+  ERROR: 'error',
+  // Legacy handshake of earlier mobile releases, answered like connect but without the address
+  PING: 'ping',
+  PONG: 'pong'
 } as const;
 
 export type MessageTypeValues = typeof MessageType[keyof typeof MessageType];
 
+/**
+ * Optional features advertised in connect and agreed in connect_response
+ */
+export const Capability = {
+  CHUNKING: 'chunking',
+  COMPRESSION: 'compression',
+  EIP1559: 'eip1559',
+  PERSONAL_SIGN: 'personal_sign',
+  TYPED_DATA: 'typed_data',
+  BATCH: 'batch',
+  ACCESS_LIST: 'access_list',
+  REPLACEMENT: 'replacement',
+  ACCOUNTS: 'accounts'
+} as const;
+
+export type CapabilityValues = typeof Capability[keyof typeof Capability];
+
+/**
+ * Version and capabilities agreed with a peer
+ */
+export interface Negotiated {
+  version: string;
+  capabilities: CapabilityValues[];
+}
+
 /**
  * Transaction data structure
+ *
+ * Legacy (type 0) transactions carry `gasPrice`, EIP-1559 (type 2)
+ * transactions carry `maxFeePerGas` and `maxPriorityFeePerGas` instead.
+ * A missing `type` is treated as legacy.
  */
 export interface TransactionData {
   chainId: number;
+  type?: number;
   nonce: string;
-  gasPrice: string;
+  gasPrice?: string;
+  maxFeePerGas?: string;
+  maxPriorityFeePerGas?: string;
   gasLimit: string;
-  to: string;
+  // Left out when deploying a contract, with the init code in `data`
+  to?: string;
   value: string;
   data: string;
+  // EIP-2930 addresses and storage slots the transaction touches
+  accessList?: AccessListEntry[];
+}
+
+/**
+ * Access list entry, as returned by `eth_createAccessList`
+ */
+export interface AccessListEntry {
+  address: string;
+  storageKeys: string[];
+}
+
+/**
+ * Access list of a transaction, summarized for display
+ */
+export interface AccessListDescription {
+  entries: AccessListEntry[];
+  storageKeyCount: number;
+}
+
+/**
+ * EIP-1559 fee caps for a transaction request
+ */
+export interface Eip1559Fees {
+  maxFeePerGas: bigint | string;
+  maxPriorityFeePerGas: bigint | string;
 }
 
 /**
@@ -33,25 +104,190 @@ export interface SignedTransaction {
   hash: string;
 }
 
+/**
+ * Result for one transaction of a batch, its signature or why it was not signed
+ */
+export type BatchResult = { signedTransaction: SignedTransaction } | { error: string };
+
+/**
+ * EIP-191 message signature structure
+ */
+export interface SignedMessage {
+  signature: string;
+  hash: string;
+}
+
+/**
+ * EIP-712 typed data, the JSON object of `eth_signTypedData_v4`
+ */
+export interface TypedData {
+  types: Record<string, Array<{ name: string; type: string }>>;
+  primaryType: string;
+  domain: Record<string, any>;
+  message: Record<string, any>;
+}
+
+/**
+ * Typed data field prepared for display. Struct and array fields have
+ * `fields`, others a display `value`.
+ */
+export interface TypedDataField {
+  name: string;
+  type: string;
+  value?: string;
+  fields?: TypedDataField[];
+}
+
+/**
+ * Typed data prepared for display
+ */
+export interface TypedDataDescription {
+  domain: TypedDataField[];
+  primaryType: string;
+  message: TypedDataField[];
+}
+
+/**
+ * A contract deployment prepared for display: the address the contract will
+ * get and the keccak256 hash of its init code
+ */
+export interface DeploymentDescription {
+  contractAddress: string | null;
+  bytecodeHash: string;
+  bytecodeSize: number;
+}
+
+/**
+ * A transaction that replaces a pending one at the same nonce: a zero-value
+ * transfer to the sender cancels it, anything else speeds it up
+ */
+export interface ReplacementDescription {
+  hash: string;
+  kind: 'speed_up' | 'cancel';
+}
+
+/**
+ * A batch of transactions prepared for display: the totals over all of
+ * them and warnings about their nonces and chains
+ */
+export interface BatchDescription {
+  count: number;
+  totalValue: bigint;
+  maxFees: bigint;
+  nonces: number[];
+  warnings: string[];
+}
+
+/**
+ * Calldata decoded with the built-in ABI registry. Unknown calls have a
+ * null signature; arguments use the same field shape as typed data.
+ * ERC-20 calls on a listed token have a summary in whole tokens.
+ */
+export interface ContractCallDescription {
+  selector: string;
+  standard: string | null;
+  name: string | null;
+  signature: string | null;
+  summary: string | null;
+  args: TypedDataField[];
+  warnings: string[];
+}
+
 /**
  * Message payload types
  */
-export interface PingPayload {}
+export interface ConnectPayload {
+  versions?: string[];
+  capabilities?: string[];
+  // Commitment to the client's session key, see SecureSession
+  key_commitment?: string;
+}
+
+/**
+ * An account the wallet signs for, with the path it was derived along
+ * from the wallet's mnemonic. Accounts of a raw private key have no path.
+ */
+export interface AccountInfo {
+  address: string;
+  path?: string;
+}
+
+export interface ConnectResponsePayload {
+  address: string;
+  received_id: string;
+  capabilities?: CapabilityValues[];
+  // Accounts requests may name, when the accounts capability was negotiated
+  accounts?: AccountInfo[];
+}
+
+export type PingPayload = ConnectPayload;
 
 export interface PongPayload {
   received_id: string;
+  capabilities?: CapabilityValues[];
 }
 
 export interface TxRequestPayload {
   transaction: TransactionData;
+  // Hash of the pending transaction this one replaces at the same nonce
+  replaces?: string;
+  // Account to sign with, the primary account when left out
+  account?: string;
 }
 
 export interface TxResponsePayload {
   signedTransaction: SignedTransaction;
+  received_id: string;
+}
+
+export interface TxBatchRequestPayload {
+  transactions: TransactionData[];
+  account?: string;
+}
+
+export interface TxBatchResponsePayload {
+  results: BatchResult[];
+  received_id: string;
+}
+
+export interface SignMessageRequestPayload {
+  message: string;
+  account?: string;
 }
 
+export interface SignMessageResponsePayload {
+  signedMessage: SignedMessage;
+  received_id: string;
+}
+
+export interface SignTypedDataRequestPayload {
+  typedData: TypedData;
+  account?: string;
+}
+
+export type SignTypedDataResponsePayload = SignMessageResponsePayload;
+
 export interface AckPayload {
   received_id: string;
+  frame_id?: string;
+}
+
+export interface NackPayload {
+  frame_id: string;
+  missing: number[];
+}
+
+export interface EncryptedPayload {
+  seq: number;
+  ciphertext: string;
+  tag: string;
+  public_key?: string;
+  compressed?: boolean;
+}
+
+export interface SessionKeyPayload {
+  public_key: string;
+  received_id: string;
 }
 
 export interface ErrorPayload {
@@ -65,6 +301,6 @@ export interface ErrorPayload {
 export interface IMessage {
   version: string;
   type: MessageTypeValues;
-  payload: PingPayload | PongPayload | TxRequestPayload | TxResponsePayload | AckPayload | ErrorPayload;
+  payload: ConnectPayload | ConnectResponsePayload | PongPayload | TxRequestPayload | TxResponsePayload | TxBatchRequestPayload | TxBatchResponsePayload | SignMessageRequestPayload | SignMessageResponsePayload | SignTypedDataRequestPayload | AckPayload | NackPayload | EncryptedPayload | SessionKeyPayload | ErrorPayload;
   id: string;
 }
\ No newline at end of file
@@ -8,6 +8,7 @@
 import { MessageType, MessageProtocol } from '../src/message-protocol.js';
 import { SoundProtocol } from '../src/sound-protocol.js';
 import { CryptoUtils } from '../src/crypto-utils.js';
+import { SecureSession } from '../src/secure-session.js';
 import { OfflineWallet } from '../src/offline-wallet.js';
 import { OnlineClient } from '../src/online-client.js';
 import readline from 'readline';
@@ -146,11 +147,30 @@ class Demo {
         // Step 2: Simulate connect handshake
         console.log('[DEMO] 2. Simulating connect handshake...');
         
-        const connect = MessageProtocol.createConnect();
-        console.log(`[DEMO] Online -> Offline: CONNECT (${connect.id})`);
+        const clientSession = SecureSession.initiate();
+        const connect = MessageProtocol.createConnect(clientSession.commitment);
+        console.log(`[DEMO] Online -> Offline: CONNECT (${connect.id}) - Key commitment: ${clientSession.commitment}`);
         
-        const connectResponse = MessageProtocol.createConnectResponse(this.walletAddress, connect.id);
-        console.log(`[DEMO] Offline -> Online: CONNECT_RESPONSE (${connectResponse.id}) - Address: ${this.walletAddress}`);
+        const walletSession = SecureSession.respond(connect.payload.key_commitment);
+        const negotiated = MessageProtocol.negotiate(connect);
+        console.log(`[DEMO] Negotiated protocol ${negotiated.version} with capabilities: ${negotiated.capabilities.join(', ')}`);
+        const walletKey = MessageProtocol.createSessionKey(walletSession.publicKey, connect.id);
+        console.log(`[DEMO] Offline -> Online: SESSION_KEY (${walletKey.id}) - Session key: ${walletSession.publicKey}`);
+        
+        clientSession.establish(walletKey.payload.public_key);
+        const clientKey = MessageProtocol.createSessionKey(clientSession.publicKey, walletKey.id);
+        console.log(`[DEMO] Online -> Offline: SESSION_KEY (${clientKey.id}) - Session key: ${clientSession.publicKey}`);
+        
+        walletSession.establish(clientKey.payload.public_key);
+        const connectResponse = MessageProtocol.createConnectResponse(this.walletAddress, connect.id, negotiated);
+        this.crypto.signProtocolMessage(connectResponse, connect.id);
+        const envelope = walletSession.seal(connectResponse);
+        console.log(`[DEMO] Offline -> Online: ENCRYPTED CONNECT_RESPONSE (${envelope.id})`);
+        
+        const opened = clientSession.open(envelope);
+        const addressVerified = CryptoUtils.verifyProtocolMessage(opened, opened.payload.address, connect.id);
+        console.log(`[DEMO] Online decrypted address: ${opened.payload.address} (signature ${addressVerified ? 'valid' : 'INVALID'})`);
+        console.log(`[DEMO] Session code on both screens: ${clientSession.sas} / ${walletSession.sas}`);
         
         // Step 3: Send transaction request
         console.log('[DEMO] 3. Sending transaction request...');
@@ -207,12 +227,25 @@ class Demo {
         
         const txResponse = MessageProtocol.createTxResponse(
             signedTx.raw,
-            signedTx.hash
+            signedTx.hash,
+            txRequest.id
         );
         
+        this.crypto.signProtocolMessage(txResponse, txRequest.id);
+        
         console.log(`[DEMO] Offline -> Online: TX_RESPONSE (${txResponse.id})`);
         console.log(`[DEMO] Transaction hash: ${signedTx.hash}`);
         
+        // The online client only broadcasts what the paired wallet signed for this request
+        const responseVerified = CryptoUtils.verifyProtocolMessage(txResponse, this.walletAddress, txRequest.id);
+        console.log(`[DEMO] Response signature: ${responseVerified ? 'valid' : 'INVALID'}`);
+        try {
+            CryptoUtils.verifySignedTransaction(signedTx.raw, signedTx.hash, txData, this.walletAddress);
+            console.log('[DEMO] Signed transaction matches the request');
+        } catch (error) {
+            console.log(`[DEMO] Signed transaction rejected: ${error.message}`);
+        }
+        
         // Step 6: Simulate broadcast (optional)
         console.log('[DEMO] 6. Would broadcast to network...');
         console.log(`[DEMO] Signed transaction: ${signedTx.raw.slice(0, 50)}...`);
@@ -262,6 +295,10 @@ class Demo {
         );
         console.log(`[DEMO] Created tx request: ${txRequest.toJSON()}`);
         
+        // Test message signing request
+        const signRequest = MessageProtocol.createSignMessageRequest('Sign in to example.org');
+        console.log(`[DEMO] Created sign message request: ${signRequest.toJSON()}`);
+        
         // Test serialization/deserialization
         const jsonStr = txRequest.toJSON();
         const parsed = MessageProtocol.Message.fromJSON(jsonStr);
@@ -0,0 +1,105 @@
+import { FunctionFragment, AbiCoder, dataLength, dataSlice } from 'ethers';
+
+/**
+ * Built-in registry of well-known contract functions, looked up by 4-byte
+ * selector so the offline wallet can decode calldata without network access.
+ *
+ * `approval` names the parameters that grant spending rights, so unlimited
+ * approvals can be flagged. `recipient` names the parameter that receives
+ * the assets a function moves, `params.recipient` for a field of a tuple
+ * parameter, so signing policies can check it. `nested` marks functions whose `bytes`
+ * parameters are themselves calls (multicall), which are decoded too.
+ */
+export class AbiRegistry {
+    static FUNCTIONS = [
+        // ERC-20 (approve and transferFrom share their selectors with ERC-721)
+        { standard: 'ERC-20', signature: 'transfer(address to, uint256 amount)', recipient: 'to' },
+        { standard: 'ERC-20', signature: 'approve(address spender, uint256 amount)', approval: { spender: 'spender', amount: 'amount' } },
+        { standard: 'ERC-20', signature: 'transferFrom(address from, address to, uint256 amount)', recipient: 'to' },
+        { standard: 'ERC-20', signature: 'increaseAllowance(address spender, uint256 addedValue)', approval: { spender: 'spender', amount: 'addedValue' } },
+        { standard: 'ERC-20', signature: 'decreaseAllowance(address spender, uint256 subtractedValue)' },
+        { standard: 'WETH', signature: 'deposit()' },
+        { standard: 'WETH', signature: 'withdraw(uint256 amount)' },
+
+        // ERC-721
+        { standard: 'ERC-721', signature: 'safeTransferFrom(address from, address to, uint256 tokenId)', recipient: 'to' },
+        { standard: 'ERC-721', signature: 'safeTransferFrom(address from, address to, uint256 tokenId, bytes data)', recipient: 'to' },
+        { standard: 'ERC-721', signature: 'setApprovalForAll(address operator, bool approved)', approval: { spender: 'operator', all: 'approved' } },
+
+        // ERC-1155
+        { standard: 'ERC-1155', signature: 'safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)', recipient: 'to' },
+        { standard: 'ERC-1155', signature: 'safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)', recipient: 'to' },
+
+        // Uniswap V2 router
+        { standard: 'Uniswap V2', signature: 'swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)', recipient: 'to' },
+        { standard: 'Uniswap V2', signature: 'swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)', recipient: 'to' },
+        { standard: 'Uniswap V2', signature: 'swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)', recipient: 'to' },
+        { standard: 'Uniswap V2', signature: 'swapETHForExactTokens(uint256 amountOut, address[] path, address to, uint256 deadline)', recipient: 'to' },
+        { standard: 'Uniswap V2', signature: 'swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)', recipient: 'to' },
+        { standard: 'Uniswap V2', signature: 'swapTokensForExactETH(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)', recipient: 'to' },
+        { standard: 'Uniswap V2', signature: 'addLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)', recipient: 'to' },
+        { standard: 'Uniswap V2', signature: 'addLiquidityETH(address token, uint256 amountTokenDesired, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline)', recipient: 'to' },
+        { standard: 'Uniswap V2', signature: 'removeLiquidity(address tokenA, address tokenB, uint256 liquidity, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)', recipient: 'to' },
+        { standard: 'Uniswap V2', signature: 'removeLiquidityETH(address token, uint256 liquidity, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline)', recipient: 'to' },
+
+        // Uniswap V3 SwapRouter and SwapRouter02
+        { standard: 'Uniswap V3', signature: 'exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)', recipient: 'params.recipient' },
+        { standard: 'Uniswap V3', signature: 'exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params)', recipient: 'params.recipient' },
+        { standard: 'Uniswap V3', signature: 'exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params)', recipient: 'params.recipient' },
+        { standard: 'Uniswap V3', signature: 'exactOutput((bytes path, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum) params)', recipient: 'params.recipient' },
+        { standard: 'Uniswap V3', signature: 'exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)', recipient: 'params.recipient' },
+        { standard: 'Uniswap V3', signature: 'exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params)', recipient: 'params.recipient' },
+        { standard: 'Uniswap V3', signature: 'exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params)', recipient: 'params.recipient' },
+        { standard: 'Uniswap V3', signature: 'exactOutput((bytes path, address recipient, uint256 amountOut, uint256 amountInMaximum) params)', recipient: 'params.recipient' },
+        { standard: 'Uniswap V3', signature: 'unwrapWETH9(uint256 amountMinimum, address recipient)', recipient: 'recipient' },
+        { standard: 'Uniswap V3', signature: 'refundETH()' },
+
+        // Universal Router commands are not calls, so they are shown as raw bytes
+        { standard: 'Universal Router', signature: 'execute(bytes commands, bytes[] inputs, uint256 deadline)' },
+        { standard: 'Permit2', signature: 'approve(address token, address spender, uint160 amount, uint48 expiration)', approval: { spender: 'spender', amount: 'amount' } },
+
+        // Multicall
+        { standard: 'Multicall', signature: 'multicall(bytes[] data)', nested: true },
+        { standard: 'Multicall', signature: 'multicall(uint256 deadline, bytes[] data)', nested: true },
+        { standard: 'Multicall3', signature: 'aggregate((address target, bytes callData)[] calls)', nested: true },
+        { standard: 'Multicall3', signature: 'tryAggregate(bool requireSuccess, (address target, bytes callData)[] calls)', nested: true },
+        { standard: 'Multicall3', signature: 'aggregate3((address target, bool allowFailure, bytes callData)[] calls)', nested: true },
+        { standard: 'Multicall3', signature: 'aggregate3Value((address target, bool allowFailure, uint256 value, bytes callData)[] calls)', nested: true }
+    ];
+
+    static selectors = null;
+
+    /**
+     * Find the registry entry for a 4-byte selector, or null if unknown
+     */
+    static lookup(selector) {
+        if (!AbiRegistry.selectors) {
+            AbiRegistry.selectors = new Map();
+            for (const entry of AbiRegistry.FUNCTIONS) {
+                const fragment = FunctionFragment.from(entry.signature);
+                AbiRegistry.selectors.set(fragment.selector, { ...entry, fragment });
+            }
+        }
+
+        return AbiRegistry.selectors.get(selector.toLowerCase()) || null;
+    }
+
+    /**
+     * Decode calldata against the registry. Returns null when the selector is
+     * unknown and throws when the arguments do not match the known function.
+     */
+    static decode(data) {
+        if (dataLength(data) < 4) {
+            return null;
+        }
+
+        const selector = dataSlice(data, 0, 4);
+        const entry = AbiRegistry.lookup(selector);
+        if (!entry) {
+            return null;
+        }
+
+        const args = AbiCoder.defaultAbiCoder().decode(entry.fragment.inputs, dataSlice(data, 4));
+        return { selector, entry, args };
+    }
+}
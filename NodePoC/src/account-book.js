@@ -0,0 +1,239 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { getAddress, isAddress, HDNodeWallet } from 'ethers';
+
+/**
+ * Watch-only accounts of the online client, kept in a JSON file so their
+ * balances, nonces and history can be checked and transactions prepared
+ * while the offline wallet is away. It holds addresses only, never keys.
+ *
+ * Accounts are learnt from the accounts a wallet lists when it connects,
+ * added by hand, or derived from an extended public key (xpub) exported
+ * by the offline wallet. Each account is kept per chain, with the
+ * transactions the client broadcast for it, as RPC nodes keep no history
+ * by address.
+ */
+export class AccountBook {
+    static SOURCES = ['wallet', 'manual', 'xpub'];
+
+    // Transactions kept per account, the oldest are dropped first
+    static MAX_HISTORY = 50;
+
+    // Most accounts derived from an xpub at once
+    static MAX_XPUB_ACCOUNTS = 20;
+
+    /**
+     * Open the account book at `path`, reading it if it exists. Without a
+     * path the book is only kept in memory.
+     */
+    constructor(path = null) {
+        this.path = path;
+        this.accounts = new Map();
+        if (path && existsSync(path)) {
+            const book = JSON.parse(readFileSync(path, 'utf8'));
+            for (const entry of book.accounts || []) {
+                this.put(entry);
+            }
+        }
+    }
+
+    /**
+     * Add an account or update the one with its chain and address, keeping
+     * the fields not given and its history, and save the book. `account`
+     * holds address, chainId, label, source, path, wallet, xpub and index.
+     */
+    add(account) {
+        const known = this.get(account.chainId, account.address);
+        const given = Object.fromEntries(Object.entries(account).filter(([, value]) => value !== undefined && value !== null));
+        const entry = this.put({ ...known, ...given, transactions: known?.transactions ?? [] });
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Add the accounts a connected wallet offered, `{ address, path }` with
+     * the primary account first, see OnlineClient.readAccounts
+     */
+    addFromWallet(accounts, chainId) {
+        const wallet = getAddress(accounts[0].address);
+        return accounts.map(account => this.add({
+            address: account.address,
+            chainId,
+            source: 'wallet',
+            path: account.path,
+            wallet
+        }));
+    }
+
+    /**
+     * Add `count` accounts derived from an xpub from child `start` on.
+     * `basePath` is the derivation path of the xpub, if known, to show the
+     * path of each account. Extended private keys are refused.
+     */
+    addFromXpub(xpub, chainId, count = 5, start = 0, basePath = null, label = null) {
+        if (!Number.isInteger(count) || count < 1 || count > AccountBook.MAX_XPUB_ACCOUNTS) {
+            throw new Error(`Between 1 and ${AccountBook.MAX_XPUB_ACCOUNTS} accounts can be derived at once`);
+        }
+        if (!Number.isInteger(start) || start < 0) {
+            throw new Error(`Invalid first account: ${start}`);
+        }
+
+        let node;
+        try {
+            node = HDNodeWallet.fromExtendedKey(xpub.trim());
+        } catch {
+            throw new Error('Not an extended public key');
+        }
+        if (node instanceof HDNodeWallet) {
+            throw new Error('This is an extended private key, which must stay on the offline device. Export the xpub instead');
+        }
+
+        return Array.from({ length: count }, (_, offset) => {
+            const index = start + offset;
+            return this.add({
+                address: node.deriveChild(index).address,
+                chainId,
+                label: label ? `${label} #${index}` : null,
+                source: 'xpub',
+                path: basePath ? `${basePath}/${index}` : null,
+                xpub: node.extendedKey,
+                index
+            });
+        });
+    }
+
+    /**
+     * Validate an entry and keep it, without saving the book
+     */
+    put(entry) {
+        if (!isAddress(entry.address)) {
+            throw new Error(`Invalid address: ${entry.address}`);
+        }
+        if (!Number.isInteger(entry.chainId) || entry.chainId <= 0) {
+            throw new Error(`Invalid chain ID: ${entry.chainId}`);
+        }
+        const source = entry.source ?? 'manual';
+        if (!AccountBook.SOURCES.includes(source)) {
+            throw new Error(`Invalid account source: ${source}`);
+        }
+
+        const account = {
+            address: getAddress(entry.address),
+            chainId: entry.chainId,
+            label: entry.label ?? null,
+            source,
+            path: entry.path ?? null,
+            wallet: entry.wallet ? getAddress(entry.wallet) : null,
+            xpub: entry.xpub ?? null,
+            index: entry.index ?? null,
+            transactions: Array.isArray(entry.transactions) ? entry.transactions : []
+        };
+        this.accounts.set(AccountBook.key(account.chainId, account.address), account);
+        return account;
+    }
+
+    /**
+     * The account with `address` on `chainId`, or null
+     */
+    get(chainId, address) {
+        if (!isAddress(address)) {
+            return null;
+        }
+        return this.accounts.get(AccountBook.key(chainId, address)) ?? null;
+    }
+
+    /**
+     * Accounts in the order they were added, only those of `chainId` if given
+     */
+    list(chainId = null) {
+        const accounts = [...this.accounts.values()];
+        return chainId === null ? accounts : accounts.filter(account => account.chainId === chainId);
+    }
+
+    /**
+     * Rename an account, or clear its label with an empty one
+     */
+    setLabel(chainId, address, label) {
+        const account = this.get(chainId, address);
+        if (!account) {
+            throw new Error(`No account ${address} on chain ${chainId}`);
+        }
+        account.label = label.trim() || null;
+        this.save();
+        return account;
+    }
+
+    /**
+     * Remove an account and its history
+     */
+    remove(chainId, address) {
+        const removed = isAddress(address) && this.accounts.delete(AccountBook.key(chainId, address));
+        if (removed) {
+            this.save();
+        }
+        return removed;
+    }
+
+    /**
+     * Note a broadcast transaction in the history of its sender, if the
+     * sender is in the book. `transaction` holds hash, from, nonce, to and value.
+     */
+    recordTransaction(chainId, transaction, now = Date.now()) {
+        const account = this.get(chainId, transaction.from);
+        if (!account) {
+            return false;
+        }
+
+        account.transactions.push({
+            hash: transaction.hash,
+            nonce: transaction.nonce,
+            to: transaction.to ?? null,
+            value: BigInt(transaction.value ?? 0).toString(),
+            time: now
+        });
+        account.transactions = account.transactions.slice(-AccountBook.MAX_HISTORY);
+        this.save();
+        return true;
+    }
+
+    /**
+     * The book as written to its file
+     */
+    toJSON() {
+        return { accounts: this.list() };
+    }
+
+    /**
+     * Write the book to its file, if it has one
+     */
+    save() {
+        if (this.path) {
+            writeFileSync(this.path, JSON.stringify(this.toJSON(), null, 2) + '\n');
+        }
+    }
+
+    // Map key for an account, case-insensitive in the address
+    static key(chainId, address) {
+        return `${chainId}:${address.toLowerCase()}`;
+    }
+
+    /**
+     * Format an account as one line for the terminal
+     */
+    static formatEntry(account) {
+        const parts = [account.address];
+        if (account.label) {
+            parts.unshift(account.label);
+        }
+        if (account.source === 'wallet') {
+            parts.push(account.wallet === account.address ? 'wallet primary' : `wallet ${account.wallet}`);
+        } else if (account.source === 'xpub') {
+            parts.push(`xpub …${account.xpub.slice(-8)} #${account.index}`);
+        } else {
+            parts.push('added by hand');
+        }
+        if (account.path) {
+            parts.push(account.path);
+        }
+        return parts.join('  ');
+    }
+}
@@ -0,0 +1,412 @@
+import { getBytes, hexlify, toUtf8Bytes, toUtf8String, encodeBase64, decodeBase64, getAddress } from 'ethers';
+
+/**
+ * Compact binary encoding of protocol messages for protocol version 1.1.
+ *
+ * A message is encoded as the CBOR array
+ *
+ *     [version, type, id, payload]
+ *
+ * base64 encoded and prefixed with `~` so it can travel as ggwave text and
+ * be told apart from legacy JSON messages. To keep it short:
+ *
+ * - message types are replaced by the small integer codes in TYPE_CODES
+ * - payload keys found in KEY_CODES are replaced by their integer code,
+ *   other keys are kept as text
+ * - UUIDs are sent as 16 bytes (CBOR tag 37)
+ * - lowercase hex strings are sent as bytes, odd-length ones under tag 6
+ *   and EIP-55 checksummed addresses under tag 7
+ *
+ * Every value decodes back to exactly the string that was encoded.
+ */
+export class CompactCodec {
+    static PREFIX = '~';
+
+    static TYPE_CODES = {
+        connect: 0,
+        connect_response: 1,
+        tx_request: 2,
+        tx_response: 3,
+        ack: 4,
+        nack: 5,
+        error: 6,
+        ping: 7,
+        pong: 8,
+        encrypted: 9,
+        sign_message_request: 10,
+        sign_message_response: 11,
+        sign_typed_data_request: 12,
+        sign_typed_data_response: 13,
+        tx_batch_request: 14,
+        tx_batch_response: 15,
+        session_key: 16
+    };
+
+    // Append only, codes must never be reused or reordered
+    static KEY_CODES = {
+        transaction: 0,
+        chainId: 1,
+        type: 2,
+        nonce: 3,
+        gasPrice: 4,
+        maxFeePerGas: 5,
+        maxPriorityFeePerGas: 6,
+        gasLimit: 7,
+        to: 8,
+        value: 9,
+        data: 10,
+        signedTransaction: 11,
+        raw: 12,
+        hash: 13,
+        address: 14,
+        received_id: 15,
+        frame_id: 16,
+        missing: 17,
+        message: 18,
+        seq: 19,
+        ciphertext: 20,
+        tag: 21,
+        public_key: 22,
+        compressed: 23,
+        signature: 24,
+        versions: 25,
+        capabilities: 26,
+        signedMessage: 27,
+        typedData: 28,
+        domain: 29,
+        types: 30,
+        primaryType: 31,
+        name: 32,
+        transactions: 33,
+        results: 34,
+        error: 35,
+        accessList: 36,
+        storageKeys: 37,
+        replaces: 38,
+        accounts: 39,
+        account: 40,
+        path: 41,
+        key_commitment: 42
+    };
+
+    static TAG_UUID = 37;
+    static TAG_ODD_HEX = 6;
+    static TAG_ADDRESS = 7;
+
+    /**
+     * Check whether a received string is a compact message rather than JSON
+     */
+    static isCompact(str) {
+        return typeof str === 'string' && str.startsWith(CompactCodec.PREFIX);
+    }
+
+    /**
+     * Encode message fields to a compact string
+     */
+    static encode({ version, type, id, payload }) {
+        const typeCode = CompactCodec.TYPE_CODES[type];
+        const bytes = [];
+        CompactCodec.writeItem(bytes, [
+            version,
+            typeCode === undefined ? type : typeCode,
+            id,
+            payload
+        ], false);
+        return CompactCodec.PREFIX + encodeBase64(new Uint8Array(bytes));
+    }
+
+    /**
+     * Decode a compact string back to message fields
+     */
+    static decode(str) {
+        if (!CompactCodec.isCompact(str)) {
+            throw new Error('Not a compact message');
+        }
+
+        const reader = { bytes: getBytes(decodeBase64(str.slice(CompactCodec.PREFIX.length))), offset: 0 };
+        const fields = CompactCodec.readItem(reader);
+
+        if (reader.offset !== reader.bytes.length || !Array.isArray(fields) || fields.length !== 4) {
+            throw new Error('Malformed compact message');
+        }
+
+        const [version, type, id, payload] = fields;
+        return {
+            version,
+            type: typeof type === 'number' ? CompactCodec.typeForCode(type) : type,
+            id,
+            payload
+        };
+    }
+
+    /**
+     * Look up the message type for a type code
+     */
+    static typeForCode(code) {
+        const type = Object.keys(CompactCodec.TYPE_CODES).find(name => CompactCodec.TYPE_CODES[name] === code);
+        if (type === undefined) {
+            throw new Error(`Unknown compact message type: ${code}`);
+        }
+        return type;
+    }
+
+    /**
+     * Look up the payload key for a key code
+     */
+    static keyForCode(code) {
+        const key = Object.keys(CompactCodec.KEY_CODES).find(name => CompactCodec.KEY_CODES[name] === code);
+        if (key === undefined) {
+            throw new Error(`Unknown compact payload key: ${code}`);
+        }
+        return key;
+    }
+
+    /**
+     * Append a CBOR item header
+     */
+    static writeHead(bytes, major, value) {
+        if (value < 24) {
+            bytes.push((major << 5) | value);
+        } else if (value < 0x100) {
+            bytes.push((major << 5) | 24, value);
+        } else if (value < 0x10000) {
+            bytes.push((major << 5) | 25, value >> 8, value & 0xff);
+        } else if (value < 0x100000000) {
+            bytes.push((major << 5) | 26, ...CompactCodec.uintBytes(value, 4));
+        } else {
+            bytes.push((major << 5) | 27, ...CompactCodec.uintBytes(value, 8));
+        }
+    }
+
+    /**
+     * Big-endian bytes of a non-negative integer
+     */
+    static uintBytes(value, length) {
+        const result = [];
+        let remaining = BigInt(value);
+        for (let i = 0; i < length; i++) {
+            result.unshift(Number(remaining & 0xffn));
+            remaining >>= 8n;
+        }
+        return result;
+    }
+
+    /**
+     * Append a value as a CBOR item, using key codes when `isKey` is set
+     */
+    static writeItem(bytes, value, isKey = false) {
+        if (value === null || value === undefined) {
+            bytes.push(0xf6);
+        } else if (value === false) {
+            bytes.push(0xf4);
+        } else if (value === true) {
+            bytes.push(0xf5);
+        } else if (typeof value === 'number') {
+            CompactCodec.writeNumber(bytes, value);
+        } else if (typeof value === 'string') {
+            if (isKey && CompactCodec.KEY_CODES[value] !== undefined) {
+                CompactCodec.writeHead(bytes, 0, CompactCodec.KEY_CODES[value]);
+            } else {
+                CompactCodec.writeString(bytes, value);
+            }
+        } else if (Array.isArray(value)) {
+            CompactCodec.writeHead(bytes, 4, value.length);
+            value.forEach(item => CompactCodec.writeItem(bytes, item));
+        } else if (typeof value === 'object') {
+            // Undefined fields are dropped, as JSON.stringify does
+            const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+            CompactCodec.writeHead(bytes, 5, entries.length);
+            for (const [key, item] of entries) {
+                CompactCodec.writeItem(bytes, key, true);
+                CompactCodec.writeItem(bytes, item);
+            }
+        } else {
+            throw new Error(`Cannot encode ${typeof value} values`);
+        }
+    }
+
+    /**
+     * Append a number, as an integer when it is one and a float64 otherwise
+     */
+    static writeNumber(bytes, value) {
+        if (Number.isSafeInteger(value)) {
+            if (value >= 0) {
+                CompactCodec.writeHead(bytes, 0, value);
+            } else {
+                CompactCodec.writeHead(bytes, 1, -1 - value);
+            }
+            return;
+        }
+
+        const view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, value);
+        bytes.push(0xfb, ...new Uint8Array(view.buffer));
+    }
+
+    /**
+     * Append a string, packing UUIDs, hex strings and addresses as bytes
+     */
+    static writeString(bytes, value) {
+        if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(value)) {
+            CompactCodec.writeTagged(bytes, CompactCodec.TAG_UUID, '0x' + value.replace(/-/g, ''));
+        } else if (/^0x([0-9a-f]{2})*$/.test(value)) {
+            CompactCodec.writeBytes(bytes, getBytes(value));
+        } else if (/^0x[0-9a-f]+$/.test(value)) {
+            CompactCodec.writeTagged(bytes, CompactCodec.TAG_ODD_HEX, '0x0' + value.slice(2));
+        } else if (/^0x[0-9a-fA-F]{40}$/.test(value) && CompactCodec.isChecksummedAddress(value)) {
+            CompactCodec.writeTagged(bytes, CompactCodec.TAG_ADDRESS, value.toLowerCase());
+        } else {
+            const encoded = toUtf8Bytes(value);
+            CompactCodec.writeHead(bytes, 3, encoded.length);
+            bytes.push(...encoded);
+        }
+    }
+
+    /**
+     * Check whether a string is an address with a valid EIP-55 checksum
+     */
+    static isChecksummedAddress(value) {
+        try {
+            return getAddress(value) === value;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Append a byte string
+     */
+    static writeBytes(bytes, data) {
+        CompactCodec.writeHead(bytes, 2, data.length);
+        bytes.push(...data);
+    }
+
+    /**
+     * Append a tagged byte string given as hex
+     */
+    static writeTagged(bytes, tag, hex) {
+        CompactCodec.writeHead(bytes, 6, tag);
+        CompactCodec.writeBytes(bytes, getBytes(hex));
+    }
+
+    /**
+     * Read the argument of a CBOR item header
+     */
+    static readArgument(reader, info) {
+        if (info < 24) {
+            return info;
+        }
+
+        const lengths = { 24: 1, 25: 2, 26: 4, 27: 8 };
+        const length = lengths[info];
+        if (length === undefined) {
+            throw new Error('Unsupported compact encoding');
+        }
+
+        const value = BigInt(hexlify(CompactCodec.take(reader, length)));
+        if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+            throw new Error('Compact integer out of range');
+        }
+        return Number(value);
+    }
+
+    /**
+     * Read `length` bytes
+     */
+    static take(reader, length) {
+        if (reader.offset + length > reader.bytes.length) {
+            throw new Error('Truncated compact message');
+        }
+        const data = reader.bytes.slice(reader.offset, reader.offset + length);
+        reader.offset += length;
+        return data;
+    }
+
+    /**
+     * Read one CBOR item, decoding map keys through the key codes
+     */
+    static readItem(reader) {
+        const initial = CompactCodec.take(reader, 1)[0];
+        const major = initial >> 5;
+        const info = initial & 0x1f;
+
+        if (major === 7) {
+            return CompactCodec.readSimple(reader, info);
+        }
+
+        const argument = CompactCodec.readArgument(reader, info);
+
+        switch (major) {
+            case 0:
+                return argument;
+            case 1:
+                return -1 - argument;
+            case 2:
+                return hexlify(CompactCodec.take(reader, argument));
+            case 3:
+                return toUtf8String(CompactCodec.take(reader, argument));
+            case 4: {
+                const items = [];
+                for (let i = 0; i < argument; i++) {
+                    items.push(CompactCodec.readItem(reader));
+                }
+                return items;
+            }
+            case 5: {
+                const map = {};
+                for (let i = 0; i < argument; i++) {
+                    const key = CompactCodec.readItem(reader);
+                    map[typeof key === 'number' ? CompactCodec.keyForCode(key) : key] = CompactCodec.readItem(reader);
+                }
+                return map;
+            }
+            default:
+                return CompactCodec.readTagged(reader, argument);
+        }
+    }
+
+    /**
+     * Read a simple value or float
+     */
+    static readSimple(reader, info) {
+        switch (info) {
+            case 20:
+                return false;
+            case 21:
+                return true;
+            case 22:
+            case 23:
+                return null;
+            case 27:
+                return new DataView(CompactCodec.take(reader, 8).buffer).getFloat64(0);
+            default:
+                throw new Error('Unsupported compact encoding');
+        }
+    }
+
+    /**
+     * Read a tagged byte string back into its original string form
+     */
+    static readTagged(reader, tag) {
+        const hex = CompactCodec.readItem(reader);
+        if (typeof hex !== 'string' || !hex.startsWith('0x')) {
+            throw new Error('Malformed compact message');
+        }
+
+        switch (tag) {
+            case CompactCodec.TAG_UUID: {
+                const match = hex.slice(2).match(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/);
+                if (!match) {
+                    throw new Error('Malformed compact UUID');
+                }
+                return match.slice(1).join('-');
+            }
+            case CompactCodec.TAG_ODD_HEX:
+                return '0x' + hex.slice(3);
+            case CompactCodec.TAG_ADDRESS:
+                return getAddress(hex);
+            default:
+                throw new Error(`Unknown compact tag: ${tag}`);
+        }
+    }
+}
\ No newline at end of file
@@ -1,12 +1,117 @@
 import { ethers } from 'ethers';
+import { MessageProtocol } from './message-protocol.js';
+import { AbiRegistry } from './abi-registry.js';
+import { TokenRegistry } from './token-registry.js';
 
 /**
  * Cryptographic utilities for Ethereum transactions
  */
 export class CryptoUtils {
-    constructor(privateKey) {
+    // Fields of the EIP-712 domain, in the order they are hashed
+    static EIP712_DOMAIN_FIELDS = [
+        { name: 'name', type: 'string' },
+        { name: 'version', type: 'string' },
+        { name: 'chainId', type: 'uint256' },
+        { name: 'verifyingContract', type: 'address' },
+        { name: 'salt', type: 'bytes32' }
+    ];
+
+    // Allowances at or above this are treated as unlimited, which covers the
+    // max uint256, uint160 and uint128 values dApps use for "infinite" approvals
+    static UNLIMITED_ALLOWANCE = 2n ** 128n;
+
+    // Percentage by which nodes require a replacement to raise each fee
+    static REPLACEMENT_FEE_BUMP = 10n;
+
+    // BIP-44 path of Ethereum accounts, `{index}` is the account number
+    static DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/{index}";
+
+    /**
+     * `path` is the derivation path of a key derived from a mnemonic, see
+     * fromMnemonic, and null for a raw private key
+     */
+    constructor(privateKey, path = null) {
         this.wallet = new ethers.Wallet(privateKey);
         this.address = this.wallet.address;
+        this.path = path;
+    }
+
+    /**
+     * Generate a new BIP-39 mnemonic of 12 or 24 words
+     */
+    static generateMnemonic(words = 12) {
+        if (words !== 12 && words !== 24) {
+            throw new Error(`Mnemonics are generated with 12 or 24 words, not ${words}`);
+        }
+        return ethers.Mnemonic.fromEntropy(ethers.randomBytes(words === 24 ? 32 : 16)).phrase;
+    }
+
+    /**
+     * Check the words and checksum of a BIP-39 mnemonic
+     */
+    static validateMnemonic(phrase) {
+        try {
+            return ethers.Mnemonic.isValidMnemonic(CryptoUtils.normalizeMnemonic(phrase));
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Lowercase a mnemonic and separate its words by single spaces, as
+     * typed or pasted phrases often are not
+     */
+    static normalizeMnemonic(phrase) {
+        return phrase.trim().toLowerCase().split(/\s+/).join(' ');
+    }
+
+    /**
+     * Derive the first `count` accounts of a BIP-39 mnemonic and optional
+     * passphrase. `path` is a derivation path in which `{index}` stands for
+     * the account number, or a base path the number is appended to.
+     */
+    static fromMnemonic(phrase, passphrase = '', count = 1, path = CryptoUtils.DEFAULT_DERIVATION_PATH) {
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`Invalid account count: ${count}`);
+        }
+        if (!CryptoUtils.validateMnemonic(phrase)) {
+            throw new Error('Invalid mnemonic');
+        }
+        
+        // The seed is stretched once, each account is derived from the root
+        const mnemonic = ethers.Mnemonic.fromPhrase(CryptoUtils.normalizeMnemonic(phrase), passphrase);
+        const root = ethers.HDNodeWallet.fromSeed(mnemonic.computeSeed());
+        return Array.from({ length: count }, (_, index) => {
+            const accountPath = CryptoUtils.getDerivationPath(path, index);
+            return new CryptoUtils(root.derivePath(accountPath).privateKey, accountPath);
+        });
+    }
+
+    /**
+     * Derivation path of account `index` along `path`, see fromMnemonic
+     */
+    static getDerivationPath(path, index) {
+        return path.includes('{index}') ? path.replaceAll('{index}', String(index)) : `${path}/${index}`;
+    }
+
+    /**
+     * Extended public key (xpub) of the node the accounts of `path` are
+     * derived under, so a watch-only client can derive their addresses
+     * without the mnemonic. `{index}` must be the last step of the path.
+     * Returns the xpub and the path of its node.
+     */
+    static getExtendedPublicKey(phrase, passphrase = '', path = CryptoUtils.DEFAULT_DERIVATION_PATH) {
+        const basePath = path.endsWith('/{index}') ? path.slice(0, -'/{index}'.length) : path;
+        if (basePath.includes('{index}')) {
+            throw new Error(`Accounts of ${path} do not share an extended public key, {index} must come last`);
+        }
+        if (!CryptoUtils.validateMnemonic(phrase)) {
+            throw new Error('Invalid mnemonic');
+        }
+
+        const mnemonic = ethers.Mnemonic.fromPhrase(CryptoUtils.normalizeMnemonic(phrase), passphrase);
+        const node = ethers.HDNodeWallet.fromSeed(mnemonic.computeSeed()).derivePath(basePath);
+        return { xpub: node.neuter().extendedKey, path: basePath };
     }
 
     /**
@@ -28,21 +133,23 @@ export class CryptoUtils {
 
     /**
      * Create ETH transfer transaction
+     *
+     * `gasPrice` may be a legacy gas price or an EIP-1559 fee object, see `applyFees`.
      */
-    createEthTransaction(to, value, nonce, gasPrice, gasLimit, chainId) {
-        return {
+    createEthTransaction(to, value, nonce, gasPrice, gasLimit, chainId, accessList = null) {
+        return CryptoUtils.applyFees({
             to: to,
             value: value,
             gasLimit: gasLimit,
-            gasPrice: gasPrice,
             nonce: nonce,
-            chainId: chainId,
-            type: 0 // Legacy transaction type
-        };
+            chainId: chainId
+        }, gasPrice, accessList);
     }
 
     /**
      * Create ERC-20 transfer transaction
+     *
+     * `gasPrice` may be a legacy gas price or an EIP-1559 fee object, see `applyFees`.
      */
     createErc20Transaction(tokenAddress, to, amount, nonce, gasPrice, gasLimit, chainId) {
         // ERC-20 transfer function signature: transfer(address,uint256)
@@ -52,18 +159,85 @@ export class CryptoUtils {
         
         const data = iface.encodeFunctionData('transfer', [to, amount]);
         
-        return {
+        return CryptoUtils.applyFees({
             to: tokenAddress,
             value: 0, // No ETH value for ERC-20 transfers
             gasLimit: gasLimit,
-            gasPrice: gasPrice,
             nonce: nonce,
             chainId: chainId,
-            data: data,
+            data: data
+        }, gasPrice);
+    }
+
+    /**
+     * Set the fee fields and transaction type.
+     * A plain gas price produces a legacy (type 0) transaction, while
+     * `{ maxFeePerGas, maxPriorityFeePerGas }` produces an EIP-1559 (type 2) one.
+     * With an `accessList` a gas price produces an EIP-2930 (type 1) transaction.
+     */
+    static applyFees(transaction, fees, accessList = null) {
+        if (fees !== null && typeof fees === 'object' && fees.maxFeePerGas !== undefined) {
+            return {
+                ...transaction,
+                maxFeePerGas: fees.maxFeePerGas,
+                maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+                ...(accessList ? { accessList } : {}),
+                type: 2 // EIP-1559 transaction type
+            };
+        }
+
+        if (accessList) {
+            return {
+                ...transaction,
+                gasPrice: fees,
+                accessList: accessList,
+                type: 1 // EIP-2930 transaction type
+            };
+        }
+
+        return {
+            ...transaction,
+            gasPrice: fees,
             type: 0 // Legacy transaction type
         };
     }
 
+    /**
+     * Get the access list of a transaction with checksummed addresses and
+     * lowercase storage keys: its `accessList`, an empty list for an
+     * EIP-2930 transaction without one, or null when it has none.
+     * Throws when the list is malformed.
+     */
+    static getAccessList(transaction) {
+        if (transaction.accessList === undefined || transaction.accessList === null) {
+            return CryptoUtils.parseHexToNumber(transaction.type) === 1 ? [] : null;
+        }
+
+        try {
+            if (!Array.isArray(transaction.accessList)) {
+                throw new Error('expected an array');
+            }
+            return ethers.accessListify(transaction.accessList);
+        } catch (error) {
+            throw new Error(`Invalid access list: ${error.shortMessage || error.message}`);
+        }
+    }
+
+    /**
+     * Describe the access list of a transaction for display, or null when it has none
+     */
+    static describeAccessList(transaction) {
+        const entries = CryptoUtils.getAccessList(transaction);
+        if (!entries) {
+            return null;
+        }
+
+        return {
+            entries,
+            storageKeyCount: entries.reduce((count, entry) => count + entry.storageKeys.length, 0)
+        };
+    }
+
     /**
      * Get wallet address
      */
@@ -72,12 +246,174 @@ export class CryptoUtils {
     }
 
     /**
-     * Sign a message
+     * Address and derivation path of the account, as listed in a connect response
+     */
+    getAccount() {
+        return this.path ? { address: this.address, path: this.path } : { address: this.address };
+    }
+
+    /**
+     * Sign a message with EIP-191 `personal_sign`. Strings are signed as
+     * UTF-8 text, Uint8Arrays as raw bytes.
      */
     async signMessage(message) {
         return await this.wallet.signMessage(message);
     }
 
+    /**
+     * Sign EIP-712 typed data, the JSON object of `eth_signTypedData_v4`
+     */
+    async signTypedData(typedData) {
+        const { domain, types, message } = CryptoUtils.parseTypedData(typedData);
+        return await this.wallet.signTypedData(domain, types, message);
+    }
+
+    /**
+     * Sign a protocol message with the wallet key, adding the signature to its payload.
+     * `receivedId` is the id of the request the message answers, see MessageProtocol.signingDigest.
+     */
+    signProtocolMessage(message, receivedId = null) {
+        const digest = MessageProtocol.signingDigest(message, receivedId);
+        message.payload = { ...message.payload, signature: this.wallet.signingKey.sign(digest).serialized };
+        return message;
+    }
+
+    /**
+     * Sign a 32-byte digest with the wallet key, for records such as ledger
+     * entries whose digest is domain-separated by its own label
+     */
+    signDigest(digest) {
+        return this.wallet.signingKey.sign(digest).serialized;
+    }
+
+    /**
+     * Check that a protocol message carries a valid signature by `address`
+     */
+    static verifyProtocolMessage(message, address, receivedId = null) {
+        const signature = message.payload && message.payload.signature;
+        if (typeof signature !== 'string' || !address) {
+            return false;
+        }
+
+        try {
+            const digest = MessageProtocol.signingDigest(message, receivedId);
+            return ethers.recoverAddress(digest, signature) === ethers.getAddress(address);
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Check that a raw signed transaction was signed by `address`, has the
+     * given hash and matches the fields of the requested transaction.
+     * Throws an error naming the first mismatch.
+     */
+    static verifySignedTransaction(raw, hash, requested, address) {
+        const tx = ethers.Transaction.from(raw);
+
+        if (!tx.from || tx.from !== ethers.getAddress(address)) {
+            throw new Error(`Transaction signed by ${tx.from}, expected ${address}`);
+        }
+        if (hash && tx.hash !== hash.toLowerCase()) {
+            throw new Error('Transaction hash does not match the signed transaction');
+        }
+
+        const type = requested.type === undefined ? 0 : CryptoUtils.parseHexToNumber(requested.type);
+        if (tx.type !== type) {
+            throw new Error(`Transaction type ${tx.type} does not match requested type ${type}`);
+        }
+
+        const feeFields = type === 2 ? ['maxFeePerGas', 'maxPriorityFeePerGas'] : ['gasPrice'];
+        for (const field of ['chainId', 'nonce', 'gasLimit', 'value', ...feeFields]) {
+            if (BigInt(tx[field] || 0) !== BigInt(requested[field] || 0)) {
+                throw new Error(`Transaction ${field} does not match the request`);
+            }
+        }
+
+        const requestedTo = requested.to ? ethers.getAddress(requested.to) : null;
+        if (tx.to !== requestedTo) {
+            throw new Error('Transaction recipient does not match the request');
+        }
+        if (tx.data.toLowerCase() !== (requested.data || '0x').toLowerCase()) {
+            throw new Error('Transaction data does not match the request');
+        }
+        if (JSON.stringify(tx.accessList || []) !== JSON.stringify(CryptoUtils.getAccessList(requested) || [])) {
+            throw new Error('Transaction access list does not match the request');
+        }
+
+        return tx;
+    }
+
+    /**
+     * Check that an EIP-191 signature of `message` (hex encoded bytes) was made by `address`
+     */
+    static verifySignedMessage(message, signature, address) {
+        try {
+            return ethers.verifyMessage(ethers.getBytes(message), signature) === ethers.getAddress(address);
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Check that an EIP-712 signature of `typedData` was made by `address`
+     */
+    static verifySignedTypedData(typedData, signature, address) {
+        try {
+            const { domain, types, message } = CryptoUtils.parseTypedData(typedData);
+            return ethers.verifyTypedData(domain, types, message, signature) === ethers.getAddress(address);
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Get the EIP-712 hash of typed data, the digest that is signed
+     */
+    static hashTypedData(typedData) {
+        const { domain, types, message } = CryptoUtils.parseTypedData(typedData);
+        return ethers.TypedDataEncoder.hash(domain, types, message);
+    }
+
+    /**
+     * Split `eth_signTypedData_v4` JSON into the domain, message, primary type
+     * and the types it uses, without EIP712Domain, as ethers expects them.
+     * Throws if the typed data is malformed or a value does not match its type.
+     */
+    static parseTypedData(typedData) {
+        const data = typeof typedData === 'string' ? JSON.parse(typedData) : typedData;
+        if (!data || typeof data !== 'object' || !data.types || !data.domain || !data.message) {
+            throw new Error('Typed data must have types, primaryType, domain and message');
+        }
+        if (!Array.isArray(data.types[data.primaryType])) {
+            throw new Error(`Unknown primary type: ${data.primaryType}`);
+        }
+        
+        // Keep only the types reachable from the primary type, so ethers
+        // finds the same primary type
+        const types = {};
+        const addType = (name) => {
+            if (types[name] || !Array.isArray(data.types[name]) || name === 'EIP712Domain') {
+                return;
+            }
+            types[name] = data.types[name];
+            data.types[name].forEach(field => addType(CryptoUtils.typedDataBaseType(field.type)));
+        };
+        addType(data.primaryType);
+        
+        // Hashing checks every value against its type
+        ethers.TypedDataEncoder.hash(data.domain, types, data.message);
+        
+        return { domain: data.domain, types, primaryType: data.primaryType, message: data.message };
+    }
+
+    /**
+     * Strip array suffixes from an EIP-712 type, `Person[][]` becomes `Person`
+     */
+    static typedDataBaseType(type) {
+        return type.replace(/(\[\d*\])+$/, '');
+    }
+
     /**
      * Validate Ethereum address
      */
@@ -127,28 +463,481 @@ export class CryptoUtils {
     }
 
     /**
-     * Format transaction for display
+     * Format transaction for display, with token amounts in whole tokens
+     * when a token registry is given. Deployments show the predicted contract
+     * address when the `sender` is given.
      */
-    static formatTransactionForDisplay(transaction) {
+    static formatTransactionForDisplay(transaction, tokens = null, sender = null) {
         const lines = [];
         lines.push('Transaction Details:');
-        lines.push(`To: ${transaction.to || 'N/A'}`);
+        lines.push(`To: ${transaction.to || 'none (contract deployment)'}`);
         lines.push(`Value: ${CryptoUtils.weiToEth(transaction.value || 0)} ETH`);
-        lines.push(`Gas Price: ${transaction.gasPrice || 0} wei`);
+        
+        if (CryptoUtils.parseHexToNumber(transaction.type) === 2) {
+            lines.push('Type: EIP-1559');
+            lines.push(`Max Fee Per Gas: ${CryptoUtils.formatGwei(transaction.maxFeePerGas)}`);
+            lines.push(`Max Priority Fee: ${CryptoUtils.formatGwei(transaction.maxPriorityFeePerGas)}`);
+        } else {
+            if (CryptoUtils.parseHexToNumber(transaction.type) === 1) {
+                lines.push('Type: EIP-2930');
+            }
+            lines.push(`Gas Price: ${transaction.gasPrice || 0} wei`);
+        }
+        
         lines.push(`Gas Limit: ${transaction.gasLimit || 0}`);
+        lines.push(`Max Network Fee: ${CryptoUtils.weiToEth(CryptoUtils.getMaxFee(transaction))} ETH`);
         lines.push(`Nonce: ${transaction.nonce || 0}`);
         lines.push(`Chain ID: ${transaction.chainId || 0}`);
         
-        if (transaction.data && transaction.data !== '0x') {
-            const dataStr = transaction.data.length > 50 
-                ? transaction.data.slice(0, 50) + '...'
-                : transaction.data;
-            lines.push(`Data: ${dataStr}`);
+        const accessList = CryptoUtils.describeAccessList(transaction);
+        if (accessList) {
+            lines.push(`Access List: ${CryptoUtils.formatAccessListSummary(accessList)}`);
+            for (const entry of accessList.entries) {
+                lines.push(`  ${entry.address}`);
+                lines.push(...entry.storageKeys.map(key => `    ${key}`));
+            }
+        }
+        
+        if (!transaction.to) {
+            const deployment = CryptoUtils.describeDeployment(transaction, sender);
+            if (deployment.contractAddress) {
+                lines.push(`Contract Address: ${deployment.contractAddress}`);
+            }
+            lines.push(`Bytecode Hash: ${deployment.bytecodeHash}`);
+            lines.push(`Bytecode Size: ${deployment.bytecodeSize} bytes`);
+        } else if (transaction.data && transaction.data !== '0x') {
+            const call = CryptoUtils.describeTransactionCall(transaction, tokens);
+            if (call.signature) {
+                lines.push(`Contract Call: ${call.standard} ${call.signature}`);
+                if (call.summary) {
+                    lines.push(`Summary: ${call.summary}`);
+                }
+                lines.push(...CryptoUtils.formatFieldsForDisplay(call.args, '  '));
+            } else {
+                lines.push(`Contract Call: unknown function ${call.selector}`);
+                lines.push(`Data (${ethers.dataLength(transaction.data)} bytes): ${transaction.data}`);
+            }
+            for (const warning of call.warnings) {
+                lines.push(`WARNING: ${warning}`);
+            }
+        }
+        
+        return lines.join('\n');
+    }
+
+    /**
+     * Describe a batch of transactions: how many, the total value and the
+     * most they can cost in fees, and warnings about nonces that leave a gap
+     * or repeat, or transactions for different chains
+     */
+    static describeBatch(transactions) {
+        const nonces = transactions.map(tx => CryptoUtils.parseHexToNumber(tx.nonce || 0)).sort((a, b) => a - b);
+        const chainIds = new Set(transactions.map(tx => CryptoUtils.parseHexToNumber(tx.chainId || 0)));
+        const warnings = [];
+
+        if (chainIds.size > 1) {
+            warnings.push(`Transactions are for ${chainIds.size} different chains`);
+        }
+        if (new Set(nonces).size !== nonces.length) {
+            warnings.push('Several transactions share a nonce, only one of each can be mined');
+        } else if (nonces.length > 0 && nonces[nonces.length - 1] - nonces[0] !== nonces.length - 1) {
+            warnings.push('Nonces are not consecutive, transactions after a gap wait until it is filled');
+        }
+
+        return {
+            count: transactions.length,
+            totalValue: transactions.reduce((sum, tx) => sum + BigInt(tx.value || 0), 0n),
+            maxFees: transactions.reduce((sum, tx) => sum + CryptoUtils.getMaxFee(tx), 0n),
+            nonces,
+            warnings
+        };
+    }
+
+    /**
+     * Format a batch of transactions for display, each as in
+     * formatTransactionForDisplay followed by the batch totals
+     */
+    static formatBatchForDisplay(transactions, tokens = null, sender = null) {
+        const batch = CryptoUtils.describeBatch(transactions);
+        const lines = transactions.map((tx, index) =>
+            `[${index + 1}/${batch.count}] ${CryptoUtils.formatTransactionForDisplay(tx, tokens, sender)}`);
+
+        lines.push([
+            `Batch of ${batch.count} Transactions:`,
+            `Total Value: ${CryptoUtils.weiToEth(batch.totalValue)} ETH`,
+            `Max Network Fees: ${CryptoUtils.weiToEth(batch.maxFees)} ETH`,
+            `Nonces: ${batch.nonces.join(', ')}`,
+            ...batch.warnings.map(warning => `WARNING: ${warning}`)
+        ].join('\n'));
+
+        return lines.join('\n\n');
+    }
+
+    /**
+     * Describe a contract deployment: the address the contract will get,
+     * which follows from the sender and nonce, and the keccak256 hash of the
+     * init code (bytecode and constructor arguments) to compare with the
+     * online client
+     */
+    static describeDeployment(transaction, sender = null) {
+        const data = transaction.data || '0x';
+        return {
+            contractAddress: sender
+                ? ethers.getCreateAddress({ from: sender, nonce: CryptoUtils.parseHexToNumber(transaction.nonce || 0) })
+                : null,
+            bytecodeHash: ethers.keccak256(data),
+            bytecodeSize: ethers.dataLength(data)
+        };
+    }
+
+    /**
+     * Describe a transaction that replaces the pending transaction
+     * `replacedHash` at the same nonce: a zero-value transfer without data
+     * to the sender cancels it, anything else speeds it up.
+     * Throws when the hash is malformed.
+     */
+    static describeReplacement(transaction, replacedHash, sender) {
+        if (!ethers.isHexString(replacedHash, 32)) {
+            throw new Error(`Invalid replaced transaction hash: ${replacedHash}`);
+        }
+
+        const cancel = Boolean(transaction.to) &&
+            ethers.getAddress(transaction.to) === ethers.getAddress(sender) &&
+            BigInt(transaction.value || 0) === 0n &&
+            (!transaction.data || transaction.data === '0x');
+        return { hash: replacedHash.toLowerCase(), kind: cancel ? 'cancel' : 'speed_up' };
+    }
+
+    /**
+     * Describe a transaction's contract call. ERC-20 calls on a token from the
+     * token list are summarised in whole tokens, other ERC-20 calls get a
+     * warning since their amounts can only be shown in base units.
+     */
+    static describeTransactionCall(transaction, tokens = null) {
+        const call = CryptoUtils.describeContractCall(transaction.data);
+        if (call.standard !== 'ERC-20' || !tokens) {
+            return call;
+        }
+        
+        const token = tokens.find(CryptoUtils.parseHexToNumber(transaction.chainId), transaction.to);
+        if (!token) {
+            call.warnings.push(`Token ${transaction.to} is not in the token list, amounts are in base units`);
+            return call;
+        }
+        
+        const args = Object.fromEntries(call.args.map(arg => [arg.name, arg.value]));
+        const amount = (value) => `${TokenRegistry.formatAmount(value, token.decimals)} ${token.symbol}`;
+        switch (call.name) {
+            case 'transfer':
+                call.summary = `Send ${amount(args.amount)} to ${args.to}`;
+                break;
+            case 'transferFrom':
+                call.summary = `Send ${amount(args.amount)} from ${args.from} to ${args.to}`;
+                break;
+            case 'approve':
+                call.summary = BigInt(args.amount) >= CryptoUtils.UNLIMITED_ALLOWANCE
+                    ? `Allow ${args.spender} to spend unlimited ${token.symbol}`
+                    : `Allow ${args.spender} to spend ${amount(args.amount)}`;
+                break;
+            case 'increaseAllowance':
+                call.summary = `Allow ${args.spender} to spend ${amount(args.addedValue)} more`;
+                break;
+            case 'decreaseAllowance':
+                call.summary = `Allow ${args.spender} to spend ${amount(args.subtractedValue)} less`;
+                break;
+        }
+        return call;
+    }
+
+    /**
+     * Decode calldata with the built-in ABI registry into the same field
+     * shape as typed data. Unknown selectors and unlimited approvals, including
+     * those inside multicalls, are reported as warnings.
+     */
+    static describeContractCall(data) {
+        const selector = ethers.dataLength(data) >= 4 ? ethers.dataSlice(data, 0, 4) : ethers.hexlify(data);
+        const unknown = (warning) => ({
+            selector,
+            standard: null,
+            name: null,
+            signature: null,
+            summary: null,
+            args: [],
+            warnings: [warning]
+        });
+        
+        let decoded;
+        try {
+            decoded = AbiRegistry.decode(data);
+        } catch (error) {
+            const { fragment } = AbiRegistry.lookup(selector);
+            return unknown(`Calldata does not match ${fragment.format('sighash')}, the wallet cannot show what this call does`);
+        }
+        if (!decoded) {
+            return unknown(`Unknown function ${selector}, the wallet cannot show what this call does. Only approve if you trust whoever built it`);
+        }
+        
+        const { entry, args } = decoded;
+        const warnings = [];
+        const fields = entry.fragment.inputs.map((param, index) =>
+            CryptoUtils.describeAbiValue(param.name || `[${index}]`, param, args[index], entry.nested, warnings));
+        
+        if (entry.approval) {
+            const spender = ethers.getAddress(args[entry.approval.spender]);
+            if (entry.approval.all && args[entry.approval.all]) {
+                warnings.unshift(`Approval for all: ${spender} may transfer every token you own in this collection`);
+            } else if (entry.approval.amount && BigInt(args[entry.approval.amount]) >= CryptoUtils.UNLIMITED_ALLOWANCE) {
+                warnings.unshift(`Unlimited approval: ${spender} may spend all of this token you ever hold`);
+            }
+        }
+        
+        return {
+            selector,
+            standard: entry.standard,
+            name: entry.fragment.name,
+            signature: entry.fragment.format('sighash'),
+            summary: null,
+            args: fields,
+            warnings
+        };
+    }
+
+    /**
+     * Describe one decoded ABI value, recursing into tuples and arrays. Bytes
+     * of `nested` functions are decoded as calls and add their warnings.
+     */
+    static describeAbiValue(name, param, value, nested, warnings) {
+        if (param.baseType === 'array') {
+            return {
+                name,
+                type: param.type,
+                fields: Array.from(value, (item, index) =>
+                    CryptoUtils.describeAbiValue(`[${index}]`, param.arrayChildren, item, nested, warnings))
+            };
+        }
+        
+        if (param.baseType === 'tuple') {
+            return {
+                name,
+                type: param.type,
+                fields: param.components.map((component, index) =>
+                    CryptoUtils.describeAbiValue(component.name || `[${index}]`, component, value[index], nested, warnings))
+            };
+        }
+        
+        if (nested && param.type === 'bytes') {
+            const call = CryptoUtils.describeContractCall(value);
+            warnings.push(...call.warnings);
+            if (call.signature) {
+                return { name, type: `${call.standard} ${call.name}`, fields: call.args };
+            }
+        }
+        
+        return { name, type: param.type, value: CryptoUtils.formatTypedValue(param.type, value) };
+    }
+
+    /**
+     * Format a message to be signed for display: as text when the bytes are
+     * printable UTF-8, otherwise as hex. Messages that look like a 32 byte
+     * hash are flagged, since signing one may authorize something the user
+     * cannot see.
+     */
+    static formatMessageForDisplay(message) {
+        const bytes = ethers.getBytes(message);
+        const text = CryptoUtils.decodePrintableText(bytes);
+        const lines = ['Message Details:'];
+        
+        if (text !== null) {
+            lines.push('Encoding: UTF-8 text');
+            lines.push('');
+            lines.push(text);
+        } else {
+            lines.push(`Encoding: hex (${bytes.length} bytes)`);
+            lines.push('');
+            lines.push(ethers.hexlify(bytes));
+        }
+        
+        if (CryptoUtils.looksLikeHash(bytes, text)) {
+            lines.push('');
+            lines.push('WARNING: This message looks like a transaction or message hash.');
+            lines.push('Signing it may authorize a transaction you cannot see. Only sign if you know exactly what it is.');
         }
         
         return lines.join('\n');
     }
 
+    /**
+     * Decode bytes as UTF-8 text, or return null if they are not valid
+     * UTF-8 or contain control characters other than whitespace
+     */
+    static decodePrintableText(bytes) {
+        try {
+            const text = ethers.toUtf8String(bytes);
+            return bytes.length > 0 && !/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/.test(text) ? text : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether message bytes are a 32 byte hash, as raw bytes or
+     * written out as hex text. `text` is the printable text of the bytes, if any.
+     */
+    static looksLikeHash(bytes, text = CryptoUtils.decodePrintableText(bytes)) {
+        if (text === null) {
+            return bytes.length === 32;
+        }
+        return /^(0x)?[0-9a-fA-F]{64}$/.test(text.trim());
+    }
+
+    /**
+     * Describe typed data as a tree of named fields for display: the domain
+     * fields, the primary type and the fields of the message. Struct and
+     * array fields have `fields`, others a display `value`.
+     */
+    static describeTypedData(typedData) {
+        const { domain, types, primaryType, message } = CryptoUtils.parseTypedData(typedData);
+        
+        return {
+            domain: CryptoUtils.EIP712_DOMAIN_FIELDS
+                .filter(field => domain[field.name] !== undefined && domain[field.name] !== null)
+                .map(field => CryptoUtils.describeTypedValue(field.name, field.type, domain[field.name], types)),
+            primaryType: primaryType,
+            message: types[primaryType]
+                .map(field => CryptoUtils.describeTypedValue(field.name, field.type, message[field.name], types))
+        };
+    }
+
+    /**
+     * Describe one typed data value, recursing into structs and arrays
+     */
+    static describeTypedValue(name, type, value, types) {
+        const array = type.match(/^(.*)\[\d*\]$/);
+        if (array) {
+            return {
+                name,
+                type,
+                fields: (value || []).map((item, index) =>
+                    CryptoUtils.describeTypedValue(`[${index}]`, array[1], item, types))
+            };
+        }
+        
+        if (types[type]) {
+            return {
+                name,
+                type,
+                fields: types[type].map(field =>
+                    CryptoUtils.describeTypedValue(field.name, field.type, (value || {})[field.name], types))
+            };
+        }
+        
+        return { name, type, value: CryptoUtils.formatTypedValue(type, value) };
+    }
+
+    /**
+     * Format an atomic typed data value: checksummed addresses, decimal
+     * integers and hex bytes
+     */
+    static formatTypedValue(type, value) {
+        if (type === 'address') {
+            return ethers.getAddress(value);
+        }
+        if (/^u?int\d*$/.test(type)) {
+            return BigInt(value).toString();
+        }
+        if (/^bytes\d*$/.test(type)) {
+            return ethers.hexlify(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * Format typed data for display, with nested fields indented
+     */
+    static formatTypedDataForDisplay(typedData) {
+        const { domain, primaryType, message } = CryptoUtils.describeTypedData(typedData);
+        const lines = [];
+        
+        lines.push('Typed Data Details:');
+        lines.push('Domain:');
+        lines.push(...CryptoUtils.formatFieldsForDisplay(domain, '  '));
+        lines.push(`Primary Type: ${primaryType}`);
+        lines.push('Message:');
+        lines.push(...CryptoUtils.formatFieldsForDisplay(message, '  '));
+        
+        return lines.join('\n');
+    }
+
+    /**
+     * Format a replacement description as the banner shown above the
+     * replacing transaction
+     */
+    static formatReplacementForDisplay(replacement) {
+        return [
+            `REPLACEMENT of pending transaction ${replacement.hash}`,
+            replacement.kind === 'cancel'
+                ? 'Action: Cancel, by sending 0 ETH to yourself at the same nonce'
+                : 'Action: Speed up, by sending it again with higher fees',
+            'Only one transaction per nonce can be mined, whichever is mined first wins'
+        ].join('\n');
+    }
+
+    /**
+     * Summarize an access list description, e.g. "2 addresses, 3 storage keys"
+     */
+    static formatAccessListSummary(accessList) {
+        const addresses = accessList.entries.length;
+        const keys = accessList.storageKeyCount;
+        return `${addresses} ${addresses === 1 ? 'address' : 'addresses'}, ${keys} ${keys === 1 ? 'storage key' : 'storage keys'}`;
+    }
+
+    /**
+     * Format described fields as lines, with nested fields indented
+     */
+    static formatFieldsForDisplay(fields, indent) {
+        return fields.flatMap(field => field.fields
+            ? [`${indent}${field.name} (${field.type}):`, ...CryptoUtils.formatFieldsForDisplay(field.fields, `${indent}  `)]
+            : [`${indent}${field.name}: ${field.value}`]);
+    }
+
+    /**
+     * Format a wei amount as Gwei, keeping the exact wei value alongside
+     */
+    static formatGwei(weiAmount) {
+        const wei = BigInt(weiAmount || 0);
+        return `${ethers.formatUnits(wei, 'gwei')} Gwei (${wei} wei)`;
+    }
+
+    /**
+     * Get the most the sender can pay in fees: gas limit times the gas price
+     * for legacy transactions, or times the max fee per gas for EIP-1559
+     */
+    static getMaxFee(transaction) {
+        const pricePerGas = CryptoUtils.parseHexToNumber(transaction.type) === 2
+            ? transaction.maxFeePerGas
+            : transaction.gasPrice;
+        return BigInt(transaction.gasLimit || 0) * BigInt(pricePerGas || 0);
+    }
+
+    /**
+     * Get the fees for a transaction replacing the pending `previous` one,
+     * with each fee raised by REPLACEMENT_FEE_BUMP percent as nodes require
+     * and at least the current `network` fees. Keeps EIP-1559 fee caps for
+     * EIP-1559 transactions and a gas price otherwise.
+     */
+    static getReplacementFees(previous, network) {
+        const bump = (fee) => (BigInt(fee || 0) * (100n + CryptoUtils.REPLACEMENT_FEE_BUMP) + 99n) / 100n;
+        const max = (a, b) => (a > b ? a : b);
+
+        if (previous.maxFeePerGas !== null && previous.maxFeePerGas !== undefined) {
+            const maxPriorityFeePerGas = max(bump(previous.maxPriorityFeePerGas), BigInt(network.maxPriorityFeePerGas || 0));
+            const maxFeePerGas = max(max(bump(previous.maxFeePerGas), BigInt(network.maxFeePerGas || 0)), maxPriorityFeePerGas);
+            return { type: 2, gasPrice: null, maxFeePerGas, maxPriorityFeePerGas };
+        }
+
+        return { type: 0, gasPrice: max(bump(previous.gasPrice), BigInt(network.gasPrice || 0)) };
+    }
+
     /**
      * Parse hex string to number
      */
@@ -167,6 +956,21 @@ export class CryptoUtils {
         return 0;
     }
 
+    /**
+     * Parse a hex or decimal string to a BigInt, for wei amounts that do not
+     * fit in a Number. Missing values are zero.
+     */
+    static parseHexToBigInt(value) {
+        if (value === undefined || value === null || value === '') {
+            return 0n;
+        }
+        try {
+            return BigInt(value);
+        } catch {
+            throw new Error(`Invalid amount: ${value}`);
+        }
+    }
+
     /**
      * Convert number to hex string
      */
@@ -0,0 +1,338 @@
+import { deflateRawSync, inflateRawSync } from 'zlib';
+
+/**
+ * Framing layer for sending serialized messages over sound in several
+ * ggwave transmissions.
+ *
+ * A frame is a text string of the form
+ *
+ *     #<frameId>:<index>:<total>[:<flags>]:<checksum>:<data>
+ *
+ * where `frameId` is a 4 hex digit id shared by all chunks of one message,
+ * `index` is the zero-based chunk number, `total` the chunk count and
+ * `checksum` the CRC-16/CCITT-FALSE of the chunk data as 4 hex digits.
+ * The optional `flags` are lowercase letters describing how the joined
+ * chunk data is encoded, currently only FLAG_DEFLATE.
+ * Messages that fit in a single ggwave payload and are not compressed are
+ * sent raw (unframed) so short messages stay compatible with
+ * implementations without framing.
+ */
+export class FrameProtocol {
+    static FRAME_PREFIX = '#';
+
+    // ggwave rejects payloads longer than 140 bytes
+    static MAX_PAYLOAD_SIZE = 140;
+
+    // Room left for the frame header within a single payload
+    static HEADER_RESERVE = 24;
+
+    static DEFAULT_CHUNK_SIZE = FrameProtocol.MAX_PAYLOAD_SIZE - FrameProtocol.HEADER_RESERVE;
+
+    // Most frames a message may take. Receivers drop frames claiming a larger
+    // total, as it comes from an unauthenticated header and sizes their buffers.
+    static MAX_FRAMES = 256;
+
+    // How long to wait for the next chunk of a message, long enough to
+    // cover the airtime of a full-size frame plus the gap between frames
+    static REASSEMBLY_TIMEOUT = 20000;
+
+    // How long the sender waits for an ACK or NACK after its last frame,
+    // shorter than the reassembly timeout so retransmissions arrive in time
+    static ACK_TIMEOUT = 15000;
+
+    // Flag for data that is the base64 of the raw deflate of the message
+    static FLAG_DEFLATE = 'z';
+
+    // Messages up to this many bytes are sent uncompressed, as deflate
+    // barely shrinks them and they usually fit in a single payload anyway
+    static COMPRESSION_THRESHOLD = 100;
+
+    // Most bytes a deflated message may inflate to. Receivers drop a message
+    // that inflates to more, so a small bomb cannot exhaust their memory.
+    static MAX_MESSAGE_SIZE = 1024 * 1024;
+
+    /**
+     * Split a serialized message into the payloads to transmit, deflating
+     * messages above the compression threshold when that makes them smaller
+     */
+    static split(data, chunkSize = FrameProtocol.DEFAULT_CHUNK_SIZE, compress = true) {
+        const size = FrameProtocol.utf8Length(data);
+        if (size > FrameProtocol.MAX_MESSAGE_SIZE) {
+            throw new Error(`Message too large: ${size} bytes, at most ${FrameProtocol.MAX_MESSAGE_SIZE}`);
+        }
+        let body = data;
+        let flags = '';
+
+        if (compress && size > FrameProtocol.COMPRESSION_THRESHOLD) {
+            const compressed = FrameProtocol.compress(data);
+            if (compressed.length < size) {
+                body = compressed;
+                flags = FrameProtocol.FLAG_DEFLATE;
+            }
+        }
+
+        if (!flags && size <= FrameProtocol.MAX_PAYLOAD_SIZE && !FrameProtocol.isFrame(data)) {
+            return [data];
+        }
+
+        const chunks = FrameProtocol.chunk(body, chunkSize);
+        if (chunks.length > FrameProtocol.MAX_FRAMES) {
+            throw new Error(`Message too large: ${chunks.length} frames, at most ${FrameProtocol.MAX_FRAMES}`);
+        }
+        const frameId = FrameProtocol.createFrameId();
+
+        return chunks.map((chunk, index) => FrameProtocol.encodeFrame(frameId, index, chunks.length, chunk, flags));
+    }
+
+    /**
+     * Encode a single frame
+     */
+    static encodeFrame(frameId, index, total, data, flags = '') {
+        const checksum = FrameProtocol.checksum(data);
+        const flagsField = flags ? `${flags}:` : '';
+        return `${FrameProtocol.FRAME_PREFIX}${frameId}:${index}:${total}:${flagsField}${checksum}:${data}`;
+    }
+
+    /**
+     * Parse a frame, returning null if it is malformed or fails its checksum
+     */
+    static parse(frameStr) {
+        if (!FrameProtocol.isFrame(frameStr)) {
+            return null;
+        }
+
+        const header = frameStr
+            .slice(FrameProtocol.FRAME_PREFIX.length)
+            .match(/^([0-9a-f]{4}):(\d+):(\d+):(?:([a-z]+):)?([0-9a-f]{4}):/);
+        if (!header) {
+            return null;
+        }
+
+        const [headerStr, frameId, indexStr, totalStr, flags = '', checksum] = header;
+        const data = frameStr.slice(FrameProtocol.FRAME_PREFIX.length + headerStr.length);
+        const index = parseInt(indexStr, 10);
+        const total = parseInt(totalStr, 10);
+
+        if (total === 0 || total > FrameProtocol.MAX_FRAMES || index >= total) {
+            return null;
+        }
+
+        if (FrameProtocol.checksum(data) !== checksum) {
+            return null;
+        }
+
+        return { frameId, index, total, flags, data };
+    }
+
+    /**
+     * Check whether a received payload is a frame rather than a raw message
+     */
+    static isFrame(payload) {
+        return typeof payload === 'string' && payload.startsWith(FrameProtocol.FRAME_PREFIX);
+    }
+
+    /**
+     * Split a string into chunks of at most `chunkSize` UTF-8 bytes
+     * without breaking multi-byte characters
+     */
+    static chunk(data, chunkSize) {
+        const chunks = [];
+        let current = '';
+        let currentSize = 0;
+
+        for (const char of data) {
+            const charSize = FrameProtocol.utf8Length(char);
+            if (currentSize + charSize > chunkSize && current.length > 0) {
+                chunks.push(current);
+                current = '';
+                currentSize = 0;
+            }
+            current += char;
+            currentSize += charSize;
+        }
+
+        if (current.length > 0 || chunks.length === 0) {
+            chunks.push(current);
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Get the UTF-8 encoded length of a string
+     */
+    static utf8Length(str) {
+        return new TextEncoder().encode(str).length;
+    }
+
+    /**
+     * CRC-16/CCITT-FALSE of the UTF-8 bytes of a string, as 4 hex digits
+     */
+    static checksum(str) {
+        let crc = 0xffff;
+        for (const byte of new TextEncoder().encode(str)) {
+            crc ^= byte << 8;
+            for (let i = 0; i < 8; i++) {
+                crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+            }
+        }
+        return crc.toString(16).padStart(4, '0');
+    }
+
+    /**
+     * Raw deflate a string, returning the compressed bytes as base64
+     */
+    static compress(str) {
+        return deflateRawSync(Buffer.from(str, 'utf8'), { level: 9 }).toString('base64');
+    }
+
+    /**
+     * Inverse of compress, throwing if the data inflates past MAX_MESSAGE_SIZE
+     */
+    static decompress(base64) {
+        try {
+            return inflateRawSync(Buffer.from(base64, 'base64'), {
+                maxOutputLength: FrameProtocol.MAX_MESSAGE_SIZE
+            }).toString('utf8');
+        } catch (error) {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+                throw new Error(`Message too large: inflates past ${FrameProtocol.MAX_MESSAGE_SIZE} bytes`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Decode the joined chunk data of a frame according to its flags
+     */
+    static unwrap(data, flags) {
+        return flags.includes(FrameProtocol.FLAG_DEFLATE) ? FrameProtocol.decompress(data) : data;
+    }
+
+    /**
+     * Create a random frame id
+     */
+    static createFrameId() {
+        return Math.floor(Math.random() * 0x10000).toString(16).padStart(4, '0');
+    }
+}
+
+/**
+ * Reassembles framed messages from received chunks
+ */
+export class FrameAssembler {
+    /**
+     * @param timeout How long to wait for the next chunk of a message before giving up
+     * @param onMissing Called with (frameId, missingIndices, expired) when the last chunk
+     *                  of a round arrives with gaps, and again when an incomplete message
+     *                  times out. A round is the initial transmission or the retransmission
+     *                  of the chunks reported missing by the previous round.
+     */
+    constructor(timeout = FrameProtocol.REASSEMBLY_TIMEOUT, onMissing = null) {
+        this.timeout = timeout;
+        this.onMissing = onMissing;
+        this.pending = new Map();
+    }
+
+    /**
+     * Add a parsed frame, returning the reassembled and decompressed data
+     * once every chunk has arrived
+     */
+    add(frame) {
+        let entry = this.pending.get(frame.frameId);
+
+        if (entry && (entry.total !== frame.total || entry.flags !== frame.flags)) {
+            // Frame id reused for a different message, start over
+            this.discard(frame.frameId);
+            entry = null;
+        }
+
+        if (!entry) {
+            entry = {
+                total: frame.total,
+                flags: frame.flags,
+                chunks: new Array(frame.total).fill(null),
+                received: 0,
+                roundEnd: frame.total - 1,
+                timer: null
+            };
+            this.pending.set(frame.frameId, entry);
+        }
+
+        if (entry.chunks[frame.index] === null) {
+            entry.chunks[frame.index] = frame.data;
+            entry.received++;
+        }
+
+        if (entry.received === entry.total) {
+            this.discard(frame.frameId);
+            return FrameProtocol.unwrap(entry.chunks.join(''), entry.flags);
+        }
+
+        this.resetTimer(frame.frameId, entry);
+
+        if (frame.index === entry.roundEnd) {
+            // The sender retransmits missing chunks in order, so the next
+            // round ends with the last chunk that is still missing
+            const missing = this.getMissing(frame.frameId);
+            entry.roundEnd = missing[missing.length - 1];
+            if (this.onMissing) {
+                this.onMissing(frame.frameId, missing, false);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the indices of chunks not yet received for a message
+     */
+    getMissing(frameId) {
+        const entry = this.pending.get(frameId);
+        if (!entry) {
+            return [];
+        }
+
+        const missing = [];
+        entry.chunks.forEach((chunk, index) => {
+            if (chunk === null) {
+                missing.push(index);
+            }
+        });
+        return missing;
+    }
+
+    /**
+     * Restart the timeout of a partially received message
+     */
+    resetTimer(frameId, entry) {
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => {
+            const missing = this.getMissing(frameId);
+            this.pending.delete(frameId);
+            if (this.onMissing) {
+                this.onMissing(frameId, missing, true);
+            }
+        }, this.timeout);
+    }
+
+    /**
+     * Drop a partially received message
+     */
+    discard(frameId) {
+        const entry = this.pending.get(frameId);
+        if (entry) {
+            clearTimeout(entry.timer);
+            this.pending.delete(frameId);
+        }
+    }
+
+    /**
+     * Drop all partially received messages
+     */
+    clear() {
+        for (const frameId of [...this.pending.keys()]) {
+            this.discard(frameId);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,141 @@
+import { readFileSync, writeFileSync, renameSync } from 'fs';
+import { encryptKeystoreJson, decryptKeystoreJson, isKeystoreJson, Mnemonic, getAddress } from 'ethers';
+import { CryptoUtils } from './crypto-utils.js';
+
+/**
+ * Passphrase-encrypted file holding the offline wallet's key, in the Web3
+ * Secret Storage (v3) format with scrypt key derivation, so the key is never
+ * kept on disk in plaintext.
+ *
+ * A keystore holds a private key, or a mnemonic together with the key of
+ * its primary account. The mnemonic is stored in the `x-ethers` fields ethers
+ * uses, so other tools that read v3 keystores open it as the primary account.
+ * The BIP-39 passphrase of a mnemonic is not stored.
+ */
+export class Keystore {
+    static MIN_PASSPHRASE_LENGTH = 8;
+
+    // scrypt cost, ethers' default, which takes 128 MiB of memory per attempt
+    static SCRYPT = { N: 1 << 17, r: 8, p: 1 };
+
+    /**
+     * Encrypt a private key or a mnemonic with `passphrase`. The key stored
+     * for a mnemonic is that of its first account, derived with
+     * `mnemonicPassphrase` along `path`, see CryptoUtils.fromMnemonic.
+     */
+    static async encrypt(secret, passphrase, mnemonicPassphrase = '', path = CryptoUtils.DEFAULT_DERIVATION_PATH) {
+        Keystore.validatePassphrase(passphrase);
+
+        let account;
+        if (CryptoUtils.validatePrivateKey(secret)) {
+            const crypto = new CryptoUtils(secret);
+            account = { address: crypto.getAddress(), privateKey: crypto.wallet.privateKey };
+        } else if (CryptoUtils.validateMnemonic(secret)) {
+            const [primary] = CryptoUtils.fromMnemonic(secret, mnemonicPassphrase, 1, path);
+            account = {
+                address: primary.getAddress(),
+                privateKey: primary.wallet.privateKey,
+                mnemonic: {
+                    entropy: Mnemonic.fromPhrase(CryptoUtils.normalizeMnemonic(secret)).entropy,
+                    path: primary.path,
+                    locale: 'en'
+                }
+            };
+        } else {
+            throw new Error('Not a private key or mnemonic');
+        }
+
+        return encryptKeystoreJson(account, passphrase, { scrypt: Keystore.SCRYPT });
+    }
+
+    /**
+     * Decrypt a keystore, returning its `address` and `privateKey`, and
+     * for a mnemonic keystore the `mnemonic` phrase, null otherwise
+     */
+    static async decrypt(json, passphrase) {
+        const account = await Keystore.decryptAccount(json, passphrase);
+        return {
+            address: account.address,
+            privateKey: account.privateKey,
+            mnemonic: account.mnemonic ? Mnemonic.fromEntropy(account.mnemonic.entropy).phrase : null
+        };
+    }
+
+    /**
+     * Encrypt the key of a keystore again with a new passphrase
+     */
+    static async changePassphrase(json, passphrase, newPassphrase) {
+        Keystore.validatePassphrase(newPassphrase);
+
+        const account = await Keystore.decryptAccount(json, passphrase);
+        return encryptKeystoreJson(account, newPassphrase, { scrypt: Keystore.SCRYPT });
+    }
+
+    /**
+     * The ethers account of a keystore, with a plain message for a wrong passphrase
+     */
+    static async decryptAccount(json, passphrase) {
+        try {
+            return await decryptKeystoreJson(json, passphrase);
+        } catch (error) {
+            if (error.code === 'INVALID_ARGUMENT' && error.argument === 'password') {
+                throw new Error('Wrong keystore passphrase');
+            }
+            throw new Error(`Cannot decrypt keystore: ${error.shortMessage ?? error.message}`);
+        }
+    }
+
+    /**
+     * Accounts of a decrypted keystore: the private key's single account, or
+     * `count` accounts of the mnemonic. Throws when the mnemonic's first
+     * account is not the keystore's, as with a wrong BIP-39 passphrase.
+     */
+    static getAccounts(decrypted, mnemonicPassphrase = '', count = 1, path = CryptoUtils.DEFAULT_DERIVATION_PATH) {
+        if (!decrypted.mnemonic) {
+            return [new CryptoUtils(decrypted.privateKey)];
+        }
+
+        const accounts = CryptoUtils.fromMnemonic(decrypted.mnemonic, mnemonicPassphrase, count, path);
+        if (accounts[0].getAddress() !== decrypted.address) {
+            throw new Error(`The mnemonic derives ${accounts[0].getAddress()} instead of the keystore's ${decrypted.address}, check the BIP-39 passphrase and DERIVATION_PATH`);
+        }
+        return accounts;
+    }
+
+    /**
+     * Read a keystore file
+     */
+    static load(path) {
+        const json = readFileSync(path, 'utf8');
+        if (!isKeystoreJson(json)) {
+            throw new Error(`${path} is not a v3 keystore`);
+        }
+        return json;
+    }
+
+    /**
+     * Address of the key in a keystore, readable without the passphrase
+     */
+    static getAddress(json) {
+        return getAddress(JSON.parse(json).address);
+    }
+
+    /**
+     * Write a keystore file readable only by its owner, replacing any file
+     * at `path` only once the new one is written
+     */
+    static save(path, json) {
+        const temporaryPath = `${path}.tmp`;
+        writeFileSync(temporaryPath, json + '\n', { mode: 0o600 });
+        renameSync(temporaryPath, path);
+    }
+
+    /**
+     * Throw for passphrases too short to hold up against offline guessing
+     */
+    static validatePassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < Keystore.MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`The keystore passphrase must be at least ${Keystore.MIN_PASSPHRASE_LENGTH} characters`);
+        }
+    }
+}
@@ -1,4 +1,6 @@
 import { v4 as uuidv4 } from 'uuid';
+import { keccak256, toUtf8Bytes, hexlify } from 'ethers';
+import { CompactCodec } from './compact-codec.js';
 
 /**
  * Message types supported by the protocol
@@ -8,8 +10,35 @@ export const MessageType = {
     CONNECT_RESPONSE: 'connect_response',
     TX_REQUEST: 'tx_request',
     TX_RESPONSE: 'tx_response',
+    SIGN_MESSAGE_REQUEST: 'sign_message_request',
+    SIGN_MESSAGE_RESPONSE: 'sign_message_response',
+    SIGN_TYPED_DATA_REQUEST: 'sign_typed_data_request',
+    SIGN_TYPED_DATA_RESPONSE: 'sign_typed_data_response',
+    TX_BATCH_REQUEST: 'tx_batch_request',
+    TX_BATCH_RESPONSE: 'tx_batch_response',
     ACK: 'ack',
-    ERROR: 'error'
+    NACK: 'nack',
+    ENCRYPTED: 'encrypted',
+    SESSION_KEY: 'session_key',
+    ERROR: 'error',
+    // Legacy handshake of earlier mobile releases, answered like connect but without the address
+    PING: 'ping',
+    PONG: 'pong'
+};
+
+/**
+ * Optional features advertised in connect and agreed in connect_response
+ */
+export const Capability = {
+    CHUNKING: 'chunking',
+    COMPRESSION: 'compression',
+    EIP1559: 'eip1559',
+    PERSONAL_SIGN: 'personal_sign',
+    TYPED_DATA: 'typed_data',
+    BATCH: 'batch',
+    ACCESS_LIST: 'access_list',
+    REPLACEMENT: 'replacement',
+    ACCOUNTS: 'accounts'
 };
 
 /**
@@ -42,64 +71,223 @@ export class Message {
         const data = JSON.parse(jsonStr);
         return new Message(data.version, data.type, data.payload, data.id);
     }
+
+    /**
+     * Convert message to the compact binary encoding
+     */
+    toCompact() {
+        return CompactCodec.encode(this);
+    }
+
+    /**
+     * Create message from the compact binary encoding
+     */
+    static fromCompact(compactStr) {
+        const data = CompactCodec.decode(compactStr);
+        return new Message(data.version, data.type, data.payload, data.id);
+    }
+
+    /**
+     * Serialize for transmission in the encoding implied by the message version
+     */
+    serialize() {
+        return MessageProtocol.usesCompactEncoding(this) ? this.toCompact() : this.toJSON();
+    }
+
+    /**
+     * Parse a received message in either encoding
+     */
+    static deserialize(str) {
+        return CompactCodec.isCompact(str) ? Message.fromCompact(str) : Message.fromJSON(str);
+    }
 }
 
 /**
  * Message protocol utilities
  */
 export class MessageProtocol {
-    static PROTOCOL_VERSION = '1.0';
+    static PROTOCOL_VERSION = '1.1';
+
+    // Version 1.0 peers only understand JSON messages
+    static LEGACY_VERSION = '1.0';
+
+    // First version sending messages in the compact binary encoding
+    static COMPACT_VERSION = '1.1';
+
+    // Every version this implementation speaks, oldest first
+    static SUPPORTED_VERSIONS = ['1.0', '1.1'];
+
+    // Every capability this implementation supports
+    static CAPABILITIES = Object.values(Capability);
+
+    // Prefix of the signed digest, so message signatures can never be
+    // confused with transaction or personal message signatures
+    static SIGNATURE_LABEL = 'GibberWallet message v1';
+
+    // Most transactions a batch request may carry
+    static MAX_BATCH_SIZE = 20;
+
+    // Most accounts a connect response may list
+    static MAX_ACCOUNTS = 20;
 
     /**
-     * Create a connect message
+     * Create a connect message advertising the versions and capabilities we support
+     *
+     * `keyCommitment` commits to the client's ephemeral key for a secure
+     * session, which it reveals in a `session_key` later, see SecureSession.
      */
-    static createConnect() {
+    static createConnect(keyCommitment = null) {
+        const payload = {
+            versions: MessageProtocol.SUPPORTED_VERSIONS,
+            capabilities: MessageProtocol.CAPABILITIES
+        };
+        if (keyCommitment) {
+            payload.key_commitment = keyCommitment;
+        }
+
         return new Message(
             MessageProtocol.PROTOCOL_VERSION,
             MessageType.CONNECT,
-            {}
+            payload
         );
     }
 
     /**
      * Create a connect response message
+     *
+     * `negotiated` is the result of `negotiate` for the connect, whose version
+     * the response is sent with and whose capabilities it lists.
+     *
+     * `accounts` lists the `{ address, path }` of every account requests may
+     * name, when the accounts capability was negotiated. `address` is the
+     * primary account, which signs protocol messages.
      */
-    static createConnectResponse(address, connectId) {
+    static createConnectResponse(address, connectId, negotiated = null, accounts = null) {
+        const payload = {
+            address: address,
+            received_id: connectId
+        };
+        if (negotiated) {
+            payload.capabilities = negotiated.capabilities;
+        }
+        if (accounts) {
+            payload.accounts = accounts;
+        }
+
         return new Message(
-            MessageProtocol.PROTOCOL_VERSION,
+            negotiated ? negotiated.version : MessageProtocol.PROTOCOL_VERSION,
             MessageType.CONNECT_RESPONSE,
-            { 
-                address: address,
-                received_id: connectId
-            }
+            payload
         );
     }
 
     /**
-     * Create a transaction request message
+     * Create a legacy ping message, see createConnect
+     */
+    static createPing(keyCommitment = null) {
+        const connect = MessageProtocol.createConnect(keyCommitment);
+        return new Message(connect.version, MessageType.PING, connect.payload);
+    }
+
+    /**
+     * Create a legacy pong response message, see createConnectResponse
      */
-    static createTxRequest(chainId, to, value, data, nonce, gasPrice, gasLimit) {
+    static createPong(pingId, negotiated = null) {
+        const payload = { received_id: pingId };
+        if (negotiated) {
+            payload.capabilities = negotiated.capabilities;
+        }
+
+        return new Message(
+            negotiated ? negotiated.version : MessageProtocol.PROTOCOL_VERSION,
+            MessageType.PONG,
+            payload
+        );
+    }
+
+    /**
+     * Create a transaction request message, see createTransaction
+     *
+     * `account` is the address of the wallet account to sign with, see
+     * withAccount, and null for the primary account.
+     */
+    static createTxRequest(chainId, to, value, data, nonce, gasPrice, gasLimit, fees = null, accessList = null, account = null) {
         return new Message(
             MessageProtocol.PROTOCOL_VERSION,
             MessageType.TX_REQUEST,
-            {
-                transaction: {
-                    chainId: chainId,
-                    nonce: `0x${nonce.toString(16)}`,
-                    gasPrice: `0x${gasPrice.toString(16)}`,
-                    gasLimit: `0x${gasLimit.toString(16)}`,
-                    to: to,
-                    value: `0x${value.toString(16)}`,
-                    data: data
-                }
-            }
+            MessageProtocol.withAccount(
+                { transaction: MessageProtocol.createTransaction(chainId, to, value, data, nonce, gasPrice, gasLimit, fees, accessList) },
+                account
+            )
         );
     }
 
     /**
-     * Create a transaction response message
+     * Create a transaction request that replaces the pending transaction
+     * `replacedHash` at the same nonce, to speed it up or cancel it
+     */
+    static createReplacementRequest(transaction, replacedHash, account = null) {
+        return new Message(
+            MessageProtocol.PROTOCOL_VERSION,
+            MessageType.TX_REQUEST,
+            MessageProtocol.withAccount({ transaction, replaces: replacedHash }, account)
+        );
+    }
+
+    /**
+     * Add the `account` a signing request is for to its payload. Requests
+     * without one are signed with the wallet's primary account, so they are
+     * understood by wallets without the accounts capability.
+     */
+    static withAccount(payload, account) {
+        return account ? { ...payload, account } : payload;
+    }
+
+    /**
+     * Create the transaction object of a transaction or batch request
+     *
+     * `gasPrice` is used for legacy (type 0) transactions. Pass
+     * `{ maxFeePerGas, maxPriorityFeePerGas }` in `fees` to request an
+     * EIP-1559 (type 2) transaction instead, in which case `gasPrice` is ignored.
+     * A null `to` deploys `data` as contract init code and leaves `to` out.
+     *
+     * An `accessList` of `{ address, storageKeys }` entries, as returned by
+     * `eth_createAccessList`, is sent with EIP-1559 transactions and turns
+     * a legacy request into an EIP-2930 (type 1) one.
+     */
+    static createTransaction(chainId, to, value, data, nonce, gasPrice, gasLimit, fees = null, accessList = null) {
+        const transaction = {
+            chainId: chainId,
+            type: 0,
+            nonce: `0x${nonce.toString(16)}`
+        };
+
+        if (fees && fees.maxFeePerGas !== undefined && fees.maxFeePerGas !== null) {
+            transaction.type = 2;
+            transaction.maxFeePerGas = `0x${fees.maxFeePerGas.toString(16)}`;
+            transaction.maxPriorityFeePerGas = `0x${(fees.maxPriorityFeePerGas || 0).toString(16)}`;
+        } else {
+            transaction.type = accessList ? 1 : 0;
+            transaction.gasPrice = `0x${gasPrice.toString(16)}`;
+        }
+
+        transaction.gasLimit = `0x${gasLimit.toString(16)}`;
+        if (to !== null && to !== undefined) {
+            transaction.to = to;
+        }
+        transaction.value = `0x${value.toString(16)}`;
+        transaction.data = data;
+        if (accessList) {
+            transaction.accessList = accessList;
+        }
+
+        return transaction;
+    }
+
+    /**
+     * Create a transaction response message answering the request `requestId`
      */
-    static createTxResponse(signedTx, txHash) {
+    static createTxResponse(signedTx, txHash, requestId) {
         return new Message(
             MessageProtocol.PROTOCOL_VERSION,
             MessageType.TX_RESPONSE,
@@ -107,19 +295,167 @@ export class MessageProtocol {
                 signedTransaction: {
                     raw: signedTx,
                     hash: txHash
-                }
+                },
+                received_id: requestId
+            }
+        );
+    }
+
+    /**
+     * Create a request to sign several transactions at once, built with
+     * createTransaction, which the wallet reviews together
+     */
+    static createTxBatchRequest(transactions, account = null) {
+        return new Message(
+            MessageProtocol.PROTOCOL_VERSION,
+            MessageType.TX_BATCH_REQUEST,
+            MessageProtocol.withAccount({ transactions }, account)
+        );
+    }
+
+    /**
+     * Create a batch response answering the request `requestId`. `results`
+     * has one entry per requested transaction, in request order: either
+     * `{ signedTransaction: { raw, hash } }` or `{ error }` for a transaction
+     * the user rejected.
+     */
+    static createTxBatchResponse(results, requestId) {
+        return new Message(
+            MessageProtocol.PROTOCOL_VERSION,
+            MessageType.TX_BATCH_RESPONSE,
+            {
+                results: results,
+                received_id: requestId
+            }
+        );
+    }
+
+    /**
+     * Create a request to sign a message with EIP-191 `personal_sign`
+     *
+     * `message` is UTF-8 text or a Uint8Array of raw bytes, sent as hex so
+     * the wallet signs exactly the bytes the dApp asked for.
+     */
+    static createSignMessageRequest(message, account = null) {
+        return new Message(
+            MessageProtocol.PROTOCOL_VERSION,
+            MessageType.SIGN_MESSAGE_REQUEST,
+            MessageProtocol.withAccount(
+                { message: hexlify(typeof message === 'string' ? toUtf8Bytes(message) : message) },
+                account
+            )
+        );
+    }
+
+    /**
+     * Create a message signature response answering the request `requestId`.
+     * `hash` is the EIP-191 hash of the message that was signed.
+     */
+    static createSignMessageResponse(signature, hash, requestId) {
+        return new Message(
+            MessageProtocol.PROTOCOL_VERSION,
+            MessageType.SIGN_MESSAGE_RESPONSE,
+            {
+                signedMessage: {
+                    signature: signature,
+                    hash: hash
+                },
+                received_id: requestId
+            }
+        );
+    }
+
+    /**
+     * Create a request to sign EIP-712 typed data, the JSON object
+     * `{ types, primaryType, domain, message }` of `eth_signTypedData_v4`
+     */
+    static createSignTypedDataRequest(typedData, account = null) {
+        return new Message(
+            MessageProtocol.PROTOCOL_VERSION,
+            MessageType.SIGN_TYPED_DATA_REQUEST,
+            MessageProtocol.withAccount({ typedData }, account)
+        );
+    }
+
+    /**
+     * Create a typed data signature response answering the request `requestId`.
+     * `hash` is the EIP-712 hash of the typed data that was signed.
+     */
+    static createSignTypedDataResponse(signature, hash, requestId) {
+        return new Message(
+            MessageProtocol.PROTOCOL_VERSION,
+            MessageType.SIGN_TYPED_DATA_RESPONSE,
+            {
+                signedMessage: {
+                    signature: signature,
+                    hash: hash
+                },
+                received_id: requestId
             }
         );
     }
 
     /**
      * Create an acknowledgment message
+     *
+     * `frameId` is set when acknowledging a message that arrived in frames,
+     * telling the sender it can stop retransmitting.
      */
-    static createAck(receivedId) {
+    static createAck(receivedId, frameId = null) {
+        const payload = { received_id: receivedId };
+        if (frameId) {
+            payload.frame_id = frameId;
+        }
+
         return new Message(
             MessageProtocol.PROTOCOL_VERSION,
             MessageType.ACK,
-            { received_id: receivedId }
+            payload
+        );
+    }
+
+    /**
+     * Create a negative acknowledgment listing the frames of a message
+     * that did not arrive, so the sender can retransmit only those
+     */
+    static createNack(frameId, missing) {
+        return new Message(
+            MessageProtocol.PROTOCOL_VERSION,
+            MessageType.NACK,
+            {
+                frame_id: frameId,
+                missing: missing
+            }
+        );
+    }
+
+    /**
+     * Create an encrypted envelope carrying another message, see SecureSession
+     */
+    static createEncrypted(version, seq, ciphertext, tag, publicKey = null, compressed = false) {
+        const payload = { seq, ciphertext, tag };
+        if (publicKey) {
+            payload.public_key = publicKey;
+        }
+        if (compressed) {
+            payload.compressed = true;
+        }
+
+        return new Message(version, MessageType.ENCRYPTED, payload);
+    }
+
+    /**
+     * Create a session key message: the wallet's ephemeral key answering a
+     * connect, or the client's key answering that, see SecureSession
+     */
+    static createSessionKey(publicKey, receivedId) {
+        return new Message(
+            MessageProtocol.PROTOCOL_VERSION,
+            MessageType.SESSION_KEY,
+            {
+                public_key: publicKey,
+                received_id: receivedId
+            }
         );
     }
 
@@ -140,9 +476,113 @@ export class MessageProtocol {
     }
 
     /**
-     * Validate message version
+     * Digest the wallet signs to vouch for a message: its type, id and payload
+     * without the signature, bound to `receivedId`, the id of the request it
+     * answers (by default the payload's `received_id`)
+     */
+    static signingDigest(message, receivedId = null) {
+        const payload = { ...message.payload };
+        delete payload.signature;
+        const requestId = receivedId || payload.received_id || null;
+        const body = MessageProtocol.canonicalize([message.type, message.id, payload, requestId]);
+        return keccak256(toUtf8Bytes(`${MessageProtocol.SIGNATURE_LABEL}\n${body}`));
+    }
+
+    /**
+     * JSON with object keys sorted, so both sides hash the same string
+     * whatever order the keys were encoded in
+     */
+    static canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => MessageProtocol.canonicalize(item)).join(',')}]`;
+        }
+        if (value !== null && typeof value === 'object') {
+            const entries = Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${MessageProtocol.canonicalize(value[key])}`);
+            return `{${entries.join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Validate message version. Minor versions are backwards compatible,
+     * so any version with our major version is accepted.
      */
     static validateVersion(message) {
-        return message.version === MessageProtocol.PROTOCOL_VERSION;
+        if (typeof message.version !== 'string' || !/^\d+\.\d+$/.test(message.version)) {
+            return false;
+        }
+        return message.version.split('.')[0] === MessageProtocol.PROTOCOL_VERSION.split('.')[0];
+    }
+
+    /**
+     * Compare two "major.minor" version strings, returning a negative number,
+     * zero or a positive number like a sort comparator
+     */
+    static compareVersions(a, b) {
+        const [aMajor, aMinor] = a.split('.').map(Number);
+        const [bMajor, bMinor] = b.split('.').map(Number);
+        return aMajor !== bMajor ? aMajor - bMajor : aMinor - bMinor;
+    }
+
+    /**
+     * Pick the version to use with a peer that connected with `peerVersion`,
+     * the highest version both sides support
+     */
+    static negotiateVersion(peerVersion) {
+        return MessageProtocol.compareVersions(peerVersion, MessageProtocol.PROTOCOL_VERSION) < 0
+            ? peerVersion
+            : MessageProtocol.PROTOCOL_VERSION;
+    }
+
+    /**
+     * Agree on the version and capabilities to use with the sender of a
+     * connect (or legacy ping): the highest version and the capabilities
+     * both sides support.
+     *
+     * Peers that do not list their versions support every version up to the
+     * connect's own, and peers that do not list capabilities have none.
+     * Returns null when there is no common version.
+     */
+    static negotiate(connect) {
+        const payload = connect.payload || {};
+
+        let version = null;
+        if (Array.isArray(payload.versions)) {
+            const common = MessageProtocol.SUPPORTED_VERSIONS.filter(v => payload.versions.includes(v));
+            version = common.length > 0 ? common[common.length - 1] : null;
+        } else if (MessageProtocol.validateVersion(connect)) {
+            version = MessageProtocol.negotiateVersion(connect.version);
+        }
+
+        if (version === null) {
+            return null;
+        }
+
+        const peerCapabilities = Array.isArray(payload.capabilities) ? payload.capabilities : [];
+        return {
+            version,
+            capabilities: MessageProtocol.CAPABILITIES.filter(c => peerCapabilities.includes(c))
+        };
+    }
+
+    /**
+     * Check whether a message is sent in the compact binary encoding.
+     * Handshake and error messages are always JSON so peers on any
+     * version can read them, including version mismatch errors.
+     */
+    static usesCompactEncoding(message) {
+        return !MessageProtocol.isHandshake(message) && message.type !== MessageType.ERROR &&
+            MessageProtocol.compareVersions(message.version, MessageProtocol.COMPACT_VERSION) >= 0;
+    }
+
+    /**
+     * Check whether a message sets up a session: a connect, a legacy ping
+     * or a session key exchanged after them
+     */
+    static isHandshake(message) {
+        return message.type === MessageType.CONNECT || message.type === MessageType.PING ||
+            message.type === MessageType.SESSION_KEY;
     }
 }
\ No newline at end of file
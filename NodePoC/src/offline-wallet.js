@@ -1,21 +1,68 @@
-import { MessageType, MessageProtocol } from './message-protocol.js';
+import { getBytes, hashMessage, isAddress, getAddress } from 'ethers';
+import { MessageType, MessageProtocol, Capability } from './message-protocol.js';
 import { SoundProtocol } from './sound-protocol.js';
 import { CryptoUtils } from './crypto-utils.js';
+import { SecureSession } from './secure-session.js';
+import { TokenRegistry } from './token-registry.js';
+import { SigningPolicy } from './signing-policy.js';
+import { SigningLedger } from './signing-ledger.js';
+import { Keystore } from './keystore.js';
+import { ShamirBackup } from './shamir-backup.js';
+import { existsSync } from 'fs';
+import { Writable } from 'stream';
 import readline from 'readline';
 import dotenv from 'dotenv';
 
 // Load environment variables
 dotenv.config();
 
+// Terminal colors for signing policy warnings
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
 /**
  * Offline wallet component for airgap transaction signing
  */
 export class OfflineWallet {
-    constructor(privateKey, soundTimeout = 5000, soundRetries = 3) {
-        this.crypto = new CryptoUtils(privateKey);
+    // Signing request ids are remembered this long, and at most this many
+    static SEEN_REQUEST_TTL = 30 * 60 * 1000;
+    static SEEN_REQUEST_LIMIT = 256;
+
+    /**
+     * `keys` is a private key, or the accounts derived from a mnemonic with
+     * CryptoUtils.fromMnemonic
+     */
+    constructor(keys, soundTimeout = 5000, soundRetries = 3, tokens = new TokenRegistry(), policy = new SigningPolicy(), ledgerPath = null) {
+        this.accounts = Array.isArray(keys) ? keys : [new CryptoUtils(keys)];
+        // The primary account signs protocol messages and ledger entries
+        this.crypto = this.accounts[0];
+        this.tokens = tokens;
+        this.policy = policy;
+        
+        // Log of signed and rejected requests, refused if it was tampered with
+        this.ledger = new SigningLedger(this.crypto, ledgerPath);
+        this.ledger.verify();
+        
+        // Transactions signed in earlier sessions count towards the daily cap
+        for (const entry of this.ledger.getSignedTransactions(Date.now() - SigningPolicy.DAY)) {
+            this.policy.recordSpending(entry, entry.time);
+        }
+        
         this.sound = new SoundProtocol(soundTimeout, soundRetries);
+        this.sound.requireSession = true;
         this.isRunning = false;
         
+        // Resolves once the user has compared the session code of the current session
+        this.sessionVerified = Promise.resolve(false);
+        
+        // Connect whose client has not revealed its session key yet, with the
+        // session waiting for it and the id of the session_key we answered with
+        this.pendingHandshake = null;
+        
+        // Ids of handled signing requests with the time they arrived,
+        // oldest first, so replayed requests are refused
+        this.seenRequests = new Map();
+        
         // Setup readline interface for user input
         this.rl = readline.createInterface({
             input: process.stdin,
@@ -23,6 +70,11 @@ export class OfflineWallet {
         });
         
         console.log(`[OFFLINE] Wallet ready: ${this.crypto.getAddress()}`);
+        if (this.accounts.length > 1) {
+            this.accounts.forEach((account, index) => {
+                console.log(`[OFFLINE]   Account ${index}: ${account.getAddress()} (${account.path})`);
+            });
+        }
     }
 
     /**
@@ -63,23 +115,50 @@ export class OfflineWallet {
     async handleMessage(message) {
         console.log(`[OFFLINE] Received: ${message.type}`);
         
-        // Validate protocol version
-        if (!MessageProtocol.validateVersion(message)) {
+        // Validate protocol version, connect negotiates it instead
+        if (!MessageProtocol.isHandshake(message) && !MessageProtocol.validateVersion(message)) {
             const errorMsg = MessageProtocol.createError(
                 `Unsupported protocol version: ${message.version}`,
                 message.id
             );
-            await this.sound.sendMessage(errorMsg);
+            await this.sendSigned(errorMsg, message.id);
             return;
         }
         
         // Handle different message types
         switch (message.type) {
             case MessageType.CONNECT:
+            case MessageType.PING:
                 await this.handleConnect(message);
                 break;
+            case MessageType.SESSION_KEY:
+                await this.handleSessionKey(message);
+                break;
             case MessageType.TX_REQUEST:
-                await this.handleTransactionRequest(message);
+            case MessageType.TX_BATCH_REQUEST:
+            case MessageType.SIGN_MESSAGE_REQUEST:
+            case MessageType.SIGN_TYPED_DATA_REQUEST:
+                if (!await this.sessionVerified) {
+                    console.log(`[OFFLINE] Ignoring ${message.type} from an unverified session`);
+                    break;
+                }
+                if (!this.rememberRequest(message.id)) {
+                    console.log(`[OFFLINE] Refusing replayed ${message.type} ${message.id}`);
+                    await this.sendSigned(
+                        MessageProtocol.createError('Duplicate request', message.id),
+                        message.id
+                    );
+                    break;
+                }
+                if (message.type === MessageType.TX_REQUEST) {
+                    await this.handleTransactionRequest(message);
+                } else if (message.type === MessageType.TX_BATCH_REQUEST) {
+                    await this.handleTxBatchRequest(message);
+                } else if (message.type === MessageType.SIGN_MESSAGE_REQUEST) {
+                    await this.handleSignMessageRequest(message);
+                } else {
+                    await this.handleSignTypedDataRequest(message);
+                }
                 break;
             default:
                 console.log(`[OFFLINE] Unknown message type: ${message.type}`);
@@ -87,102 +166,611 @@ export class OfflineWallet {
     }
 
     /**
-     * Handle connect messages
+     * Handle a connect, or a legacy ping answered with a pong instead of the address.
+     * The wallet answers with its session key and waits for the client's.
      */
     async handleConnect(message) {
-        console.log('[OFFLINE] Sending wallet address');
-        const address = this.crypto.getAddress();
-        const connectResponse = MessageProtocol.createConnectResponse(address, message.id);
-        await this.sound.sendMessage(connectResponse);
+        // A new connect always ends the previous session
+        this.sound.setSession(null);
+        this.sessionVerified = Promise.resolve(false);
+        this.pendingHandshake = null;
+        
+        const negotiated = MessageProtocol.negotiate(message);
+        if (!negotiated) {
+            console.log(`[OFFLINE] Rejected ${message.type} without a common protocol version`);
+            this.sound.setPeerVersion(null);
+            await this.sendSigned(
+                MessageProtocol.createError(`Unsupported protocol version: ${message.version}`, message.id),
+                message.id
+            );
+            return;
+        }
+        
+        const { version, capabilities } = negotiated;
+        this.sound.setPeerVersion(version);
+        this.sound.setPeerCapabilities(capabilities);
+        
+        if (!message.payload || !message.payload.key_commitment) {
+            console.log(`[OFFLINE] Rejected ${message.type} without a secure session key commitment`);
+            await this.sendSigned(
+                MessageProtocol.createError('Encrypted session required', message.id),
+                message.id
+            );
+            return;
+        }
+        
+        let session;
+        try {
+            session = SecureSession.respond(message.payload.key_commitment);
+        } catch (error) {
+            console.log(`[OFFLINE] Invalid session key commitment: ${error.message}`);
+            await this.sendSigned(
+                MessageProtocol.createError('Invalid session key', message.id),
+                message.id
+            );
+            return;
+        }
+        
+        // Our key goes out before the client reveals its own, so neither
+        // side can pick a key after seeing the other's
+        const keyMessage = MessageProtocol.createSessionKey(session.publicKey, message.id);
+        this.pendingHandshake = { request: message, negotiated, session, keyMessageId: keyMessage.id };
+        await this.sound.sendMessage(keyMessage);
+    }
+
+    /**
+     * Handle the client's session key revealed after our own, then answer the
+     * pending connect over the secure session
+     */
+    async handleSessionKey(message) {
+        const pending = this.pendingHandshake;
+        if (!pending || !message.payload || message.payload.received_id !== pending.keyMessageId) {
+            console.log('[OFFLINE] Ignoring session key without a pending connect');
+            return;
+        }
+        this.pendingHandshake = null;
+        
+        const { request, negotiated, session } = pending;
+        try {
+            session.establish(message.payload.public_key);
+        } catch (error) {
+            console.log(`[OFFLINE] Invalid session key: ${error.message}`);
+            await this.sendSigned(
+                MessageProtocol.createError('Invalid session key', request.id),
+                request.id
+            );
+            return;
+        }
+        
+        console.log(`[OFFLINE] Answering ${request.type} over secure session (protocol ${negotiated.version}, capabilities: ${negotiated.capabilities.join(', ') || 'none'})`);
+        const accounts = this.sound.peerSupports(Capability.ACCOUNTS)
+            ? this.accounts.map(account => account.getAccount())
+            : null;
+        const response = request.type === MessageType.PING
+            ? MessageProtocol.createPong(request.id, negotiated)
+            : MessageProtocol.createConnectResponse(this.crypto.getAddress(), request.id, negotiated, accounts);
+        this.crypto.signProtocolMessage(response, request.id);
+        
+        // Both sides can show the session code once the response is out
+        this.sound.setSession(session);
+        await this.sound.sendMessage(
+            session.seal(response, false, this.sound.peerSupports(Capability.COMPRESSION))
+        );
+        
+        console.log(`\n[OFFLINE] Session code: ${session.sas}`);
+        this.sessionVerified = this.getUserConfirmation(
+            '[OFFLINE] Does the online client show the same code? (y/n): '
+        );
+        
+        if (await this.sessionVerified) {
+            console.log('[OFFLINE] Session verified');
+        } else if (this.sound.session === session) {
+            console.log('[OFFLINE] Session rejected, ignoring its messages');
+            this.sound.setSession(null);
+        }
     }
 
     /**
      * Handle transaction signing requests
      */
     async handleTransactionRequest(message) {
+        let signed = false;
         try {
-            const txData = message.payload.transaction;
-            
-            // Convert hex strings to numbers
-            const chainId = CryptoUtils.parseHexToNumber(txData.chainId);
-            const nonce = CryptoUtils.parseHexToNumber(txData.nonce);
-            const gasPrice = CryptoUtils.parseHexToNumber(txData.gasPrice);
-            const gasLimit = CryptoUtils.parseHexToNumber(txData.gasLimit);
-            const to = txData.to;
-            const value = CryptoUtils.parseHexToNumber(txData.value);
-            const data = txData.data;
-            
-            // Create transaction object
-            let transaction;
-            let txType;
-            
-            if (data && data !== '0x') {
-                // ERC-20 or contract interaction
-                transaction = {
-                    to: to,
-                    value: value,
-                    gasLimit: gasLimit,
-                    gasPrice: gasPrice,
-                    nonce: nonce,
-                    chainId: chainId,
-                    data: data,
-                    type: 0
-                };
-                txType = 'ERC-20/Contract';
-            } else {
-                // ETH transfer
-                transaction = this.crypto.createEthTransaction(
-                    to, value, nonce, gasPrice, gasLimit, chainId
-                );
-                txType = 'ETH Transfer';
+            const account = this.getRequestAccount(message);
+            const { transaction, txType } = this.prepareTransaction(message.payload.transaction);
+            
+            // A replacement reuses the nonce of a pending transaction to speed it up or cancel it
+            let replacement = null;
+            if (message.payload.replaces !== undefined && message.payload.replaces !== null) {
+                if (!this.sound.peerSupports(Capability.REPLACEMENT)) {
+                    throw new Error('Transaction replacement was not negotiated');
+                }
+                replacement = CryptoUtils.describeReplacement(transaction, message.payload.replaces, account.getAddress());
             }
             
+            const policyWarnings = this.checkPolicy([transaction]);
+            
             // Display transaction for user confirmation
-            console.log(`\n[OFFLINE] ${txType} Transaction Request:`);
-            console.log(CryptoUtils.formatTransactionForDisplay(transaction));
+            if (replacement) {
+                console.log(`\n[OFFLINE] ${replacement.kind === 'cancel' ? 'Cancellation' : 'Speed-up'} Transaction Request:`);
+                console.log(CryptoUtils.formatReplacementForDisplay(replacement));
+                console.log();
+            } else {
+                console.log(`\n[OFFLINE] ${txType} Transaction Request:`);
+            }
+            this.showAccount(account);
+            console.log(CryptoUtils.formatTransactionForDisplay(transaction, this.tokens, account.getAddress()));
             console.log();
+            this.showPolicyWarnings(policyWarnings);
             
-            // Ask for user confirmation
-            const confirmed = await this.getUserConfirmation();
+            // Ask for user confirmation, and again when the policy is broken
+            const confirmed = await this.getUserConfirmation(replacement
+                ? `[OFFLINE] Sign this replacement of ${replacement.hash}? (y/n): `
+                : undefined) && await this.confirmPolicyWarnings(policyWarnings);
             
             if (confirmed) {
                 // Sign the transaction
-                const signedTx = await this.crypto.signTransaction(transaction);
+                const signedTx = await account.signTransaction(transaction);
+                this.policy.recordSpending(transaction);
+                this.recordSigned('transaction', message, {
+                    account: account.getAddress(),
+                    hash: signedTx.hash,
+                    ...SigningLedger.describeTransaction(transaction)
+                });
+                signed = true;
                 
                 // Send response
                 const response = MessageProtocol.createTxResponse(
                     signedTx.raw,
-                    signedTx.hash
+                    signedTx.hash,
+                    message.id
                 );
                 
                 console.log(`[OFFLINE] Transaction signed: ${signedTx.hash}`);
-                await this.sound.sendMessage(response);
+                await this.sendSigned(response, message.id);
             } else {
                 // Send error response
+                this.recordRejected('transaction', message, 'Transaction rejected by user', [transaction]);
                 const errorMsg = MessageProtocol.createError(
                     'Transaction rejected by user',
                     message.id
                 );
-                await this.sound.sendMessage(errorMsg);
+                await this.sendSigned(errorMsg, message.id);
             }
             
         } catch (error) {
             console.log(`[OFFLINE] Transaction error: ${error.message}`);
+            if (!signed) {
+                this.recordRejected('transaction', message, error.message, [message.payload.transaction]);
+            }
             const errorMsg = MessageProtocol.createError(
                 `Transaction processing failed: ${error.message}`,
                 message.id
             );
-            await this.sound.sendMessage(errorMsg);
+            await this.sendSigned(errorMsg, message.id);
+        }
+    }
+
+    /**
+     * Handle batch signing requests: show every transaction and the batch
+     * totals, then let the user approve all of them or pick one by one.
+     * Rejected transactions are answered with an error in their place.
+     */
+    async handleTxBatchRequest(message) {
+        let signed = false;
+        try {
+            if (!this.sound.peerSupports(Capability.BATCH)) {
+                throw new Error('Batch requests were not negotiated');
+            }
+            
+            const requested = message.payload.transactions;
+            if (!Array.isArray(requested) || requested.length === 0) {
+                throw new Error('Batch without transactions');
+            }
+            if (requested.length > MessageProtocol.MAX_BATCH_SIZE) {
+                throw new Error(`Batch of ${requested.length} transactions, at most ${MessageProtocol.MAX_BATCH_SIZE} are allowed`);
+            }
+            
+            const account = this.getRequestAccount(message);
+            
+            // Any malformed transaction or rejecting policy rule rejects the whole batch
+            const transactions = requested.map(txData => this.prepareTransaction(txData).transaction);
+            const policyWarnings = this.checkPolicy(transactions);
+            
+            console.log('\n[OFFLINE] Transaction Batch Request:');
+            this.showAccount(account);
+            console.log(CryptoUtils.formatBatchForDisplay(transactions, this.tokens, account.getAddress()));
+            console.log();
+            this.showPolicyWarnings(policyWarnings);
+            
+            let approved = transactions.map(() => true);
+            if (!await this.getUserConfirmation(`[OFFLINE] Sign all ${transactions.length} transactions? (y/n): `)) {
+                approved = [];
+                for (let i = 0; i < transactions.length; i++) {
+                    approved.push(await this.getUserConfirmation(
+                        `[OFFLINE] Sign transaction ${i + 1}/${transactions.length} (nonce ${transactions[i].nonce})? (y/n): `
+                    ));
+                }
+            }
+            
+            if (approved.includes(true) && !await this.confirmPolicyWarnings(policyWarnings)) {
+                approved = approved.map(() => false);
+            }
+            
+            if (!approved.includes(true)) {
+                this.recordRejected('transaction', message, 'Transaction batch rejected by user', transactions);
+                await this.sendSigned(
+                    MessageProtocol.createError('Transaction batch rejected by user', message.id),
+                    message.id
+                );
+                return;
+            }
+            
+            const results = [];
+            for (let i = 0; i < transactions.length; i++) {
+                if (approved[i]) {
+                    const signedTx = await account.signTransaction(transactions[i]);
+                    this.policy.recordSpending(transactions[i]);
+                    console.log(`[OFFLINE] Transaction ${i + 1} signed: ${signedTx.hash}`);
+                    results.push({ signedTransaction: signedTx });
+                } else {
+                    results.push({ error: 'Transaction rejected by user' });
+                }
+            }
+            
+            // Logged once every transaction is signed, in request order
+            results.forEach((result, i) => {
+                if (result.signedTransaction) {
+                    this.recordSigned('transaction', message, {
+                        account: account.getAddress(),
+                        hash: result.signedTransaction.hash,
+                        ...SigningLedger.describeTransaction(transactions[i])
+                    });
+                } else {
+                    this.recordRejected('transaction', message, result.error, [transactions[i]]);
+                }
+            });
+            signed = true;
+            
+            await this.sendSigned(MessageProtocol.createTxBatchResponse(results, message.id), message.id);
+            
+        } catch (error) {
+            console.log(`[OFFLINE] Transaction batch error: ${error.message}`);
+            if (!signed) {
+                const requested = message.payload.transactions;
+                this.recordRejected('transaction', message, error.message,
+                    Array.isArray(requested) && requested.length > 0 ? requested : [null]);
+            }
+            await this.sendSigned(
+                MessageProtocol.createError(`Transaction batch processing failed: ${error.message}`, message.id),
+                message.id
+            );
+        }
+    }
+
+    /**
+     * The account a signing request is for: the one its `account` names, or
+     * the primary account when it names none. Throws for accounts this
+     * wallet does not have.
+     */
+    getRequestAccount(message) {
+        const address = message.payload.account;
+        if (address === undefined || address === null) {
+            return this.crypto;
+        }
+        if (!this.sound.peerSupports(Capability.ACCOUNTS)) {
+            throw new Error('Account selection was not negotiated');
+        }
+        
+        const account = typeof address === 'string' && isAddress(address)
+            ? this.accounts.find(candidate => candidate.getAddress() === getAddress(address))
+            : null;
+        if (!account) {
+            throw new Error(`Unknown account: ${address}`);
+        }
+        return account;
+    }
+
+    /**
+     * Show the account a request is signed with, when there is more than one
+     */
+    showAccount(account) {
+        if (this.accounts.length > 1) {
+            console.log(`Account: ${account.getAddress()} (${account.path})`);
+        }
+    }
+
+    /**
+     * Check transactions against the signing policy, counting each towards
+     * the daily cap of the ones after it. Throws listing every rule that
+     * rejects them, and returns the warnings the user has to confirm.
+     */
+    checkPolicy(transactions) {
+        const rejections = [];
+        const warnings = [];
+        transactions.forEach((transaction, index) => {
+            const prefix = transactions.length > 1 ? `Transaction ${index + 1}: ` : '';
+            for (const violation of this.policy.check(transaction, transactions.slice(0, index))) {
+                (violation.action === 'reject' ? rejections : warnings).push(prefix + violation.message);
+            }
+        });
+        
+        if (rejections.length > 0) {
+            throw new Error(`Rejected by signing policy: ${rejections.join('; ')}`);
+        }
+        return warnings;
+    }
+
+    /**
+     * Show signing policy warnings in red
+     */
+    showPolicyWarnings(warnings) {
+        for (const warning of warnings) {
+            console.log(`${RED}POLICY WARNING: ${warning}${RESET}`);
+        }
+        if (warnings.length > 0) {
+            console.log();
+        }
+    }
+
+    /**
+     * Ask the user to confirm signing despite policy warnings, if there are any
+     */
+    async confirmPolicyWarnings(warnings) {
+        if (warnings.length === 0) {
+            return true;
+        }
+        return await this.getUserConfirmation(`${RED}[OFFLINE] This breaks the signing policy. Sign anyway? (y/n): ${RESET}`);
+    }
+
+    /**
+     * Turn a requested transaction into the transaction to sign and a label
+     * for it, throwing when the request is not acceptable
+     */
+    prepareTransaction(txData) {
+        // Convert hex strings to numbers, and wei amounts to BigInts
+        const chainId = CryptoUtils.parseHexToNumber(txData.chainId);
+        const nonce = CryptoUtils.parseHexToNumber(txData.nonce);
+        const gasLimit = CryptoUtils.parseHexToNumber(txData.gasLimit);
+        const to = txData.to;
+        const value = CryptoUtils.parseHexToBigInt(txData.value);
+        const data = txData.data;
+        
+        // Legacy and EIP-2930 requests carry a gas price, EIP-1559 requests carry fee caps
+        const type = CryptoUtils.parseHexToNumber(txData.type);
+        if (![0, 1, 2].includes(type)) {
+            throw new Error(`Unsupported transaction type: ${type}`);
+        }
+        const isEip1559 = type === 2;
+        if (isEip1559 && !this.sound.peerSupports(Capability.EIP1559)) {
+            throw new Error('EIP-1559 transactions were not negotiated');
+        }
+        
+        // EIP-2930 and EIP-1559 transactions may carry an access list
+        const accessList = CryptoUtils.getAccessList(txData);
+        if (accessList && type === 0) {
+            throw new Error('Legacy transactions cannot carry an access list');
+        }
+        if (accessList && !this.sound.peerSupports(Capability.ACCESS_LIST)) {
+            throw new Error('Access list transactions were not negotiated');
+        }
+        
+        const fees = isEip1559
+            ? {
+                maxFeePerGas: CryptoUtils.parseHexToBigInt(txData.maxFeePerGas),
+                maxPriorityFeePerGas: CryptoUtils.parseHexToBigInt(txData.maxPriorityFeePerGas)
+            }
+            : CryptoUtils.parseHexToBigInt(txData.gasPrice);
+        
+        if (!to) {
+            // Contract deployment, `data` is the init code
+            if (!data || data === '0x') {
+                throw new Error('Contract deployment without bytecode');
+            }
+            const transaction = CryptoUtils.applyFees({
+                to: null,
+                value: value,
+                gasLimit: gasLimit,
+                nonce: nonce,
+                chainId: chainId,
+                data: data
+            }, fees, accessList);
+            return { transaction, txType: 'Contract Deployment' };
+        }
+        
+        if (data && data !== '0x') {
+            // Contract call, labelled by the decoded function
+            const transaction = CryptoUtils.applyFees({
+                to: to,
+                value: value,
+                gasLimit: gasLimit,
+                nonce: nonce,
+                chainId: chainId,
+                data: data
+            }, fees, accessList);
+            const call = CryptoUtils.describeTransactionCall(transaction, this.tokens);
+            return { transaction, txType: call.signature ? `${call.standard} ${call.name}` : 'Unknown Contract Call' };
+        }
+        
+        // ETH transfer
+        const transaction = this.crypto.createEthTransaction(
+            to, value, nonce, fees, gasLimit, chainId, accessList
+        );
+        return { transaction, txType: 'ETH Transfer' };
+    }
+
+    /**
+     * Handle EIP-191 personal_sign requests
+     */
+    async handleSignMessageRequest(message) {
+        let signed = false;
+        try {
+            const account = this.getRequestAccount(message);
+            const data = message.payload.message;
+            
+            // Display the message for user confirmation
+            console.log('\n[OFFLINE] Message Signing Request:');
+            this.showAccount(account);
+            console.log(CryptoUtils.formatMessageForDisplay(data));
+            console.log();
+            
+            const confirmed = await this.getUserConfirmation('[OFFLINE] Sign this message? (y/n): ');
+            
+            if (confirmed) {
+                const bytes = getBytes(data);
+                const signature = await account.signMessage(bytes);
+                this.recordSigned('message', message, { account: account.getAddress(), hash: hashMessage(bytes) });
+                signed = true;
+                const response = MessageProtocol.createSignMessageResponse(
+                    signature,
+                    hashMessage(bytes),
+                    message.id
+                );
+                
+                console.log(`[OFFLINE] Message signed: ${signature}`);
+                await this.sendSigned(response, message.id);
+            } else {
+                this.recordRejected('message', message, 'Message signing rejected by user');
+                await this.sendSigned(
+                    MessageProtocol.createError('Message signing rejected by user', message.id),
+                    message.id
+                );
+            }
+            
+        } catch (error) {
+            console.log(`[OFFLINE] Message signing error: ${error.message}`);
+            if (!signed) {
+                this.recordRejected('message', message, error.message);
+            }
+            const errorMsg = MessageProtocol.createError(
+                `Message signing failed: ${error.message}`,
+                message.id
+            );
+            await this.sendSigned(errorMsg, message.id);
         }
     }
 
     /**
-     * Get user confirmation for transaction signing
+     * Handle EIP-712 typed data signing requests
      */
-    async getUserConfirmation() {
+    async handleSignTypedDataRequest(message) {
+        let signed = false;
+        try {
+            const account = this.getRequestAccount(message);
+            const typedData = message.payload.typedData;
+            
+            // Display the typed data for user confirmation, this also
+            // rejects typed data whose values do not match their types
+            console.log('\n[OFFLINE] Typed Data Signing Request:');
+            this.showAccount(account);
+            console.log(CryptoUtils.formatTypedDataForDisplay(typedData));
+            console.log();
+            
+            const confirmed = await this.getUserConfirmation('[OFFLINE] Sign this typed data? (y/n): ');
+            
+            if (confirmed) {
+                const signature = await account.signTypedData(typedData);
+                this.recordSigned('typed_data', message, { account: account.getAddress(), hash: CryptoUtils.hashTypedData(typedData) });
+                signed = true;
+                const response = MessageProtocol.createSignTypedDataResponse(
+                    signature,
+                    CryptoUtils.hashTypedData(typedData),
+                    message.id
+                );
+                
+                console.log(`[OFFLINE] Typed data signed: ${signature}`);
+                await this.sendSigned(response, message.id);
+            } else {
+                this.recordRejected('typed_data', message, 'Typed data signing rejected by user');
+                await this.sendSigned(
+                    MessageProtocol.createError('Typed data signing rejected by user', message.id),
+                    message.id
+                );
+            }
+            
+        } catch (error) {
+            console.log(`[OFFLINE] Typed data signing error: ${error.message}`);
+            if (!signed) {
+                this.recordRejected('typed_data', message, error.message);
+            }
+            const errorMsg = MessageProtocol.createError(
+                `Typed data signing failed: ${error.message}`,
+                message.id
+            );
+            await this.sendSigned(errorMsg, message.id);
+        }
+    }
+
+    /**
+     * Log a signed request in the ledger. Throws when the ledger cannot be
+     * written, so nothing leaves the wallet that the ledger does not show.
+     */
+    recordSigned(kind, message, fields) {
+        this.ledger.append({ kind, status: 'signed', requestId: message.id, ...fields });
+    }
+
+    /**
+     * Log a rejected request in the ledger, with one entry per transaction
+     * for transaction requests
+     */
+    recordRejected(kind, message, reason, transactions = [null]) {
+        // The requested account, left out when it is not a valid address
+        const account = message.payload.account ?? this.crypto.getAddress();
+        try {
+            for (const transaction of transactions) {
+                this.ledger.append({
+                    kind,
+                    status: 'rejected',
+                    account: typeof account === 'string' && isAddress(account) ? getAddress(account) : null,
+                    requestId: message.id,
+                    reason,
+                    ...SigningLedger.describeTransaction(transaction)
+                });
+            }
+        } catch (error) {
+            console.log(`[OFFLINE] Could not write the signing ledger: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a request id, returning false if it was already seen within
+     * SEEN_REQUEST_TTL. Expired and excess entries are dropped oldest first.
+     */
+    rememberRequest(id, now = Date.now()) {
+        for (const [seenId, seenAt] of this.seenRequests) {
+            if (now - seenAt <= OfflineWallet.SEEN_REQUEST_TTL) {
+                break;
+            }
+            this.seenRequests.delete(seenId);
+        }
+        
+        if (this.seenRequests.has(id)) {
+            return false;
+        }
+        
+        this.seenRequests.set(id, now);
+        if (this.seenRequests.size > OfflineWallet.SEEN_REQUEST_LIMIT) {
+            this.seenRequests.delete(this.seenRequests.keys().next().value);
+        }
+        return true;
+    }
+
+    /**
+     * Sign a message with the wallet key and send it, so the online client
+     * can tell it came from this wallet. `receivedId` is the request it answers.
+     */
+    async sendSigned(message, receivedId) {
+        this.crypto.signProtocolMessage(message, receivedId);
+        return await this.sound.sendMessage(message);
+    }
+
+    /**
+     * Get a yes/no confirmation from the user, by default for transaction signing
+     */
+    async getUserConfirmation(question = '[OFFLINE] Sign this transaction? (y/n): ') {
         return new Promise((resolve) => {
             const askConfirmation = () => {
-                this.rl.question('[OFFLINE] Sign this transaction? (y/n): ', (answer) => {
+                this.rl.question(question, (answer) => {
                     const response = answer.toLowerCase().trim();
                     if (response === 'y' || response === 'yes') {
                         resolve(true);
@@ -208,25 +796,53 @@ export class OfflineWallet {
 
 // Main function to run the offline wallet
 async function main() {
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        console.error('Error: PRIVATE_KEY not found in environment variables');
-        console.error('Please create a .env file based on .env.example');
-        process.exit(1);
+    // A new mnemonic to back up and import, made without any key
+    if (process.argv[2] === 'mnemonic') {
+        const wordsIndex = process.argv.indexOf('--words');
+        showNewMnemonic(wordsIndex > 0 ? parseInt(process.argv[wordsIndex + 1]) : 12);
+        return;
     }
     
-    // Validate private key
-    if (!CryptoUtils.validatePrivateKey(privateKey)) {
-        console.error('Error: Invalid private key format');
-        process.exit(1);
+    // Encrypted keystore holding the wallet's key, managed with `npm run keystore`
+    const keystorePath = process.env.KEYSTORE_PATH || 'keystore.json';
+    if (process.argv[2] === 'keystore') {
+        await manageKeystore(process.argv[3], keystorePath);
+        return;
+    }
+    
+    // M-of-N Shamir backup of the keystore's mnemonic, see ShamirBackup
+    if (process.argv[2] === 'backup') {
+        await manageBackup(process.argv[3], keystorePath);
+        return;
+    }
+    
+    const accounts = await loadAccounts(keystorePath, process.argv.includes('--insecure-plaintext-key'));
+    
+    // Log of signed and rejected requests, viewed with `npm run ledger`
+    const ledgerPath = process.env.LEDGER_PATH || 'signing-ledger.jsonl';
+    if (process.argv[2] === 'ledger') {
+        const exportIndex = process.argv.indexOf('--export');
+        showLedger(new SigningLedger(accounts[0], ledgerPath),
+            exportIndex > 0 ? process.argv[exportIndex + 1] : null);
+        return;
     }
     
     // Get sound configuration
     const soundTimeout = parseInt(process.env.SOUND_TIMEOUT || '5000');
     const soundRetries = parseInt(process.env.SOUND_RETRIES || '3');
     
+    // Bundled token list, extended by an editable token list file
+    const tokens = process.env.TOKEN_LIST_PATH
+        ? TokenRegistry.load(process.env.TOKEN_LIST_PATH)
+        : new TokenRegistry();
+    
+    // Rules checked before every transaction is shown for signing
+    const policy = process.env.POLICY_PATH
+        ? SigningPolicy.load(process.env.POLICY_PATH)
+        : new SigningPolicy();
+    
     // Create and start offline wallet
-    const wallet = new OfflineWallet(privateKey, soundTimeout, soundRetries);
+    const wallet = new OfflineWallet(accounts, soundTimeout, soundRetries, tokens, policy, ledgerPath);
     
     // Handle graceful shutdown
     process.on('SIGINT', () => {
@@ -238,6 +854,337 @@ async function main() {
     await wallet.start();
 }
 
+// The wallet's accounts, from the keystore or, only when `allowPlaintext` is
+// set, from a PRIVATE_KEY or MNEMONIC in the environment. A mnemonic derives
+// ACCOUNT_COUNT accounts, a private key is a single account.
+async function loadAccounts(keystorePath, allowPlaintext) {
+    const privateKey = process.env.PRIVATE_KEY;
+    const mnemonic = process.env.MNEMONIC;
+    if (privateKey && mnemonic) {
+        console.error('Error: Set either PRIVATE_KEY or MNEMONIC, not both');
+        process.exit(1);
+    }
+    
+    const count = parseInt(process.env.ACCOUNT_COUNT || '1');
+    if (!(count >= 1 && count <= MessageProtocol.MAX_ACCOUNTS)) {
+        console.error(`Error: ACCOUNT_COUNT must be between 1 and ${MessageProtocol.MAX_ACCOUNTS}`);
+        process.exit(1);
+    }
+    const derivationPath = process.env.DERIVATION_PATH || CryptoUtils.DEFAULT_DERIVATION_PATH;
+    
+    if (privateKey || mnemonic) {
+        const name = privateKey ? 'PRIVATE_KEY' : 'MNEMONIC';
+        if (!allowPlaintext) {
+            console.error(`Error: Refusing to start from a plaintext ${name}`);
+            console.error('Move it into an encrypted keystore with `npm run keystore -- import` and remove it from .env,');
+            console.error('or start with --insecure-plaintext-key to use it anyway');
+            process.exit(1);
+        }
+        console.log(`${RED}[OFFLINE] WARNING: Using the plaintext ${name} from the environment${RESET}`);
+        
+        if (mnemonic) {
+            if (!CryptoUtils.validateMnemonic(mnemonic)) {
+                console.error('Error: Invalid mnemonic, check the words and their order');
+                process.exit(1);
+            }
+            try {
+                return CryptoUtils.fromMnemonic(mnemonic, process.env.MNEMONIC_PASSPHRASE || '', count, derivationPath);
+            } catch (error) {
+                console.error(`Error: Cannot derive accounts: ${error.message}`);
+                process.exit(1);
+            }
+        }
+        if (!CryptoUtils.validatePrivateKey(privateKey)) {
+            console.error('Error: Invalid private key format');
+            process.exit(1);
+        }
+        return [new CryptoUtils(privateKey)];
+    }
+    
+    if (!existsSync(keystorePath)) {
+        console.error(`Error: No keystore found at ${keystorePath}`);
+        console.error('Create one with `npm run keystore -- new`, or import a key with `npm run keystore -- import`');
+        process.exit(1);
+    }
+    
+    try {
+        const json = Keystore.load(keystorePath);
+        const decrypted = await Keystore.decrypt(
+            json,
+            await askPassphrase(`[OFFLINE] Passphrase for ${Keystore.getAddress(json)} (${keystorePath}): `)
+        );
+        
+        const mnemonicPassphrase = process.env.MNEMONIC_PASSPHRASE;
+        try {
+            return Keystore.getAccounts(decrypted, mnemonicPassphrase || '', count, derivationPath);
+        } catch (error) {
+            // The mnemonic has a BIP-39 passphrase, which is asked for unless set in the environment
+            if (mnemonicPassphrase !== undefined) {
+                throw error;
+            }
+            const typed = await askPassphrase('[OFFLINE] BIP-39 passphrase of the mnemonic: ');
+            return Keystore.getAccounts(decrypted, typed, count, derivationPath);
+        }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Create a keystore for a new mnemonic, import a key into one, change its
+// passphrase, or show the xpub the online client watches its accounts with
+async function manageKeystore(command, keystorePath) {
+    if (!['new', 'import', 'change-passphrase', 'xpub'].includes(command)) {
+        console.error('Usage: npm run keystore -- new [--words 24] | import | change-passphrase | xpub');
+        process.exitCode = 1;
+        return;
+    }
+    
+    try {
+        if (command === 'change-passphrase') {
+            const json = Keystore.load(keystorePath);
+            const passphrase = await askPassphrase(`[OFFLINE] Current passphrase for ${keystorePath}: `);
+            // Checked before the new passphrase is asked for
+            await Keystore.decrypt(json, passphrase);
+            Keystore.save(keystorePath, await Keystore.changePassphrase(json, passphrase, await askNewPassphrase()));
+            console.log(`[OFFLINE] Passphrase of ${keystorePath} changed`);
+            return;
+        }
+        
+        if (command === 'xpub') {
+            const json = Keystore.load(keystorePath);
+            const decrypted = await Keystore.decrypt(
+                json,
+                await askPassphrase(`[OFFLINE] Passphrase for ${Keystore.getAddress(json)} (${keystorePath}): `)
+            );
+            if (!decrypted.mnemonic) {
+                throw new Error('Only a keystore holding a mnemonic has an extended public key');
+            }
+            
+            const derivationPath = process.env.DERIVATION_PATH || CryptoUtils.DEFAULT_DERIVATION_PATH;
+            const mnemonicPassphrase = process.env.MNEMONIC_PASSPHRASE
+                ?? await askPassphrase('[OFFLINE] BIP-39 passphrase of the mnemonic (empty for none): ');
+            // Checks the passphrase and path derive the keystore's account
+            Keystore.getAccounts(decrypted, mnemonicPassphrase, 1, derivationPath);
+            const { xpub, path } = CryptoUtils.getExtendedPublicKey(decrypted.mnemonic, mnemonicPassphrase, derivationPath);
+            console.log(`[OFFLINE] Extended public key of ${path}, import it into the online client's account book:\n`);
+            console.log(`    ${xpub}\n`);
+            console.log('[OFFLINE] It reveals every address of the wallet but cannot sign, keep it private.');
+            return;
+        }
+        
+        if (existsSync(keystorePath)) {
+            throw new Error(`A keystore already exists at ${keystorePath}, set KEYSTORE_PATH to create another`);
+        }
+        
+        let secret;
+        let mnemonicPassphrase = '';
+        if (command === 'new') {
+            const wordsIndex = process.argv.indexOf('--words');
+            secret = CryptoUtils.generateMnemonic(wordsIndex > 0 ? parseInt(process.argv[wordsIndex + 1]) : 12);
+            console.log('[OFFLINE] New mnemonic, write the words down in order and keep them offline:\n');
+            console.log(`    ${secret}\n`);
+        } else {
+            // A key still in the environment is moved into the keystore, otherwise it is typed in
+            secret = process.env.PRIVATE_KEY || process.env.MNEMONIC
+                || await askPassphrase('[OFFLINE] Private key or mnemonic to import: ');
+            if (CryptoUtils.validateMnemonic(secret)) {
+                mnemonicPassphrase = process.env.MNEMONIC_PASSPHRASE
+                    ?? await askPassphrase('[OFFLINE] BIP-39 passphrase of the mnemonic (empty for none): ');
+            }
+        }
+        
+        const json = await Keystore.encrypt(
+            secret,
+            await askNewPassphrase(),
+            mnemonicPassphrase,
+            process.env.DERIVATION_PATH || CryptoUtils.DEFAULT_DERIVATION_PATH
+        );
+        Keystore.save(keystorePath, json);
+        console.log(`[OFFLINE] Keystore for ${Keystore.getAddress(json)} written to ${keystorePath}`);
+        if (process.env.PRIVATE_KEY || process.env.MNEMONIC) {
+            console.log(`${RED}[OFFLINE] Remove ${process.env.PRIVATE_KEY ? 'PRIVATE_KEY' : 'MNEMONIC'} from .env, the wallet does not start while it is set${RESET}`);
+        }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+// Split the keystore's mnemonic into shares shown one at a time, or recover
+// a mnemonic from shares into a new keystore
+async function manageBackup(command, keystorePath) {
+    if (!['split', 'recover'].includes(command)) {
+        console.error('Usage: npm run backup -- split [--threshold 2] [--shares 3] | recover');
+        process.exitCode = 1;
+        return;
+    }
+    
+    try {
+        if (command === 'split') {
+            const json = Keystore.load(keystorePath);
+            const decrypted = await Keystore.decrypt(
+                json,
+                await askPassphrase(`[OFFLINE] Passphrase for ${Keystore.getAddress(json)} (${keystorePath}): `)
+            );
+            if (!decrypted.mnemonic) {
+                throw new Error('Only a keystore holding a mnemonic can be backed up as shares');
+            }
+            
+            const option = (name, fallback) => {
+                const index = process.argv.indexOf(name);
+                return index > 0 ? parseInt(process.argv[index + 1]) : fallback;
+            };
+            const shares = ShamirBackup.split(decrypted.mnemonic, option('--threshold', 2), option('--shares', 3));
+            await showShares(shares);
+            return;
+        }
+        
+        if (existsSync(keystorePath)) {
+            throw new Error(`A keystore already exists at ${keystorePath}, set KEYSTORE_PATH to recover into another`);
+        }
+        
+        const mnemonic = await askShares();
+        const mnemonicPassphrase = process.env.MNEMONIC_PASSPHRASE
+            ?? await askPassphrase('[OFFLINE] BIP-39 passphrase of the mnemonic (empty for none): ');
+        const json = await Keystore.encrypt(
+            mnemonic,
+            await askNewPassphrase(),
+            mnemonicPassphrase,
+            process.env.DERIVATION_PATH || CryptoUtils.DEFAULT_DERIVATION_PATH
+        );
+        Keystore.save(keystorePath, json);
+        console.log(`[OFFLINE] Recovered ${Keystore.getAddress(json)} into ${keystorePath}`);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+// Show each share on its own, clearing the screen before the next one
+async function showShares(shares) {
+    const { threshold, count, id } = ShamirBackup.parseShare(shares[0]);
+    console.log(`[OFFLINE] The mnemonic is split into ${count} shares, any ${threshold} of which recover the wallet.`);
+    console.log('[OFFLINE] Write each share down and keep the shares in different places.');
+    await askLine('[OFFLINE] Press Enter to show the first share ');
+    
+    for (const share of shares) {
+        console.clear();
+        console.log(`[OFFLINE] This is ${ShamirBackup.describeShare(ShamirBackup.parseShare(share))}\n`);
+        share.split(' ').forEach((word, index) => {
+            process.stdout.write(`${String(index + 1).padStart(4)}. ${word.padEnd(10)}${index % 4 === 3 ? '\n' : ''}`);
+        });
+        console.log('\n');
+        await askLine('[OFFLINE] Press Enter once the share is written down ');
+    }
+    
+    console.clear();
+    console.log(`[OFFLINE] ${count} shares of backup ${id.toString(16).padStart(4, '0')} shown, any ${threshold} recover the wallet with \`npm run backup -- recover\`.`);
+    console.log('[OFFLINE] A BIP-39 passphrase, if the wallet has one, is needed as well and is not part of the shares.');
+}
+
+// Read shares until there are enough to recover the mnemonic, asking again
+// for a share that does not check out
+async function askShares() {
+    const shares = [];
+    while (shares.length === 0 || shares.length < shares[0].threshold) {
+        const needed = shares.length === 0 ? '' : ` of ${shares[0].threshold}`;
+        try {
+            const share = ShamirBackup.parseShare(await askLine(`[OFFLINE] Share ${shares.length + 1}${needed}: `));
+            ShamirBackup.checkShares([...shares, share]);
+            shares.push(share);
+            console.log(`[OFFLINE] Accepted ${ShamirBackup.describeShare(share)}`);
+        } catch (error) {
+            console.log(`${RED}[OFFLINE] ${error.message}, enter the share again${RESET}`);
+        }
+    }
+    return ShamirBackup.recover(shares);
+}
+
+// Ask for a new keystore passphrase twice
+async function askNewPassphrase() {
+    const passphrase = await askPassphrase(`[OFFLINE] New keystore passphrase (at least ${Keystore.MIN_PASSPHRASE_LENGTH} characters): `);
+    Keystore.validatePassphrase(passphrase);
+    if (await askPassphrase('[OFFLINE] Repeat the new passphrase: ') !== passphrase) {
+        throw new Error('The passphrases do not match');
+    }
+    return passphrase;
+}
+
+// Read a line from the terminal
+function askLine(prompt) {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        rl.question(prompt, answer => {
+            rl.close();
+            resolve(answer);
+        });
+    });
+}
+
+// Read a line from the terminal without echoing it
+function askPassphrase(prompt) {
+    return new Promise(resolve => {
+        let muted = false;
+        const output = new Writable({
+            write(chunk, encoding, callback) {
+                if (!muted) {
+                    process.stdout.write(chunk, encoding);
+                }
+                callback();
+            }
+        });
+        const rl = readline.createInterface({ input: process.stdin, output, terminal: Boolean(process.stdin.isTTY) });
+        rl.question(prompt, answer => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+        // The prompt is written, everything typed after it is not
+        muted = true;
+    });
+}
+
+// Print a new mnemonic with the first account it derives
+function showNewMnemonic(words) {
+    let phrase;
+    try {
+        phrase = CryptoUtils.generateMnemonic(words);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+    const [account] = CryptoUtils.fromMnemonic(phrase);
+    
+    console.log(`[OFFLINE] New ${words}-word mnemonic:\n`);
+    console.log(`    ${phrase}\n`);
+    console.log(`[OFFLINE] Account 0: ${account.getAddress()} (${account.path})`);
+    console.log('[OFFLINE] Write the words down in order and keep them offline, anyone with them controls the wallet.');
+    console.log('[OFFLINE] Move them into an encrypted keystore with `npm run keystore -- import`.');
+}
+
+// Print the signing ledger and check it, optionally exporting it for auditors
+function showLedger(ledger, exportPath) {
+    console.log(`[OFFLINE] Signing ledger of ${ledger.crypto.getAddress()} (${ledger.path})`);
+    for (const entry of ledger.entries) {
+        console.log(SigningLedger.formatEntry(entry));
+    }
+    console.log(`[OFFLINE] ${ledger.entries.length} entries, head ${ledger.getHead()}`);
+    
+    try {
+        ledger.verify();
+        console.log('[OFFLINE] Ledger verified');
+    } catch (error) {
+        console.log(`${RED}[OFFLINE] LEDGER FAILED VERIFICATION: ${error.message}${RESET}`);
+        process.exitCode = 1;
+    }
+    
+    if (exportPath) {
+        ledger.export(exportPath);
+        console.log(`[OFFLINE] Ledger exported to ${exportPath}`);
+    }
+}
+
 // Run if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
     main().catch(console.error);
@@ -1,7 +1,11 @@
 import { ethers } from 'ethers';
-import { MessageType, MessageProtocol } from './message-protocol.js';
+import { MessageType, MessageProtocol, Capability } from './message-protocol.js';
 import { SoundProtocol } from './sound-protocol.js';
 import { CryptoUtils } from './crypto-utils.js';
+import { SecureSession } from './secure-session.js';
+import { TokenRegistry } from './token-registry.js';
+import { AccountBook } from './account-book.js';
+import { readFileSync } from 'fs';
 import readline from 'readline';
 import dotenv from 'dotenv';
 
@@ -12,11 +16,25 @@ dotenv.config();
  * Online client component for hot wallet functionality
  */
 export class OnlineClient {
-    constructor(rpcUrl, chainId, soundTimeout = 5000, soundRetries = 3) {
+    constructor(rpcUrl, chainId, soundTimeout = 5000, soundRetries = 3, tokens = new TokenRegistry(), useAccessLists = false, accountBook = new AccountBook()) {
         this.provider = new ethers.JsonRpcProvider(rpcUrl);
         this.chainId = chainId;
+        this.tokens = tokens;
+        // Watch-only accounts, which requests can be prepared for before the wallet connects
+        this.accountBook = accountBook;
+        // Attach access lists from eth_createAccessList to contract calls
+        this.useAccessLists = useAccessLists;
         this.sound = new SoundProtocol(soundTimeout, soundRetries);
         this.connectedWalletAddress = null;
+        // Accounts the wallet offered, `{ address, path }` with the primary
+        // account first, and the one requests are made for
+        this.walletAccounts = [];
+        this.selectedAccount = null;
+        
+        // Last transaction still pending when confirmation timed out, offered for speed-up or cancel
+        this.lastPendingHash = null;
+        // Hashes of the transactions each broadcast replacement replaced
+        this.replacedHashes = new Map();
         
         // Setup readline interface for user input
         this.rl = readline.createInterface({
@@ -57,6 +75,87 @@ export class OnlineClient {
         return feeData.gasPrice;
     }
 
+    /**
+     * Whether the connected wallet negotiated `capability`. Before the
+     * handshake the wallet's capabilities are unknown, and taken as missing
+     * so requests prepared then are ones any wallet can sign.
+     */
+    walletSupports(capability) {
+        return this.connectedWalletAddress !== null && this.sound.peerSupports(capability);
+    }
+
+    /**
+     * Get fee parameters for a new transaction.
+     * Returns EIP-1559 fee caps when both the network and the connected
+     * wallet support them, otherwise falls back to a legacy gas price.
+     */
+    async getFees() {
+        const feeData = await this.provider.getFeeData();
+        
+        if (feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null &&
+            this.walletSupports(Capability.EIP1559)) {
+            return {
+                type: 2,
+                gasPrice: null,
+                maxFeePerGas: feeData.maxFeePerGas,
+                maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+            };
+        }
+        
+        return { type: 0, gasPrice: feeData.gasPrice };
+    }
+
+    /**
+     * Log the fee parameters that will be sent to the offline wallet
+     */
+    logTransactionParams(nonce, fees, gasLimit) {
+        if (fees.type === 2) {
+            console.log(`[ONLINE] Nonce: ${nonce}, Max Fee: ${fees.maxFeePerGas}, Max Priority Fee: ${fees.maxPriorityFeePerGas}, Gas Limit: ${gasLimit}`);
+        } else {
+            console.log(`[ONLINE] Nonce: ${nonce}, Gas Price: ${fees.gasPrice}, Gas Limit: ${gasLimit}`);
+        }
+    }
+
+    /**
+     * Ask the node which addresses and storage slots a call touches with
+     * `eth_createAccessList`. Returns the list, or null when the node does
+     * not support the method or the call fails.
+     */
+    async createAccessList(fromAddress, to, data, value = 0n) {
+        try {
+            const result = await this.provider.send('eth_createAccessList', [
+                { from: fromAddress, to, data, value: ethers.toQuantity(value) },
+                'latest'
+            ]);
+            if (result.error) {
+                console.log(`[ONLINE] Access list creation failed: ${result.error}`);
+                return null;
+            }
+            return ethers.accessListify(result.accessList || []);
+        } catch (error) {
+            console.log(`[ONLINE] Access list creation failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Get the access list to send with a contract call, or null when access
+     * lists are off, the wallet did not negotiate them or the list is empty
+     */
+    async getAccessList(fromAddress, to, data) {
+        if (!this.useAccessLists || !this.walletSupports(Capability.ACCESS_LIST)) {
+            return null;
+        }
+        
+        const accessList = await this.createAccessList(fromAddress, to, data);
+        if (!accessList || accessList.length === 0) {
+            return null;
+        }
+        
+        console.log(`[ONLINE] Access list: ${CryptoUtils.formatAccessListSummary(CryptoUtils.describeAccessList({ accessList }))}`);
+        return accessList;
+    }
+
     /**
      * Estimate gas for a transaction
      */
@@ -86,17 +185,23 @@ export class OnlineClient {
             return null;
         }
         
+        if (!await this.ensureConnected()) {
+            return null;
+        }
+        
         // Get transaction parameters
         const nonce = await this.getNonce(fromAddress);
-        gasPrice = gasPrice || await this.getGasPrice();
+        // An explicit gas price forces a legacy transaction
+        const fees = gasPrice ? { type: 0, gasPrice } : await this.getFees();
         gasLimit = gasLimit || 21000n;
         const valueWei = CryptoUtils.ethToWei(amountEth);
         
-        console.log(`[ONLINE] Nonce: ${nonce}, Gas Price: ${gasPrice}, Gas Limit: ${gasLimit}`);
+        this.logTransactionParams(nonce, fees, gasLimit);
         
         // Create transaction request
         const txRequest = MessageProtocol.createTxRequest(
-            this.chainId, toAddress, valueWei, '0x', nonce, gasPrice, gasLimit
+            this.chainId, toAddress, valueWei, '0x', nonce, fees.gasPrice, gasLimit, fees, null,
+            this.getRequestAccount(fromAddress)
         );
         
         return await this.sendTransactionRequest(txRequest);
@@ -106,7 +211,7 @@ export class OnlineClient {
      * Send ERC-20 transfer request to offline wallet
      */
     async sendErc20Transfer(fromAddress, tokenAddress, toAddress, amount, gasPrice = null, gasLimit = null) {
-        console.log(`[ONLINE] Preparing ERC-20 transfer: ${amount} tokens to ${toAddress}`);
+        console.log(`[ONLINE] Preparing ERC-20 transfer: ${amount} base units to ${toAddress}`);
         
         // Validate addresses
         if (!CryptoUtils.validateAddress(fromAddress)) {
@@ -124,9 +229,14 @@ export class OnlineClient {
             return null;
         }
         
+        if (!await this.ensureConnected()) {
+            return null;
+        }
+        
         // Get transaction parameters
         const nonce = await this.getNonce(fromAddress);
-        gasPrice = gasPrice || await this.getGasPrice();
+        // An explicit gas price forces a legacy transaction
+        const fees = gasPrice ? { type: 0, gasPrice } : await this.getFees();
         gasLimit = gasLimit || 100000n; // Higher limit for ERC-20
         
         // Create ERC-20 transfer data
@@ -134,128 +244,754 @@ export class OnlineClient {
             'function transfer(address to, uint256 amount) returns (bool)'
         ]);
         const data = iface.encodeFunctionData('transfer', [toAddress, amount]);
+        const accessList = await this.getAccessList(fromAddress, tokenAddress, data);
         
-        console.log(`[ONLINE] Nonce: ${nonce}, Gas Price: ${gasPrice}, Gas Limit: ${gasLimit}`);
+        this.logTransactionParams(nonce, fees, gasLimit);
         
         // Create transaction request
         const txRequest = MessageProtocol.createTxRequest(
-            this.chainId, tokenAddress, 0, data, nonce, gasPrice, gasLimit
+            this.chainId, tokenAddress, 0, data, nonce, fees.gasPrice, gasLimit, fees, accessList,
+            this.getRequestAccount(fromAddress)
+        );
+        
+        return await this.sendTransactionRequest(txRequest);
+    }
+
+    /**
+     * Send a contract deployment request to the offline wallet: `bytecode`
+     * followed by the constructor arguments `args`, encoded with the
+     * constructor in `abi`. The request has no recipient.
+     */
+    async deployContract(fromAddress, bytecode, abi = [], args = [], value = 0n, gasPrice = null, gasLimit = null) {
+        if (!CryptoUtils.validateAddress(fromAddress)) {
+            console.log(`[ONLINE] Invalid from address: ${fromAddress}`);
+            return null;
+        }
+        
+        if (!ethers.isHexString(bytecode) || ethers.dataLength(bytecode) === 0) {
+            console.log('[ONLINE] Bytecode must be non-empty 0x-prefixed hex');
+            return null;
+        }
+        
+        const data = ethers.concat([bytecode, new ethers.Interface(abi).encodeDeploy(args)]);
+        
+        if (!await this.ensureConnected()) {
+            return null;
+        }
+        
+        // Get transaction parameters
+        const nonce = await this.getNonce(fromAddress);
+        const fees = gasPrice ? { type: 0, gasPrice } : await this.getFees();
+        if (!gasLimit) {
+            try {
+                gasLimit = await this.provider.estimateGas({ from: fromAddress, data, value });
+            } catch (error) {
+                console.log(`[ONLINE] Gas estimation failed, the deployment would likely revert: ${error.message}`);
+                return null;
+            }
+        }
+        
+        // The offline wallet shows the same address and hash for the user to compare
+        console.log(`[ONLINE] Contract address: ${ethers.getCreateAddress({ from: fromAddress, nonce })}`);
+        console.log(`[ONLINE] Bytecode hash: ${ethers.keccak256(data)} (${ethers.dataLength(data)} bytes)`);
+        this.logTransactionParams(nonce, fees, gasLimit);
+        
+        const txRequest = MessageProtocol.createTxRequest(
+            this.chainId, null, value, data, nonce, fees.gasPrice, gasLimit, fees, null,
+            this.getRequestAccount(fromAddress)
+        );
+        
+        return await this.sendTransactionRequest(txRequest);
+    }
+
+    /**
+     * Read deployment bytecode and ABI from 0x-prefixed hex, a file holding
+     * the hex, or a Hardhat or Foundry artifact JSON file
+     */
+    static readDeployment(source) {
+        if (source.startsWith('0x')) {
+            return { bytecode: source, abi: [] };
+        }
+        
+        const contents = readFileSync(source, 'utf8').trim();
+        if (contents.startsWith('0x')) {
+            return { bytecode: contents, abi: [] };
+        }
+        
+        const artifact = JSON.parse(contents);
+        const bytecode = artifact.bytecode && (artifact.bytecode.object || artifact.bytecode);
+        if (typeof bytecode !== 'string') {
+            throw new Error('Artifact has no bytecode');
+        }
+        return {
+            bytecode: bytecode.startsWith('0x') ? bytecode : `0x${bytecode}`,
+            abi: artifact.abi || []
+        };
+    }
+
+    /**
+     * Look up a token's symbol and decimals in the token list, falling back
+     * to the contract itself for tokens that are not listed
+     */
+    async getTokenInfo(tokenAddress) {
+        const listed = this.tokens.find(this.chainId, tokenAddress);
+        if (listed) {
+            return { ...listed, listed: true };
+        }
+        
+        const contract = new ethers.Contract(tokenAddress, [
+            'function symbol() view returns (string)',
+            'function decimals() view returns (uint8)'
+        ], this.provider);
+        const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+        return {
+            chainId: this.chainId,
+            address: ethers.getAddress(tokenAddress),
+            symbol,
+            name: symbol,
+            decimals: Number(decimals),
+            listed: false
+        };
+    }
+
+    /**
+     * Connect to offline wallet and get address
+     */
+    async connectToWallet() {
+        try {
+            // Start listening for responses
+            this.sound.startListening((message) => this.handleResponse(message));
+            
+            console.log('[ONLINE] Connecting to offline wallet...');
+            return await this.performHandshake();
+            
+        } catch (error) {
+            console.log(`[ONLINE] Connection error: ${error.message}`);
+            return false;
+        } finally {
+            this.sound.stopListening();
+        }
+    }
+
+    /**
+     * Connect to the offline wallet unless a handshake already succeeded,
+     * so fees, access lists and accounts are chosen for what it negotiated.
+     * Returns false when the handshake fails.
+     */
+    async ensureConnected() {
+        if (this.connectedWalletAddress) {
+            return true;
+        }
+        console.log('[ONLINE] Auto-connecting to offline wallet...');
+        return await this.connectToWallet();
+    }
+
+    /**
+     * Run the connect handshake: exchange session keys with the offline wallet,
+     * have the user compare the session code and learn the wallet address
+     */
+    async performHandshake() {
+        // Drop any previous session, the wallet ends it when it sees our connect
+        this.sound.setSession(null);
+        this.sound.requireSession = false;
+        this.sound.setPeerVersion(null);
+        this.sound.setPeerCapabilities(null);
+        this.connectedWalletAddress = null;
+        this.walletAccounts = [];
+        
+        // Connect only commits to our session key, we reveal it once the wallet's arrived
+        const session = SecureSession.initiate();
+        const connect = MessageProtocol.createConnect(session.commitment);
+        
+        if (!await this.sound.sendMessage(connect)) {
+            console.log('[ONLINE] Failed to send connect request');
+            return false;
+        }
+        
+        console.log('[ONLINE] Waiting for response...');
+        const walletKey = await this.sound.waitForMessage(MessageType.SESSION_KEY, 30000, connect.id);
+        
+        if (!walletKey) {
+            console.log('[ONLINE] No response received - offline wallet may not be listening');
+            return false;
+        }
+        
+        try {
+            session.establish(walletKey.payload.public_key);
+        } catch (error) {
+            console.log(`[ONLINE] Invalid wallet session key: ${error.message}`);
+            return false;
+        }
+        
+        // The wallet answers our key with an encrypted connect response
+        if (!await this.sound.sendMessage(MessageProtocol.createSessionKey(session.publicKey, walletKey.id))) {
+            console.log('[ONLINE] Failed to send session key');
+            return false;
+        }
+        
+        const envelope = await this.sound.waitForMessage(MessageType.ENCRYPTED, 30000);
+        if (!envelope) {
+            console.log('[ONLINE] No connect response received');
+            return false;
+        }
+        
+        let connectResponse;
+        try {
+            connectResponse = session.open(envelope);
+        } catch (error) {
+            console.log(`[ONLINE] Invalid connect response: ${error.message}`);
+            return false;
+        }
+        
+        if (connectResponse.type !== MessageType.CONNECT_RESPONSE || connectResponse.payload.received_id !== connect.id) {
+            console.log('[ONLINE] Unexpected response to connect request');
+            return false;
+        }
+        
+        if (!MessageProtocol.SUPPORTED_VERSIONS.includes(connectResponse.version)) {
+            console.log(`[ONLINE] Wallet chose unsupported protocol version ${connectResponse.version}`);
+            return false;
+        }
+        
+        // Proves the wallet holds the key of the address it claims
+        if (!CryptoUtils.verifyProtocolMessage(connectResponse, connectResponse.payload.address, connect.id)) {
+            console.log('[ONLINE] Connect response is not signed by the wallet address');
+            return false;
+        }
+        
+        console.log(`\n[ONLINE] Session code: ${session.sas}`);
+        const answer = await this.askQuestion('[ONLINE] Does the offline wallet show the same code? (y/n): ');
+        if (!['y', 'yes'].includes(answer.trim().toLowerCase())) {
+            console.log('[ONLINE] Session rejected');
+            return false;
+        }
+        
+        this.sound.setSession(session);
+        this.sound.requireSession = true;
+        this.sound.setPeerVersion(connectResponse.version);
+        // Wallets that predate capability negotiation list none
+        const offered = connectResponse.payload.capabilities || [];
+        this.sound.setPeerCapabilities(MessageProtocol.CAPABILITIES.filter(c => offered.includes(c)));
+        this.connectedWalletAddress = connectResponse.payload.address;
+        console.log(`[ONLINE] Connected to wallet: ${this.connectedWalletAddress} (protocol ${connectResponse.version}, capabilities: ${this.sound.peerCapabilities.join(', ') || 'none'})`);
+        
+        this.walletAccounts = this.sound.peerSupports(Capability.ACCOUNTS)
+            ? OnlineClient.readAccounts(connectResponse.payload)
+            : [{ address: ethers.getAddress(this.connectedWalletAddress) }];
+        // Keep the account picked before reconnecting if the wallet still has it
+        if (!this.walletAccounts.some(account => account.address === this.selectedAccount)) {
+            this.selectedAccount = null;
+        }
+        if (this.walletAccounts.length > 1) {
+            console.log(`[ONLINE] The wallet has ${this.walletAccounts.length} accounts, requests are made for ${this.getSelectedAccount()}`);
+        }
+        
+        try {
+            this.accountBook.addFromWallet(this.walletAccounts, this.chainId);
+        } catch (error) {
+            console.log(`[ONLINE] Failed to save the wallet's accounts in the account book: ${error.message}`);
+        }
+        return true;
+    }
+
+    /**
+     * Read the accounts a connect response lists, with the primary account
+     * first even if the wallet listed it elsewhere or not at all. Malformed
+     * and repeated entries are left out.
+     */
+    static readAccounts(payload) {
+        const primary = ethers.getAddress(payload.address);
+        const accounts = [{ address: primary }];
+        const listed = Array.isArray(payload.accounts) ? payload.accounts.slice(0, MessageProtocol.MAX_ACCOUNTS) : [];
+        for (const entry of listed) {
+            if (!entry || !CryptoUtils.validateAddress(entry.address)) {
+                continue;
+            }
+            const account = { address: ethers.getAddress(entry.address) };
+            if (typeof entry.path === 'string') {
+                account.path = entry.path;
+            }
+            if (account.address === primary) {
+                accounts[0] = account;
+            } else if (!accounts.some(known => known.address === account.address)) {
+                accounts.push(account);
+            }
+        }
+        return accounts;
+    }
+
+    /**
+     * The account requests are made for: the one picked with selectAccount,
+     * or the wallet's primary account
+     */
+    getSelectedAccount() {
+        return this.selectedAccount || this.connectedWalletAddress;
+    }
+
+    /**
+     * Make requests for the account `address`: one the connected wallet
+     * offered, or while no wallet is connected, one of the account book's on
+     * this chain, which the wallet must offer once it connects
+     */
+    selectAccount(address) {
+        const account = !CryptoUtils.validateAddress(address) ? null
+            : this.connectedWalletAddress
+                ? this.walletAccounts.find(candidate => candidate.address === ethers.getAddress(address))
+                : this.accountBook.get(this.chainId, address);
+        if (!account) {
+            throw new Error(this.connectedWalletAddress
+                ? `The connected wallet has no account ${address}`
+                : `The account book has no account ${address} on chain ${this.chainId}`);
+        }
+        this.selectedAccount = account.address;
+    }
+
+    /**
+     * The `account` a request for `address` names, null for the primary
+     * account so the request also works with wallets that have only one.
+     * While no wallet is connected any account but a known primary one is
+     * named, and settled by settleRequestAccount once the wallet connects.
+     */
+    getRequestAccount(address) {
+        const primary = this.connectedWalletAddress || this.accountBook.get(this.chainId, address)?.wallet;
+        if (primary && ethers.getAddress(address) === ethers.getAddress(primary)) {
+            return null;
+        }
+        return ethers.getAddress(address);
+    }
+
+    /**
+     * Settle the `account` of a request prepared before the wallet
+     * connected: left out for the wallet's primary account, kept for another
+     * account it offered. Returns false when the wallet lacks the account.
+     */
+    settleRequestAccount(request) {
+        const account = request.payload.account;
+        if (!account) {
+            return true;
+        }
+        if (account === ethers.getAddress(this.connectedWalletAddress)) {
+            delete request.payload.account;
+            return true;
+        }
+        if (!this.walletAccounts.some(candidate => candidate.address === account)) {
+            console.log(`[ONLINE] The connected wallet has no account ${account}, not sending the request`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * The address a signing request must be signed with
+     */
+    getSigner(request) {
+        return request.payload.account || this.connectedWalletAddress;
+    }
+
+    /**
+     * Send transaction request and handle response
+     */
+    async sendTransactionRequest(txRequest) {
+        if (!await this.ensureConnected()) {
+            return null;
+        }
+        
+        try {
+            // Start listening for responses
+            this.sound.startListening((message) => this.handleResponse(message));
+            
+            if (!this.settleRequestAccount(txRequest)) {
+                return null;
+            }
+            
+            console.log('[ONLINE] Sending transaction request...');
+            
+            // Send transaction request
+            if (!await this.sound.sendMessage(txRequest)) {
+                console.log('[ONLINE] Failed to send transaction request');
+                return null;
+            }
+            
+            // Wait for the response to this request, a signed transaction or an error
+            console.log('[ONLINE] Waiting for signed transaction...');
+            const response = await this.sound.waitForMessage(
+                [MessageType.TX_RESPONSE, MessageType.ERROR],
+                30000,
+                txRequest.id
+            );
+            
+            if (!response) {
+                console.log('[ONLINE] No transaction response received');
+                return null;
+            }
+            
+            if (response.type === MessageType.ERROR) {
+                this.handleResponse(response);
+                return null;
+            }
+            
+            if (!CryptoUtils.verifyProtocolMessage(response, this.connectedWalletAddress, txRequest.id)) {
+                console.log('[ONLINE] Transaction response is not signed by the connected wallet, not broadcasting');
+                return null;
+            }
+            
+            // Extract signed transaction
+            const signedTxData = response.payload.signedTransaction;
+            const signedTxRaw = signedTxData && signedTxData.raw;
+            
+            if (!signedTxRaw) {
+                console.log('[ONLINE] No signed transaction in response');
+                return null;
+            }
+            
+            try {
+                CryptoUtils.verifySignedTransaction(
+                    signedTxRaw,
+                    signedTxData.hash,
+                    txRequest.payload.transaction,
+                    this.getSigner(txRequest)
+                );
+            } catch (error) {
+                console.log(`[ONLINE] Signed transaction rejected, not broadcasting: ${error.message}`);
+                return null;
+            }
+            
+            // Broadcast transaction
+            console.log('[ONLINE] Broadcasting transaction...');
+            const txHash = await this.broadcastTransaction(signedTxRaw);
+            
+            if (txHash) {
+                console.log(`[ONLINE] Transaction broadcasted successfully: ${txHash}`);
+                return txHash;
+            } else {
+                console.log('[ONLINE] Failed to broadcast transaction');
+                return null;
+            }
+            
+        } catch (error) {
+            console.log(`[ONLINE] Error in transaction flow:`, error.message);
+            return null;
+        } finally {
+            this.sound.stopListening();
+        }
+    }
+
+    /**
+     * Ask the offline wallet to replace the pending transaction `txHash` at
+     * its nonce: with the same transaction at higher fees to speed it up, or
+     * with a zero-value transfer to itself to cancel it. Fees are raised as
+     * nodes require for a replacement, see CryptoUtils.getReplacementFees.
+     *
+     * Returns the hash of the broadcast replacement or null.
+     */
+    async replaceTransaction(txHash, cancel = false) {
+        if (!await this.ensureConnected()) {
+            return null;
+        }
+        if (!this.walletSupports(Capability.REPLACEMENT)) {
+            console.log('[ONLINE] The offline wallet does not support transaction replacement');
+            return null;
+        }
+        
+        const pending = await this.provider.getTransaction(txHash);
+        if (!pending) {
+            console.log(`[ONLINE] Transaction ${txHash} not found`);
+            return null;
+        }
+        if (pending.blockNumber !== null) {
+            console.log(`[ONLINE] Transaction ${txHash} is already mined in block ${pending.blockNumber}`);
+            return null;
+        }
+        if (!this.walletAccounts.some(account => account.address === ethers.getAddress(pending.from))) {
+            console.log(`[ONLINE] Transaction ${txHash} was not sent by an account of the connected wallet`);
+            return null;
+        }
+        if (await this.provider.getTransactionCount(pending.from, 'latest') > pending.nonce) {
+            console.log(`[ONLINE] Nonce ${pending.nonce} is already used by a mined transaction`);
+            return null;
+        }
+        
+        const fees = CryptoUtils.getReplacementFees(pending, await this.provider.getFeeData());
+        console.log(`[ONLINE] ${cancel ? 'Cancelling' : 'Speeding up'} ${txHash}`);
+        this.logTransactionParams(pending.nonce, fees, cancel ? 21000n : pending.gasLimit);
+        
+        let transaction;
+        if (cancel) {
+            transaction = MessageProtocol.createTransaction(
+                this.chainId, pending.from, 0n, '0x', pending.nonce, fees.gasPrice, 21000n, fees
+            );
+        } else {
+            // Keep the access list, and with it the type of an EIP-2930 transaction
+            const accessList = pending.type === 1 || (pending.accessList && pending.accessList.length > 0)
+                ? pending.accessList
+                : null;
+            transaction = MessageProtocol.createTransaction(
+                this.chainId, pending.to, pending.value, pending.data, pending.nonce,
+                fees.gasPrice, pending.gasLimit, fees, accessList
+            );
+        }
+        
+        const replacementHash = await this.sendTransactionRequest(
+            MessageProtocol.createReplacementRequest(transaction, pending.hash, this.getRequestAccount(pending.from))
+        );
+        if (replacementHash) {
+            this.replacedHashes.set(replacementHash, [pending.hash, ...(this.replacedHashes.get(pending.hash) || [])]);
+        }
+        return replacementHash;
+    }
+
+    /**
+     * Ask the offline wallet to sign several transactions, built with
+     * MessageProtocol.createTransaction, in one request. Each signed
+     * transaction is checked against its request and the valid ones are
+     * broadcast in nonce order, stopping at the first nonce that is not
+     * broadcast since later ones could never be mined.
+     *
+     * Returns the status of each transaction in request order,
+     * `{ nonce, status, hash, error }` with status 'broadcast', 'rejected',
+     * 'invalid', 'failed' or 'skipped', or null when nothing was signed.
+     *
+     * `account` is the wallet account to sign with, see getRequestAccount.
+     */
+    async sendTransactionBatch(transactions, account = null) {
+        if (transactions.length === 0 || transactions.length > MessageProtocol.MAX_BATCH_SIZE) {
+            console.log(`[ONLINE] A batch holds 1 to ${MessageProtocol.MAX_BATCH_SIZE} transactions, got ${transactions.length}`);
+            return null;
+        }
+        
+        // The user reviews every transaction, so allow more time for larger batches
+        const request = MessageProtocol.createTxBatchRequest(transactions, account);
+        const response = await this.sendSigningRequest(
+            request, MessageType.TX_BATCH_RESPONSE, Capability.BATCH, 30000 * (transactions.length + 1)
+        );
+        if (!response) {
+            return null;
+        }
+        
+        const results = response.payload.results;
+        if (!Array.isArray(results) || results.length !== transactions.length) {
+            console.log('[ONLINE] Batch response does not match the request, not broadcasting');
+            return null;
+        }
+        
+        const statuses = transactions.map(tx => ({
+            nonce: CryptoUtils.parseHexToNumber(tx.nonce),
+            status: null,
+            hash: null,
+            error: null
+        }));
+        const signed = new Map();
+        
+        results.forEach((result, index) => {
+            const status = statuses[index];
+            const signedTx = result && result.signedTransaction;
+            if (!signedTx) {
+                status.status = 'rejected';
+                status.error = (result && result.error) || 'Not signed';
+                return;
+            }
+            try {
+                CryptoUtils.verifySignedTransaction(signedTx.raw, signedTx.hash, transactions[index], this.getSigner(request));
+                signed.set(status, signedTx.raw);
+            } catch (error) {
+                status.status = 'invalid';
+                status.error = error.message;
+            }
+        });
+        
+        // Broadcast in nonce order, once a nonce is missing later ones would wait forever
+        let gap = null;
+        for (const status of [...statuses].sort((a, b) => a.nonce - b.nonce)) {
+            if (status.status) {
+                gap = gap === null ? status.nonce : gap;
+            } else if (gap !== null && status.nonce > gap) {
+                status.status = 'skipped';
+                status.error = `Nonce ${gap} was not broadcast`;
+            } else {
+                console.log(`[ONLINE] Broadcasting transaction with nonce ${status.nonce}...`);
+                status.hash = await this.broadcastTransaction(signed.get(status));
+                if (status.hash) {
+                    status.status = 'broadcast';
+                } else {
+                    status.status = 'failed';
+                    status.error = 'Broadcast failed';
+                    gap = gap === null ? status.nonce : gap;
+                }
+            }
+        }
+        
+        console.log('[ONLINE] Batch results:');
+        statuses.forEach((status, index) => {
+            console.log(`  ${index + 1}. nonce ${status.nonce}: ${status.status} ${status.hash || status.error}`);
+        });
+        
+        return statuses;
+    }
+
+    /**
+     * Send a batch of ETH and ERC-20 transfers with sequential nonces.
+     * `transfers` is a list of `{ to, amount, token }` with the amount in
+     * whole ETH, or in whole tokens when `token` is a token contract address.
+     */
+    async sendTransferBatch(fromAddress, transfers) {
+        if (!CryptoUtils.validateAddress(fromAddress)) {
+            console.log(`[ONLINE] Invalid from address: ${fromAddress}`);
+            return null;
+        }
+        
+        if (!await this.ensureConnected()) {
+            return null;
+        }
+        
+        const iface = new ethers.Interface([
+            'function transfer(address to, uint256 amount) returns (bool)'
+        ]);
+        const nonce = await this.getNonce(fromAddress);
+        const fees = await this.getFees();
+        const transactions = [];
+        
+        for (const [index, transfer] of transfers.entries()) {
+            if (!CryptoUtils.validateAddress(transfer.to)) {
+                console.log(`[ONLINE] Transfer ${index + 1} has an invalid to address: ${transfer.to}`);
+                return null;
+            }
+            
+            if (transfer.token) {
+                if (!CryptoUtils.validateAddress(transfer.token)) {
+                    console.log(`[ONLINE] Transfer ${index + 1} has an invalid token address: ${transfer.token}`);
+                    return null;
+                }
+                const token = await this.getTokenInfo(transfer.token);
+                const amount = TokenRegistry.parseAmount(transfer.amount, token.decimals);
+                const data = iface.encodeFunctionData('transfer', [transfer.to, amount]);
+                console.log(`[ONLINE] ${index + 1}. ${transfer.amount} ${token.symbol} to ${transfer.to}`);
+                const accessList = await this.getAccessList(fromAddress, token.address, data);
+                transactions.push(MessageProtocol.createTransaction(
+                    this.chainId, token.address, 0, data, nonce + index, fees.gasPrice, 100000n, fees, accessList
+                ));
+            } else {
+                console.log(`[ONLINE] ${index + 1}. ${transfer.amount} ETH to ${transfer.to}`);
+                transactions.push(MessageProtocol.createTransaction(
+                    this.chainId, transfer.to, CryptoUtils.ethToWei(transfer.amount), '0x', nonce + index, fees.gasPrice, 21000n, fees
+                ));
+            }
+        }
+        
+        return await this.sendTransactionBatch(transactions, this.getRequestAccount(fromAddress));
+    }
+
+    /**
+     * Ask the offline wallet to sign a message with EIP-191 personal_sign.
+     * `message` is UTF-8 text or a Uint8Array of raw bytes. Returns the
+     * signature once it has been checked against the selected account.
+     */
+    async signMessage(message) {
+        const request = MessageProtocol.createSignMessageRequest(message, this.getRequestAccount(this.getSelectedAccount()));
+        const response = await this.sendSigningRequest(
+            request, MessageType.SIGN_MESSAGE_RESPONSE, Capability.PERSONAL_SIGN
         );
+        if (!response) {
+            return null;
+        }
         
-        return await this.sendTransactionRequest(txRequest);
+        const signature = response.payload.signedMessage && response.payload.signedMessage.signature;
+        if (!CryptoUtils.verifySignedMessage(request.payload.message, signature, this.getSigner(request))) {
+            console.log('[ONLINE] Signature does not match the message and account address');
+            return null;
+        }
+        
+        console.log(`[ONLINE] Message signed: ${signature}`);
+        return signature;
     }
 
     /**
-     * Connect to offline wallet and get address
+     * Ask the offline wallet to sign EIP-712 typed data, the JSON object of
+     * `eth_signTypedData_v4`. Returns the signature once it has been checked
+     * against the selected account.
      */
-    async connectToWallet() {
+    async signTypedData(typedData) {
         try {
-            // Start listening for responses
-            this.sound.startListening((message) => this.handleResponse(message));
-            
-            // Send connect to establish connection and get wallet address
-            console.log('[ONLINE] Connecting to offline wallet...');
-            const connect = MessageProtocol.createConnect();
-            
-            if (!await this.sound.sendMessage(connect)) {
-                console.log('[ONLINE] Failed to send connect request');
-                return false;
-            }
-            
-            // Wait for connect response
-            console.log('[ONLINE] Waiting for response...');
-            const connectResponse = await this.sound.waitForMessage(MessageType.CONNECT_RESPONSE, 10000);
-            
-            if (!connectResponse) {
-                console.log('[ONLINE] No response received - offline wallet may not be listening');
-                return false;
-            }
-            
-            const walletAddress = connectResponse.payload.address;
-            this.connectedWalletAddress = walletAddress;
-            console.log(`[ONLINE] Connected to wallet: ${walletAddress}`);
-            return true;
-            
+            CryptoUtils.parseTypedData(typedData);
         } catch (error) {
-            console.log(`[ONLINE] Connection error: ${error.message}`);
-            return false;
-        } finally {
-            this.sound.stopListening();
+            console.log(`[ONLINE] Invalid typed data: ${error.message}`);
+            return null;
+        }
+        
+        const request = MessageProtocol.createSignTypedDataRequest(typedData, this.getRequestAccount(this.getSelectedAccount()));
+        const response = await this.sendSigningRequest(
+            request, MessageType.SIGN_TYPED_DATA_RESPONSE, Capability.TYPED_DATA
+        );
+        if (!response) {
+            return null;
+        }
+        
+        const signature = response.payload.signedMessage && response.payload.signedMessage.signature;
+        if (!CryptoUtils.verifySignedTypedData(typedData, signature, this.getSigner(request))) {
+            console.log('[ONLINE] Signature does not match the typed data and account address');
+            return null;
         }
+        
+        console.log(`[ONLINE] Typed data signed: ${signature}`);
+        return signature;
     }
 
     /**
-     * Send transaction request and handle response
+     * Send a message or typed data signing request, connecting first if
+     * needed, and wait for the response of type `responseType`. Returns the
+     * response once it is verified to come from the connected wallet.
      */
-    async sendTransactionRequest(txRequest) {
+    async sendSigningRequest(request, responseType, capability, timeout = 60000) {
+        if (!await this.ensureConnected()) {
+            return null;
+        }
+        
         try {
             // Start listening for responses
-            this.sound.startListening((message) => this.handleResponse(message));
+            this.sound.startListening((response) => this.handleResponse(response));
             
-            // Auto-connect if not already connected
-            if (!this.connectedWalletAddress) {
-                console.log('[ONLINE] Auto-connecting to offline wallet...');
-                const connect = MessageProtocol.createConnect();
-                
-                if (!await this.sound.sendMessage(connect)) {
-                    console.log('[ONLINE] Failed to send connect request');
-                    return null;
-                }
-                
-                // Wait for connect response
-                console.log('[ONLINE] Waiting for connect response...');
-                const connectResponse = await this.sound.waitForMessage(MessageType.CONNECT_RESPONSE, 10000);
-                
-                if (!connectResponse) {
-                    console.log('[ONLINE] No connect response received, offline wallet may not be listening');
-                    return null;
-                }
-                
-                const walletAddress = connectResponse.payload.address;
-                this.connectedWalletAddress = walletAddress;
-                console.log(`[ONLINE] Connected to wallet: ${walletAddress}`);
+            if (!this.settleRequestAccount(request)) {
+                return null;
             }
             
-            console.log('[ONLINE] Sending transaction request...');
-            
-            // Send transaction request
-            if (!await this.sound.sendMessage(txRequest)) {
-                console.log('[ONLINE] Failed to send transaction request');
+            if (!this.sound.peerSupports(capability)) {
+                console.log(`[ONLINE] The offline wallet does not support ${request.type}`);
                 return null;
             }
             
-            // Wait for transaction response
-            console.log('[ONLINE] Waiting for signed transaction...');
-            const response = await this.sound.waitForMessage(MessageType.TX_RESPONSE, 30000);
+            console.log(`[ONLINE] Sending ${request.type}...`);
             
-            if (!response) {
-                console.log('[ONLINE] No transaction response received');
+            if (!await this.sound.sendMessage(request)) {
+                console.log(`[ONLINE] Failed to send ${request.type}`);
                 return null;
             }
             
-            // Extract signed transaction
-            const signedTxData = response.payload.signedTransaction;
-            const signedTxRaw = signedTxData.raw;
+            // Wait for the response to this request, a signature or an error
+            console.log('[ONLINE] Waiting for signature...');
+            const response = await this.sound.waitForMessage(
+                [responseType, MessageType.ERROR],
+                timeout,
+                request.id
+            );
             
-            if (!signedTxRaw) {
-                console.log('[ONLINE] No signed transaction in response');
+            if (!response) {
+                console.log('[ONLINE] No signature received');
                 return null;
             }
             
-            // Broadcast transaction
-            console.log('[ONLINE] Broadcasting transaction...');
-            const txHash = await this.broadcastTransaction(signedTxRaw);
+            if (response.type === MessageType.ERROR) {
+                this.handleResponse(response);
+                return null;
+            }
             
-            if (txHash) {
-                console.log(`[ONLINE] Transaction broadcasted successfully: ${txHash}`);
-                return txHash;
-            } else {
-                console.log('[ONLINE] Failed to broadcast transaction');
+            if (!CryptoUtils.verifyProtocolMessage(response, this.connectedWalletAddress, request.id)) {
+                console.log('[ONLINE] Signature response is not signed by the connected wallet');
                 return null;
             }
             
+            return response;
+            
         } catch (error) {
-            console.log(`[ONLINE] Error in transaction flow:`, error.message);
+            console.log(`[ONLINE] Error in signing flow:`, error.message);
             return null;
         } finally {
             this.sound.stopListening();
@@ -263,21 +999,36 @@ export class OnlineClient {
     }
 
     /**
-     * Handle responses from offline wallet
+     * Handle responses from offline wallet that no request is waiting for
      */
     handleResponse(message) {
+        if ([MessageType.TX_RESPONSE, MessageType.SIGN_MESSAGE_RESPONSE, MessageType.SIGN_TYPED_DATA_RESPONSE].includes(message.type)) {
+            console.log(`[ONLINE] Ignoring ${message.type} for no outstanding request (${message.payload.received_id})`);
+            return;
+        }
+        
         if (message.type === MessageType.ERROR) {
             const errorMsg = message.payload.message || 'Unknown error';
-            console.log(`[ONLINE] Error from offline wallet: ${errorMsg}`);
+            if (CryptoUtils.verifyProtocolMessage(message, this.connectedWalletAddress)) {
+                console.log(`[ONLINE] Error from offline wallet: ${errorMsg}`);
+            } else {
+                console.log(`[ONLINE] Unverified error (not signed by the connected wallet): ${errorMsg}`);
+            }
         }
     }
 
     /**
-     * Broadcast signed transaction to the network
+     * Broadcast signed transaction to the network, noting it in the
+     * sender's account book history
      */
     async broadcastTransaction(signedTxRaw) {
         try {
             const txResponse = await this.provider.broadcastTransaction(signedTxRaw);
+            try {
+                this.accountBook.recordTransaction(this.chainId, ethers.Transaction.from(signedTxRaw));
+            } catch (error) {
+                console.log(`[ONLINE] Failed to note the transaction in the account book: ${error.message}`);
+            }
             return txResponse.hash;
         } catch (error) {
             console.log(`[ONLINE] Broadcast failed:`, error.message);
@@ -298,32 +1049,45 @@ export class OnlineClient {
     }
 
     /**
-     * Wait for transaction confirmation
+     * Wait for a transaction, or one of the transactions it replaced, to be
+     * mined. A transaction still pending at the timeout is remembered so it
+     * can be sped up or cancelled from the menu.
      */
     async waitForConfirmation(txHash, timeout = 300000) {
         console.log(`[ONLINE] Waiting for confirmation of ${txHash}...`);
         
+        // Only one transaction per nonce is mined, which may be a replaced one
+        const hashes = [txHash, ...(this.replacedHashes.get(txHash) || [])];
         const startTime = Date.now();
         while (Date.now() - startTime < timeout) {
-            try {
-                const receipt = await this.getTransactionReceipt(txHash);
-                if (receipt) {
-                    if (receipt.status === 1) {
-                        console.log(`[ONLINE] Transaction confirmed in block ${receipt.blockNumber}`);
-                        return true;
-                    } else {
-                        console.log(`[ONLINE] Transaction failed`);
-                        return false;
+            for (const hash of hashes) {
+                try {
+                    const receipt = await this.getTransactionReceipt(hash);
+                    if (receipt) {
+                        if (hashes.includes(this.lastPendingHash)) {
+                            this.lastPendingHash = null;
+                        }
+                        if (hash !== txHash) {
+                            console.log(`[ONLINE] Replaced transaction ${hash} was mined instead`);
+                        }
+                        if (receipt.status === 1) {
+                            console.log(`[ONLINE] Transaction confirmed in block ${receipt.blockNumber}`);
+                            return true;
+                        } else {
+                            console.log(`[ONLINE] Transaction failed`);
+                            return false;
+                        }
                     }
+                } catch (error) {
+                    // Continue waiting
                 }
-            } catch (error) {
-                // Continue waiting
             }
             
             await this.sleep(5000);
         }
         
-        console.log(`[ONLINE] Transaction confirmation timeout`);
+        this.lastPendingHash = txHash;
+        console.log(`[ONLINE] Transaction ${txHash} is still pending, speed it up or cancel it from the menu`);
         return false;
     }
 
@@ -335,16 +1099,29 @@ export class OnlineClient {
             console.log('\n[ONLINE] Choose an option:');
             if (this.connectedWalletAddress) {
                 console.log(`Connected wallet: ${this.connectedWalletAddress}`);
+                if (this.getSelectedAccount() !== this.connectedWalletAddress) {
+                    console.log(`Selected account: ${this.getSelectedAccount()}`);
+                }
+            } else if (this.getSelectedAccount()) {
+                console.log(`No wallet connected, requests are prepared for ${this.getSelectedAccount()}`);
             } else {
                 console.log('No wallet connected');
             }
             console.log('1. Connect to offline wallet');
             console.log('2. Send ETH transfer');
             console.log('3. Send ERC-20 transfer');
-            console.log('4. Check transaction status');
-            console.log('5. Exit');
+            console.log('4. Sign message');
+            console.log('5. Sign typed data (EIP-712)');
+            console.log('6. Deploy contract');
+            console.log('7. Send batch of transfers');
+            console.log('8. Speed up pending transaction');
+            console.log('9. Cancel pending transaction');
+            console.log('10. Select wallet account');
+            console.log('11. Check transaction status');
+            console.log('12. Account book');
+            console.log('13. Exit');
             
-            const choice = await this.askQuestion('Enter choice (1-5): ');
+            const choice = await this.askQuestion('Enter choice (1-13): ');
             
             switch (choice.trim()) {
                 case '1':
@@ -357,9 +1134,33 @@ export class OnlineClient {
                     await this.handleErc20Transfer();
                     break;
                 case '4':
-                    await this.handleTransactionStatus();
+                    await this.handleSignMessage();
                     break;
                 case '5':
+                    await this.handleSignTypedData();
+                    break;
+                case '6':
+                    await this.handleDeployContract();
+                    break;
+                case '7':
+                    await this.handleTransferBatch();
+                    break;
+                case '8':
+                    await this.handleReplaceTransaction(false);
+                    break;
+                case '9':
+                    await this.handleReplaceTransaction(true);
+                    break;
+                case '10':
+                    await this.handleSelectAccount();
+                    break;
+                case '11':
+                    await this.handleTransactionStatus();
+                    break;
+                case '12':
+                    await this.handleAccountBook();
+                    break;
+                case '13':
                     console.log('[ONLINE] Exiting...');
                     this.rl.close();
                     return;
@@ -388,15 +1189,15 @@ export class OnlineClient {
      */
     async handleEthTransfer() {
         try {
-            if (!this.connectedWalletAddress) {
-                console.log('[ONLINE] No wallet connected. Please connect to a wallet first.');
+            if (!this.getSelectedAccount()) {
+                console.log('[ONLINE] No wallet connected. Please connect to a wallet or select an account book account first.');
                 return;
             }
             
             const toAddr = await this.askQuestion('To address: ');
             const amount = await this.askQuestion('Amount in ETH: ');
             
-            const txHash = await this.sendEthTransfer(this.connectedWalletAddress, toAddr.trim(), parseFloat(amount));
+            const txHash = await this.sendEthTransfer(this.getSelectedAccount(), toAddr.trim(), parseFloat(amount));
             if (txHash) {
                 await this.waitForConfirmation(txHash);
             }
@@ -410,20 +1211,30 @@ export class OnlineClient {
      */
     async handleErc20Transfer() {
         try {
-            if (!this.connectedWalletAddress) {
-                console.log('[ONLINE] No wallet connected. Please connect to a wallet first.');
+            if (!this.getSelectedAccount()) {
+                console.log('[ONLINE] No wallet connected. Please connect to a wallet or select an account book account first.');
                 return;
             }
             
             const tokenAddr = await this.askQuestion('Token contract address: ');
+            if (!CryptoUtils.validateAddress(tokenAddr.trim())) {
+                console.log(`[ONLINE] Invalid token address: ${tokenAddr}`);
+                return;
+            }
+            
+            const token = await this.getTokenInfo(tokenAddr.trim());
+            if (!token.listed) {
+                console.log(`[ONLINE] ${token.symbol} is not in the token list, using the contract's ${token.decimals} decimals`);
+            }
+            
             const toAddr = await this.askQuestion('To address: ');
-            const amount = await this.askQuestion('Amount (in token units): ');
+            const amount = await this.askQuestion(`Amount (in ${token.symbol}, e.g. 1.5): `);
             
             const txHash = await this.sendErc20Transfer(
-                this.connectedWalletAddress, 
-                tokenAddr.trim(), 
+                this.getSelectedAccount(), 
+                token.address, 
                 toAddr.trim(), 
-                BigInt(amount)
+                TokenRegistry.parseAmount(amount, token.decimals)
             );
             if (txHash) {
                 await this.waitForConfirmation(txHash);
@@ -433,6 +1244,196 @@ export class OnlineClient {
         }
     }
 
+    /**
+     * Handle message signing input
+     */
+    async handleSignMessage() {
+        try {
+            if (!this.getSelectedAccount()) {
+                console.log('[ONLINE] No wallet connected. Please connect to a wallet or select an account book account first.');
+                return;
+            }
+            
+            const input = await this.askQuestion('Message (text, or 0x-prefixed hex for raw bytes): ');
+            // Hex input is signed as raw bytes, like personal_sign in a browser wallet
+            const message = ethers.isHexString(input.trim()) ? ethers.getBytes(input.trim()) : input;
+            
+            const signature = await this.signMessage(message);
+            if (signature) {
+                console.log(`Signature: ${signature}`);
+            }
+        } catch (error) {
+            console.log('[ONLINE] Error in message signing:', error.message);
+        }
+    }
+
+    /**
+     * Handle typed data signing input
+     */
+    async handleSignTypedData() {
+        try {
+            if (!this.getSelectedAccount()) {
+                console.log('[ONLINE] No wallet connected. Please connect to a wallet or select an account book account first.');
+                return;
+            }
+            
+            const path = await this.askQuestion('Path to eth_signTypedData_v4 JSON file: ');
+            const typedData = JSON.parse(readFileSync(path.trim(), 'utf8'));
+            
+            const signature = await this.signTypedData(typedData);
+            if (signature) {
+                console.log(`Signature: ${signature}`);
+            }
+        } catch (error) {
+            console.log('[ONLINE] Error in typed data signing:', error.message);
+        }
+    }
+
+    /**
+     * Handle contract deployment input
+     */
+    async handleDeployContract() {
+        try {
+            if (!this.getSelectedAccount()) {
+                console.log('[ONLINE] No wallet connected. Please connect to a wallet or select an account book account first.');
+                return;
+            }
+            
+            const source = await this.askQuestion('Bytecode (0x hex, or path to a hex file or compiler artifact): ');
+            const deployment = OnlineClient.readDeployment(source.trim());
+            
+            let abi = deployment.abi;
+            if (abi.length === 0) {
+                const signature = await this.askQuestion('Constructor signature, e.g. constructor(string name, uint256 supply) (empty for none): ');
+                abi = signature.trim() ? [signature.trim()] : [];
+            }
+            
+            let args = [];
+            const inputs = new ethers.Interface(abi).deploy.inputs;
+            if (inputs.length > 0) {
+                const types = inputs.map(input => input.format('full')).join(', ');
+                args = JSON.parse(await this.askQuestion(`Constructor arguments as a JSON array (${types}): `));
+            }
+            
+            const txHash = await this.deployContract(this.getSelectedAccount(), deployment.bytecode, abi, args);
+            if (txHash && await this.waitForConfirmation(txHash)) {
+                const receipt = await this.getTransactionReceipt(txHash);
+                console.log(`[ONLINE] Contract deployed at ${receipt.contractAddress}`);
+            }
+        } catch (error) {
+            console.log('[ONLINE] Error in contract deployment:', error.message);
+        }
+    }
+
+    /**
+     * Handle batch transfer input
+     */
+    async handleTransferBatch() {
+        try {
+            if (!this.getSelectedAccount()) {
+                console.log('[ONLINE] No wallet connected. Please connect to a wallet or select an account book account first.');
+                return;
+            }
+            
+            const path = await this.askQuestion('Path to a JSON list of transfers [{ "to", "amount", "token" (optional) }]: ');
+            const transfers = JSON.parse(readFileSync(path.trim(), 'utf8'));
+            if (!Array.isArray(transfers)) {
+                console.log('[ONLINE] The transfers file must hold a JSON array');
+                return;
+            }
+            
+            const statuses = await this.sendTransferBatch(this.getSelectedAccount(), transfers);
+            // Nonces are sequential, so the last broadcast transaction confirms after the others
+            const last = statuses && statuses.filter(status => status.hash).pop();
+            if (last) {
+                await this.waitForConfirmation(last.hash);
+            }
+        } catch (error) {
+            console.log('[ONLINE] Error in batch transfer:', error.message);
+        }
+    }
+
+    /**
+     * Handle speed-up and cancel input, defaulting to the last transaction
+     * that was still pending
+     */
+    async handleReplaceTransaction(cancel) {
+        try {
+            if (!this.connectedWalletAddress) {
+                console.log('[ONLINE] No wallet connected. Please connect to a wallet first.');
+                return;
+            }
+            
+            const input = await this.askQuestion(this.lastPendingHash
+                ? `Pending transaction hash (empty for ${this.lastPendingHash}): `
+                : 'Pending transaction hash: ');
+            const txHash = input.trim() || this.lastPendingHash;
+            if (!txHash) {
+                console.log('[ONLINE] No pending transaction given');
+                return;
+            }
+            
+            const replacementHash = await this.replaceTransaction(txHash, cancel);
+            if (replacementHash) {
+                await this.waitForConfirmation(replacementHash);
+            }
+        } catch (error) {
+            console.log(`[ONLINE] Error ${cancel ? 'cancelling' : 'speeding up'} transaction:`, error.message);
+        }
+    }
+
+    /**
+     * Handle picking the wallet account requests are made for, from the
+     * account book while no wallet is connected
+     */
+    async handleSelectAccount() {
+        try {
+            if (!this.connectedWalletAddress) {
+                const accounts = this.accountBook.list(this.chainId);
+                if (accounts.length === 0) {
+                    console.log('[ONLINE] No wallet connected and no account book accounts on this chain. Please connect to a wallet first.');
+                    return;
+                }
+                
+                accounts.forEach((account, index) => {
+                    const selected = account.address === this.getSelectedAccount() ? ' (selected)' : '';
+                    console.log(`${index}. ${AccountBook.formatEntry(account)}${selected}`);
+                });
+                const input = await this.askQuestion(`Account (0-${accounts.length - 1}): `);
+                const account = accounts[parseInt(input.trim())];
+                if (!account) {
+                    console.log('Invalid choice');
+                    return;
+                }
+                
+                this.selectAccount(account.address);
+                console.log(`[ONLINE] Requests are now prepared for ${account.address}, the wallet must offer it when it connects`);
+                return;
+            }
+            
+            if (this.walletAccounts.length === 1) {
+                console.log(`[ONLINE] The wallet has a single account: ${this.connectedWalletAddress}`);
+                return;
+            }
+            
+            this.walletAccounts.forEach((account, index) => {
+                const selected = account.address === this.getSelectedAccount() ? ' (selected)' : '';
+                console.log(`${index}. ${account.address}${account.path ? ` ${account.path}` : ''}${selected}`);
+            });
+            const input = await this.askQuestion(`Account (0-${this.walletAccounts.length - 1}): `);
+            const account = this.walletAccounts[parseInt(input.trim())];
+            if (!account) {
+                console.log('Invalid choice');
+                return;
+            }
+            
+            this.selectAccount(account.address);
+            console.log(`[ONLINE] Requests are now made for ${account.address}`);
+        } catch (error) {
+            console.log('[ONLINE] Error selecting account:', error.message);
+        }
+    }
+
     /**
      * Handle transaction status check
      */
@@ -453,6 +1454,144 @@ export class OnlineClient {
         }
     }
 
+    /**
+     * Handle the account book: watch-only accounts with their balances,
+     * nonces and history
+     */
+    async handleAccountBook() {
+        try {
+            console.log('\n[ONLINE] Account book:');
+            console.log('1. List accounts with balances and nonces');
+            console.log('2. Add an address');
+            console.log('3. Import accounts from an xpub');
+            console.log('4. Label an account');
+            console.log('5. Remove an account');
+            console.log('6. Show account history');
+            console.log('7. Back');
+            
+            switch ((await this.askQuestion('Enter choice (1-7): ')).trim()) {
+                case '1':
+                    await this.showAccountBook();
+                    break;
+                case '2': {
+                    const address = (await this.askQuestion('Address: ')).trim();
+                    if (!CryptoUtils.validateAddress(address)) {
+                        console.log(`[ONLINE] Invalid address: ${address}`);
+                        return;
+                    }
+                    const label = (await this.askQuestion('Label (empty for none): ')).trim();
+                    const account = this.accountBook.add({ address, chainId: this.chainId, label: label || null, source: 'manual' });
+                    console.log(`[ONLINE] Added ${AccountBook.formatEntry(account)}`);
+                    break;
+                }
+                case '3': {
+                    const xpub = await this.askQuestion('Extended public key (xpub): ');
+                    const count = parseInt((await this.askQuestion('Number of accounts (empty for 5): ')).trim() || '5');
+                    const start = parseInt((await this.askQuestion('First account index (empty for 0): ')).trim() || '0');
+                    const basePath = (await this.askQuestion('Derivation path of the xpub, e.g. m/44\'/60\'/0\'/0 (empty if unknown): ')).trim();
+                    const label = (await this.askQuestion('Label (empty for none): ')).trim();
+                    const accounts = this.accountBook.addFromXpub(xpub, this.chainId, count, start, basePath || null, label || null);
+                    accounts.forEach(account => console.log(`[ONLINE] Added ${AccountBook.formatEntry(account)}`));
+                    break;
+                }
+                case '4': {
+                    const account = await this.askBookAccount();
+                    if (account) {
+                        const label = await this.askQuestion('Label (empty to clear): ');
+                        console.log(`[ONLINE] ${AccountBook.formatEntry(this.accountBook.setLabel(this.chainId, account.address, label))}`);
+                    }
+                    break;
+                }
+                case '5': {
+                    const account = await this.askBookAccount();
+                    if (account) {
+                        this.accountBook.remove(this.chainId, account.address);
+                        if (account.address === this.selectedAccount && !this.connectedWalletAddress) {
+                            this.selectedAccount = null;
+                        }
+                        console.log(`[ONLINE] Removed ${account.address}`);
+                    }
+                    break;
+                }
+                case '6': {
+                    const account = await this.askBookAccount();
+                    if (account) {
+                        await this.showAccountHistory(account);
+                    }
+                    break;
+                }
+                case '7':
+                    break;
+                default:
+                    console.log('Invalid choice');
+            }
+        } catch (error) {
+            console.log('[ONLINE] Account book error:', error.message);
+        }
+    }
+
+    /**
+     * List the account book's accounts on this chain with their balances
+     * and nonces, the pending nonce showing transactions not yet mined
+     */
+    async showAccountBook() {
+        const accounts = this.accountBook.list(this.chainId);
+        if (accounts.length === 0) {
+            console.log(`[ONLINE] No accounts on chain ${this.chainId}, connect a wallet or add some`);
+            return;
+        }
+        
+        for (const account of accounts) {
+            console.log(AccountBook.formatEntry(account));
+            try {
+                const [balance, nonce, pendingNonce] = await Promise.all([
+                    this.provider.getBalance(account.address),
+                    this.provider.getTransactionCount(account.address, 'latest'),
+                    this.provider.getTransactionCount(account.address, 'pending')
+                ]);
+                const pending = pendingNonce > nonce ? ` (${pendingNonce - nonce} pending)` : '';
+                console.log(`    Balance: ${ethers.formatEther(balance)} ETH, nonce: ${nonce}${pending}`);
+            } catch (error) {
+                console.log(`    Balance unavailable: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Show the transactions broadcast for an account, with their receipt status
+     */
+    async showAccountHistory(account) {
+        if (account.transactions.length === 0) {
+            console.log(`[ONLINE] No transactions broadcast for ${account.address}`);
+            return;
+        }
+        
+        for (const tx of account.transactions) {
+            const receipt = await this.getTransactionReceipt(tx.hash);
+            const status = receipt ? (receipt.status === 1 ? `success in block ${receipt.blockNumber}` : 'failed') : 'pending or dropped';
+            console.log(`${new Date(tx.time).toISOString()}  nonce ${tx.nonce}  ${ethers.formatEther(tx.value)} ETH to ${tx.to || 'contract creation'}`);
+            console.log(`    ${tx.hash}: ${status}`);
+        }
+    }
+
+    /**
+     * Ask for one of the account book's accounts on this chain
+     */
+    async askBookAccount() {
+        const accounts = this.accountBook.list(this.chainId);
+        if (accounts.length === 0) {
+            console.log(`[ONLINE] No accounts on chain ${this.chainId}`);
+            return null;
+        }
+        
+        accounts.forEach((account, index) => console.log(`${index}. ${AccountBook.formatEntry(account)}`));
+        const account = accounts[parseInt((await this.askQuestion(`Account (0-${accounts.length - 1}): `)).trim())];
+        if (!account) {
+            console.log('Invalid choice');
+        }
+        return account ?? null;
+    }
+
     /**
      * Ask a question using readline
      */
@@ -485,8 +1624,17 @@ async function main() {
     const soundRetries = parseInt(process.env.SOUND_RETRIES || '3');
     
     try {
+        // Bundled token list, extended by an editable token list file
+        const tokens = process.env.TOKEN_LIST_PATH
+            ? TokenRegistry.load(process.env.TOKEN_LIST_PATH)
+            : new TokenRegistry();
+        
         // Create online client
-        const client = new OnlineClient(rpcUrl, chainId, soundTimeout, soundRetries);
+        const useAccessLists = process.env.USE_ACCESS_LISTS === 'true';
+        
+        // Watch-only accounts, kept between runs
+        const accountBook = new AccountBook(process.env.ACCOUNT_BOOK_PATH || './accounts.json');
+        const client = new OnlineClient(rpcUrl, chainId, soundTimeout, soundRetries, tokens, useAccessLists, accountBook);
         
         // Handle graceful shutdown
         process.on('SIGINT', () => {
@@ -0,0 +1,308 @@
+import {
+    SigningKey,
+    computeHmac,
+    sha256,
+    randomBytes,
+    concat,
+    dataSlice,
+    getBytes,
+    hexlify,
+    toBeHex,
+    toUtf8Bytes,
+    toUtf8String,
+    encodeBase64,
+    decodeBase64
+} from 'ethers';
+import { Message, MessageType, MessageProtocol } from './message-protocol.js';
+import { FrameProtocol } from './frame-protocol.js';
+
+/**
+ * Encrypted, authenticated channel between the online client and the offline wallet.
+ *
+ * The client puts a commitment to an ephemeral secp256k1 public key in its
+ * `connect`, the wallet answers with its own ephemeral key in a `session_key`
+ * and only then does the client reveal its key, which the wallet checks
+ * against the commitment. Both derive the same keys from the ECDH shared
+ * secret. Users compare the short authentication string (SAS) shown on both
+ * screens to rule out a man in the middle, who cannot search for keys that
+ * make the codes match since each side's key is fixed before it sees the other's.
+ *
+ * Every later message travels inside an `encrypted` envelope: the serialized
+ * message XORed with an HMAC-SHA256 keystream and authenticated with an
+ * HMAC-SHA256 tag over the envelope's header fields and ciphertext, so
+ * neither the compression flag nor the wallet's public key can be swapped
+ * on the way. Each direction
+ * has its own keys and an increasing sequence number, so envelopes cannot
+ * be reflected, reordered or replayed. ACKs and NACKs for framed messages
+ * stay in plaintext, see tagControl.
+ */
+export class SecureSession {
+    static KEY_LABEL = 'GibberWallet session v1';
+    static COMMITMENT_LABEL = 'GibberWallet key commitment v1';
+    static CONTROL_LABEL = 'GibberWallet transfer control v1';
+    static TAG_LENGTH = 16;
+
+    /**
+     * @param role 'client' for the side that sends connect, 'wallet' for the side that answers it
+     */
+    constructor(role) {
+        this.role = role;
+        this.signingKey = new SigningKey(randomBytes(32));
+        this.publicKey = this.signingKey.compressedPublicKey;
+        this.keys = null;
+        this.sas = null;
+        // The wallet's copy of the client's commitment, checked in establish
+        this.peerCommitment = null;
+        this.sendSeq = 0;
+        this.lastReceivedSeq = -1;
+    }
+
+    /**
+     * Start a session as the online client
+     */
+    static initiate() {
+        return new SecureSession('client');
+    }
+
+    /**
+     * Answer a client's key commitment as the offline wallet. The session is
+     * established once the client reveals the key it committed to.
+     */
+    static respond(clientCommitment) {
+        if (typeof clientCommitment !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(clientCommitment)) {
+            throw new Error('Invalid key commitment');
+        }
+        const session = new SecureSession('wallet');
+        session.peerCommitment = clientCommitment.toLowerCase();
+        return session;
+    }
+
+    /**
+     * Commitment to a public key, sent before the key itself
+     */
+    static commit(publicKey) {
+        return sha256(concat([
+            toUtf8Bytes(SecureSession.COMMITMENT_LABEL),
+            SigningKey.computePublicKey(publicKey, true)
+        ]));
+    }
+
+    /**
+     * Commitment to our own public key
+     */
+    get commitment() {
+        return SecureSession.commit(this.publicKey);
+    }
+
+    /**
+     * Derive the session keys and SAS from the peer's public key. The wallet
+     * refuses a client key that does not match the client's commitment.
+     */
+    establish(peerPublicKey) {
+        if (this.peerCommitment !== null &&
+            !SecureSession.constantTimeEqual(SecureSession.commit(peerPublicKey), this.peerCommitment)) {
+            throw new Error('Session key does not match its commitment');
+        }
+
+        const shared = this.signingKey.computeSharedSecret(peerPublicKey);
+        const peerKey = SigningKey.computePublicKey(peerPublicKey, true);
+        const [clientKey, walletKey] = this.role === 'client'
+            ? [this.publicKey, peerKey]
+            : [peerKey, this.publicKey];
+
+        // HKDF-style extract over the x coordinate, salted with both public keys
+        const salt = sha256(concat([toUtf8Bytes(SecureSession.KEY_LABEL), clientKey, walletKey]));
+        const prk = computeHmac('sha256', salt, dataSlice(shared, 1, 33));
+        const derive = (label) => computeHmac('sha256', prk, toUtf8Bytes(label));
+
+        const toWallet = { enc: derive('client->wallet enc'), mac: derive('client->wallet mac') };
+        const toClient = { enc: derive('wallet->client enc'), mac: derive('wallet->client mac') };
+        this.keys = this.role === 'client'
+            ? { send: toWallet, receive: toClient }
+            : { send: toClient, receive: toWallet };
+
+        const sasNumber = parseInt(dataSlice(derive('sas'), 0, 4).slice(2), 16) % 1000000;
+        const sasDigits = sasNumber.toString().padStart(6, '0');
+        this.sas = `${sasDigits.slice(0, 3)} ${sasDigits.slice(3)}`;
+    }
+
+    /**
+     * Check whether keys have been derived
+     */
+    isEstablished() {
+        return this.keys !== null;
+    }
+
+    /**
+     * Encrypt a message into an `encrypted` envelope, carrying our public
+     * key as well when `includePublicKey` is set. Large messages are
+     * deflated first unless `compress` is false.
+     */
+    seal(message, includePublicKey = false, compress = true) {
+        if (!this.isEstablished()) {
+            throw new Error('Secure session not established');
+        }
+
+        let plaintext = toUtf8Bytes(message.serialize());
+        let compressed = false;
+        if (compress && plaintext.length > FrameProtocol.COMPRESSION_THRESHOLD) {
+            // Ciphertext does not compress, so deflate before encrypting
+            const deflated = decodeBase64(FrameProtocol.compress(toUtf8String(plaintext)));
+            if (deflated.length < plaintext.length) {
+                plaintext = deflated;
+                compressed = true;
+            }
+        }
+
+        const seq = this.sendSeq++;
+        const ciphertext = SecureSession.xorKeystream(this.keys.send.enc, seq, plaintext);
+        const envelope = MessageProtocol.createEncrypted(
+            message.version,
+            seq,
+            hexlify(ciphertext),
+            null,
+            includePublicKey ? this.publicKey : null,
+            compressed
+        );
+        envelope.payload.tag = SecureSession.computeTag(this.keys.send.mac, envelope, ciphertext);
+        return envelope;
+    }
+
+    /**
+     * Verify and decrypt an `encrypted` envelope, throwing if it is forged,
+     * corrupted or replayed
+     */
+    open(envelope) {
+        if (!this.isEstablished()) {
+            throw new Error('Secure session not established');
+        }
+        if (envelope.type !== MessageType.ENCRYPTED) {
+            throw new Error('Not an encrypted message');
+        }
+
+        const { seq, ciphertext, tag, compressed, public_key: publicKey } = envelope.payload;
+        if (!Number.isSafeInteger(seq) || seq < 0 || typeof ciphertext !== 'string' || typeof tag !== 'string' ||
+            (publicKey !== undefined && typeof publicKey !== 'string')) {
+            throw new Error('Malformed encrypted message');
+        }
+
+        const ciphertextBytes = getBytes(ciphertext);
+        const expectedTag = SecureSession.computeTag(this.keys.receive.mac, envelope, ciphertextBytes);
+        if (!SecureSession.constantTimeEqual(expectedTag, tag.toLowerCase())) {
+            throw new Error('Message authentication failed');
+        }
+        if (seq <= this.lastReceivedSeq) {
+            throw new Error(`Replayed message (sequence ${seq})`);
+        }
+        this.lastReceivedSeq = seq;
+
+        const plaintext = SecureSession.xorKeystream(this.keys.receive.enc, seq, ciphertextBytes);
+        const serialized = compressed
+            ? FrameProtocol.decompress(encodeBase64(plaintext))
+            : toUtf8String(plaintext);
+
+        return Message.deserialize(serialized);
+    }
+
+    /**
+     * Authenticate an ACK or NACK for a framed message by adding a `tag` to
+     * its payload. These are not sealed, as a sequence number would let them
+     * overtake an envelope still being retransmitted, which would then be
+     * refused as replayed.
+     */
+    tagControl(message) {
+        if (!this.isEstablished()) {
+            throw new Error('Secure session not established');
+        }
+        message.payload.tag = SecureSession.computeControlTag(this.keys.send.mac, message);
+        return message;
+    }
+
+    /**
+     * Check the tag of an ACK or NACK from the peer
+     */
+    verifyControl(message) {
+        if (!this.isEstablished()) {
+            return false;
+        }
+        const { tag, missing } = message.payload;
+        if (typeof tag !== 'string' || (missing !== undefined && !(Array.isArray(missing) &&
+            missing.every(index => Number.isInteger(index) && index >= 0 && index < FrameProtocol.MAX_FRAMES)))) {
+            return false;
+        }
+        const expectedTag = SecureSession.computeControlTag(this.keys.receive.mac, message);
+        return SecureSession.constantTimeEqual(expectedTag, tag.toLowerCase());
+    }
+
+    /**
+     * Truncated HMAC-SHA256 tag over the control label and the `type`,
+     * `frame_id`, `received_id` and `missing` of an ACK or NACK, each as a
+     * 2-byte length and their bytes, with the missing indices one byte each
+     */
+    static computeControlTag(key, message) {
+        const { frame_id: frameId, received_id: receivedId, missing } = message.payload;
+        const field = (bytes) => concat([toBeHex(bytes.length, 2), bytes]);
+        const data = concat([
+            toUtf8Bytes(SecureSession.CONTROL_LABEL),
+            field(toUtf8Bytes(message.type)),
+            field(toUtf8Bytes(frameId ?? '')),
+            field(toUtf8Bytes(receivedId ?? '')),
+            field(new Uint8Array(missing ?? []))
+        ]);
+        return dataSlice(computeHmac('sha256', key, data), 0, SecureSession.TAG_LENGTH);
+    }
+
+    /**
+     * XOR data with the HMAC-SHA256 counter-mode keystream for a sequence number
+     */
+    static xorKeystream(key, seq, data) {
+        const output = new Uint8Array(data.length);
+        for (let block = 0; block * 32 < data.length; block++) {
+            const stream = getBytes(computeHmac('sha256', key, concat([toBeHex(seq, 8), toBeHex(block, 4)])));
+            for (let i = 0; i < 32 && block * 32 + i < data.length; i++) {
+                output[block * 32 + i] = data[block * 32 + i] ^ stream[i];
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Truncated HMAC-SHA256 tag over the header fields of an envelope and
+     * its ciphertext, see encodeHeader
+     */
+    static computeTag(key, envelope, ciphertext) {
+        const header = SecureSession.encodeHeader(envelope);
+        return dataSlice(computeHmac('sha256', key, concat([header, ciphertext])), 0, SecureSession.TAG_LENGTH);
+    }
+
+    /**
+     * Every envelope field but the ciphertext and tag, as authenticated:
+     * seq as 8 bytes, a flags byte with bit 0 set for `compressed`, then
+     * `public_key`, `version` and `id` each as a length byte and their bytes
+     */
+    static encodeHeader(envelope) {
+        const { seq, compressed, public_key: publicKey } = envelope.payload;
+        const field = (bytes) => concat([toBeHex(bytes.length, 1), bytes]);
+        return concat([
+            toBeHex(seq, 8),
+            compressed ? '0x01' : '0x00',
+            field(publicKey ? getBytes(publicKey) : new Uint8Array(0)),
+            field(toUtf8Bytes(envelope.version ?? '')),
+            field(toUtf8Bytes(envelope.id ?? ''))
+        ]);
+    }
+
+    /**
+     * Compare two hex strings without leaking where they differ
+     */
+    static constantTimeEqual(a, b) {
+        if (a.length !== b.length) {
+            return false;
+        }
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,215 @@
+import { existsSync, readFileSync, appendFileSync, writeFileSync } from 'fs';
+import { keccak256, toUtf8Bytes, recoverAddress, getAddress, isAddress, formatEther, ZeroHash } from 'ethers';
+import { MessageProtocol } from './message-protocol.js';
+
+/**
+ * Append-only log of every request the offline wallet signed or rejected,
+ * kept on the offline device so its activity can be reconciled with the
+ * chain and the signing policy's daily cap holds across sessions.
+ *
+ * The log is a JSON Lines file. Each entry holds the hash of the entry
+ * before it and a signature by the wallet key over its own contents, so
+ * changing, removing or reordering entries breaks the chain and is found
+ * by `verify()`. Dropping the newest entries is only noticed against a
+ * head hash noted down earlier, which `npm run ledger` prints.
+ */
+export class SigningLedger {
+    // Prefix of the signed digest, so entry signatures cannot be passed
+    // off as signatures of anything else
+    static LABEL = 'GibberWallet ledger v1';
+
+    static KINDS = ['transaction', 'message', 'typed_data'];
+    static STATUSES = ['signed', 'rejected'];
+
+    /**
+     * Open the ledger of the wallet behind `crypto`, reading the entries of
+     * `path` if it exists. Without a path the ledger is only kept in memory.
+     */
+    constructor(crypto, path = null) {
+        this.crypto = crypto;
+        this.path = path;
+        this.entries = path && existsSync(path)
+            ? readFileSync(path, 'utf8').split('\n').filter(line => line.trim() !== '').map((line, index) => {
+                try {
+                    return JSON.parse(line);
+                } catch {
+                    throw new Error(`Ledger line ${index + 1} is not valid JSON`);
+                }
+            })
+            : [];
+    }
+
+    /**
+     * Append a signed entry for a request and write it to the file.
+     * `record` holds kind, status, account, requestId, hash, chainId, nonce,
+     * to, value and reason, missing fields are stored as null. `account` is
+     * the address that signed or was asked to sign, entries written before
+     * wallets had several accounts have none.
+     */
+    append(record, now = Date.now()) {
+        if (!SigningLedger.KINDS.includes(record.kind) || !SigningLedger.STATUSES.includes(record.status)) {
+            throw new Error(`Invalid ledger record: ${record.kind} ${record.status}`);
+        }
+
+        const entry = {
+            index: this.entries.length,
+            time: now,
+            kind: record.kind,
+            status: record.status,
+            account: record.account ?? null,
+            requestId: record.requestId ?? null,
+            hash: record.hash ?? null,
+            chainId: record.chainId ?? null,
+            nonce: record.nonce ?? null,
+            to: record.to ?? null,
+            value: record.value ?? null,
+            reason: record.reason ?? null,
+            previous: this.getHead()
+        };
+        entry.signature = this.crypto.signDigest(SigningLedger.digest(entry));
+
+        if (this.path) {
+            appendFileSync(this.path, JSON.stringify(entry) + '\n', { mode: 0o600 });
+        }
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * Hash of the newest entry, which every later entry builds on
+     */
+    getHead() {
+        return this.entries.length > 0 ? SigningLedger.digest(this.entries[this.entries.length - 1]) : ZeroHash;
+    }
+
+    /**
+     * Check the chain of entries and their signatures, throwing at the first
+     * entry that was changed, moved or not signed by this wallet
+     */
+    verify() {
+        SigningLedger.verifyEntries(this.entries, this.crypto.getAddress());
+    }
+
+    /**
+     * Check exported ledger entries against the address of the wallet that
+     * wrote them, so auditors can verify an export without the wallet key
+     */
+    static verifyEntries(entries, address) {
+        let previous = ZeroHash;
+        entries.forEach((entry, index) => {
+            if (entry.index !== index) {
+                throw new Error(`Ledger entry at position ${index} has index ${entry.index}, entries were removed or reordered`);
+            }
+            if (entry.previous !== previous) {
+                throw new Error(`Ledger entry ${index} does not follow the entry before it`);
+            }
+
+            const digest = SigningLedger.digest(entry);
+            let signer = null;
+            try {
+                signer = recoverAddress(digest, entry.signature);
+            } catch {
+                // Reported below as an invalid signature
+            }
+            if (signer !== getAddress(address)) {
+                throw new Error(`Ledger entry ${index} was changed or not signed by ${getAddress(address)}`);
+            }
+            previous = digest;
+        });
+    }
+
+    /**
+     * Digest of an entry without its signature, which the wallet signs and
+     * the next entry refers to
+     */
+    static digest(entry) {
+        const fields = { ...entry };
+        delete fields.signature;
+        return keccak256(toUtf8Bytes(`${SigningLedger.LABEL}\n${MessageProtocol.canonicalize(fields)}`));
+    }
+
+    /**
+     * Signed transactions since `since`, oldest first, for the policy's daily cap
+     */
+    getSignedTransactions(since = 0) {
+        return this.entries.filter(entry =>
+            entry.kind === 'transaction' && entry.status === 'signed' && entry.time > since
+        );
+    }
+
+    /**
+     * Ledger fields of a transaction in wire or ethers format. Fields that
+     * are missing or malformed, as in a refused request, are left out.
+     */
+    static describeTransaction(transaction) {
+        const fields = {};
+        const read = (name, parse) => {
+            try {
+                const value = transaction && transaction[name];
+                if (value !== undefined && value !== null) {
+                    fields[name] = parse(value);
+                }
+            } catch {
+                // Left out
+            }
+        };
+        read('chainId', value => Number(BigInt(value)));
+        read('nonce', value => Number(BigInt(value)));
+        read('to', value => {
+            if (!isAddress(value)) {
+                throw new Error(`Invalid address: ${value}`);
+            }
+            return getAddress(value);
+        });
+        read('value', value => BigInt(value).toString());
+        return fields;
+    }
+
+    /**
+     * The ledger with the wallet address and head hash, as exported for auditors
+     */
+    toJSON() {
+        return { address: this.crypto.getAddress(), head: this.getHead(), entries: this.entries };
+    }
+
+    /**
+     * Write the ledger as JSON for auditors
+     */
+    export(path) {
+        writeFileSync(path, JSON.stringify(this.toJSON(), null, 2) + '\n');
+    }
+
+    /**
+     * Format an entry as one line for the terminal
+     */
+    static formatEntry(entry) {
+        const parts = [
+            `#${entry.index}`,
+            new Date(entry.time).toISOString(),
+            entry.status === 'signed' ? 'SIGNED  ' : 'REJECTED',
+            entry.kind
+        ];
+        if (entry.account) {
+            parts.push(`from ${entry.account}`);
+        }
+        if (entry.chainId !== null) {
+            parts.push(`chain ${entry.chainId}`);
+        }
+        if (entry.nonce !== null) {
+            parts.push(`nonce ${entry.nonce}`);
+        }
+        if (entry.to !== null) {
+            parts.push(`to ${entry.to}`);
+        }
+        if (entry.value !== null) {
+            parts.push(`${formatEther(entry.value)} ETH`);
+        }
+        if (entry.hash !== null) {
+            parts.push(entry.hash);
+        }
+        if (entry.reason !== null) {
+            parts.push(`(${entry.reason})`);
+        }
+        return parts.join('  ');
+    }
+}
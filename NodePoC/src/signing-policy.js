@@ -0,0 +1,308 @@
+import { readFileSync } from 'fs';
+import { getAddress, isAddress, isHexString, parseEther, parseUnits, formatEther, formatUnits, dataLength, dataSlice } from 'ethers';
+import { AbiRegistry } from './abi-registry.js';
+
+/**
+ * Rules the offline wallet checks every transaction against before the user
+ * is asked to sign it: allowed chains, recipient allow and deny lists,
+ * per-transaction and rolling daily value caps, a gas price cap and blocked
+ * function selectors. Rules that are left out are not checked.
+ *
+ * Recipients include the address a known function such as a token
+ * `transfer`, `transferFrom` or `safeTransferFrom` or a swap sends assets
+ * to, also for the calls nested in a multicall. The value caps count ETH
+ * only, not ERC-20 amounts: limit tokens with the recipient lists, or by
+ * blocking `transfer` and `approve`.
+ *
+ * A broken rule either rejects the transaction or is shown as a warning the
+ * user has to confirm separately, as set per rule in `actions`. Policies are
+ * JSON, with values in ETH and the gas price in Gwei:
+ *
+ *     {
+ *         "chainIds": [1, 11155111],
+ *         "allowedRecipients": ["0x…"],
+ *         "deniedRecipients": ["0x…"],
+ *         "maxTransactionValue": "0.5",
+ *         "maxDailyValue": "2",
+ *         "maxGasPrice": "100",
+ *         "blockedSelectors": ["0x095ea7b3"],
+ *         "actions": { "maxGasPrice": "warn" }
+ *     }
+ */
+export class SigningPolicy {
+    static RULES = ['chainIds', 'allowedRecipients', 'deniedRecipients', 'maxTransactionValue', 'maxDailyValue', 'maxGasPrice', 'blockedSelectors'];
+
+    // Broken rules reject the transaction unless `actions` says to warn
+    static ACTIONS = ['reject', 'warn'];
+
+    // Window of the rolling daily value cap
+    static DAY = 24 * 60 * 60 * 1000;
+
+    constructor(policy = {}) {
+        this.policy = SigningPolicy.validate(policy);
+
+        // Value of each signed transaction with its chain and the time it
+        // was signed, oldest first, for the daily cap
+        this.spending = [];
+    }
+
+    /**
+     * Create a policy from a JSON file
+     */
+    static load(path) {
+        return new SigningPolicy(JSON.parse(readFileSync(path, 'utf8')));
+    }
+
+    /**
+     * Check a policy's rules, returning it with addresses checksummed and
+     * selectors lowercased. Throws on the first malformed rule.
+     */
+    static validate(policy) {
+        if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+            throw new Error('Signing policy must be an object');
+        }
+
+        const rules = {};
+        if (policy.chainIds !== undefined) {
+            if (!Array.isArray(policy.chainIds) || !policy.chainIds.every(id => Number.isSafeInteger(id) && id > 0)) {
+                throw new Error('Policy chainIds must be an array of chain IDs');
+            }
+            rules.chainIds = [...policy.chainIds];
+        }
+
+        for (const rule of ['allowedRecipients', 'deniedRecipients']) {
+            if (policy[rule] !== undefined) {
+                if (!Array.isArray(policy[rule])) {
+                    throw new Error(`Policy ${rule} must be an array of addresses`);
+                }
+                rules[rule] = policy[rule].map(address => {
+                    if (typeof address !== 'string' || !isAddress(address)) {
+                        throw new Error(`Invalid address in policy ${rule}: ${address}`);
+                    }
+                    return getAddress(address);
+                });
+            }
+        }
+
+        for (const rule of ['maxTransactionValue', 'maxDailyValue', 'maxGasPrice']) {
+            if (policy[rule] !== undefined) {
+                try {
+                    SigningPolicy.parseAmount(rule, policy[rule]);
+                } catch {
+                    throw new Error(`Invalid policy ${rule}: ${policy[rule]}`);
+                }
+                rules[rule] = String(policy[rule]);
+            }
+        }
+
+        if (policy.blockedSelectors !== undefined) {
+            if (!Array.isArray(policy.blockedSelectors)) {
+                throw new Error('Policy blockedSelectors must be an array of 4-byte selectors');
+            }
+            rules.blockedSelectors = policy.blockedSelectors.map(selector => {
+                if (!isHexString(selector, 4)) {
+                    throw new Error(`Invalid selector in policy blockedSelectors: ${selector}`);
+                }
+                return selector.toLowerCase();
+            });
+        }
+
+        rules.actions = {};
+        for (const [rule, action] of Object.entries(policy.actions || {})) {
+            if (!SigningPolicy.RULES.includes(rule)) {
+                throw new Error(`Unknown policy rule in actions: ${rule}`);
+            }
+            if (!SigningPolicy.ACTIONS.includes(action)) {
+                throw new Error(`Policy action for ${rule} must be reject or warn`);
+            }
+            rules.actions[rule] = action;
+        }
+
+        return rules;
+    }
+
+    // Parse a value cap in ETH or the gas price cap in Gwei into wei
+    static parseAmount(rule, amount) {
+        const text = String(amount).trim();
+        if (!/^\d+(\.\d+)?$/.test(text)) {
+            throw new Error(`Invalid amount: ${amount}`);
+        }
+        return rule === 'maxGasPrice' ? parseUnits(text, 'gwei') : parseEther(text);
+    }
+
+    /**
+     * The policy's rules, in the JSON format it was created from
+     */
+    toJSON() {
+        return this.policy;
+    }
+
+    /**
+     * Check a transaction against the policy. `earlier` are transactions of
+     * the same request that are not signed yet but count towards the daily
+     * cap, like the previous transactions of a batch.
+     *
+     * Returns the broken rules as `{ rule, action, message }`, with action
+     * 'reject' or 'warn'.
+     */
+    check(transaction, earlier = [], now = Date.now()) {
+        const violations = [];
+        const violate = (rule, message) => violations.push({ rule, action: this.policy.actions[rule] || 'reject', message });
+        const chainId = Number(transaction.chainId);
+        const value = BigInt(transaction.value || 0);
+
+        if (this.policy.chainIds && !this.policy.chainIds.includes(chainId)) {
+            violate('chainIds', `Chain ID ${chainId} is not allowed`);
+        }
+
+        const recipients = SigningPolicy.getRecipients(transaction);
+        if (this.policy.deniedRecipients) {
+            for (const recipient of recipients.filter(address => this.policy.deniedRecipients.includes(address))) {
+                violate('deniedRecipients', `${recipient} is on the denylist`);
+            }
+        }
+        if (this.policy.allowedRecipients) {
+            if (!transaction.to) {
+                violate('allowedRecipients', 'Contract deployments are not on the allowlist');
+            }
+            for (const recipient of recipients.filter(address => !this.policy.allowedRecipients.includes(address))) {
+                violate('allowedRecipients', `${recipient} is not on the allowlist`);
+            }
+        }
+
+        if (this.policy.maxTransactionValue !== undefined) {
+            const limit = SigningPolicy.parseAmount('maxTransactionValue', this.policy.maxTransactionValue);
+            if (value > limit) {
+                violate('maxTransactionValue', `Value of ${formatEther(value)} ETH is over the limit of ${formatEther(limit)} ETH per transaction`);
+            }
+        }
+
+        if (this.policy.maxDailyValue !== undefined) {
+            const limit = SigningPolicy.parseAmount('maxDailyValue', this.policy.maxDailyValue);
+            const total = this.getDailySpending(chainId, now) + value + earlier
+                .filter(tx => Number(tx.chainId) === chainId)
+                .reduce((sum, tx) => sum + BigInt(tx.value || 0), 0n);
+            if (value > 0n && total > limit) {
+                violate('maxDailyValue', `Signing brings the last 24 hours on chain ${chainId} to ${formatEther(total)} ETH, over the daily limit of ${formatEther(limit)} ETH`);
+            }
+        }
+
+        if (this.policy.maxGasPrice !== undefined) {
+            const limit = SigningPolicy.parseAmount('maxGasPrice', this.policy.maxGasPrice);
+            const gasPrice = BigInt(transaction.maxFeePerGas ?? transaction.gasPrice ?? 0);
+            if (gasPrice > limit) {
+                violate('maxGasPrice', `Gas price of ${formatUnits(gasPrice, 'gwei')} Gwei is over the limit of ${formatUnits(limit, 'gwei')} Gwei`);
+            }
+        }
+
+        if (this.policy.blockedSelectors) {
+            for (const selector of SigningPolicy.getSelectors(transaction.data)) {
+                if (this.policy.blockedSelectors.includes(selector)) {
+                    const entry = AbiRegistry.lookup(selector);
+                    violate('blockedSelectors', `Function ${entry ? `${entry.fragment.format('sighash')} (${selector})` : selector} is blocked`);
+                }
+            }
+        }
+
+        return violations;
+    }
+
+    /**
+     * Count a signed transaction towards the daily cap
+     */
+    recordSpending(transaction, now = Date.now()) {
+        this.spending.push({ chainId: Number(transaction.chainId), value: BigInt(transaction.value || 0), time: now });
+        this.spending = this.spending.filter(entry => entry.time > now - SigningPolicy.DAY);
+    }
+
+    /**
+     * Value signed on a chain in the last 24 hours, in wei
+     */
+    getDailySpending(chainId, now = Date.now()) {
+        return this.spending
+            .filter(entry => entry.chainId === chainId && entry.time > now - SigningPolicy.DAY)
+            .reduce((sum, entry) => sum + entry.value, 0n);
+    }
+
+    /**
+     * Addresses a transaction sends to or grants spending rights to: its
+     * `to`, the address a known function moves assets to and the spender of
+     * an approval, also for the calls nested in a multicall and their targets
+     */
+    static getRecipients(transaction) {
+        if (!transaction.to) {
+            return [];
+        }
+        return [...new Set([getAddress(transaction.to), ...SigningPolicy.getCallRecipients(transaction.data)])];
+    }
+
+    // Recipients and spenders of a call and of the calls nested in it
+    static getCallRecipients(data) {
+        const decoded = SigningPolicy.decode(data);
+        if (!decoded) {
+            return [];
+        }
+
+        const recipients = [];
+        if (decoded.entry.recipient) {
+            const recipient = decoded.entry.recipient.split('.').reduce((args, name) => args[name], decoded.args);
+            recipients.push(getAddress(recipient));
+        }
+        if (decoded.entry.approval) {
+            recipients.push(getAddress(decoded.args[decoded.entry.approval.spender]));
+        }
+        SigningPolicy.forEachNested(decoded, (param, value) => {
+            if (param.type === 'bytes') {
+                recipients.push(...SigningPolicy.getCallRecipients(value));
+            } else if (param.type === 'address') {
+                // Multicall3 calls name their target next to the calldata
+                recipients.push(getAddress(value));
+            }
+        });
+        return recipients;
+    }
+
+    /**
+     * Selectors of a call and of the calls nested in it by multicall functions
+     */
+    static getSelectors(data) {
+        if (!data || dataLength(data) < 4) {
+            return [];
+        }
+
+        const selectors = [dataSlice(data, 0, 4).toLowerCase()];
+        SigningPolicy.forEachNested(SigningPolicy.decode(data), (param, value) => {
+            if (param.type === 'bytes') {
+                selectors.push(...SigningPolicy.getSelectors(value));
+            }
+        });
+        return selectors;
+    }
+
+    // Visit the plain parameters of a decoded multicall function, inside
+    // its arrays and tuples. Other functions have no nested calls.
+    static forEachNested(decoded, visit) {
+        if (!decoded || !decoded.entry.nested) {
+            return;
+        }
+        const walk = (param, value) => {
+            if (param.baseType === 'array') {
+                Array.from(value, item => walk(param.arrayChildren, item));
+            } else if (param.baseType === 'tuple') {
+                param.components.forEach((component, index) => walk(component, value[index]));
+            } else {
+                visit(param, value);
+            }
+        };
+        decoded.entry.fragment.inputs.forEach((param, index) => walk(param, decoded.args[index]));
+    }
+
+    // Decode calldata against the ABI registry, or null when it is unknown or malformed
+    static decode(data) {
+        try {
+            return data && data !== '0x' ? AbiRegistry.decode(data) : null;
+        } catch {
+            return null;
+        }
+    }
+}
@@ -1,4 +1,5 @@
-import { Message } from './message-protocol.js';
+import { Message, MessageType, MessageProtocol, Capability } from './message-protocol.js';
+import { FrameProtocol, FrameAssembler } from './frame-protocol.js';
 import Speaker from 'speaker';
 import record from 'node-record-lpcm16';
 
@@ -70,6 +71,39 @@ export class SoundProtocol {
         this.receivedCallback = null;
         this.messageQueue = [];
         
+        // Framing for messages too large for a single transmission
+        this.frameGap = 500; // pause between frames in milliseconds
+        this.compress = true; // deflate messages above FrameProtocol.COMPRESSION_THRESHOLD
+        this.assembler = new FrameAssembler(
+            FrameProtocol.REASSEMBLY_TIMEOUT,
+            (frameId, missing, expired) => this.handleMissingChunks(frameId, missing, expired)
+        );
+        
+        // Framed messages waiting for an ACK or NACK, by frame id
+        this.pendingTransfers = new Map();
+        
+        // Recently reassembled messages, by frame id, so a sender that missed
+        // our ACK and retransmits gets acknowledged again
+        this.completedTransfers = new Map();
+        
+        // Playback is serialized so concurrent sends never overlap on the speaker
+        this.playbackQueue = Promise.resolve();
+        
+        // Protocol version agreed with the peer during connect, which also
+        // decides between JSON and the compact encoding for outgoing messages
+        this.peerVersion = null;
+        
+        // Capabilities agreed with the peer during connect, null until then,
+        // in which case every capability we support is used
+        this.peerCapabilities = null;
+        
+        // Secure session with the peer, see SecureSession. With requireSession
+        // set, plaintext messages other than handshakes and frame ACK/NACKs are dropped.
+        // Once it is established, ACK/NACKs carry a tag from SecureSession.tagControl
+        // and those for sealed messages are dropped without a valid one.
+        this.session = null;
+        this.requireSession = false;
+        
         // ggwave instances will be set after initialization
         this.ggwaveInstance = null;
         this.ggwave = null;
@@ -104,6 +138,36 @@ export class SoundProtocol {
         }
     }
 
+    /**
+     * Set the protocol version agreed with the peer. Outgoing messages other
+     * than handshakes are sent with this version, null sends them unchanged.
+     */
+    setPeerVersion(version) {
+        this.peerVersion = version;
+    }
+
+    /**
+     * Set the capabilities agreed with the peer, or null before negotiation
+     */
+    setPeerCapabilities(capabilities) {
+        this.peerCapabilities = capabilities;
+    }
+
+    /**
+     * Check whether a capability may be used with the peer
+     */
+    peerSupports(capability) {
+        return this.peerCapabilities === null || this.peerCapabilities.includes(capability);
+    }
+
+    /**
+     * Set the secure session used to encrypt outgoing and decrypt incoming
+     * messages, or null to send in plaintext
+     */
+    setSession(session) {
+        this.session = session;
+    }
+
     /**
      * Send a message via sound
      */
@@ -117,30 +181,43 @@ export class SoundProtocol {
             }
         }
         
+        if (this.peerVersion && !MessageProtocol.isHandshake(message)) {
+            message.version = this.peerVersion;
+        }
+        
+        if (this.session && this.session.isEstablished() && !MessageProtocol.isHandshake(message) &&
+            message.type !== MessageType.ENCRYPTED && !this.isTransferControl(message)) {
+            console.log(`[SOUND] Encrypting: ${message.type}`);
+            message = this.session.seal(message, false, this.compress && this.peerSupports(Capability.COMPRESSION));
+        }
+        
+        const serialized = message.serialize();
+        const frames = this.peerSupports(Capability.CHUNKING)
+            ? FrameProtocol.split(
+                serialized,
+                FrameProtocol.DEFAULT_CHUNK_SIZE,
+                this.compress && this.peerSupports(Capability.COMPRESSION)
+            )
+            : [serialized]; // Peers without chunking only take single transmissions
+        
         if (this.ggwaveInstance === null || this.ggwaveInstance === undefined) {
-            console.log(`[SOUND] Would send: ${message.toJSON()}`);
+            console.log(`[SOUND] Would send: ${serialized}`);
+            if (frames.length > 1) {
+                console.log(`[SOUND] Would send as ${frames.length} frames`);
+            }
             return true;
         }
 
         try {
-            const jsonStr = message.toJSON();
-            console.log(`[SOUND] Sending: ${message.type}`);
-            
-            // Encode message to sound using ggwave
-            // Using AUDIBLE_FAST to match GibberWeb
-            const protocol = this.ggwave.ProtocolId.GGWAVE_PROTOCOL_AUDIBLE_FAST;
+            console.log(`[SOUND] Sending: ${message.type}${frames.length > 1 ? ` (${frames.length} frames)` : ''}`);
             
-            const waveform = this.ggwave.encode(
-                this.ggwaveInstance, 
-                jsonStr, 
-                protocol, 
-                15 // increased volume level from 10 to 15
-            );
-            
-            // Play the waveform through speakers
-            await this.playAudio(waveform);
+            if (frames.length === 1 || this.isTransferControl(message)) {
+                // ACKs and NACKs are never acknowledged themselves
+                await this.transmitAll(frames, frames.map((_, index) => index));
+                return true;
+            }
             
-            return true;
+            return await this.sendFrames(frames, message);
             
         } catch (error) {
             console.log(`[SOUND] Error sending message:`, error.message);
@@ -148,6 +225,110 @@ export class SoundProtocol {
         }
     }
 
+    /**
+     * Send the frames of a message, then retransmit whatever the receiver
+     * reports missing until it acknowledges the message or retries run out
+     */
+    async sendFrames(frames, message) {
+        const frameId = FrameProtocol.parse(frames[0]).frameId;
+        let indices = frames.map((_, index) => index);
+        
+        try {
+            for (let attempt = 0; attempt <= this.retries; attempt++) {
+                if (attempt > 0) {
+                    console.log(`[SOUND] Retransmitting ${indices.length} frame(s) of ${frameId} (retry ${attempt}/${this.retries})`);
+                }
+                
+                const reply = this.waitForTransferReply(frameId, message);
+                await this.transmitAll(frames, indices);
+                this.pendingTransfers.get(frameId).startTimer();
+                const response = await reply;
+                
+                if (response && response.type === MessageType.ACK) {
+                    return true;
+                }
+                
+                if (response && response.type === MessageType.NACK) {
+                    const missing = (response.payload.missing || [])
+                        .filter(index => Number.isInteger(index) && index >= 0 && index < frames.length);
+                    if (missing.length > 0) {
+                        indices = missing;
+                    }
+                }
+                // On timeout resend the same frames, the receiver may have missed the last one
+            }
+        } finally {
+            this.pendingTransfers.delete(frameId);
+        }
+        
+        console.log(`[SOUND] No acknowledgment for ${frameId} after ${this.retries} retries`);
+        return false;
+    }
+
+    /**
+     * Play the frames at the given indices, pausing between them
+     */
+    async transmitAll(frames, indices) {
+        for (let i = 0; i < indices.length; i++) {
+            if (i > 0) {
+                await this.sleep(this.frameGap);
+            }
+            await this.transmit(frames[indices[i]]);
+        }
+    }
+
+    /**
+     * Wait for the ACK or NACK answering a framed message.
+     * Resolves with null if none arrives within the ACK timeout,
+     * which starts once the last frame has been played.
+     */
+    waitForTransferReply(frameId, message) {
+        return new Promise((resolve) => {
+            let timeoutId = null;
+            
+            this.pendingTransfers.set(frameId, {
+                messageId: message.id,
+                // A sealed message only takes ACK/NACKs tagged with the session key
+                sealed: message.type === MessageType.ENCRYPTED,
+                startTimer: () => {
+                    timeoutId = setTimeout(() => resolve(null), FrameProtocol.ACK_TIMEOUT);
+                },
+                resolve: (reply) => {
+                    clearTimeout(timeoutId);
+                    resolve(reply);
+                }
+            });
+        });
+    }
+
+    /**
+     * Encode a single payload to sound and play it
+     */
+    transmit(payload) {
+        const playback = this.playbackQueue.then(() => this.playPayload(payload));
+        this.playbackQueue = playback.catch(() => {});
+        return playback;
+    }
+
+    /**
+     * Encode a payload to sound and play it immediately
+     */
+    async playPayload(payload) {
+        // Encode payload to sound using ggwave
+        // Using AUDIBLE_FAST to match GibberWeb
+        const protocol = this.ggwave.ProtocolId.GGWAVE_PROTOCOL_AUDIBLE_FAST;
+        
+        const waveform = this.ggwave.encode(
+            this.ggwaveInstance, 
+            payload, 
+            protocol, 
+            15 // increased volume level from 10 to 15
+        );
+        
+        // Play the waveform through speakers
+        await this.playAudio(waveform);
+    }
+
     /**
      * Start listening for sound messages
      */
@@ -181,6 +362,8 @@ export class SoundProtocol {
     stopListening() {
         this.isListening = false;
         this.stopRecording();
+        this.assembler.clear();
+        this.completedTransfers.clear();
     }
 
     /**
@@ -336,13 +519,8 @@ export class SoundProtocol {
                 
                 if (decodedData && decodedData.length > 0) {
                     try {
-                        const messageStr = new TextDecoder().decode(decodedData);
-                        const messageData = JSON.parse(messageStr);
-                        console.log(`[SOUND] Received: ${messageData.type}`);
-                        
-                        // Call the callback with the decoded message
-                        const message = Message.fromJSON(messageStr);
-                        this.receivedCallback(message);
+                        const payload = new TextDecoder().decode(decodedData);
+                        this.handlePayload(payload);
                         
                         // Clear buffer after successful decode
                         this.audioBuffer = [];
@@ -378,6 +556,140 @@ export class SoundProtocol {
         }
     }
 
+    /**
+     * Handle a decoded payload, which is either a raw message or one frame of a larger one
+     */
+    handlePayload(payload) {
+        let messageStr = payload;
+        
+        if (FrameProtocol.isFrame(payload)) {
+            const frame = FrameProtocol.parse(payload);
+            if (!frame) {
+                console.log('[SOUND] Dropped corrupted frame');
+                return;
+            }
+            
+            console.log(`[SOUND] Received frame ${frame.index + 1}/${frame.total} of ${frame.frameId}`);
+            
+            const completed = this.completedTransfers.get(frame.frameId);
+            if (completed && completed.total === frame.total) {
+                // Already delivered, our ACK must have been lost
+                if (Date.now() - completed.ackedAt > FrameProtocol.ACK_TIMEOUT / 2) {
+                    completed.ackedAt = Date.now();
+                    this.sendControl(MessageProtocol.createAck(completed.messageId, frame.frameId));
+                }
+                return;
+            }
+            
+            try {
+                messageStr = this.assembler.add(frame);
+            } catch (error) {
+                // Data that does not inflate, or inflates past the size cap
+                console.log(`[SOUND] Dropped malformed message ${frame.frameId}: ${error.message}`);
+                return;
+            }
+            if (messageStr === null) {
+                return; // Waiting for more frames
+            }
+            
+            const message = Message.deserialize(messageStr);
+            if (!this.isTransferControl(message)) {
+                this.rememberCompleted(frame, message.id);
+                this.sendControl(MessageProtocol.createAck(message.id, frame.frameId));
+            }
+            this.deliver(message);
+            return;
+        }
+        
+        this.deliver(Message.deserialize(messageStr));
+    }
+
+    /**
+     * Check whether a message is an ACK or NACK for a framed message
+     */
+    isTransferControl(message) {
+        return (message.type === MessageType.ACK || message.type === MessageType.NACK) &&
+            !!(message.payload && message.payload.frame_id);
+    }
+
+    /**
+     * Remember a reassembled message, keeping only the most recent ones
+     */
+    rememberCompleted(frame, messageId) {
+        this.completedTransfers.delete(frame.frameId);
+        this.completedTransfers.set(frame.frameId, { messageId, total: frame.total, ackedAt: Date.now() });
+        if (this.completedTransfers.size > 16) {
+            const oldest = this.completedTransfers.keys().next().value;
+            this.completedTransfers.delete(oldest);
+        }
+    }
+
+    /**
+     * Pass a received message on, consuming ACKs and NACKs for our own framed messages
+     */
+    deliver(message) {
+        if (this.isTransferControl(message)) {
+            const frameId = message.payload.frame_id;
+            const transfer = this.pendingTransfers.get(frameId);
+            if (!transfer) {
+                return;
+            }
+            if (transfer.sealed && !(this.session && this.session.verifyControl(message))) {
+                console.log(`[SOUND] Rejected unauthenticated ${message.type} for ${frameId}`);
+                return;
+            }
+            if (message.type === MessageType.ACK && message.payload.received_id !== transfer.messageId) {
+                console.log(`[SOUND] Ignored ACK for ${frameId} naming another message`);
+                return;
+            }
+            console.log(`[SOUND] Received ${message.type} for ${frameId}`);
+            transfer.resolve(message);
+            return;
+        }
+        
+        if (message.type === MessageType.ENCRYPTED && this.session && this.session.isEstablished()) {
+            try {
+                message = this.session.open(message);
+            } catch (error) {
+                console.log(`[SOUND] Dropped encrypted message: ${error.message}`);
+                return;
+            }
+        } else if (this.requireSession && !MessageProtocol.isHandshake(message) && message.type !== MessageType.ENCRYPTED) {
+            console.log(`[SOUND] Rejected unauthenticated ${message.type}`);
+            return;
+        }
+        
+        // Call the callback with the decoded message
+        console.log(`[SOUND] Received: ${message.type}`);
+        this.receivedCallback(message);
+    }
+
+    /**
+     * Ask the sender to retransmit chunks that did not arrive for a framed message
+     */
+    handleMissingChunks(frameId, missing, expired) {
+        if (expired) {
+            console.log(`[SOUND] Gave up on ${frameId}, missing frames: ${missing.join(', ')}`);
+            return;
+        }
+        
+        console.log(`[SOUND] Incomplete message ${frameId}, requesting frames: ${missing.join(', ')}`);
+        this.sendControl(MessageProtocol.createNack(frameId, missing));
+    }
+
+    /**
+     * Send an ACK or NACK without blocking the receive path, tagged with
+     * the session key once a secure session is established
+     */
+    sendControl(message) {
+        if (this.session && this.session.isEstablished()) {
+            this.session.tagControl(message);
+        }
+        this.sendMessage(message).catch((error) => {
+            console.log(`[SOUND] Failed to send ${message.type}:`, error.message);
+        });
+    }
+
     /**
      * Listen loop for real audio messages
      */
@@ -400,17 +712,22 @@ export class SoundProtocol {
     }
 
     /**
-     * Wait for a specific message type
+     * Wait for a message of a specific type, or one of several types.
+     * With `receivedId` set, only a message answering that request id
+     * matches; anything else goes to the regular callback.
      */
-    async waitForMessage(expectedType, timeout = null) {
+    async waitForMessage(expectedType, timeout = null, receivedId = null) {
         timeout = timeout || this.timeout;
+        const expectedTypes = Array.isArray(expectedType) ? expectedType : [expectedType];
         
         return new Promise((resolve) => {
             const originalCallback = this.receivedCallback;
             let timeoutId;
             
             const messageCallback = (message) => {
-                if (message.type === expectedType) {
+                const answersRequest = receivedId === null ||
+                    (message.payload && message.payload.received_id === receivedId);
+                if (expectedTypes.includes(message.type) && answersRequest) {
                     clearTimeout(timeoutId);
                     this.receivedCallback = originalCallback;
                     resolve(message);
@@ -423,7 +740,7 @@ export class SoundProtocol {
             
             timeoutId = setTimeout(() => {
                 this.receivedCallback = originalCallback;
-                console.log(`[SOUND] Timeout waiting for ${expectedType}`);
+                console.log(`[SOUND] Timeout waiting for ${expectedTypes.join(' or ')}`);
                 resolve(null);
             }, timeout);
         });
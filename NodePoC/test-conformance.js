@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+import { readFileSync } from 'fs';
+import { isDeepStrictEqual } from 'util';
+import { getBytes } from 'ethers';
+import { Message, MessageType, MessageProtocol } from './src/message-protocol.js';
+import { CryptoUtils } from './src/crypto-utils.js';
+import { SecureSession } from './src/secure-session.js';
+
+// Golden messages shared with the mobile implementation (GibberWalletMobile/__tests__/Conformance.test.ts)
+const golden = JSON.parse(readFileSync(new URL('../conformance/golden-messages.json', import.meta.url), 'utf8'));
+
+let failures = 0;
+const check = (name, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${name}`);
+    if (!passed) failures++;
+};
+
+const toMessage = ({ version, type, payload, id }) => new Message(version, type, payload, id);
+
+console.log('Checking golden messages...\n');
+
+for (const entry of golden.messages) {
+    const message = toMessage(entry.message);
+    check(`${entry.name}: JSON encoding`,
+        message.toJSON() === entry.json && Message.fromJSON(entry.json).toJSON() === entry.json);
+    check(`${entry.name}: wire encoding`,
+        message.serialize() === (entry.compact ?? entry.json) &&
+        Message.deserialize(message.serialize()).toJSON() === entry.json);
+
+    if (entry.signingDigest) {
+        check(`${entry.name}: wallet signature`,
+            MessageProtocol.signingDigest(message, entry.requestId) === entry.signingDigest &&
+            CryptoUtils.verifyProtocolMessage(message, entry.signer ?? golden.walletAddress, entry.requestId));
+    }
+
+    if (entry.sessionKey) {
+        check(`${entry.name}: key commitment`,
+            SecureSession.commit(entry.sessionKey) === message.payload.key_commitment);
+    }
+
+    if (entry.macKey) {
+        const tag = message.type === MessageType.ENCRYPTED
+            ? SecureSession.computeTag(entry.macKey, message, getBytes(message.payload.ciphertext))
+            : SecureSession.computeControlTag(entry.macKey, message);
+        check(`${entry.name}: session tag`, tag === message.payload.tag);
+    }
+}
+
+console.log('\nChecking version negotiation...\n');
+
+for (const entry of golden.negotiations) {
+    check(`negotiate with ${entry.name}`,
+        isDeepStrictEqual(MessageProtocol.negotiate(toMessage(entry.connect)), entry.expected));
+}
+
+console.log(failures === 0 ? '\n🎉 All conformance checks passed' : `\n${failures} conformance check(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
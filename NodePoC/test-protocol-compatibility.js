@@ -36,7 +36,8 @@ console.log();
 // Test TX_RESPONSE message  
 const txResponse = MessageProtocol.createTxResponse(
     '0xf86c0585...',  // signed tx
-    '0xabcdef...'     // tx hash
+    '0xabcdef...',    // tx hash
+    txRequest.id      // request id
 );
 console.log('NodePoC TX_RESPONSE message:');
 console.log(txResponse.toJSON());